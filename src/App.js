@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { MantineProvider, Container, Title, Text, Paper, Group, Stack, Alert, createTheme } from '@mantine/core';
+import React, { useCallback, useMemo, useRef, useState } from 'react';
+import { MantineProvider, Container, Title, Text, Paper, Group, Stack, Alert, Button, Progress, SegmentedControl, Select, Drawer, createTheme } from '@mantine/core';
 import { Dropzone } from '@mantine/dropzone';
 import { Notifications, notifications } from '@mantine/notifications';
 import IconUpload from '@tabler/icons-react/dist/esm/icons/IconUpload';
@@ -7,10 +7,27 @@ import IconX from '@tabler/icons-react/dist/esm/icons/IconX';
 import IconCheck from '@tabler/icons-react/dist/esm/icons/IconCheck';
 import IconAlertCircle from '@tabler/icons-react/dist/esm/icons/IconAlertCircle';
 import IconMusic from '@tabler/icons-react/dist/esm/icons/IconMusic';
+import IconTrash from '@tabler/icons-react/dist/esm/icons/IconTrash';
 import ColorVisualizer from './components/ColorVisualizer';
 import ColorExplanation from './components/ColorExplanation';
-import { loadAudioFile, extractBasicFeatures, extractTempo, extractRms, extractPitch, extractTimbre, extractKey, extractMood } from './utils/audioProcessing';
-import { mapFeaturesToColor, mapTempoToColor, mapPitchToColor, mapLoudnessToColor, mapKeyToColor, mapMoodToColor, generateColorPalette } from './utils/colorMapping';
+import TimelineStrip from './components/TimelineStrip';
+import SectionBar from './components/SectionBar';
+import LiveMode from './components/LiveMode';
+import Player from './components/Player';
+import SimilarTracks from './components/SimilarTracks';
+import MappingEditor from './components/MappingEditor';
+import { analyzeFileInWorker, analyzeInWorker, loadPlaybackAudio, isAbortError } from './utils/analysisWorker';
+import { getCacheKey, getCachedAnalysis, storeCachedAnalysis, storeAnalysisSummary, listAnalysisSummaries, clearAnalysisCache } from './utils/analysisCache';
+import { computeEmbedding, comparisonPalette } from './utils/similarity';
+import { generateEnhancedPalette, optimizePalette } from './utils/enhancedColorTheory';
+import { improveColorAccessibility, analyzePaletteAccessibility } from './utils/colorTheory';
+import { makeCvdSafePalette } from './utils/colorVision';
+import { normalizeRegions, extractRegions } from './utils/regions';
+import { summarizeTimeline } from './utils/timeline';
+import { formatTime } from './utils/formatTime';
+import { DEFAULT_STRATEGY, listStrategies, applyStrategy, applyStrategyToSections } from './utils/mappingStrategies';
+import { DEFAULT_MAPPING } from './utils/mappingRules';
+import { mapFeaturesToColor, mapTempoToColor, mapPitchToColor, mapLoudnessToColor, mapStereoToColor, mapPercussivenessToColor, mapVocalsToColor, mapKeyToColor, mapKeyRegionsToColors, mapChordsToColors, mapMoodToColor } from './utils/colorMapping';
 import '@mantine/core/styles.css';
 import '@mantine/notifications/styles.css';
 import '@mantine/dropzone/styles.css';
@@ -118,74 +135,235 @@ const WaveformLoader = () => (
   </div>
 );
 
+// Timeline frames either side of the playhead that the moment palette covers
+const MOMENT_RADIUS = 2;
+
+const strategyOptions = listStrategies().map(({ id, name }) => ({ value: id, label: name }));
+
+// The colours of the single features, from one analyzeAudioBuffer result and the mapping rules;
+// the palettes depend on the strategy as well and are made as they are shown
+const mapFeatureColors = ({ percussiveness, tempo, loudness, stereo, pitch, melody, vocals, timbre, key, chords, mood }, mapping) => {
+  // The melody summary maps range and register; fall back to the single pitch
+  const pitchInput = melody?.range ? melody : pitch;
+  return {
+    tempo: mapTempoToColor(tempo, mapping),
+    percussiveness: mapPercussivenessToColor(percussiveness),
+    pitch: mapPitchToColor(pitchInput),
+    vocals: mapVocalsToColor(vocals),
+    loudness: mapLoudnessToColor(loudness),
+    stereo: mapStereoToColor(stereo),
+    key: mapKeyToColor(key, mapping),
+    keyRegions: mapKeyRegionsToColors(key, mapping),
+    chordSegments: mapChordsToColors(chords, mapping),
+    mood: mapMoodToColor(mood, mapping),
+    combined: mapFeaturesToColor(tempo, pitchInput, loudness, timbre, key, mood, stereo, mapping)
+  };
+};
+
+// Accessibility-optimised alternative to a musical palette, every colour standing out from the white page
+const makeAccessiblePalette = (palette, { mood, timbre }) => {
+  const enhanced = generateEnhancedPalette(palette[0], mood, timbre, palette.length);
+  return optimizePalette(enhanced, mood, timbre).map(color => improveColorAccessibility(color));
+};
+
+// Repairing a palette for colour-blind viewers takes a noticeable moment, so every repair is kept;
+// playback comes back to the same moment palettes, and the oldest are dropped beyond the limit
+const CVD_CACHE_SIZE = 256;
+const cvdSafePalettes = new Map();
+const getCvdSafePalette = (palette) => {
+  const key = palette.join(' ');
+  if (!cvdSafePalettes.has(key)) {
+    if (cvdSafePalettes.size >= CVD_CACHE_SIZE) cvdSafePalettes.delete(cvdSafePalettes.keys().next().value);
+    cvdSafePalettes.set(key, makeCvdSafePalette(palette));
+  }
+  return cvdSafePalettes.get(key);
+};
+
+const formatRegions = (regions) => {
+  const [first] = regions;
+  const more = regions.length > 1 ? ` + ${regions.length - 1} more` : '';
+  return `${formatTime(first.start)}–${formatTime(first.end)}${more}`;
+};
+
+// Hashing for the cache reports bytes; streamed files report the audio read so far in seconds, then the stages
+const formatProgress = (progress) => {
+  if (!progress) return 'Decoding audio...';
+  if (progress.stage === 'hash') return `Checking for a saved analysis (${Math.round((progress.completed / progress.total) * 100)}%)`;
+  if (progress.stage === 'audio') return `Reading audio (${Math.round((progress.completed / progress.total) * 100)}%)`;
+  return `Analyzed ${progress.stage} (${progress.completed}/${progress.total})`;
+};
+
 function App() {
   const [audioFeatures, setAudioFeatures] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [mode, setMode] = useState('file');
+  const [audioBuffer, setAudioBuffer] = useState(null);
+  const [momentIndex, setMomentIndex] = useState(null);
+  const [scrubMode, setScrubMode] = useState('seek');
+  const [regions, setRegions] = useState([]);
+  const [selection, setSelection] = useState(null);
+  const [isAnalyzingSelection, setIsAnalyzingSelection] = useState(false);
+  const [library, setLibrary] = useState(null);
+  const [paletteStyle, setPaletteStyle] = useState('musical');
+  const [strategyId, setStrategyId] = useState(DEFAULT_STRATEGY);
+  const [mapping, setMapping] = useState(DEFAULT_MAPPING);
+  const [isMappingOpen, setIsMappingOpen] = useState(false);
+  const analysisRef = useRef(null);
+  const selectionRef = useRef(null);
+
+  // Playback reports every animation frame; only a new timeline frame changes the palette
+  const timelineHop = audioFeatures?.timeline?.hop;
+  const handlePlaybackTime = useCallback((time) => {
+    if (timelineHop) setMomentIndex(Math.floor(time / timelineHop));
+  }, [timelineHop]);
+
+  // Whole-track palette of the chosen mapping strategy, made from the analysis already in hand
+  const trackPalette = useMemo(() => (
+    audioFeatures ? applyStrategy(strategyId, audioFeatures, mapping) : null
+  ), [audioFeatures, strategyId, mapping]);
+
+  // Section and selection palettes follow the strategy too
+  const sectionPalettes = useMemo(() => (
+    audioFeatures ? applyStrategyToSections(strategyId, audioFeatures.structure, audioFeatures.timeline, mapping) : []
+  ), [audioFeatures, strategyId, mapping]);
+  const selectionPalette = useMemo(() => (
+    selection ? applyStrategy(strategyId, selection, mapping).palette : null
+  ), [selection, strategyId, mapping]);
+
+  // Palette of the few seconds around the playhead, or of the whole track before playback
+  const momentPalette = useMemo(() => {
+    if (!audioFeatures || momentIndex === null) return null;
+    const { timeline, duration } = audioFeatures;
+    const start = Math.max(0, (momentIndex - MOMENT_RADIUS) * timeline.hop);
+    const end = Math.min(duration, (momentIndex + MOMENT_RADIUS + 1) * timeline.hop);
+    return start < end ? applyStrategy(strategyId, summarizeTimeline(timeline, start, end), mapping) : null;
+  }, [audioFeatures, momentIndex, strategyId, mapping]);
+
+  // The enhanced palette varies a little from run to run, so it is made once per analysis and strategy
+  const accessiblePalette = useMemo(() => (
+    trackPalette?.palette.length ? makeAccessiblePalette(trackPalette.palette, audioFeatures) : null
+  ), [trackPalette, audioFeatures]);
+
+  // Colours on show, with what each stands for where that is still true
+  const shown = useMemo(() => {
+    if (!trackPalette) return null;
+    const musical = momentPalette?.palette.length ? momentPalette : trackPalette;
+    if (paletteStyle === 'musical') return musical;
+    // The colour-blind safe repair stays as close to every colour as it can, so what each stands for still holds
+    if (paletteStyle === 'cvd') return { palette: getCvdSafePalette(musical.palette), provenance: musical.provenance };
+    // Repairing a colour only moves its lightness, so it keeps its meaning
+    if (momentPalette?.palette.length) {
+      return {
+        palette: momentPalette.palette.map(color => improveColorAccessibility(color)),
+        provenance: momentPalette.provenance,
+      };
+    }
+    return { palette: accessiblePalette || [], provenance: null };
+  }, [trackPalette, paletteStyle, momentPalette, accessiblePalette]);
+  const shownPalette = shown?.palette;
+
+  const paletteAccessibility = useMemo(() => (shownPalette ? analyzePaletteAccessibility(shownPalette) : null), [shownPalette]);
+
+  // New rules recolour what is on screen from the features already analysed; a new name alone changes nothing
+  const handleMappingChange = (next) => {
+    setMapping(next);
+    if (next.curves === mapping.curves && next.keyHues === mapping.keyHues && next.moodHues === mapping.moodHues) return;
+    setAudioFeatures(current => current && { ...current, colors: mapFeatureColors(current, next) });
+  };
 
   const handleFileUpload = async (files) => {
     const file = files[0];
     if (!file) return;
 
+    // A new drop replaces whatever analysis is still running
+    analysisRef.current?.abort();
+    selectionRef.current?.abort();
+    const controller = new AbortController();
+    analysisRef.current = controller;
+
     try {
       setIsLoading(true);
+      setIsDragging(false);
       setError(null);
+      setProgress(null);
       
-      const { audioBuffer } = await loadAudioFile(file);
-      const basicFeatures = extractBasicFeatures(audioBuffer);
-      const tempo = await extractTempo(audioBuffer);
-      const rms = extractRms(audioBuffer);
-      const pitch = extractPitch(audioBuffer);
-      const timbre = extractTimbre(audioBuffer);
-      const key = extractKey(audioBuffer);
-      const mood = extractMood(tempo, rms, key, timbre);
-
-      console.log('Extracted Audio Features:', {
-        fileName: file.name,
-        tempo,
-        rms,
-        pitch,
-        timbre,
-        key,
-        mood
-      });
+      // Same bytes and analysis version as an earlier upload: reuse the stored result.
+      // Without a key (no SubtleCrypto outside a secure context) the file is analysed uncached
+      const cacheKey = await getCacheKey(file, { onProgress: setProgress });
+      const cached = cacheKey ? await getCachedAnalysis(cacheKey) : null;
+      if (analysisRef.current !== controller) return;
+
+      let features;
+      let decoded = null;
+      if (cached) {
+        features = cached.features;
+      } else {
+        // Long files are streamed through the analysis in chunks
+        ({ features, audioBuffer: decoded } = await analyzeFileInWorker(file, {
+          onProgress: setProgress,
+          signal: controller.signal,
+        }));
+        // Only the features are kept: colours always come from the current rules and colour code
+        if (cacheKey) storeCachedAnalysis(cacheKey, { features });
+      }
+      const colors = mapFeatureColors(features, mapping);
 
-      const tempoColor = mapTempoToColor(tempo);
-      const pitchColor = mapPitchToColor(pitch);
-      const loudnessColor = mapLoudnessToColor(rms);
-      const keyColor = mapKeyToColor(key);
-      const moodColor = mapMoodToColor(mood);
-      const combinedColor = mapFeaturesToColor(tempo, pitch, rms, timbre, key, mood);
-      const palette = generateColorPalette(tempo, pitch, rms, timbre, key, mood);
+      const { percussiveness, tempo, beats, rms, loudness, stereo, pitch, melody, vocals, timbre, key, chords, mood, timeline, structure, ...basicFeatures } = features;
 
+      setAudioBuffer(decoded);
+      setMomentIndex(null);
+      setRegions([]);
+      setSelection(null);
       setAudioFeatures({
         fileName: file.name,
+        cacheKey,
         ...basicFeatures,
+        percussiveness,
         tempo,
+        beats,
         rms,
+        loudness,
+        stereo,
         pitch,
+        melody,
+        vocals,
         timbre,
         key,
+        chords,
         mood,
-        colors: {
-          tempo: tempoColor,
-          pitch: pitchColor,
-          loudness: loudnessColor,
-          key: keyColor,
-          mood: moodColor,
-          combined: combinedColor,
-          palette
-        }
+        timeline,
+        structure,
+        colors
       });
 
       notifications.show({
         title: 'Success',
-        message: 'Audio analysis complete!',
+        message: cached ? 'Loaded the saved analysis of this file' : 'Audio analysis complete!',
         color: 'green',
         icon: <IconCheck size="1.1rem" />,
       });
+
+      // Record this track for similarity search, then compare it with everything stored
+      if (cacheKey) {
+        storeAnalysisSummary(cacheKey, { fileName: file.name, embedding: computeEmbedding(features), palette: comparisonPalette(features) })
+          .then(listAnalysisSummaries)
+          .then(summaries => setLibrary({ key: cacheKey, summaries }));
+      }
+
+      // A cached result skips decoding; the player still needs the audio
+      if (cached) {
+        const playbackAudio = await loadPlaybackAudio(file).catch((err) => {
+          console.error('Could not decode the file for playback:', err);
+          return null;
+        });
+        if (analysisRef.current === controller) setAudioBuffer(playbackAudio);
+      }
     } catch (err) {
+      if (isAbortError(err) || analysisRef.current !== controller) return;
+
       setError('Error processing audio file. Please try again.');
       notifications.show({
         title: 'Error',
@@ -195,10 +373,350 @@ function App() {
       });
       console.error(err);
     } finally {
-      setIsLoading(false);
+      if (analysisRef.current === controller) {
+        analysisRef.current = null;
+        setIsLoading(false);
+        setProgress(null);
+      }
     }
   };
 
+  const handleRegionsChange = (changed) => {
+    setRegions(normalizeRegions(changed, audioBuffer.duration));
+  };
+
+  // Run the whole pipeline again on just the selected regions, joined together
+  const handleAnalyzeSelection = async () => {
+    if (!regions.length) return;
+
+    selectionRef.current?.abort();
+    const controller = new AbortController();
+    selectionRef.current = controller;
+    setIsAnalyzingSelection(true);
+
+    try {
+      const features = await analyzeInWorker(extractRegions(audioBuffer, regions), { signal: controller.signal });
+      setSelection({ regions, ...features });
+    } catch (err) {
+      if (isAbortError(err) || selectionRef.current !== controller) return;
+
+      notifications.show({
+        title: 'Error',
+        message: 'Failed to analyze the selection',
+        color: 'red',
+        icon: <IconX size="1.1rem" />,
+      });
+      console.error(err);
+    } finally {
+      if (selectionRef.current === controller) {
+        selectionRef.current = null;
+        setIsAnalyzingSelection(false);
+      }
+    }
+  };
+
+  const handleClearSelection = () => {
+    selectionRef.current?.abort();
+    selectionRef.current = null;
+    setIsAnalyzingSelection(false);
+    setRegions([]);
+    setSelection(null);
+  };
+
+  const handleCancel = () => {
+    analysisRef.current?.abort();
+    analysisRef.current = null;
+    setIsLoading(false);
+    setProgress(null);
+    notifications.show({
+      title: 'Cancelled',
+      message: 'Audio analysis was cancelled',
+      color: 'gray',
+    });
+  };
+
+  const handleClearCache = async () => {
+    try {
+      const count = await clearAnalysisCache();
+      setLibrary(null);
+      notifications.show({
+        title: 'Cache cleared',
+        message: `Removed ${count} saved ${count === 1 ? 'analysis' : 'analyses'}`,
+        color: 'gray',
+      });
+    } catch (err) {
+      notifications.show({
+        title: 'Error',
+        message: 'Failed to clear the analysis cache',
+        color: 'red',
+        icon: <IconX size="1.1rem" />,
+      });
+      console.error(err);
+    }
+  };
+
+  const renderFileMode = () => (
+    <>
+      <Paper
+        radius="lg"
+        p="md"
+        style={{
+          width: '100%',
+          background: 'linear-gradient(135deg, rgba(255,255,255,0.9) 0%, rgba(255,255,255,0.95) 100%)',
+          border: isDragging 
+            ? '2px dashed #7C3AED'
+            : '2px dashed rgba(124, 58, 237, 0.3)',
+          transition: 'all 0.2s ease',
+          boxShadow: isDragging 
+            ? '0 8px 30px rgba(124, 58, 237, 0.15)'
+            : '0 4px 20px rgba(0, 0, 0, 0.05)',
+        }}
+      >
+        <Dropzone
+          onDrop={handleFileUpload}
+          onDragEnter={() => setIsDragging(true)}
+          onDragLeave={() => setIsDragging(false)}
+          accept={['audio/*']}
+          p="xl"
+          style={{
+            border: 'none',
+            background: 'transparent',
+            transition: 'transform 0.2s ease',
+            transform: isDragging ? 'scale(0.99)' : 'scale(1)',
+          }}
+        >
+          <Group position="center" spacing="xl">
+            {isLoading ? (
+              <Stack align="center" gap="xs">
+                <WaveformLoader />
+                <Text size="sm" c="dimmed">
+                  {formatProgress(progress)}
+                </Text>
+              </Stack>
+            ) : (
+              <>
+                <div style={{
+                  width: '60px',
+                  height: '60px',
+                  borderRadius: '50%',
+                  background: isDragging 
+                    ? 'linear-gradient(135deg, #4C1D95 0%, #7C3AED 100%)'
+                    : 'rgba(124, 58, 237, 0.1)',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  transition: 'all 0.2s ease',
+                  boxShadow: isDragging 
+                    ? '0 4px 12px rgba(124, 58, 237, 0.2)'
+                    : 'none',
+                }}>
+                  {isDragging ? (
+                    <IconMusic 
+                      size="1.8rem" 
+                      style={{ color: '#fff' }}
+                    />
+                  ) : (
+                    <IconUpload 
+                      size="1.8rem" 
+                      style={{ color: '#7C3AED' }}
+                    />
+                  )}
+                </div>
+                <div>
+                  <Text size="lg" weight={500} style={{ 
+                    color: isDragging ? '#4C1D95' : '#1a1b1e',
+                    transition: 'color 0.2s ease',
+                  }}>
+                    {isDragging ? 'Drop to analyze' : 'Upload your audio'}
+                  </Text>
+                  <Text size="sm" c="dimmed" mt={7}>
+                    Drag and drop or click to select a file
+                  </Text>
+                </div>
+              </>
+            )}
+          </Group>
+        </Dropzone>
+
+        {isLoading && (
+          <Group gap="md" px="xl" pb="md" wrap="nowrap">
+            <Progress
+              value={progress ? (progress.completed / progress.total) * 100 : 0}
+              color="violet"
+              radius="xl"
+              animated
+              style={{ flex: 1 }}
+            />
+            <Button
+              variant="light"
+              color="violet"
+              size="xs"
+              leftSection={<IconX size="0.9rem" />}
+              onClick={handleCancel}
+            >
+              Cancel
+            </Button>
+          </Group>
+        )}
+      </Paper>
+
+      <Group justify="flex-end" mt={-8}>
+        <Button
+          variant="subtle"
+          color="gray"
+          size="xs"
+          leftSection={<IconTrash size="0.9rem" />}
+          onClick={handleClearCache}
+          disabled={isLoading}
+        >
+          Clear saved analyses
+        </Button>
+      </Group>
+
+      {error && (
+        <Alert 
+          icon={<IconAlertCircle size="1rem" />} 
+          title="Error" 
+          color="red" 
+          radius="md"
+          variant="light"
+        >
+          {error}
+        </Alert>
+      )}
+
+      {audioFeatures && (
+        <Paper p={0} radius="lg" style={{ 
+          background: 'linear-gradient(135deg, rgba(255,255,255,0.95) 0%, rgba(255,255,255,0.85) 100%)',
+          backdropFilter: 'blur(10px)',
+          marginTop: '1rem',
+        }}>
+          <Group align="stretch" spacing={0} noWrap>
+            <div style={{ 
+              flex: 2.5, 
+              padding: '24px',
+              display: 'flex',
+              flexDirection: 'column',
+              justifyContent: 'center',
+              gap: '16px',
+            }}>
+              <div>
+                <Group justify="space-between" mb={4}>
+                  <Text size="xs" c="dimmed">
+                    {momentPalette?.palette.length ? `Palette at ${formatTime(momentIndex * audioFeatures.timeline.hop)}` : 'Whole-track palette'}
+                    {` · ${shownPalette.length - paletteAccessibility.failing}/${shownPalette.length} colours reach 3:1 on white`}
+                  </Text>
+                  <Group gap="xs">
+                    <Select
+                      size="xs"
+                      w={180}
+                      aria-label="Colour mapping"
+                      value={strategyId}
+                      onChange={setStrategyId}
+                      allowDeselect={false}
+                      data={strategyOptions}
+                    />
+                    <Button size="xs" variant="light" onClick={() => setIsMappingOpen(true)}>
+                      Mapping rules
+                    </Button>
+                    <SegmentedControl
+                      size="xs"
+                      value={paletteStyle}
+                      onChange={setPaletteStyle}
+                      data={[
+                        { label: 'Musical', value: 'musical' },
+                        { label: 'Accessible', value: 'accessible' },
+                        { label: 'Colour-blind safe', value: 'cvd' },
+                      ]}
+                    />
+                  </Group>
+                </Group>
+                <ColorVisualizer colors={shownPalette} provenance={shown.provenance} visionPreview transitionDuration="0.8s" />
+              </div>
+              {selection && (
+                <div>
+                  <Text size="xs" c="dimmed" mb={4}>
+                    {`Selection · ${formatRegions(selection.regions)} · ${selection.tempo ? `${selection.tempo.toFixed(0)} BPM` : 'no steady beat'} · ${selection.key.rootNote} ${selection.key.scale} · ${selection.mood.primary}`}
+                  </Text>
+                  <ColorVisualizer colors={selectionPalette} />
+                </div>
+              )}
+              {audioBuffer && (
+                <>
+                  <Player
+                    audioBuffer={audioBuffer}
+                    segments={sectionPalettes.map(({ start, end, palette }) => ({ start, end, color: palette[0] }))}
+                    onTimeUpdate={handlePlaybackTime}
+                    scrubMode={scrubMode}
+                    regions={regions}
+                    onRegionsChange={handleRegionsChange}
+                  />
+                  <Group gap="sm">
+                    <SegmentedControl
+                      size="xs"
+                      value={scrubMode}
+                      onChange={setScrubMode}
+                      data={[
+                        { label: 'Seek', value: 'seek' },
+                        { label: 'Select regions', value: 'select' },
+                      ]}
+                    />
+                    <Button
+                      size="xs"
+                      color="violet"
+                      disabled={!regions.length}
+                      loading={isAnalyzingSelection}
+                      onClick={handleAnalyzeSelection}
+                    >
+                      Analyze selection
+                    </Button>
+                    {(regions.length > 0 || selection) && (
+                      <Button size="xs" variant="subtle" color="gray" onClick={handleClearSelection}>
+                        Clear
+                      </Button>
+                    )}
+                  </Group>
+                </>
+              )}
+              <SectionBar
+                sections={sectionPalettes}
+                duration={audioFeatures.duration}
+                currentTime={momentIndex === null ? null : momentIndex * audioFeatures.timeline.hop}
+              />
+              <TimelineStrip
+                title="Key map"
+                segments={audioFeatures.colors.keyRegions}
+                duration={audioFeatures.duration}
+              />
+              <TimelineStrip
+                title={`Chords · ${audioFeatures.chords.harmonicRhythm.changesPerMinute.toFixed(1)} changes/min`}
+                segments={audioFeatures.colors.chordSegments}
+                duration={audioFeatures.duration}
+                showLabels={audioFeatures.colors.chordSegments.length < 40}
+              />
+            </div>
+            <div style={{ 
+              width: '320px',
+              borderLeft: '1px solid rgba(88, 28, 135, 0.1)',
+              padding: '24px',
+              background: 'rgba(255, 255, 255, 0.5)',
+              display: 'flex',
+              flexDirection: 'column',
+              justifyContent: 'center',
+            }}>
+              <ColorExplanation audioFeatures={audioFeatures} />
+              {library?.key === audioFeatures.cacheKey && (
+                <div style={{ marginTop: '24px' }}>
+                  <SimilarTracks audioFeatures={audioFeatures} summaries={library.summaries} />
+                </div>
+              )}
+            </div>
+          </Group>
+        </Paper>
+      )}
+    </>
+  );
+
   const renderContent = () => {
     return (
       <Stack spacing="xl" style={{ width: '100%' }}>
@@ -229,127 +747,19 @@ function App() {
           >
             Inspired by Tempo, Pitch, Loudness, and Mood
           </Text>
+          <SegmentedControl
+            value={mode}
+            onChange={setMode}
+            color="violet"
+            radius="xl"
+            data={[
+              { label: 'File', value: 'file' },
+              { label: 'Live', value: 'live' },
+            ]}
+          />
         </Stack>
 
-        <Paper
-          radius="lg"
-          p="md"
-          style={{
-            width: '100%',
-            background: 'linear-gradient(135deg, rgba(255,255,255,0.9) 0%, rgba(255,255,255,0.95) 100%)',
-            border: isDragging 
-              ? '2px dashed #7C3AED'
-              : '2px dashed rgba(124, 58, 237, 0.3)',
-            transition: 'all 0.2s ease',
-            boxShadow: isDragging 
-              ? '0 8px 30px rgba(124, 58, 237, 0.15)'
-              : '0 4px 20px rgba(0, 0, 0, 0.05)',
-          }}
-        >
-          <Dropzone
-            onDrop={handleFileUpload}
-            onDragEnter={() => setIsDragging(true)}
-            onDragLeave={() => setIsDragging(false)}
-            accept={['audio/*']}
-            loading={isLoading}
-            p="xl"
-            style={{
-              border: 'none',
-              background: 'transparent',
-              transition: 'transform 0.2s ease',
-              transform: isDragging ? 'scale(0.99)' : 'scale(1)',
-            }}
-          >
-            <Group position="center" spacing="xl">
-              {isLoading ? (
-                <WaveformLoader />
-              ) : (
-                <>
-                  <div style={{
-                    width: '60px',
-                    height: '60px',
-                    borderRadius: '50%',
-                    background: isDragging 
-                      ? 'linear-gradient(135deg, #4C1D95 0%, #7C3AED 100%)'
-                      : 'rgba(124, 58, 237, 0.1)',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    transition: 'all 0.2s ease',
-                    boxShadow: isDragging 
-                      ? '0 4px 12px rgba(124, 58, 237, 0.2)'
-                      : 'none',
-                  }}>
-                    {isDragging ? (
-                      <IconMusic 
-                        size="1.8rem" 
-                        style={{ color: '#fff' }}
-                      />
-                    ) : (
-                      <IconUpload 
-                        size="1.8rem" 
-                        style={{ color: '#7C3AED' }}
-                      />
-                    )}
-                  </div>
-                  <div>
-                    <Text size="lg" weight={500} style={{ 
-                      color: isDragging ? '#4C1D95' : '#1a1b1e',
-                      transition: 'color 0.2s ease',
-                    }}>
-                      {isDragging ? 'Drop to analyze' : 'Upload your audio'}
-                    </Text>
-                    <Text size="sm" c="dimmed" mt={7}>
-                      Drag and drop or click to select a file
-                    </Text>
-                  </div>
-                </>
-              )}
-            </Group>
-          </Dropzone>
-        </Paper>
-
-        {error && (
-          <Alert 
-            icon={<IconAlertCircle size="1rem" />} 
-            title="Error" 
-            color="red" 
-            radius="md"
-            variant="light"
-          >
-            {error}
-          </Alert>
-        )}
-
-        {audioFeatures && (
-          <Paper p={0} radius="lg" style={{ 
-            background: 'linear-gradient(135deg, rgba(255,255,255,0.95) 0%, rgba(255,255,255,0.85) 100%)',
-            backdropFilter: 'blur(10px)',
-            marginTop: '1rem',
-          }}>
-            <Group align="stretch" spacing={0} noWrap>
-              <div style={{ 
-                flex: 2.5, 
-                padding: '24px',
-                display: 'flex',
-                alignItems: 'center',
-              }}>
-                <ColorVisualizer colors={audioFeatures.colors.palette} />
-              </div>
-              <div style={{ 
-                width: '320px',
-                borderLeft: '1px solid rgba(88, 28, 135, 0.1)',
-                padding: '24px',
-                background: 'rgba(255, 255, 255, 0.5)',
-                display: 'flex',
-                flexDirection: 'column',
-                justifyContent: 'center',
-              }}>
-                <ColorExplanation audioFeatures={audioFeatures} />
-              </div>
-            </Group>
-          </Paper>
-        )}
+        {mode === 'live' ? <LiveMode mapping={mapping} /> : renderFileMode()}
       </Stack>
     );
   };
@@ -363,6 +773,15 @@ function App() {
       }}>
         {renderContent()}
       </Container>
+      <Drawer
+        opened={isMappingOpen}
+        onClose={() => setIsMappingOpen(false)}
+        title="Mapping rules"
+        position="right"
+        size="xl"
+      >
+        <MappingEditor mapping={mapping} onChange={handleMappingChange} />
+      </Drawer>
       <Notifications position="top-right" zIndex={200} />
     </MantineProvider>
   );
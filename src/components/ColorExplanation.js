@@ -1,8 +1,8 @@
 import React from 'react';
 import { Paper, Text, Group, Stack } from '@mantine/core';
-import { IconMusic, IconVolume, IconWaveSine, IconMusicHeart, IconMoodSmile } from '@tabler/icons-react';
+import { IconMusic, IconVolume, IconWaveSine, IconMusicHeart, IconMoodSmile, IconHeadphones, IconActivityHeartbeat, IconMicrophone } from '@tabler/icons-react';
 
-const FeatureCard = ({ icon: Icon, title, value, color }) => (
+export const FeatureCard = ({ icon: Icon, title, value, color }) => (
   <Group spacing="sm" noWrap>
     <div style={{
       width: '28px',
@@ -37,38 +37,88 @@ const FeatureCard = ({ icon: Icon, title, value, color }) => (
 );
 
 const ColorExplanation = ({ audioFeatures }) => {
-  const { tempo, rms, pitch, key, mood, colors } = audioFeatures;
+  const { percussiveness, tempo, beats, rms, loudness, stereo, pitch, melody, vocals, key, mood, colors } = audioFeatures;
+  const meter = beats?.timeSignature ? ` · ${beats.timeSignature}` : '';
+
+  let pitchLabel = 'No clear pitch';
+  if (melody?.range) {
+    pitchLabel = `${melody.range.medianNote} · ${melody.register} (${melody.range.lowNote}–${melody.range.highNote})`;
+  } else if (pitch) {
+    pitchLabel = `${pitch.toFixed(0)} Hz`;
+  }
+
+  const vocalShare = Math.round(vocals.ratio * 100);
+  let vocalsLabel = 'Instrumental';
+  if (vocalShare >= 50) {
+    vocalsLabel = `Sung through ${vocalShare}% of the track`;
+  } else if (vocalShare >= 10) {
+    vocalsLabel = `Some vocals · ${vocalShare}% of the track`;
+  }
+
+  const tensionLabel = mood.tension > 0.6 ? 'high' : mood.tension < 0.35 ? 'low' : 'some';
+
+  let loudnessLabel = rms.toFixed(2);
+  if (loudness?.integrated != null) {
+    loudnessLabel = `${loudness.integrated.toFixed(1)} LUFS · LRA ${loudness.loudnessRange.toFixed(1)} LU · ${loudness.truePeakDb.toFixed(1)} dBTP`;
+  } else if (loudness) {
+    loudnessLabel = 'Silent';
+  }
+
+  let stereoLabel = 'Mono';
+  if (stereo && !stereo.isMono) {
+    const side = stereo.balance < -0.1 ? 'left' : stereo.balance > 0.1 ? 'right' : 'centred';
+    stereoLabel = `${Math.round(stereo.width * 100)}% wide · ${side}`;
+    if (stereo.monoCompatibility < 0.7) stereoLabel += ' · phase issues';
+  }
   
   return (
     <Stack spacing="md">
       <FeatureCard
         icon={IconMusic}
         title="Tempo"
-        value={`${tempo.toFixed(0)} BPM`}
+        value={tempo ? `${tempo.toFixed(0)} BPM${meter}` : 'No steady beat'}
         color={colors.tempo}
       />
+      <FeatureCard
+        icon={IconActivityHeartbeat}
+        title="Percussiveness"
+        value={`${Math.round(percussiveness * 100)}% percussive`}
+        color={colors.percussiveness}
+      />
       <FeatureCard
         icon={IconVolume}
         title="Loudness"
-        value={rms.toFixed(2)}
+        value={loudnessLabel}
         color={colors.loudness}
       />
+      <FeatureCard
+        icon={IconHeadphones}
+        title="Stereo"
+        value={stereoLabel}
+        color={colors.stereo}
+      />
       <FeatureCard
         icon={IconWaveSine}
         title="Pitch"
-        value={`${pitch.toFixed(0)} Hz`}
+        value={pitchLabel}
         color={colors.pitch}
       />
+      <FeatureCard
+        icon={IconMicrophone}
+        title="Vocals"
+        value={vocalsLabel}
+        color={colors.vocals}
+      />
       <FeatureCard
         icon={IconMusicHeart}
         title="Key"
-        value={`${key.rootNote} ${key.scale}`}
+        value={`${key.rootNote} ${key.scale}${key.modulations ? ` · ${key.modulations} modulation${key.modulations > 1 ? 's' : ''}` : ''}`}
         color={colors.key}
       />
       <FeatureCard
         icon={IconMoodSmile}
         title="Mood"
-        value={mood.primary}
+        value={`${mood.primary} · ${Math.round(mood.confidence * 100)}% · ${tensionLabel} tension`}
         color={colors.mood}
       />
     </Stack>
@@ -1,95 +1,141 @@
-import React from 'react';
-import { Paper, Tooltip, ActionIcon, Group, CopyButton } from '@mantine/core';
+import React, { useMemo } from 'react';
+import { Paper, Tooltip, ActionIcon, Group, Stack, Text, SimpleGrid, CopyButton } from '@mantine/core';
 import { IconCopy, IconCheck } from '@tabler/icons-react';
+import { CVD_TYPES, analyzeColorVision } from '../utils/colorVision';
+
+// Hex code, plus what the colour stands for when the palette says so
+const describe = (color, source) => (
+  source ? `${color.toUpperCase()} · ${source.description} (${source.features.join(', ')})` : color.toUpperCase()
+);
+
+// The palette as seen with each colour vision deficiency, and the pairs that run together
+const VisionPreview = ({ colors, transitionDuration }) => {
+  const vision = useMemo(() => analyzeColorVision(colors), [colors]);
 
-const ColorVisualizer = ({ colors }) => {
   return (
-    <Group align="center" spacing={32} noWrap style={{ width: '100%' }}>
-      {/* Main color display */}
-      <div style={{
-        flex: 1,
-        display: 'flex',
-        height: '240px',
-        borderRadius: '12px',
-        overflow: 'hidden',
-        boxShadow: '0 8px 32px rgba(0,0,0,0.08)',
-      }}>
-        {colors.map((color, index) => (
-          <div
-            key={index}
-            style={{
-              flex: 1,
-              backgroundColor: color,
-              transition: 'all 0.3s ease',
-              position: 'relative',
-              cursor: 'pointer',
-              '&:hover': {
-                flex: 1.5,
-              },
-            }}
-          >
-            <CopyButton value={color} timeout={2000}>
-              {({ copied, copy }) => (
-                <Tooltip label={copied ? 'Copied!' : color.toUpperCase()} position="top" withArrow>
-                  <ActionIcon
-                    variant="filled"
-                    onClick={copy}
-                    style={{
-                      position: 'absolute',
-                      bottom: '12px',
-                      right: '12px',
-                      backgroundColor: 'rgba(255,255,255,0.9)',
-                      backdropFilter: 'blur(4px)',
-                      opacity: 0,
-                      transition: 'opacity 0.2s ease',
-                      '&:hover': {
-                        backgroundColor: 'rgba(255,255,255,1)',
-                      },
-                    }}
-                    onMouseEnter={(e) => {
-                      e.currentTarget.style.opacity = '1';
-                    }}
-                    onMouseLeave={(e) => {
-                      e.currentTarget.style.opacity = '0';
-                    }}
-                  >
-                    {copied ? <IconCheck size="1rem" /> : <IconCopy size="1rem" />}
-                  </ActionIcon>
-                </Tooltip>
-              )}
-            </CopyButton>
-          </div>
-        ))}
-      </div>
+    <SimpleGrid cols={{ base: 2, sm: 4 }} spacing="sm">
+      {Object.entries(CVD_TYPES).map(([type, { label, description }]) => {
+        const { palette, confusable } = vision.types[type];
+        return (
+          <Tooltip key={type} label={description} position="bottom" withArrow>
+            <div>
+              <Text size="xs" c="dimmed" mb={4}>
+                {label}
+              </Text>
+              <div style={{
+                display: 'flex',
+                height: '28px',
+                borderRadius: '6px',
+                overflow: 'hidden',
+              }}>
+                {palette.map((color, index) => (
+                  <div key={index} style={{ flex: 1, backgroundColor: color, transition: `all ${transitionDuration} ease` }} />
+                ))}
+              </div>
+              <Text size="xs" mt={2} c={confusable.length ? 'orange.8' : 'dimmed'}>
+                {confusable.length ? `${confusable.length} ${confusable.length === 1 ? 'pair' : 'pairs'} hard to tell apart` : 'All colours distinct'}
+              </Text>
+            </div>
+          </Tooltip>
+        );
+      })}
+    </SimpleGrid>
+  );
+};
 
-      {/* Color circles */}
-      <Group spacing={12}>
-        {colors.map((color, index) => (
-          <Tooltip 
-            key={index} 
-            label={color.toUpperCase()} 
-            position="top" 
-            withArrow
-          >
+const ColorVisualizer = ({ colors, provenance = null, visionPreview = false, transitionDuration = '0.3s' }) => {
+  return (
+    <Stack gap="md" style={{ width: '100%' }}>
+      <Group align="center" spacing={32} noWrap style={{ width: '100%' }}>
+        {/* Main color display */}
+        <div style={{
+          flex: 1,
+          display: 'flex',
+          height: '240px',
+          borderRadius: '12px',
+          overflow: 'hidden',
+          boxShadow: '0 8px 32px rgba(0,0,0,0.08)',
+        }}>
+          {colors.map((color, index) => (
             <div
+              key={index}
               style={{
-                width: '40px',
-                height: '40px',
-                borderRadius: '50%',
+                flex: 1,
                 backgroundColor: color,
-                boxShadow: '0 4px 8px rgba(0,0,0,0.08)',
+                transition: `all ${transitionDuration} ease`,
+                position: 'relative',
                 cursor: 'pointer',
-                transition: 'all 0.2s ease',
                 '&:hover': {
-                  transform: 'scale(1.1)',
-                  boxShadow: '0 8px 16px rgba(0,0,0,0.12)',
+                  flex: 1.5,
                 },
               }}
-            />
-          </Tooltip>
-        ))}
+            >
+              <CopyButton value={color} timeout={2000}>
+                {({ copied, copy }) => (
+                  <Tooltip label={copied ? 'Copied!' : color.toUpperCase()} position="top" withArrow>
+                    <ActionIcon
+                      variant="filled"
+                      onClick={copy}
+                      style={{
+                        position: 'absolute',
+                        bottom: '12px',
+                        right: '12px',
+                        backgroundColor: 'rgba(255,255,255,0.9)',
+                        backdropFilter: 'blur(4px)',
+                        opacity: 0,
+                        transition: 'opacity 0.2s ease',
+                        '&:hover': {
+                          backgroundColor: 'rgba(255,255,255,1)',
+                        },
+                      }}
+                      onMouseEnter={(e) => {
+                        e.currentTarget.style.opacity = '1';
+                      }}
+                      onMouseLeave={(e) => {
+                        e.currentTarget.style.opacity = '0';
+                      }}
+                    >
+                      {copied ? <IconCheck size="1rem" /> : <IconCopy size="1rem" />}
+                    </ActionIcon>
+                  </Tooltip>
+                )}
+              </CopyButton>
+            </div>
+          ))}
+        </div>
+
+        {/* Color circles */}
+        <Group spacing={12}>
+          {colors.map((color, index) => (
+            <Tooltip 
+              key={index} 
+              label={describe(color, provenance?.[index])} 
+              position="top" 
+              multiline
+              maw={260}
+              withArrow
+            >
+              <div
+                style={{
+                  width: '40px',
+                  height: '40px',
+                  borderRadius: '50%',
+                  backgroundColor: color,
+                  boxShadow: '0 4px 8px rgba(0,0,0,0.08)',
+                  cursor: 'pointer',
+                  transition: `all ${transitionDuration} ease`,
+                  '&:hover': {
+                    transform: 'scale(1.1)',
+                    boxShadow: '0 8px 16px rgba(0,0,0,0.12)',
+                  },
+                }}
+              />
+            </Tooltip>
+          ))}
+        </Group>
       </Group>
-    </Group>
+      {visionPreview && <VisionPreview colors={colors} transitionDuration={transitionDuration} />}
+    </Stack>
   );
 };
 
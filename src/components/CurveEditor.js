@@ -0,0 +1,176 @@
+import React, { useRef, useState } from 'react';
+import { Group, Text, NumberInput, Button } from '@mantine/core';
+import { evaluateCurve } from '../utils/mappingRules';
+
+const WIDTH = 280;
+const HEIGHT = 140;
+const PADDING = 10;
+// Output colours sampled along the strip under the plot
+const STRIP_SAMPLES = 32;
+
+// Piecewise-linear curve with draggable breakpoints. Click empty space to add a
+// point; changes are reported on release rather than on every move.
+const CurveEditor = ({ label, points, range, swatch, onChange }) => {
+  const svgRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+  const [selected, setSelected] = useState(0);
+
+  const shown = draft || points;
+  const { x: xRange, y: yRange } = range;
+  const toScreenX = (x) => PADDING + ((x - xRange.min) / (xRange.max - xRange.min)) * (WIDTH - 2 * PADDING);
+  const toScreenY = (y) => HEIGHT - PADDING - ((y - yRange.min) / (yRange.max - yRange.min)) * (HEIGHT - 2 * PADDING);
+
+  const valueAtPointer = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const fx = Math.max(0, Math.min(1, (event.clientX - rect.left - PADDING) / (rect.width - 2 * PADDING)));
+    const fy = Math.max(0, Math.min(1, (rect.bottom - event.clientY - PADDING) / (rect.height - 2 * PADDING)));
+    // Whole units on wide ranges, hundredths on the 0..1 ones
+    const round = (value, { min, max }) => (max - min > 10 ? Math.round(value) : Math.round(value * 100) / 100);
+    return [
+      round(xRange.min + fx * (xRange.max - xRange.min), xRange),
+      round(yRange.min + fy * (yRange.max - yRange.min), yRange),
+    ];
+  };
+
+  // A dragged point stays between its neighbours, so the order never changes
+  const movePoint = (current, index, [x, y]) => current.map((point, pointIndex) => {
+    if (pointIndex !== index) return point;
+    const low = index > 0 ? current[index - 1][0] : xRange.min;
+    const high = index < current.length - 1 ? current[index + 1][0] : xRange.max;
+    return [Math.max(low, Math.min(high, x)), y];
+  });
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const { index: pointIndex } = event.target.dataset || {};
+    if (pointIndex !== undefined) {
+      setSelected(Number(pointIndex));
+      setDraft(points);
+      return;
+    }
+
+    const [x, y] = valueAtPointer(event);
+    const insertAt = points.findIndex(([pointX]) => pointX > x);
+    const index = insertAt === -1 ? points.length : insertAt;
+    setSelected(index);
+    setDraft([...points.slice(0, index), [x, y], ...points.slice(index)]);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!draft || !event.currentTarget.hasPointerCapture(event.pointerId)) return;
+    setDraft(current => movePoint(current, selected, valueAtPointer(event)));
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    // A press on a point without a move changes nothing
+    if (draft !== points) onChange(draft);
+    setDraft(null);
+  };
+
+  // Presets can swap in a curve with fewer points than the one selected from
+  const selectedIndex = Math.min(selected, shown.length - 1);
+  const current = shown[selectedIndex];
+
+  const removeSelected = () => {
+    onChange(points.filter((_, pointIndex) => pointIndex !== selectedIndex));
+    setSelected(Math.max(0, selectedIndex - 1));
+  };
+
+  const editSelected = (axis, value) => {
+    if (typeof value !== 'number') return;
+    const [x, y] = points[selectedIndex];
+    onChange(movePoint(points, selectedIndex, axis === 'x' ? [value, y] : [x, value]));
+  };
+
+  const xStep = xRange.max - xRange.min > 10 ? 1 : 0.01;
+
+  return (
+    <div>
+      <Text size="sm" fw={500} mb={4}>
+        {label}
+      </Text>
+      <svg
+        ref={svgRef}
+        width="100%"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        style={{
+          display: 'block',
+          maxWidth: `${WIDTH}px`,
+          cursor: 'crosshair',
+          touchAction: 'none',
+          borderRadius: '6px',
+          background: 'rgba(88, 28, 135, 0.05)',
+        }}
+      >
+        <polyline
+          points={[
+            [xRange.min, shown[0][1]],
+            ...shown,
+            [xRange.max, shown[shown.length - 1][1]],
+          ].map(([x, y]) => `${toScreenX(x)},${toScreenY(y)}`).join(' ')}
+          fill="none"
+          stroke="#7C3AED"
+          strokeWidth="2"
+        />
+        {shown.map(([x, y], index) => (
+          <circle
+            key={index}
+            data-index={index}
+            cx={toScreenX(x)}
+            cy={toScreenY(y)}
+            r={index === selectedIndex ? 6 : 5}
+            fill={swatch(y)}
+            stroke={index === selectedIndex ? '#581C87' : '#ffffff'}
+            strokeWidth="2"
+            style={{ cursor: 'grab' }}
+          />
+        ))}
+      </svg>
+      <div style={{
+        display: 'flex',
+        maxWidth: `${WIDTH}px`,
+        height: '10px',
+        borderRadius: '3px',
+        overflow: 'hidden',
+        marginTop: '4px',
+      }}>
+        {Array.from({ length: STRIP_SAMPLES }, (_, index) => {
+          const x = xRange.min + ((index + 0.5) / STRIP_SAMPLES) * (xRange.max - xRange.min);
+          return <div key={index} style={{ flex: 1, background: swatch(evaluateCurve(shown, x)) }} />;
+        })}
+      </div>
+      <Group gap="xs" mt={6} align="flex-end" wrap="nowrap" maw={WIDTH}>
+        <NumberInput
+          size="xs"
+          label={xRange.unit}
+          value={current[0]}
+          min={xRange.min}
+          max={xRange.max}
+          step={xStep}
+          decimalScale={xStep < 1 ? 2 : 0}
+          onChange={(value) => editSelected('x', value)}
+        />
+        <NumberInput
+          size="xs"
+          label={yRange.unit}
+          value={current[1]}
+          min={yRange.min}
+          max={yRange.max}
+          onChange={(value) => editSelected('y', value)}
+        />
+        <Button size="xs" variant="subtle" color="gray" disabled={points.length <= 2} onClick={removeSelected}>
+          Remove
+        </Button>
+      </Group>
+      <Text size="xs" c="dimmed" mt={4}>
+        {`Point ${selectedIndex + 1} of ${shown.length} · click the plot to add a point`}
+      </Text>
+    </div>
+  );
+};
+
+export default CurveEditor;
@@ -0,0 +1,116 @@
+import React, { useRef, useState } from 'react';
+import { Group, Text, NumberInput, Tooltip, SimpleGrid } from '@mantine/core';
+import { fromHsl, formatColor } from '../utils/colorSpace';
+
+const RING_WIDTH = 18;
+
+const swatch = (hue) => formatColor(fromHsl(hue, 85, 55));
+
+// Ring drawn from the same wheel the mappers use, red at the top and clockwise
+const RING_GRADIENT = `conic-gradient(${Array.from({ length: 13 }, (_, index) => swatch(index * 30)).join(', ')})`;
+
+// Named hues as handles on a colour wheel, each also editable as a number.
+// Drag a handle round the ring; the new hue is reported on release.
+const HueWheel = ({ hues, onChange, size = 220 }) => {
+  const wheelRef = useRef(null);
+  const [dragging, setDragging] = useState(null);
+
+  const radius = size / 2 - RING_WIDTH / 2;
+  const hueOf = (name) => (dragging?.name === name ? dragging.hue : hues[name]);
+
+  const hueAtPointer = (event) => {
+    const rect = wheelRef.current.getBoundingClientRect();
+    const dx = event.clientX - (rect.left + rect.width / 2);
+    const dy = event.clientY - (rect.top + rect.height / 2);
+    return Math.round(((Math.atan2(dx, -dy) * 180) / Math.PI + 360) % 360);
+  };
+
+  const handlePointerDown = (event) => {
+    const { name } = event.target.dataset || {};
+    if (name === undefined) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDragging({ name, hue: hues[name] });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragging || !event.currentTarget.hasPointerCapture(event.pointerId)) return;
+    setDragging({ ...dragging, hue: hueAtPointer(event) });
+  };
+
+  const handlePointerUp = () => {
+    if (!dragging) return;
+    if (dragging.hue !== hues[dragging.name]) onChange(dragging.name, dragging.hue);
+    setDragging(null);
+  };
+
+  return (
+    <Group align="flex-start" gap="lg" wrap="nowrap">
+      <div
+        ref={wheelRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        style={{
+          position: 'relative',
+          flexShrink: 0,
+          width: `${size}px`,
+          height: `${size}px`,
+          borderRadius: '50%',
+          background: RING_GRADIENT,
+          touchAction: 'none',
+        }}
+      >
+        <div style={{
+          position: 'absolute',
+          inset: `${RING_WIDTH}px`,
+          borderRadius: '50%',
+          background: '#ffffff',
+        }} />
+        {Object.keys(hues).map((name) => {
+          const angle = (hueOf(name) * Math.PI) / 180;
+          return (
+            <Tooltip key={name} label={`${name} · ${Math.round(hueOf(name))}°`} withArrow>
+              <div
+                data-name={name}
+                style={{
+                  position: 'absolute',
+                  left: `${size / 2 + radius * Math.sin(angle) - 8}px`,
+                  top: `${size / 2 - radius * Math.cos(angle) - 8}px`,
+                  width: '16px',
+                  height: '16px',
+                  borderRadius: '50%',
+                  background: swatch(hueOf(name)),
+                  border: `2px solid ${dragging?.name === name ? '#581C87' : '#ffffff'}`,
+                  boxShadow: '0 1px 4px rgba(0,0,0,0.3)',
+                  cursor: 'grab',
+                }}
+              />
+            </Tooltip>
+          );
+        })}
+      </div>
+      <SimpleGrid cols={2} spacing="xs" verticalSpacing={4} style={{ flex: 1 }}>
+        {Object.keys(hues).map((name) => (
+          <Group key={name} gap={6} wrap="nowrap">
+            <div style={{ width: '12px', height: '12px', borderRadius: '3px', flexShrink: 0, background: swatch(hueOf(name)) }} />
+            <Text size="xs" style={{ width: '72px' }} truncate>
+              {name}
+            </Text>
+            <NumberInput
+              size="xs"
+              w={64}
+              aria-label={`${name} hue`}
+              value={Math.round(hueOf(name))}
+              min={0}
+              max={359}
+              suffix="°"
+              onChange={(value) => typeof value === 'number' && onChange(name, value)}
+            />
+          </Group>
+        ))}
+      </SimpleGrid>
+    </Group>
+  );
+};
+
+export default HueWheel;
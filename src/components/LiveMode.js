@@ -0,0 +1,207 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Paper, Group, Stack, Text, Button, SegmentedControl, Alert, Tooltip } from '@mantine/core';
+import { IconMicrophone, IconPlayerStop, IconMusic, IconVolume, IconWaveSine, IconMusicHeart, IconMoodSmile, IconAlertCircle } from '@tabler/icons-react';
+import ColorVisualizer from './ColorVisualizer';
+import { FeatureCard } from './ColorExplanation';
+import { startLiveAnalysis, openMicrophone, createTestTone } from '../utils/liveAnalysis';
+import { generateColorPalette, mapTempoToColor, mapPitchToColor, mapLoudnessToColor, mapKeyToColor, mapMoodToColor } from '../utils/colorMapping';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const UPDATE_INTERVAL = 0.5;
+
+const ChromaBars = ({ chroma }) => {
+  const peak = Math.max(...chroma, 1e-9);
+  return (
+    <Group gap={4} align="flex-end" wrap="nowrap" style={{ height: '48px' }}>
+      {chroma.map((value, index) => (
+        <Tooltip key={index} label={NOTE_NAMES[index]} position="top" withArrow>
+          <div style={{
+            flex: 1,
+            height: `${Math.max(4, (value / peak) * 100)}%`,
+            borderRadius: '3px',
+            background: `hsl(${index * 30}, 70%, 60%)`,
+            transition: `height ${UPDATE_INTERVAL}s ease`,
+          }} />
+        </Tooltip>
+      ))}
+    </Group>
+  );
+};
+
+const LiveMode = ({ mapping }) => {
+  const [source, setSource] = useState('microphone');
+  const [isRunning, setIsRunning] = useState(false);
+  const [isStarting, setIsStarting] = useState(false);
+  const [features, setFeatures] = useState(null);
+  const [error, setError] = useState(null);
+  const sessionRef = useRef(null);
+  const mountedRef = useRef(false);
+
+  const stop = () => {
+    sessionRef.current?.stop();
+    sessionRef.current = null;
+    setIsRunning(false);
+  };
+
+  // Release the input when leaving live mode
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      sessionRef.current?.stop();
+      sessionRef.current = null;
+    };
+  }, []);
+
+  const start = async () => {
+    if (isStarting) return;
+    setIsStarting(true);
+    setError(null);
+    setFeatures(null);
+    let input = null;
+
+    try {
+      input = source === 'microphone' ? await openMicrophone() : createTestTone();
+      // Leaving live mode during the permission prompt must not leave the microphone on
+      if (!mountedRef.current) {
+        input.stop();
+        return;
+      }
+      const analysis = await startLiveAnalysis(input.stream, {
+        onUpdate: setFeatures,
+        updateInterval: UPDATE_INTERVAL,
+      });
+      if (!mountedRef.current) {
+        analysis.stop();
+        input.stop();
+        return;
+      }
+      sessionRef.current = {
+        stop: () => {
+          analysis.stop();
+          input.stop();
+        }
+      };
+      setIsRunning(true);
+    } catch (err) {
+      input?.stop();
+      if (mountedRef.current) {
+        setError(err.name === 'NotAllowedError' ? 'Microphone access was denied.' : err.message);
+      }
+      console.error(err);
+    } finally {
+      if (mountedRef.current) setIsStarting(false);
+    }
+  };
+
+  const colors = useMemo(() => {
+    if (!features) return null;
+    const { tempo, pitch, rms, timbre, key, mood } = features;
+    return {
+      palette: generateColorPalette(tempo, pitch, rms, timbre, key, mood, null, mapping),
+      tempo: mapTempoToColor(tempo, mapping),
+      pitch: mapPitchToColor(pitch),
+      loudness: mapLoudnessToColor(rms),
+      key: mapKeyToColor(key, mapping),
+      mood: mapMoodToColor(mood, mapping),
+    };
+  }, [features, mapping]);
+
+  return (
+    <Stack gap="md" style={{ width: '100%' }}>
+      <Paper radius="lg" p="md" style={{ background: 'rgba(255, 255, 255, 0.95)', boxShadow: '0 4px 20px rgba(0, 0, 0, 0.05)' }}>
+        <Group justify="space-between">
+          <SegmentedControl
+            value={source}
+            onChange={setSource}
+            disabled={isRunning || isStarting}
+            color="violet"
+            data={[
+              { label: 'Microphone / line-in', value: 'microphone' },
+              { label: 'Test tone', value: 'test-tone' },
+            ]}
+          />
+          <Button
+            color="violet"
+            variant={isRunning ? 'light' : 'filled'}
+            leftSection={isRunning ? <IconPlayerStop size="1rem" /> : <IconMicrophone size="1rem" />}
+            loading={isStarting}
+            onClick={isRunning ? stop : start}
+          >
+            {isRunning ? 'Stop' : 'Start listening'}
+          </Button>
+        </Group>
+        <Text size="sm" c="dimmed" mt="sm">
+          The palette follows the last 8 seconds of sound and updates twice a second.
+        </Text>
+      </Paper>
+
+      {error && (
+        <Alert icon={<IconAlertCircle size="1rem" />} title="Error" color="red" radius="md" variant="light">
+          {error}
+        </Alert>
+      )}
+
+      {isRunning && !features && (
+        <Text size="sm" c="dimmed" ta="center">Listening...</Text>
+      )}
+
+      {features && colors && (
+        <Paper p={0} radius="lg" style={{
+          background: 'linear-gradient(135deg, rgba(255,255,255,0.95) 0%, rgba(255,255,255,0.85) 100%)',
+        }}>
+          <Group align="stretch" gap={0} wrap="nowrap">
+            <div style={{ flex: 2.5, padding: '24px', display: 'flex', flexDirection: 'column', gap: '16px' }}>
+              <ColorVisualizer colors={colors.palette} transitionDuration={`${UPDATE_INTERVAL * 2}s`} />
+              <div>
+                <Text size="xs" c="dimmed" mb={4}>Chroma</Text>
+                <ChromaBars chroma={features.chroma} />
+              </div>
+            </div>
+            <div style={{
+              width: '320px',
+              borderLeft: '1px solid rgba(88, 28, 135, 0.1)',
+              padding: '24px',
+              background: 'rgba(255, 255, 255, 0.5)',
+            }}>
+              <Stack gap="md">
+                <FeatureCard
+                  icon={IconMusic}
+                  title="Tempo"
+                  value={features.tempo ? `${features.tempo} BPM` : 'No steady beat'}
+                  color={colors.tempo}
+                />
+                <FeatureCard
+                  icon={IconVolume}
+                  title="Loudness"
+                  value={`${features.loudnessDb.toFixed(1)} dBFS`}
+                  color={colors.loudness}
+                />
+                <FeatureCard
+                  icon={IconWaveSine}
+                  title="Pitch"
+                  value={features.pitch ? `${features.pitch} Hz` : 'No clear pitch'}
+                  color={colors.pitch}
+                />
+                <FeatureCard
+                  icon={IconMusicHeart}
+                  title="Key"
+                  value={`${features.key.rootNote} ${features.key.scale}`}
+                  color={colors.key}
+                />
+                <FeatureCard
+                  icon={IconMoodSmile}
+                  title="Mood"
+                  value={features.mood.primary}
+                  color={colors.mood}
+                />
+              </Stack>
+            </div>
+          </Group>
+        </Paper>
+      )}
+    </Stack>
+  );
+};
+
+export default LiveMode;
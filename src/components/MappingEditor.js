@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { Stack, Group, Text, Select, TextInput, Button, FileButton, SegmentedControl, SimpleGrid } from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import CurveEditor from './CurveEditor';
+import HueWheel from './HueWheel';
+import { fromHsl, formatColor } from '../utils/colorSpace';
+import {
+  DEFAULT_MAPPING,
+  MAPPING_CURVES,
+  parseMapping,
+  serializeMapping,
+  listMappingPresets,
+  saveMappingPreset,
+  deleteMappingPreset,
+} from '../utils/mappingRules';
+
+// What each curve's output looks like, everything else held at a mid value
+const CURVE_SWATCHES = {
+  tempoHue: (hue) => formatColor(fromHsl(hue, 85, 55)),
+  tempoSwatchHue: (hue) => formatColor(fromHsl(hue, 85, 50)),
+  pitchSaturation: (saturation) => formatColor(fromHsl(280, saturation, 55)),
+  loudnessLightness: (lightness) => formatColor(fromHsl(280, 70, lightness)),
+};
+
+const showError = (message) => notifications.show({ title: 'Mapping preset', message, color: 'red' });
+
+const fileNameOf = (name) => `${name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'mapping'}.json`;
+
+// Editor for the feature-to-colour mapping rules, with presets saved in the
+// browser and exported or imported as JSON files
+const MappingEditor = ({ mapping, onChange }) => {
+  const [presets, setPresets] = useState(listMappingPresets);
+  const [wheel, setWheel] = useState('keyHues');
+
+  const presetNames = presets.map(({ name }) => name).filter(name => name !== DEFAULT_MAPPING.name);
+  const isSaved = presetNames.includes(mapping.name);
+
+  // Editing the built-in mapping starts a new one, so 'Default' always means the defaults
+  const edit = (changes) => onChange({
+    ...mapping,
+    ...changes,
+    name: mapping.name === DEFAULT_MAPPING.name ? 'Custom mapping' : mapping.name,
+  });
+  const changeCurve = (id, points) => edit({ curves: { ...mapping.curves, [id]: points } });
+  const changeHue = (name, hue) => edit({ [wheel]: { ...mapping[wheel], [name]: hue } });
+
+  const handlePresetChange = (name) => {
+    if (name === DEFAULT_MAPPING.name) {
+      onChange(DEFAULT_MAPPING);
+    } else {
+      onChange(presets.find(preset => preset.name === name));
+    }
+  };
+
+  const handleSave = () => {
+    try {
+      setPresets(saveMappingPreset(mapping));
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const handleDelete = () => {
+    try {
+      setPresets(deleteMappingPreset(mapping.name));
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const handleExport = () => {
+    const url = URL.createObjectURL(new Blob([serializeMapping(mapping)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileNameOf(mapping.name);
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (file) => {
+    if (!file) return;
+    try {
+      onChange(parseMapping(await file.text()));
+    } catch (err) {
+      showError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <Stack gap="md">
+      <Group gap="xs" align="flex-end">
+        <Select
+          size="xs"
+          label="Preset"
+          placeholder="Unsaved"
+          value={mapping.name === DEFAULT_MAPPING.name || isSaved ? mapping.name : null}
+          onChange={handlePresetChange}
+          allowDeselect={false}
+          data={[DEFAULT_MAPPING.name, ...presetNames]}
+          style={{ flex: 1 }}
+        />
+        <TextInput
+          size="xs"
+          label="Name"
+          value={mapping.name}
+          onChange={(event) => onChange({ ...mapping, name: event.currentTarget.value })}
+          style={{ flex: 1 }}
+        />
+      </Group>
+      <Group gap="xs">
+        <Button
+          size="xs"
+          onClick={handleSave}
+          disabled={!mapping.name.trim() || mapping.name === DEFAULT_MAPPING.name}
+        >
+          {isSaved ? 'Update preset' : 'Save preset'}
+        </Button>
+        <Button size="xs" variant="light" color="red" onClick={handleDelete} disabled={!isSaved}>
+          Delete
+        </Button>
+        <Button size="xs" variant="light" onClick={handleExport}>
+          Export JSON
+        </Button>
+        <FileButton onChange={handleImport} accept="application/json,.json">
+          {(props) => (
+            <Button {...props} size="xs" variant="light">
+              Import JSON
+            </Button>
+          )}
+        </FileButton>
+        <Button size="xs" variant="subtle" color="gray" onClick={() => onChange(DEFAULT_MAPPING)}>
+          Reset
+        </Button>
+      </Group>
+
+      <SimpleGrid cols={{ base: 1, sm: 2 }} spacing="lg">
+        {Object.entries(MAPPING_CURVES).map(([id, { label, ...range }]) => (
+          <CurveEditor
+            key={id}
+            label={label}
+            points={mapping.curves[id]}
+            range={range}
+            swatch={CURVE_SWATCHES[id]}
+            onChange={(points) => changeCurve(id, points)}
+          />
+        ))}
+      </SimpleGrid>
+
+      <div>
+        <Group justify="space-between" mb={8}>
+          <Text size="sm" fw={500}>
+            Hue wheel
+          </Text>
+          <SegmentedControl
+            size="xs"
+            value={wheel}
+            onChange={setWheel}
+            data={[
+              { label: 'Key roots', value: 'keyHues' },
+              { label: 'Mood anchors', value: 'moodHues' },
+            ]}
+          />
+        </Group>
+        <HueWheel hues={mapping[wheel]} onChange={changeHue} />
+      </div>
+    </Stack>
+  );
+};
+
+export default MappingEditor;
@@ -0,0 +1,100 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Group, Stack, Text, ActionIcon } from '@mantine/core';
+import { IconPlayerPlay, IconPlayerPause } from '@tabler/icons-react';
+import WaveformScrubber from './WaveformScrubber';
+import { createPlayer, computeWaveformPeaks } from '../utils/playback';
+import { formatTime } from '../utils/formatTime';
+
+const Player = ({ audioBuffer, segments, onTimeUpdate, scrubMode = 'seek', regions, onRegionsChange }) => {
+  const playerRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const peaks = useMemo(() => computeWaveformPeaks(audioBuffer), [audioBuffer]);
+
+  useEffect(() => {
+    const player = createPlayer(audioBuffer, {
+      onEnded: () => {
+        setIsPlaying(false);
+        setCurrentTime(audioBuffer.duration);
+      },
+    });
+    playerRef.current = player;
+    setIsPlaying(false);
+    setCurrentTime(0);
+
+    return () => {
+      player.close();
+    };
+  }, [audioBuffer]);
+
+  // Follow the playhead once per animation frame while playing
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+
+    let frame;
+    const tick = () => {
+      const time = playerRef.current.getCurrentTime();
+      setCurrentTime(time);
+      onTimeUpdate(time);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying, onTimeUpdate]);
+
+  const togglePlayback = async () => {
+    const player = playerRef.current;
+    if (player.isPlaying()) {
+      player.pause();
+      setIsPlaying(false);
+    } else {
+      try {
+        await player.play();
+      } catch (err) {
+        console.error('Could not start playback:', err);
+      }
+      // A pause or a new file may have come in while the audio woke up
+      if (playerRef.current === player) setIsPlaying(player.isPlaying());
+    }
+  };
+
+  const handleSeek = (time) => {
+    playerRef.current.seek(time);
+    setCurrentTime(time);
+    onTimeUpdate(time);
+  };
+
+  return (
+    <Group gap="md" wrap="nowrap" align="flex-end">
+      <Stack gap={4} align="center">
+        <ActionIcon
+          size="xl"
+          radius="xl"
+          color="violet"
+          variant="filled"
+          onClick={togglePlayback}
+          aria-label={isPlaying ? 'Pause' : 'Play'}
+        >
+          {isPlaying ? <IconPlayerPause size="1.3rem" /> : <IconPlayerPlay size="1.3rem" />}
+        </ActionIcon>
+        <Text size="xs" c="dimmed" style={{ fontVariantNumeric: 'tabular-nums', whiteSpace: 'nowrap' }}>
+          {formatTime(currentTime)} / {formatTime(audioBuffer.duration)}
+        </Text>
+      </Stack>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <WaveformScrubber
+          peaks={peaks}
+          duration={audioBuffer.duration}
+          currentTime={currentTime}
+          segments={segments}
+          onSeek={handleSeek}
+          mode={scrubMode}
+          regions={regions}
+          onRegionsChange={onRegionsChange}
+        />
+      </div>
+    </Group>
+  );
+};
+
+export default Player;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { Text, Tooltip } from '@mantine/core';
+import { formatTime } from '../utils/formatTime';
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const SectionBar = ({ sections, duration, currentTime = null, height = 56 }) => {
+  if (!sections || sections.length === 0 || !duration) return null;
+
+  // During playback the section being heard stays bright and the rest fade back
+  const isActive = (section, index) => currentTime === null || (
+    currentTime >= section.start && (currentTime < section.end || index === sections.length - 1)
+  );
+
+  return (
+    <div style={{ width: '100%' }}>
+      <Text size="xs" c="dimmed" mb={4}>
+        Sections
+      </Text>
+      <div style={{
+        display: 'flex',
+        width: '100%',
+        height: `${height}px`,
+        borderRadius: '6px',
+        overflow: 'hidden',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.06)',
+      }}>
+        {sections.map((section, index) => (
+          <Tooltip
+            key={index}
+            label={`${section.label} · ${capitalize(section.role)} · ${formatTime(section.start)}–${formatTime(section.end)}`}
+            position="top"
+            withArrow
+          >
+            <div style={{
+              position: 'relative',
+              width: `${((section.end - section.start) / duration) * 100}%`,
+              display: 'flex',
+              flexDirection: 'column',
+              borderRight: index < sections.length - 1 ? '2px solid rgba(255,255,255,0.9)' : 'none',
+              opacity: isActive(section, index) ? 1 : 0.45,
+              transition: 'opacity 0.4s ease',
+            }}>
+              {section.palette.map((color, colorIndex) => (
+                <div key={colorIndex} style={{ flex: 1, background: color }} />
+              ))}
+              <Text
+                size="xs"
+                fw={700}
+                style={{
+                  position: 'absolute',
+                  top: '4px',
+                  left: '6px',
+                  padding: '0 6px',
+                  borderRadius: '4px',
+                  background: 'rgba(255,255,255,0.85)',
+                  color: '#581c87',
+                }}
+              >
+                {section.label}
+              </Text>
+            </div>
+          </Tooltip>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SectionBar;
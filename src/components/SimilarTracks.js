@@ -0,0 +1,75 @@
+import React, { useMemo, useState } from 'react';
+import { Stack, Group, Text, SegmentedControl, Tooltip } from '@mantine/core';
+import { computeEmbedding, comparisonPalette, rankSimilar } from '../utils/similarity';
+
+const formatShare = (value) => (value === null ? 'n/a' : `${Math.round(value * 100)}%`);
+
+const SimilarTracks = ({ audioFeatures, summaries, limit = 5 }) => {
+  const [mode, setMode] = useState('blend');
+
+  const query = useMemo(() => ({
+    embedding: computeEmbedding(audioFeatures),
+    palette: comparisonPalette(audioFeatures),
+  }), [audioFeatures]);
+
+  const matches = useMemo(() => rankSimilar(
+    query,
+    summaries.filter(({ key }) => key !== audioFeatures.cacheKey),
+    { mode, limit }
+  ), [query, summaries, audioFeatures.cacheKey, mode, limit]);
+
+  return (
+    <Stack gap="xs">
+      <Text size="sm" c="dimmed">
+        Similar tracks
+      </Text>
+      <SegmentedControl
+        size="xs"
+        fullWidth
+        value={mode}
+        onChange={setMode}
+        data={[
+          { label: 'Audio', value: 'audio' },
+          { label: 'Colour', value: 'palette' },
+          { label: 'Blend', value: 'blend' },
+        ]}
+      />
+      {matches.length === 0 ? (
+        <Text size="xs" c="dimmed">
+          Analyze more tracks to compare them with this one
+        </Text>
+      ) : matches.map((match) => (
+        <Tooltip
+          key={match.key}
+          label={`Audio ${formatShare(match.audioSimilarity)} · Colour ${formatShare(match.paletteSimilarity)}`}
+          position="left"
+          withArrow
+        >
+          <div>
+            <Group gap="xs" wrap="nowrap">
+              <Text size="sm" truncate style={{ flex: 1 }}>
+                {match.fileName}
+              </Text>
+              <Text size="xs" c="dimmed" style={{ fontVariantNumeric: 'tabular-nums' }}>
+                {formatShare(match.score)}
+              </Text>
+            </Group>
+            <div style={{
+              display: 'flex',
+              height: '8px',
+              borderRadius: '3px',
+              overflow: 'hidden',
+              marginTop: '4px',
+            }}>
+              {match.palette.map((color, index) => (
+                <div key={index} style={{ flex: 1, background: color }} />
+              ))}
+            </div>
+          </div>
+        </Tooltip>
+      ))}
+    </Stack>
+  );
+};
+
+export default SimilarTracks;
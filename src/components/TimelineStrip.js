@@ -0,0 +1,59 @@
+import React from 'react';
+import { Text, Tooltip } from '@mantine/core';
+import { formatTime } from '../utils/formatTime';
+
+const TimelineStrip = ({ title, segments, duration, height = 28, showLabels = true }) => {
+  if (!segments || segments.length === 0 || !duration) return null;
+
+  return (
+    <div style={{ width: '100%' }}>
+      {title && (
+        <Text size="xs" c="dimmed" mb={4}>
+          {title}
+        </Text>
+      )}
+      <div style={{
+        position: 'relative',
+        width: '100%',
+        height: `${height}px`,
+        borderRadius: '6px',
+        overflow: 'hidden',
+        background: 'rgba(88, 28, 135, 0.05)',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.06)',
+      }}>
+        {segments.map((segment, index) => (
+          <Tooltip
+            key={index}
+            label={`${segment.label} · ${formatTime(segment.start)}–${formatTime(segment.end)}`}
+            position="top"
+            withArrow
+          >
+            <div
+              style={{
+                position: 'absolute',
+                top: 0,
+                bottom: 0,
+                left: `${(segment.start / duration) * 100}%`,
+                width: `${((segment.end - segment.start) / duration) * 100}%`,
+                background: segment.color,
+                borderRight: '1px solid rgba(255,255,255,0.6)',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                overflow: 'hidden',
+              }}
+            >
+              {showLabels && (
+                <Text size="xs" fw={600} truncate style={{ color: 'rgba(255,255,255,0.95)', textShadow: '0 1px 2px rgba(0,0,0,0.3)', padding: '0 4px' }}>
+                  {segment.label}
+                </Text>
+              )}
+            </div>
+          </Tooltip>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TimelineStrip;
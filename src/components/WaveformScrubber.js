@@ -0,0 +1,156 @@
+import React, { useRef, useState } from 'react';
+import { Text, CloseButton } from '@mantine/core';
+import { MIN_REGION_SECONDS } from '../utils/regions';
+
+const FALLBACK_COLOR = '#7C3AED';
+
+const colorAt = (segments, time) => {
+  const segment = segments?.find(({ start, end }) => time >= start && time < end) || segments?.[segments.length - 1];
+  return segment?.color || FALLBACK_COLOR;
+};
+
+// Bars take the colour of the palette in effect at their time.
+// In 'seek' mode click or drag to seek; in 'select' mode drag to add a region.
+// A click without a drag, or a drag shorter than the shortest region, adds nothing.
+const WaveformScrubber = ({
+  peaks,
+  duration,
+  currentTime,
+  segments,
+  onSeek,
+  mode = 'seek',
+  regions = [],
+  onRegionsChange = () => {},
+  height = 64,
+}) => {
+  const containerRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+
+  if (!peaks || !duration) return null;
+
+  const timeAtPointer = (event) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width)) * duration;
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const time = timeAtPointer(event);
+    if (mode === 'select') {
+      setDraft({ start: time, end: time });
+    } else {
+      onSeek(time);
+    }
+  };
+
+  const handlePointerMove = (event) => {
+    if (!event.currentTarget.hasPointerCapture(event.pointerId)) return;
+    const time = timeAtPointer(event);
+    if (mode === 'select') {
+      setDraft(current => current && { ...current, end: time });
+    } else {
+      onSeek(time);
+    }
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    if (Math.abs(draft.end - draft.start) >= MIN_REGION_SECONDS) {
+      onRegionsChange([...regions, { start: Math.min(draft.start, draft.end), end: Math.max(draft.start, draft.end) }]);
+    }
+    setDraft(null);
+  };
+
+  // The browser took the pointer away, e.g. for a scroll gesture
+  const handlePointerCancel = () => setDraft(null);
+
+  const removeRegion = (index) => {
+    onRegionsChange(regions.filter((_, regionIndex) => regionIndex !== index));
+  };
+
+  const shownRegions = draft
+    ? [...regions, { start: Math.min(draft.start, draft.end), end: Math.max(draft.start, draft.end), isDraft: true }]
+    : regions;
+
+  const barWidth = 100 / peaks.length;
+  const playedFraction = Math.min(1, currentTime / duration);
+
+  return (
+    <div style={{ width: '100%' }}>
+      <Text size="xs" c="dimmed" mb={4}>
+        Waveform
+      </Text>
+      <div
+        ref={containerRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+        style={{
+          position: 'relative',
+          height: `${height}px`,
+          cursor: mode === 'select' ? 'crosshair' : 'pointer',
+          touchAction: 'none',
+          borderRadius: '6px',
+          background: 'rgba(88, 28, 135, 0.05)',
+          overflow: 'hidden',
+        }}
+      >
+        <svg width="100%" height="100%" viewBox="0 0 100 100" preserveAspectRatio="none" style={{ display: 'block' }}>
+          {Array.from(peaks, (peak, index) => {
+            const barHeight = Math.max(2, peak * 100);
+            const time = ((index + 0.5) / peaks.length) * duration;
+            return (
+              <rect
+                key={index}
+                x={index * barWidth}
+                y={(100 - barHeight) / 2}
+                width={barWidth * 0.8}
+                height={barHeight}
+                fill={colorAt(segments, time)}
+                opacity={(index + 0.5) / peaks.length <= playedFraction ? 1 : 0.45}
+              />
+            );
+          })}
+        </svg>
+        {shownRegions.map((region, index) => (
+          <div
+            key={index}
+            style={{
+              position: 'absolute',
+              top: 0,
+              bottom: 0,
+              left: `${(region.start / duration) * 100}%`,
+              width: `${((region.end - region.start) / duration) * 100}%`,
+              background: 'rgba(124, 58, 237, 0.18)',
+              border: `1px ${region.isDraft ? 'dashed' : 'solid'} rgba(124, 58, 237, 0.7)`,
+              borderRadius: '4px',
+              pointerEvents: 'none',
+            }}
+          >
+            {!region.isDraft && (
+              <CloseButton
+                size="xs"
+                aria-label="Remove region"
+                onPointerDown={(event) => event.stopPropagation()}
+                onClick={() => removeRegion(index)}
+                style={{ position: 'absolute', top: 2, right: 2, pointerEvents: 'auto' }}
+              />
+            )}
+          </div>
+        ))}
+        <div style={{
+          position: 'absolute',
+          top: 0,
+          bottom: 0,
+          left: `${playedFraction * 100}%`,
+          width: '2px',
+          background: '#1a1b1e',
+          pointerEvents: 'none',
+        }} />
+      </div>
+    </div>
+  );
+};
+
+export default WaveformScrubber;
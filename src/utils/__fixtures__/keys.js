@@ -0,0 +1,21 @@
+/**
+ * Key results for tests that need a ranking without analysing audio.
+ */
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * A key result ranked from { 'C major': 0.9, ... }, shaped like extractKey's
+ * @param {Object} correlations - Correlation per key name; keys not listed correlate at the floor
+ * @param {number} floor
+ * @returns {Object} - The best key plus all 24 candidates, best first
+ */
+export const keyFrom = (correlations, floor = 0.5) => {
+    const candidates = [];
+    NOTE_NAMES.forEach((rootNote, root) => ['major', 'minor'].forEach(scale => {
+        const correlation = correlations[`${rootNote} ${scale}`] ?? floor;
+        candidates.push({ root, scale, rootNote, correlation, confidence: Math.max(0.3, correlation) });
+    }));
+    candidates.sort((a, b) => b.correlation - a.correlation);
+    return { ...candidates[0], candidates };
+};
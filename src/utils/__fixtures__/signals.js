@@ -0,0 +1,144 @@
+/**
+ * Small synthetic signals for the analysis tests. Everything is
+ * deterministic, so results can be compared exactly between runs.
+ */
+
+export const SAMPLE_RATE = 44100;
+
+/**
+ * Sine tone, optionally with vibrato
+ * @param {number} frequency - Hz
+ * @param {number} seconds
+ * @param {Object} options
+ * @param {number} options.amplitude - Peak amplitude
+ * @param {number} options.vibratoRate - Vibrato in Hz, 0 for a steady tone
+ * @param {number} options.vibratoDepth - Vibrato depth in semitones either way
+ * @param {number} options.sampleRate
+ * @returns {Float32Array}
+ */
+export const sine = (frequency, seconds, { amplitude = 0.5, vibratoRate = 0, vibratoDepth = 0, sampleRate = SAMPLE_RATE } = {}) => {
+    const signal = new Float32Array(Math.round(seconds * sampleRate));
+    let phase = 0;
+    for (let i = 0; i < signal.length; i++) {
+        const bend = vibratoRate ? vibratoDepth * Math.sin((2 * Math.PI * vibratoRate * i) / sampleRate) : 0;
+        phase += (2 * Math.PI * frequency * 2 ** (bend / 12)) / sampleRate;
+        signal[i] = amplitude * Math.sin(phase);
+    }
+    return signal;
+};
+
+/**
+ * Harmonic tone: a fundamental and its overtones falling off as 1/n
+ * @param {number} frequency - Hz
+ * @param {number} seconds
+ * @param {Object} options - See sine, plus harmonics
+ * @returns {Float32Array}
+ */
+export const harmonicTone = (frequency, seconds, { harmonics = 6, amplitude = 0.5, ...options } = {}) => (
+    mix(...Array.from({ length: harmonics }, (_, n) => sine(frequency * (n + 1), seconds, { ...options, amplitude: amplitude / (n + 1) })))
+);
+
+/**
+ * Chord of MIDI notes with two partials each; a long overtone series adds
+ * enough fifths to tip a short progression towards its dominant
+ * @param {number[]} notes - MIDI note numbers
+ * @param {number} seconds
+ * @returns {Float32Array}
+ */
+export const chord = (notes, seconds) => (
+    mix(...notes.map(midi => harmonicTone(midiToFrequency(midi), seconds, { harmonics: 2, amplitude: 0.2 })))
+);
+
+/**
+ * Sum of signals, as long as the longest
+ * @param {...Float32Array} signals
+ * @returns {Float32Array}
+ */
+export const mix = (...signals) => {
+    const result = new Float32Array(Math.max(...signals.map(signal => signal.length)));
+    signals.forEach(signal => signal.forEach((value, i) => { result[i] += value; }));
+    return result;
+};
+
+/**
+ * Signals one after another
+ * @param {...Float32Array} signals
+ * @returns {Float32Array}
+ */
+export const concat = (...signals) => {
+    const result = new Float32Array(signals.reduce((sum, signal) => sum + signal.length, 0));
+    let offset = 0;
+    signals.forEach(signal => {
+        result.set(signal, offset);
+        offset += signal.length;
+    });
+    return result;
+};
+
+/**
+ * Uniform white noise from a seeded generator
+ * @param {number} seconds
+ * @param {Object} options
+ * @param {number} options.amplitude
+ * @param {number} options.seed
+ * @param {number} options.sampleRate
+ * @returns {Float32Array}
+ */
+export const noise = (seconds, { amplitude = 0.5, seed = 1, sampleRate = SAMPLE_RATE } = {}) => {
+    const random = seededRandom(seed);
+    return Float32Array.from({ length: Math.round(seconds * sampleRate) }, () => amplitude * (2 * random() - 1));
+};
+
+/**
+ * Short decaying noise bursts on a steady beat
+ * @param {number} bpm
+ * @param {number} seconds
+ * @param {Object} options
+ * @param {number} options.amplitude
+ * @param {number} options.sampleRate
+ * @returns {Float32Array}
+ */
+export const clicks = (bpm, seconds, { amplitude = 0.8, sampleRate = SAMPLE_RATE } = {}) => {
+    const signal = new Float32Array(Math.round(seconds * sampleRate));
+    const random = seededRandom(7);
+    const period = (60 / bpm) * sampleRate;
+    const length = Math.round(0.01 * sampleRate);
+    for (let start = 0; start < signal.length; start += period) {
+        for (let i = 0; i < length && Math.round(start) + i < signal.length; i++) {
+            signal[Math.round(start) + i] = amplitude * (2 * random() - 1) * Math.exp(-i / (length / 5));
+        }
+    }
+    return signal;
+};
+
+/**
+ * Frequency of a MIDI note
+ * @param {number} midi
+ * @returns {number} - Hz
+ */
+export const midiToFrequency = (midi) => 440 * 2 ** ((midi - 69) / 12);
+
+/**
+ * Stand-in for a Web Audio AudioBuffer
+ * @param {Float32Array|Float32Array[]} channels - One signal, or one per channel
+ * @param {number} sampleRate
+ * @returns {Object}
+ */
+export const audioBufferOf = (channels, sampleRate = SAMPLE_RATE) => {
+    const data = Array.isArray(channels) ? channels : [channels];
+    return {
+        sampleRate,
+        numberOfChannels: data.length,
+        length: data[0].length,
+        duration: data[0].length / sampleRate,
+        getChannelData: (channel) => data[channel]
+    };
+};
+
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
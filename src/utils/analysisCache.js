@@ -0,0 +1,188 @@
+import { ANALYSIS_VERSION } from './analysisPipeline';
+
+/**
+ * Persistent cache of finished analyses in IndexedDB, keyed by a SHA-256
+ * hash of the file's bytes and the analysis version. Dropping the same file
+ * again returns the stored result instead of re-running every extractor;
+ * bumping ANALYSIS_VERSION leaves old entries unreachable. A second store
+ * keeps a small summary of each analysis (file name, audio embedding,
+ * palette) so the whole library can be compared without loading every
+ * full result.
+ *
+ * The cache is a convenience: when IndexedDB is unavailable (private
+ * browsing, blocked storage) every lookup misses and every store is skipped,
+ * and when the file cannot be hashed there is no key to look up at all.
+ */
+
+const DATABASE_NAME = 'audio-color-analysis';
+const DATABASE_VERSION = 2;
+const STORE_NAME = 'analyses';
+const SUMMARY_STORE_NAME = 'summaries';
+
+// SubtleCrypto cannot hash incrementally, so large files are hashed slice by slice
+const HASH_SLICE_BYTES = 32 * 1024 * 1024;
+
+let databasePromise = null;
+
+/**
+ * SHA-256 of a file's contents as hex. Files larger than one slice hash the
+ * concatenated digests of their slices, so memory stays bounded by the slice
+ * size; the result still depends on every byte.
+ * @param {Blob} file - The file to hash
+ * @param {Object} options
+ * @param {function({ stage: string, completed: number, total: number }): void} options.onProgress -
+ *   Called after each slice with stage 'hash' and the bytes hashed so far
+ * @returns {Promise<string>}
+ * @throws {Error} - When SubtleCrypto is unavailable, as it is outside a secure context
+ */
+export const hashFile = async (file, { onProgress = () => {} } = {}) => {
+    if (typeof crypto === 'undefined' || !crypto.subtle) throw new Error('SubtleCrypto is not available');
+
+    if (file.size <= HASH_SLICE_BYTES) {
+        const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        onProgress({ stage: 'hash', completed: file.size, total: file.size });
+        return toHex(digest);
+    }
+
+    const digests = [];
+    for (let offset = 0; offset < file.size; offset += HASH_SLICE_BYTES) {
+        const slice = await file.slice(offset, offset + HASH_SLICE_BYTES).arrayBuffer();
+        digests.push(new Uint8Array(await crypto.subtle.digest('SHA-256', slice)));
+        onProgress({ stage: 'hash', completed: Math.min(file.size, offset + HASH_SLICE_BYTES), total: file.size });
+    }
+
+    const joined = new Uint8Array(digests.length * 32);
+    digests.forEach((digest, i) => joined.set(digest, i * 32));
+    return toHex(await crypto.subtle.digest('SHA-256', joined));
+};
+
+/**
+ * Cache key for a file: its content hash plus the analysis version
+ * @param {Blob} file - The audio file
+ * @param {Object} options - See hashFile
+ * @returns {Promise<string|null>} - null when the file cannot be hashed; the analysis then runs uncached
+ */
+export const getCacheKey = async (file, options = {}) => {
+    try {
+        return `v${ANALYSIS_VERSION}:${await hashFile(file, options)}`;
+    } catch (error) {
+        console.warn('Analysis cache key failed:', error);
+        return null;
+    }
+};
+
+/**
+ * Look up a stored analysis
+ * @param {string} key - From getCacheKey
+ * @returns {Promise<Object|null>} - The stored entry, or null on a miss
+ */
+export const getCachedAnalysis = async (key) => {
+    try {
+        const database = await openDatabase();
+        const entry = await runRequest(database, STORE_NAME, 'readonly', store => store.get(key));
+        return entry || null;
+    } catch (error) {
+        console.warn('Analysis cache lookup failed:', error);
+        return null;
+    }
+};
+
+/**
+ * Store a finished analysis. Failures, such as a full quota, are logged and
+ * otherwise ignored.
+ * @param {string} key - From getCacheKey
+ * @param {Object} entry - Anything structured-cloneable, e.g. { features }
+ * @returns {Promise<void>}
+ */
+export const storeCachedAnalysis = async (key, entry) => {
+    try {
+        const database = await openDatabase();
+        await runRequest(database, STORE_NAME, 'readwrite', store => store.put({ ...entry, storedAt: Date.now() }, key));
+    } catch (error) {
+        console.warn('Analysis cache store failed:', error);
+    }
+};
+
+/**
+ * Store the summary of an analysis used for similarity search. Storing it
+ * again, e.g. when a cached file is dropped under a new name, replaces it.
+ * Failures are logged and otherwise ignored.
+ * @param {string} key - From getCacheKey
+ * @param {Object} summary - { fileName, embedding, palette }
+ * @returns {Promise<void>}
+ */
+export const storeAnalysisSummary = async (key, summary) => {
+    try {
+        const database = await openDatabase();
+        await runRequest(database, SUMMARY_STORE_NAME, 'readwrite', store => store.put({ ...summary, key, storedAt: Date.now() }, key));
+    } catch (error) {
+        console.warn('Analysis summary store failed:', error);
+    }
+};
+
+/**
+ * Every stored summary from the current analysis version
+ * @returns {Promise<Array<Object>>} - Summaries with their cache key, empty when the cache is unavailable
+ */
+export const listAnalysisSummaries = async () => {
+    try {
+        const database = await openDatabase();
+        const summaries = await runRequest(database, SUMMARY_STORE_NAME, 'readonly', store => store.getAll());
+        return summaries.filter(({ key }) => key.startsWith(`v${ANALYSIS_VERSION}:`));
+    } catch (error) {
+        console.warn('Analysis summary lookup failed:', error);
+        return [];
+    }
+};
+
+/**
+ * Remove every stored analysis, from this and older analysis versions
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export const clearAnalysisCache = async () => {
+    const database = await openDatabase();
+    const count = await runRequest(database, STORE_NAME, 'readonly', store => store.count());
+    await runRequest(database, STORE_NAME, 'readwrite', store => store.clear());
+    await runRequest(database, SUMMARY_STORE_NAME, 'readwrite', store => store.clear());
+    return count;
+};
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+            // Version 1 had only the analyses; summaries arrived with version 2
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                [STORE_NAME, SUMMARY_STORE_NAME].forEach(name => {
+                    if (!database.objectStoreNames.contains(name)) database.createObjectStore(name);
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again rather than keep the failure
+        databasePromise.catch(() => { databasePromise = null; });
+    }
+    return databasePromise;
+}
+
+// Run one request in its own transaction; resolves once the transaction has committed
+function runRequest(database, storeName, mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
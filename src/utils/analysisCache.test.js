@@ -0,0 +1,89 @@
+import { createHash } from 'crypto';
+import { hashFile, getCacheKey } from './analysisCache';
+import { ANALYSIS_VERSION } from './analysisPipeline';
+
+const SLICE_BYTES = 32 * 1024 * 1024;
+
+const sha256 = (bytes) => createHash('sha256').update(bytes).digest();
+
+// jsdom has no SubtleCrypto, and Node's rejects buffers made in the jsdom realm
+const subtle = {
+    digest: async (algorithm, data) => {
+        const bytes = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+        return Uint8Array.from(sha256(bytes)).buffer;
+    }
+};
+
+// Enough of a Blob for hashFile; every byte is derived from its offset, so slices need not be kept
+const fakeFile = (size) => {
+    const bytesAt = (start, end) => {
+        const bytes = new Uint8Array(end - start);
+        for (let i = 0; i < bytes.length; i++) bytes[i] = (start + i) % 251;
+        return bytes;
+    };
+    return {
+        size,
+        arrayBuffer: jest.fn(async () => bytesAt(0, size).buffer),
+        slice: jest.fn((start, end) => ({ arrayBuffer: async () => bytesAt(start, Math.min(end, size)).buffer }))
+    };
+};
+
+const setSubtle = (value) => Object.defineProperty(window, 'crypto', { value: { subtle: value }, configurable: true });
+
+describe('hashFile', () => {
+    const originalCrypto = window.crypto;
+
+    beforeEach(() => setSubtle(subtle));
+    afterEach(() => Object.defineProperty(window, 'crypto', { value: originalCrypto, configurable: true }));
+
+    test('gives the SHA-256 of a small file in one go', async () => {
+        const onProgress = jest.fn();
+        const file = fakeFile(1000);
+        expect(await hashFile(file, { onProgress })).toBe(sha256(Buffer.from(await file.arrayBuffer())).toString('hex'));
+        expect(file.slice).not.toHaveBeenCalled();
+        expect(onProgress).toHaveBeenCalledWith({ stage: 'hash', completed: 1000, total: 1000 });
+    });
+
+    test('hashes a file over 32 MB slice by slice', async () => {
+        const size = 2 * SLICE_BYTES + 5;
+        const file = fakeFile(size);
+        const onProgress = jest.fn();
+        const hash = await hashFile(file, { onProgress });
+
+        expect(file.arrayBuffer).not.toHaveBeenCalled();
+        expect(file.slice.mock.calls).toEqual([[0, SLICE_BYTES], [SLICE_BYTES, 2 * SLICE_BYTES], [2 * SLICE_BYTES, 3 * SLICE_BYTES]]);
+        expect(onProgress.mock.calls.map(([{ completed }]) => completed)).toEqual([SLICE_BYTES, 2 * SLICE_BYTES, size]);
+
+        // The digest of the slice digests, one after another
+        const sliceDigests = await Promise.all(file.slice.mock.results.map(async ({ value }) => sha256(Buffer.from(await value.arrayBuffer()))));
+        expect(hash).toBe(sha256(Buffer.concat(sliceDigests)).toString('hex'));
+    }, 60000);
+
+    test('fails without SubtleCrypto', async () => {
+        setSubtle(undefined);
+        await expect(hashFile(fakeFile(10))).rejects.toThrow('SubtleCrypto is not available');
+    });
+});
+
+describe('getCacheKey', () => {
+    const originalCrypto = window.crypto;
+
+    afterEach(() => {
+        Object.defineProperty(window, 'crypto', { value: originalCrypto, configurable: true });
+        jest.restoreAllMocks();
+    });
+
+    test('combines the analysis version and the content hash', async () => {
+        setSubtle(subtle);
+        const file = fakeFile(100);
+        expect(await getCacheKey(file)).toBe(`v${ANALYSIS_VERSION}:${await hashFile(file)}`);
+        expect(await getCacheKey(file)).toMatch(/^v\d+:[0-9a-f]{64}$/);
+    });
+
+    test('is null when the file cannot be hashed, as outside a secure context', async () => {
+        setSubtle(undefined);
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(await getCacheKey(fakeFile(100))).toBeNull();
+        expect(warn).toHaveBeenCalled();
+    });
+});
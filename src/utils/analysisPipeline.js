@@ -0,0 +1,218 @@
+import {
+    extractBasicFeatures,
+    extractRms,
+    extractTimbre,
+    extractKey,
+    extractMood,
+    createRmsStream,
+    createTimbreStream,
+    createKeyStream
+} from './audioProcessing';
+import { extractTimeline, createTimelineStream } from './timeline';
+import { trackBeats, createBeatStream } from './beatTracking';
+import { trackPitch, createPitchStream } from './pitchTracking';
+import { recognizeChords, createChordStream } from './chordRecognition';
+import { detectVocals, createVocalStream } from './vocals';
+import { segmentStructure } from './structure';
+import { analyzeStereo, createStereoStream, downmixChannels } from './stereo';
+import { measureLoudness, createLoudnessStream } from './loudness';
+import { getHarmonicPercussive, createHarmonicPercussiveStream } from './hpss';
+
+/**
+ * Stages of the full analysis, in the order they run.
+ * Progress events carry one of these names.
+ */
+export const ANALYSIS_STAGES = ['separation', 'tempo', 'loudness', 'stereo', 'pitch', 'vocals', 'timbre', 'key', 'chords', 'mood', 'timeline', 'structure'];
+
+/**
+ * Version of the analysis output. Bump it whenever an extractor's results
+ * change, so analyses cached by an older version are not reused.
+ */
+export const ANALYSIS_VERSION = 4;
+
+/**
+ * Run every extractor over an audio buffer
+ * @param {AudioBuffer} audioBuffer - Decoded audio, or the result of createAudioData
+ * @param {Object} options
+ * @param {function({ stage: string, completed: number, total: number }): void} options.onProgress - Called after each stage
+ * @returns {Promise<Object>} - Basic features plus percussiveness, tempo, beats, rms, loudness, stereo, pitch, melody, vocals, timbre, key, chords, mood, timeline and structure
+ */
+export const analyzeAudioBuffer = async (audioBuffer, { onProgress = () => {} } = {}) => {
+    const features = extractBasicFeatures(audioBuffer);
+    let completed = 0;
+
+    const report = (stage) => {
+        completed++;
+        onProgress({ stage, completed, total: ANALYSIS_STAGES.length });
+    };
+
+    // Harmonic/percussive split shared by the beat, pitch, key and chord extractors
+    features.percussiveness = getHarmonicPercussive(audioBuffer).percussiveness;
+    report('separation');
+
+    // One beat-tracking pass gives the tempo and the beat grid
+    features.beats = trackBeats(audioBuffer);
+    features.tempo = features.beats.bpm;
+    report('tempo');
+
+    features.rms = extractRms(audioBuffer);
+    features.loudness = measureLoudness(audioBuffer);
+    report('loudness');
+
+    features.stereo = analyzeStereo(audioBuffer);
+    report('stereo');
+
+    features.melody = trackPitch(audioBuffer);
+    features.pitch = features.melody.range ? Math.round(features.melody.range.median) : null;
+    report('pitch');
+
+    features.vocals = detectVocals(audioBuffer, { melody: features.melody });
+    report('vocals');
+
+    features.timbre = extractTimbre(audioBuffer);
+    report('timbre');
+
+    features.key = extractKey(audioBuffer);
+    report('key');
+
+    features.chords = recognizeChords(audioBuffer, {
+        beats: features.beats.beats,
+        beatsPerBar: features.beats.beatsPerBar
+    });
+    report('chords');
+
+    features.mood = extractMood(features.tempo, features.rms, features.key, features.timbre, features.vocals, {
+        loudness: features.loudness,
+        percussiveness: features.percussiveness,
+        chords: features.chords
+    });
+    report('mood');
+
+    features.timeline = extractTimeline(audioBuffer);
+    report('timeline');
+
+    features.structure = segmentStructure(features.timeline);
+    report('structure');
+
+    return features;
+};
+
+/**
+ * Run every extractor over audio that arrives in chunks, such as a long file
+ * read a few seconds at a time. Each extractor keeps only the state it carries
+ * across chunk boundaries, so memory stays bounded by the chunk size rather
+ * than the track length. The result is the same as analyzeAudioBuffer on the
+ * joined audio.
+ * @param {AsyncIterable<Float32Array[]>|Iterable<Float32Array[]>} chunks - Sample data per channel, chunk after chunk
+ * @param {Object} format
+ * @param {number} format.sampleRate - Sample rate in Hz
+ * @param {number} format.numberOfChannels - Channels in every chunk
+ * @param {number} format.length - Expected length in samples, only used for progress
+ * @param {Object} options
+ * @param {function({ stage: string, completed: number, total: number }): void} options.onProgress -
+ *   Called after each chunk with stage 'audio' and seconds read out of the expected duration,
+ *   then after each of the ANALYSIS_STAGES as its result is put together
+ * @returns {Promise<Object>} - Same feature object as analyzeAudioBuffer
+ */
+export const analyzeAudioStream = async (chunks, { sampleRate, numberOfChannels = 1, length: expectedLength = 0 }, { onProgress = () => {} } = {}) => {
+    const beatStream = createBeatStream(sampleRate);
+    const pitchStream = createPitchStream(sampleRate);
+    const keyStream = createKeyStream(sampleRate);
+    const chordStream = createChordStream(sampleRate);
+    const vocalStream = createVocalStream(sampleRate);
+
+    // Percussive output drives the beat tracker, harmonic output the tonal extractors
+    const separation = createHarmonicPercussiveStream(sampleRate, {
+        onOutput: ({ harmonic, percussive }) => {
+            beatStream.push(percussive);
+            pitchStream.push(harmonic);
+            keyStream.push(harmonic);
+            chordStream.push(harmonic);
+            vocalStream.push(harmonic);
+        }
+    });
+    const rmsStream = createRmsStream();
+    const loudnessStream = createLoudnessStream(sampleRate, numberOfChannels);
+    const stereoStream = createStereoStream(sampleRate, numberOfChannels);
+    const timbreStream = createTimbreStream(sampleRate);
+    const timelineStream = createTimelineStream(sampleRate);
+
+    let length = 0;
+    for await (const channels of chunks) {
+        if (channels.length !== numberOfChannels) {
+            throw new Error(`Expected ${numberOfChannels} channels per chunk, got ${channels.length}`);
+        }
+
+        const mono = downmixChannels(channels);
+        separation.push(mono);
+        rmsStream.push(mono);
+        timbreStream.push(mono);
+        timelineStream.push(mono);
+        loudnessStream.push(channels);
+        stereoStream.push(channels.slice(0, 2));
+
+        length += channels[0].length;
+        onProgress({
+            stage: 'audio',
+            completed: length / sampleRate,
+            total: Math.max(length, expectedLength) / sampleRate
+        });
+    }
+
+    const features = { duration: length / sampleRate, sampleRate, channelCount: numberOfChannels };
+    let completed = 0;
+
+    const report = (stage) => {
+        completed++;
+        onProgress({ stage, completed, total: ANALYSIS_STAGES.length });
+    };
+
+    // Flushing the separation hands its last samples to the harmonic and percussive streams
+    features.percussiveness = separation.finish().percussiveness;
+    report('separation');
+
+    features.beats = beatStream.finish();
+    features.tempo = features.beats.bpm;
+    report('tempo');
+
+    features.rms = rmsStream.finish();
+    features.loudness = loudnessStream.finish();
+    report('loudness');
+
+    features.stereo = stereoStream.finish();
+    report('stereo');
+
+    features.melody = pitchStream.finish();
+    features.pitch = features.melody.range ? Math.round(features.melody.range.median) : null;
+    report('pitch');
+
+    features.vocals = vocalStream.finish({ melody: features.melody });
+    report('vocals');
+
+    features.timbre = timbreStream.finish();
+    report('timbre');
+
+    features.key = keyStream.finish();
+    report('key');
+
+    features.chords = chordStream.finish({
+        beats: features.beats.beats,
+        beatsPerBar: features.beats.beatsPerBar
+    });
+    report('chords');
+
+    features.mood = extractMood(features.tempo, features.rms, features.key, features.timbre, features.vocals, {
+        loudness: features.loudness,
+        percussiveness: features.percussiveness,
+        chords: features.chords
+    });
+    report('mood');
+
+    features.timeline = timelineStream.finish();
+    report('timeline');
+
+    features.structure = segmentStructure(features.timeline);
+    report('structure');
+
+    return features;
+};
@@ -0,0 +1,145 @@
+import { loadAudioFile } from './audioProcessing';
+import { STREAMING_THRESHOLD_SECONDS, audioBufferChunks, readWavHeader } from './audioStream';
+
+/**
+ * Run the analysis pipeline in a Web Worker
+ * @param {AudioBuffer} audioBuffer - The decoded audio buffer
+ * @param {Object} options
+ * @param {function({ stage: string, completed: number, total: number }): void} options.onProgress - Called after each stage
+ * @param {AbortSignal} options.signal - Aborting terminates the worker and rejects with an AbortError
+ * @returns {Promise<Object>} - Same feature object as analyzeAudioBuffer
+ */
+export const analyzeInWorker = (audioBuffer, options = {}) => {
+    // Copy the channels so the AudioBuffer stays usable on the main thread
+    const channels = [];
+    for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+        channels.push(audioBuffer.getChannelData(i).slice());
+    }
+
+    return runAnalysisWorker(
+        { type: 'analyze', channels, sampleRate: audioBuffer.sampleRate },
+        channels.map(channel => channel.buffer),
+        options
+    );
+};
+
+/**
+ * Run the streaming pipeline in a Web Worker over a decoded buffer, sending
+ * it a chunk at a time. The worker never holds more than one chunk.
+ * @param {AudioBuffer} audioBuffer - The decoded audio buffer
+ * @param {Object} options - See analyzeInWorker; progress follows analyzeAudioStream
+ * @returns {Promise<Object>} - Same feature object as analyzeAudioBuffer
+ */
+export const analyzeStreamInWorker = (audioBuffer, options = {}) => {
+    const { sampleRate, numberOfChannels, length } = audioBuffer;
+    return runAnalysisWorker(
+        { type: 'analyze-stream', sampleRate, numberOfChannels, length },
+        [],
+        { ...options, chunks: audioBufferChunks(audioBuffer) }
+    );
+};
+
+/**
+ * Analyze an audio file, picking the cheapest route for its size. Long WAV
+ * files are read by the worker straight from disk, other long files are
+ * decoded here and streamed to the worker, and everything else is analyzed
+ * in memory.
+ * @param {File} file - The audio file
+ * @param {Object} options - See analyzeInWorker
+ * @returns {Promise<{ features: Object, audioBuffer: AudioBuffer|null }>} - The analyzeAudioBuffer
+ *   feature object, and the decoded audio for playback; null when the file was never decoded whole
+ */
+export const analyzeFileInWorker = async (file, options = {}) => {
+    const wav = await readWavHeader(file);
+    if (wav && wav.duration > STREAMING_THRESHOLD_SECONDS) {
+        const features = await runAnalysisWorker({ type: 'analyze-file', file }, [], options);
+        return { features, audioBuffer: null };
+    }
+
+    const { audioBuffer } = await loadAudioFile(file);
+    const features = audioBuffer.duration > STREAMING_THRESHOLD_SECONDS
+        ? await analyzeStreamInWorker(audioBuffer, options)
+        : await analyzeInWorker(audioBuffer, options);
+    return { features, audioBuffer };
+};
+
+/**
+ * Decode a file for playback only, with the same rule as analyzeFileInWorker:
+ * WAV files long enough to be read from disk in chunks are never decoded whole
+ * @param {File} file - The audio file
+ * @returns {Promise<AudioBuffer|null>}
+ */
+export const loadPlaybackAudio = async (file) => {
+    const wav = await readWavHeader(file);
+    if (wav && wav.duration > STREAMING_THRESHOLD_SECONDS) return null;
+    return (await loadAudioFile(file)).audioBuffer;
+};
+
+function runAnalysisWorker(message, transfer, { onProgress = () => {}, signal, chunks } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const worker = new Worker(new URL('../workers/analysis.worker.js', import.meta.url));
+
+        const cleanUp = () => {
+            worker.terminate();
+            signal?.removeEventListener('abort', handleAbort);
+        };
+
+        // The extractors are synchronous, so the only way to stop one is to kill the worker
+        const handleAbort = () => {
+            cleanUp();
+            reject(createAbortError());
+        };
+
+        // The worker asks for each chunk once it has processed the previous one
+        const sendNextChunk = () => {
+            const { value, done } = chunks.next();
+            if (done) {
+                worker.postMessage({ type: 'stream-end' });
+            } else {
+                worker.postMessage({ type: 'stream-chunk', channels: value }, value.map(channel => channel.buffer));
+            }
+        };
+
+        worker.onmessage = (event) => {
+            const { type, ...data } = event.data;
+            if (type === 'progress') {
+                onProgress(data);
+            } else if (type === 'next-chunk') {
+                sendNextChunk();
+            } else if (type === 'result') {
+                cleanUp();
+                resolve(data.features);
+            } else if (type === 'error') {
+                cleanUp();
+                reject(new Error(data.message));
+            }
+        };
+
+        worker.onerror = (event) => {
+            cleanUp();
+            reject(new Error(event.message || 'Analysis worker failed'));
+        };
+
+        signal?.addEventListener('abort', handleAbort);
+
+        worker.postMessage(message, transfer);
+    });
+}
+
+/**
+ * Whether an error came from an aborted analysis
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+function createAbortError() {
+    const error = new Error('Analysis was cancelled');
+    error.name = 'AbortError';
+    return error;
+}
@@ -1,3 +1,11 @@
+import { averageMagnitudeSpectrum, binFrequencies, createFrameStream, stftFrames } from './fft';
+import { getMonoSignal } from './stereo';
+import { getHarmonicPercussive } from './hpss';
+import { createMfccStream } from './mfcc';
+import { trackBeats } from './beatTracking';
+import { trackPitch } from './pitchTracking';
+import { estimateMood } from './mood';
+
 /**
  * Load an audio file and return the AudioBuffer.
  * @param {File} file - The audio file to load.
@@ -13,6 +21,32 @@ export const loadAudioFile = async (file) => {
     return { audioContext, audioBuffer };
   };
 
+  /**
+   * Wrap raw channel data in an object with the parts of the AudioBuffer
+   * interface the extractors use. Lets analysis run where AudioBuffer is
+   * unavailable, such as inside a Web Worker.
+   * @param {Float32Array[]} channels - Sample data per channel
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {{ sampleRate: number, length: number, duration: number, numberOfChannels: number, getChannelData: function(number): Float32Array }}
+   */
+  export const createAudioData = (channels, sampleRate) => {
+    if (!channels.length) throw new Error("Audio data needs at least one channel");
+  
+    const length = channels[0].length;
+    return {
+        sampleRate,
+        length,
+        duration: length / sampleRate,
+        numberOfChannels: channels.length,
+        getChannelData: (channel) => {
+            if (channel < 0 || channel >= channels.length) {
+                throw new Error(`Channel ${channel} out of range`);
+            }
+            return channels[channel];
+        },
+    };
+  };
+
   /**
    * Extract basic audio features such as duration, sample rate, and channel count.
    * @param {AudioBuffer} audioBuffer - The decoded audio buffer.
@@ -25,135 +59,15 @@ export const loadAudioFile = async (file) => {
   });
   
   /**
-   * Optimized tempo extraction using improved beat detection
+   * Tempo extraction using the beat tracker
    * @param {AudioBuffer} audioBuffer - The decoded audio buffer.
-   * @returns {Promise<number>} - The calculated tempo in BPM.
+   * @returns {Promise<number|null>} - The tempo in BPM, or null when no steady beat was found.
+   *   Use trackBeats for the beat grid, confidence and meter.
    */
   export const extractTempo = async (audioBuffer) => {
-    const sampleRate = audioBuffer.sampleRate;
-    const channelData = audioBuffer.getChannelData(0);
-    
-    // Downsample for faster processing
-    const downsampleFactor = 4;
-    const downsampledLength = Math.floor(channelData.length / downsampleFactor);
-    const downsampledData = new Float32Array(downsampledLength);
-    
-    for (let i = 0; i < downsampledLength; i++) {
-        downsampledData[i] = channelData[i * downsampleFactor];
-    }
-
-    // Calculate signal properties
-    const signalMean = calculateMean(downsampledData);
-    const signalStd = calculateStandardDeviation(downsampledData, signalMean);
-    
-    // Dynamic threshold based on signal statistics
-    const baseThreshold = signalMean + (signalStd * 1.5);
-    
-    // Multiple window sizes for different tempo ranges
-    const windowSizes = [
-        Math.floor(sampleRate / 4 / downsampleFactor),  // For slow tempos (40-80 BPM)
-        Math.floor(sampleRate / 8 / downsampleFactor),  // For medium tempos (80-160 BPM)
-        Math.floor(sampleRate / 16 / downsampleFactor)  // For fast tempos (160-200 BPM)
-    ];
-
-    let bestTempo = 120; // Default tempo
-    let maxConfidence = 0;
-
-    for (const windowSize of windowSizes) {
-        const hopSize = Math.floor(windowSize / 2); // 50% overlap
-        const onsetTimes = detectOnsets(
-            downsampledData,
-            windowSize,
-            hopSize,
-            baseThreshold,
-            sampleRate * downsampleFactor
-        );
-
-        if (onsetTimes.length >= 2) {
-            const { tempo, confidence } = calculateTempoFromOnsets(onsetTimes);
-            
-            if (confidence > maxConfidence) {
-                maxConfidence = confidence;
-                bestTempo = tempo;
-            }
-        }
-    }
-
-    return Math.round(bestTempo);
+    return trackBeats(audioBuffer).bpm;
   };
   
-  /**
-   * Helper function to detect onsets in audio signal
-   */
-  function detectOnsets(signal, windowSize, hopSize, baseThreshold, originalSampleRate) {
-    const onsetTimes = [];
-    const energyHistory = [];
-    const historySize = 43; // Approximately 1 second of history
-    
-    for (let i = 0; i < signal.length - windowSize; i += hopSize) {
-        // Calculate energy in current window
-        let windowEnergy = 0;
-        for (let j = 0; j < windowSize; j++) {
-            windowEnergy += Math.abs(signal[i + j]);
-        }
-        windowEnergy /= windowSize;
-        
-        // Update energy history
-        energyHistory.push(windowEnergy);
-        if (energyHistory.length > historySize) {
-            energyHistory.shift();
-        }
-        
-        // Calculate local threshold
-        const localMean = calculateMean(energyHistory);
-        const localThreshold = Math.max(baseThreshold, localMean * 1.5);
-        
-        // Onset detection with adaptive threshold
-        if (windowEnergy > localThreshold && 
-            windowEnergy > calculateMean(energyHistory.slice(-3)) * 1.2) {
-            onsetTimes.push(i / originalSampleRate);
-        }
-    }
-    
-    return onsetTimes;
-  }
-  
-  /**
-   * Calculate tempo from onset times
-   */
-  function calculateTempoFromOnsets(onsetTimes) {
-    const intervals = [];
-    for (let i = 1; i < onsetTimes.length; i++) {
-        intervals.push(onsetTimes[i] - onsetTimes[i - 1]);
-    }
-    
-    // Group intervals into tempo bins (5 BPM resolution)
-    const tempoBins = new Map();
-    for (const interval of intervals) {
-        const bpm = 60 / interval;
-        if (bpm >= 40 && bpm <= 200) {
-            const roundedBpm = Math.round(bpm / 5) * 5;
-            tempoBins.set(roundedBpm, (tempoBins.get(roundedBpm) || 0) + 1);
-        }
-    }
-    
-    // Find the most common tempo
-    let maxCount = 0;
-    let bestTempo = 120;
-    
-    for (const [tempo, count] of tempoBins) {
-        if (count > maxCount) {
-            maxCount = count;
-            bestTempo = tempo;
-        }
-    }
-    
-    // Calculate confidence based on consistency of intervals
-    const confidence = maxCount / intervals.length;
-    
-    return { tempo: bestTempo, confidence };
-  }
-  
   /**
    * Calculate mean of array
    */
@@ -179,134 +93,61 @@ export const loadAudioFile = async (file) => {
    * @returns {number} - The calculated RMS value.
    */
   export const extractRms = (audioBuffer) => {
-    const channelData = audioBuffer.getChannelData(0);
+    const stream = createRmsStream();
+    stream.push(getMonoSignal(audioBuffer));
+    return stream.finish();
+  };
+
+  /**
+   * Incremental version of extractRms for audio that arrives in chunks
+   * @returns {{ push: function(Float32Array): void, finish: function(): number }}
+   */
+  export const createRmsStream = () => {
     const windowSize = 2048;
     let sum = 0;
     let count = 0;
+    let windowSum = 0;
+    let windowFill = 0;
 
     // Process in windows for better performance
-    for (let i = 0; i < channelData.length; i += windowSize) {
-        let windowSum = 0;
-        const limit = Math.min(i + windowSize, channelData.length);
-        
-        for (let j = i; j < limit; j++) {
-            windowSum += channelData[j] * channelData[j];
+    const push = (channelData) => {
+        for (let i = 0; i < channelData.length; i++) {
+            windowSum += channelData[i] * channelData[i];
+            if (++windowFill === windowSize) {
+                sum += windowSum;
+                count += windowFill;
+                windowSum = 0;
+                windowFill = 0;
+            }
         }
-        
-        sum += windowSum;
-        count += (limit - i);
-    }
+    };
 
-    return Math.sqrt(sum / count);
+    const finish = () => {
+        if (windowFill) {
+            sum += windowSum;
+            count += windowFill;
+        }
+        return Math.sqrt(sum / count);
+    };
+
+    return { push, finish };
   };
   
   /**
-   * Enhanced pitch detection using autocorrelation and multiple analysis windows
+   * Pitch detection using the frame-by-frame melody tracker
    * @param {AudioBuffer} audioBuffer - The decoded audio buffer
-   * @returns {number|null} - The detected pitch in Hz, or null if no clear pitch
+   * @returns {number|null} - Median pitch of the voiced frames in Hz, or null if no clear pitch.
+   *   Use trackPitch for notes, range and register.
    */
   export const extractPitch = (audioBuffer) => {
-    const channelData = audioBuffer.getChannelData(0);
-    const sampleRate = audioBuffer.sampleRate;
-    
-    // Use multiple window sizes for better accuracy across frequency ranges
-    const windowSizes = [2048, 4096];
-    const pitchCandidates = [];
-    
-    // Analyze multiple segments from the audio
-    // eslint-disable-next-line no-unused-vars
-    const numSegments = 3;
-    // eslint-disable-next-line no-unused-vars
-    const segmentLength = Math.floor(channelData.length / numSegments);
-    
-    for (const windowSize of windowSizes) {
-        for (let i = 0; i < numSegments; i++) {
-            const startIndex = Math.floor((channelData.length / numSegments) * i);
-            const segment = channelData.slice(startIndex, startIndex + windowSize);
-            
-            // Apply Hanning window to reduce spectral leakage
-            const windowedSegment = applyHanningWindow(segment);
-            
-            // Get pitch candidate using autocorrelation
-            const { pitch, clarity } = autocorrelationPitch(windowedSegment, sampleRate);
-            
-            if (pitch && clarity > 0.5) { // Only consider results with good clarity
-                pitchCandidates.push({ pitch, clarity });
-            }
-        }
-    }
-    
-    // If we have candidates, return the most confident result
-    if (pitchCandidates.length > 0) {
-        // Sort by clarity and get the median of the top candidates
-        pitchCandidates.sort((a, b) => b.clarity - a.clarity);
-        const topCandidates = pitchCandidates.slice(0, Math.min(5, pitchCandidates.length));
-        const medianPitch = getMedian(topCandidates.map(c => c.pitch));
-        
-        return Math.round(medianPitch);
-    }
-    
-    return null;
+    const { range } = trackPitch(audioBuffer);
+    return range ? Math.round(range.median) : null;
   };
 
-  /**
-   * Apply Hanning window to reduce spectral leakage
-   */
-  function applyHanningWindow(signal) {
-    const windowedSignal = new Float32Array(signal.length);
-    for (let i = 0; i < signal.length; i++) {
-        const multiplier = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (signal.length - 1)));
-        windowedSignal[i] = signal[i] * multiplier;
-    }
-    return windowedSignal;
-  }
-
-  /**
-   * Pitch detection using autocorrelation
-   */
-  function autocorrelationPitch(signal, sampleRate) {
-    const correlations = new Float32Array(signal.length);
-    let maxCorrelation = 0;
-    let maxLag = 0;
-    
-    // Calculate autocorrelation for different lags
-    for (let lag = 0; lag < signal.length; lag++) {
-        let correlation = 0;
-        let signalEnergy = 0;
-        
-        for (let i = 0; i < signal.length - lag; i++) {
-            correlation += signal[i] * signal[i + lag];
-            signalEnergy += signal[i] * signal[i];
-        }
-        
-        // Normalize correlation
-        correlations[lag] = signalEnergy > 0 ? correlation / signalEnergy : 0;
-        
-        // Find the highest correlation after the initial drop
-        if (lag > 20 && correlations[lag] > maxCorrelation) {
-            maxCorrelation = correlations[lag];
-            maxLag = lag;
-        }
-    }
-    
-    // Convert lag to frequency
-    const fundamentalFreq = sampleRate / maxLag;
-    
-    // Calculate clarity measure
-    const clarity = maxCorrelation;
-    
-    // Only return pitch if it's in a reasonable range (20Hz - 2000Hz)
-    if (fundamentalFreq >= 20 && fundamentalFreq <= 2000 && clarity > 0.3) {
-        return { pitch: fundamentalFreq, clarity };
-    }
-    
-    return { pitch: null, clarity: 0 };
-  }
-
   /**
    * Get median value from array
    */
-  function getMedian(values) {
+  export function getMedian(values) {
     const sorted = [...values].sort((a, b) => a - b);
     const middle = Math.floor(sorted.length / 2);
     
@@ -320,52 +161,72 @@ export const loadAudioFile = async (file) => {
   /**
    * Extract timbre features using MFCCs
    * @param {AudioBuffer} audioBuffer - The decoded audio buffer
-   * @returns {Object} - Timbre characteristics including spectralCentroid and mfccs
+   * @param {Object} options - STFT settings
+   * @param {number} options.fftSize - FFT size (power of two)
+   * @param {number} options.hopSize - Samples between STFT frames
+   * @returns {Object} - Timbre characteristics including spectralCentroid, mfccs (per-track mean)
+   *   and mfccSummary (mean, std and covariance of the MFCCs, plus delta and delta-delta statistics)
    */
-  export const extractTimbre = (audioBuffer) => {
-    const channelData = audioBuffer.getChannelData(0);
-    const sampleRate = audioBuffer.sampleRate;
-    const fftSize = 2048;
-    
-    // Analyze multiple segments for temporal evolution
-    const segmentSize = Math.min(sampleRate * 3, channelData.length); // 3-second segments
-    const hopSize = Math.floor(segmentSize / 2); // 50% overlap
-    const segments = [];
-    
-    // Collect segments with overlap
-    for (let i = 0; i < channelData.length - segmentSize; i += hopSize) {
-        segments.push(channelData.slice(i, i + segmentSize));
-    }
-    
-    // Analyze each segment
-    const segmentFeatures = segments.map(segment => analyzeSegment(segment, sampleRate, fftSize));
-    
-    // Pass sampleRate to aggregateTimbreFeatures
-    return aggregateTimbreFeatures(segmentFeatures, sampleRate);
+  export const extractTimbre = (audioBuffer, options = {}) => {
+    const stream = createTimbreStream(audioBuffer.sampleRate, options);
+    stream.push(getMonoSignal(audioBuffer));
+    return stream.finish();
+  };
+
+  /**
+   * Incremental version of extractTimbre for audio that arrives in chunks
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} options - See extractTimbre
+   * @returns {{ push: function(Float32Array): void, finish: function(): Object }} -
+   *   finish returns the extractTimbre result
+   */
+  export const createTimbreStream = (sampleRate, { fftSize = 2048, hopSize = fftSize / 2 } = {}) => {
+    // Analyze overlapping 3-second segments for temporal evolution;
+    // a track shorter than one segment is analyzed as a whole
+    const segmentSize = sampleRate * 3;
+    const segmentFeatures = [];
+    const segments = createFrameStream(segment => {
+        segmentFeatures.push(analyzeSegment(segment, sampleRate, fftSize, hopSize));
+    }, { frameSize: segmentSize, hopSize: Math.max(1, Math.floor(segmentSize / 2)), keepShort: true });
+    
+    // MFCCs are taken per STFT frame rather than per averaged segment spectrum
+    const mfccs = createMfccStream(sampleRate, { fftSize, hopSize });
+
+    const push = (channelData) => {
+        segments.push(channelData);
+        mfccs.push(channelData);
+    };
+
+    const finish = () => {
+        segments.finish();
+        const { summary } = mfccs.finish();
+        return {
+            ...aggregateTimbreFeatures(segmentFeatures, sampleRate),
+            mfccs: summary.mean,
+            mfccSummary: summary
+        };
+    };
+
+    return { push, finish };
   };
 
-  function analyzeSegment(segment, sampleRate, fftSize) {
-    // Apply window function
-    const windowedSignal = applyWindow(segment, 'hanning');
+  function analyzeSegment(segment, sampleRate, fftSize, hopSize) {
+    // Average the windowed STFT frames of the segment into one stable spectrum
+    const spectrum = averageMagnitudeSpectrum(segment, { fftSize, hopSize, sampleRate });
     
     // Calculate basic spectral features
-    const spectralFeatures = calculateSpectralFeatures(windowedSignal, sampleRate, fftSize);
-    
-    // Calculate MFCCs
-    const mfccs = calculateEnhancedMFCCs(windowedSignal, sampleRate, fftSize);
+    const spectralFeatures = calculateSpectralFeatures(spectrum, sampleRate, fftSize);
     
     // Calculate additional features
-    const harmonicFeatures = calculateHarmonicFeatures(windowedSignal, sampleRate, fftSize);
+    const harmonicFeatures = calculateHarmonicFeatures(spectrum, sampleRate, fftSize);
     
     return {
         ...spectralFeatures,
-        mfccs,
         ...harmonicFeatures
     };
   }
 
-  function calculateSpectralFeatures(signal, sampleRate, fftSize) {
-    const magnitudes = calculateMagnitudeSpectrum(signal, fftSize);
+  function calculateSpectralFeatures(magnitudes, sampleRate, fftSize) {
     const frequencies = createFrequencyArray(fftSize, sampleRate);
     
     // Spectral centroid (brightness)
@@ -388,15 +249,15 @@ export const loadAudioFile = async (file) => {
     };
   }
 
-  function calculateHarmonicFeatures(signal, sampleRate, fftSize) {
+  function calculateHarmonicFeatures(spectrum, sampleRate, fftSize) {
     // Enhanced harmonic ratio calculation
-    const harmonicRatio = calculateEnhancedHarmonicRatio(signal, sampleRate, fftSize);
+    const harmonicRatio = calculateEnhancedHarmonicRatio(spectrum, sampleRate, fftSize);
     
     // Inharmonicity measure
-    const inharmonicity = calculateInharmonicity(signal, sampleRate, fftSize);
+    const inharmonicity = calculateInharmonicity(spectrum, sampleRate, fftSize);
     
     // Spectral peaks analysis
-    const peakFeatures = analyzeSpectralPeaks(signal, sampleRate, fftSize);
+    const peakFeatures = analyzeSpectralPeaks(spectrum);
     
     return {
         harmonicContent: harmonicRatio,
@@ -411,15 +272,16 @@ export const loadAudioFile = async (file) => {
     const featureNames = Object.keys(segmentFeatures[0]);
     
     for (const feature of featureNames) {
-        if (Array.isArray(segmentFeatures[0][feature])) {
+        if (Array.isArray(segmentFeatures[0][feature]) || ArrayBuffer.isView(segmentFeatures[0][feature])) {
             // For array features (like MFCCs), take the mean
             features[feature] = averageArrays(segmentFeatures.map(s => s[feature]));
         } else {
             // For scalar features, calculate statistics
             const values = segmentFeatures.map(s => s[feature]);
+            const mean = calculateMean(values);
             features[feature] = {
-                mean: calculateMean(values),
-                std: calculateStandardDeviation(values),
+                mean,
+                std: calculateStandardDeviation(values, mean),
                 max: Math.max(...values),
                 min: Math.min(...values)
             };
@@ -435,7 +297,6 @@ export const loadAudioFile = async (file) => {
         harmonicContent: features.harmonicContent.mean,
         brightness: features.spectralRolloff.mean / (sampleRate/2),
         roughness: features.spectralFlatness.mean,
-        mfccs: features.mfccs,
         temporalVariation: calculateTemporalVariation(features)
     };
   }
@@ -444,67 +305,186 @@ export const loadAudioFile = async (file) => {
   // (I can provide these if you want to implement any specific one)
   
   /**
-   * Extract musical key and scale from audio
+   * Extract musical key and scale from audio, following modulations
    * @param {AudioBuffer} audioBuffer - The decoded audio buffer
-   * @returns {Object} - Key information including root note and scale type
+   * @param {Object} options
+   * @param {number} options.fftSize - FFT size for the chromagram (power of two)
+   * @param {number} options.hopSize - Samples between STFT frames
+   * @param {number} options.blockDuration - Seconds per key-map step
+   * @param {number} options.windowDuration - Seconds of audio each step's key estimate looks at
+   * @returns {Object} - Global key information (root, scale, rootNote, confidence, correlation) plus
+   *   candidates: all keys ranked by correlation with the whole track (first is the global key),
+   *   regions: [{ start, end, root, scale, rootNote, confidence, correlation }] in time order,
+   *   modulations: number of key changes
    */
-  export const extractKey = (audioBuffer) => {
-    const channelData = audioBuffer.getChannelData(0);
-    const sampleRate = audioBuffer.sampleRate;
-    
-    // Take multiple segments from different parts of the song
-    const segmentDuration = 5; // 5 seconds per segment
-    const segmentLength = Math.min(sampleRate * segmentDuration, channelData.length);
-    const numSegments = Math.min(5, Math.floor(channelData.length / segmentLength));
-    const segmentResults = [];
-    
-    for (let i = 0; i < numSegments; i++) {
-        const startIndex = Math.floor((channelData.length - segmentLength) * (i / (numSegments - 1)));
-        const segment = channelData.slice(startIndex, startIndex + segmentLength);
-        const chromagram = calculateChromagram(segment, sampleRate);
-        const keyResult = detectKey(chromagram);
-        segmentResults.push(keyResult);
-    }
-    
-    return combineKeyResults(segmentResults);
+  export const extractKey = (audioBuffer, options = {}) => {
+    // Drums smear the chroma, so the key is read from the harmonic part
+    const stream = createKeyStream(audioBuffer.sampleRate, options);
+    stream.push(getHarmonicPercussive(audioBuffer).harmonic);
+    return stream.finish();
   };
 
-  function calculateChromagram(signal, sampleRate) {
-    const fftSize = 4096;
-    const hopSize = Math.floor(fftSize / 4);
-    const chromagram = new Array(12).fill(0);
+  /**
+   * Incremental version of extractKey. Push the harmonic part of the track.
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} options - See extractKey
+   * @returns {{ push: function(Float32Array): void, finish: function(): Object }} -
+   *   finish returns the extractKey result
+   */
+  export const createKeyStream = (sampleRate, { fftSize = 4096, hopSize = fftSize / 4, blockDuration = 2, windowDuration = 8 } = {}) => {
+    const blockLength = Math.max(fftSize, Math.round(blockDuration * sampleRate));
+    let length = 0;
+    
+    // Chroma for consecutive blocks of the track
+    const blocks = [];
+    const blockStream = createFrameStream(block => {
+        blocks.push(calculateChromagram(block, sampleRate, fftSize, hopSize));
+    }, { frameSize: blockLength, keepTail: true, keepShort: true });
+
+    const push = (channelData) => {
+        length += channelData.length;
+        blockStream.push(channelData);
+    };
+
+    const finish = () => {
+        blockStream.finish();
+        const duration = length / sampleRate;
+
+        // Score every key over a window of blocks around each step
+        const radius = Math.max(0, Math.round(windowDuration / blockDuration / 2));
+        const windowScores = blocks.map((_, i) => scoreAllKeys(sumChromagrams(blocks.slice(Math.max(0, i - radius), i + radius + 1))));
+        
+        // Smooth the per-step estimates into regions, only changing key when it pays off
+        const path = findBestStatePath(windowScores, MODULATION_PENALTY);
+        const blockSeconds = blockLength / sampleRate;
+        const regions = [];
+        path.forEach((keyIndex, i) => {
+            const last = regions[regions.length - 1];
+            if (last && last.keyIndex === keyIndex) {
+                last.end = Math.min(duration, (i + 1) * blockSeconds);
+                last.scores.push(windowScores[i][keyIndex]);
+            } else {
+                regions.push({ keyIndex, start: i * blockSeconds, end: Math.min(duration, (i + 1) * blockSeconds), scores: [windowScores[i][keyIndex]] });
+            }
+        });
+        
+        // Global ranking from the chroma of the whole track
+        const globalScores = scoreAllKeys(sumChromagrams(blocks));
+        const candidates = Array.from(globalScores.keys())
+            .sort((a, b) => globalScores[b] - globalScores[a])
+            .map(keyIndex => describeKey(keyIndex, globalScores[keyIndex]));
+        
+        return {
+            ...candidates[0],
+            candidates,
+            regions: regions.map(({ keyIndex, start, end, scores }) => ({
+                start,
+                end,
+                ...describeKey(keyIndex, calculateMean(scores))
+            })),
+            modulations: regions.length - 1
+        };
+    };
+
+    return { push, finish };
+  };
+
+  // Cost of a key change on the correlation scale; roughly four steps of clearly better fit
+  const MODULATION_PENALTY = 1;
+
+  /**
+   * Key index layout: root * 2 + (0 for major, 1 for minor)
+   */
+  function describeKey(keyIndex, correlation) {
+    const root = Math.floor(keyIndex / 2);
+    return {
+        root,
+        scale: keyIndex % 2 === 0 ? 'major' : 'minor',
+        confidence: Math.max(0.3, Math.min(1, correlation)),
+        correlation,
+        rootNote: NOTE_NAMES[root]
+    };
+  }
+
+  function scoreAllKeys(chromagram) {
+    const scores = new Float64Array(24);
+    for (let root = 0; root < 12; root++) {
+        // Silent windows have no chroma and correlate with nothing
+        scores[root * 2] = correlateProfiles(chromagram, MAJOR_PROFILE, root) || 0;
+        scores[root * 2 + 1] = correlateProfiles(chromagram, MINOR_PROFILE, root) || 0;
+    }
+    return scores;
+  }
+
+  function sumChromagrams(chromagrams) {
+    const sum = new Array(12).fill(0);
+    chromagrams.forEach(chromagram => chromagram.forEach((value, i) => { sum[i] += value; }));
+    return sum;
+  }
+
+  /**
+   * Viterbi path through a sequence of per-step state scores where staying in
+   * a state is free and switching to another costs switchPenalty
+   * @param {ArrayLike<number>[]} stepScores - Score of every state at every step
+   * @param {number} switchPenalty - Cost of changing state, on the score scale
+   * @returns {number[]} - Best state index per step
+   */
+  export function findBestStatePath(stepScores, switchPenalty) {
+    const steps = stepScores.length;
+    if (!steps) return [];
+    
+    const stateCount = stepScores[0].length;
+    const backlinks = [];
+    let previous = Float64Array.from(stepScores[0]);
+    
+    for (let t = 1; t < steps; t++) {
+        let bestPrevious = 0;
+        for (let k = 1; k < stateCount; k++) {
+            if (previous[k] > previous[bestPrevious]) bestPrevious = k;
+        }
+        
+        const switchScore = previous[bestPrevious] - switchPenalty;
+        const current = new Float64Array(stateCount);
+        const links = new Int32Array(stateCount);
+        for (let k = 0; k < stateCount; k++) {
+            if (previous[k] >= switchScore) {
+                current[k] = previous[k] + stepScores[t][k];
+                links[k] = k;
+            } else {
+                current[k] = switchScore + stepScores[t][k];
+                links[k] = bestPrevious;
+            }
+        }
+        backlinks.push(links);
+        previous = current;
+    }
     
-    // Create Hanning window
-    const window = new Float32Array(fftSize);
-    for (let i = 0; i < fftSize; i++) {
-        window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / fftSize));
+    let state = 0;
+    for (let k = 1; k < stateCount; k++) {
+        if (previous[k] > previous[state]) state = k;
     }
     
+    const path = new Array(steps);
+    path[steps - 1] = state;
+    for (let t = steps - 1; t > 0; t--) {
+        state = backlinks[t - 1][state];
+        path[t - 1] = state;
+    }
+    return path;
+  }
+
+  function calculateChromagram(signal, sampleRate, fftSize = 4096, hopSize = fftSize / 4) {
+    const chromagram = new Array(12).fill(0);
+    const pitchClasses = createPitchClassMap(fftSize, sampleRate);
     let totalMagnitude = 0;
     
-    // Process signal in overlapping windows
-    for (let i = 0; i < signal.length - fftSize; i += hopSize) {
-        const chunk = signal.slice(i, i + fftSize);
-        
-        // Apply window and compute magnitudes
-        const magnitudes = new Float32Array(fftSize/2);
-        for (let j = 0; j < fftSize; j++) {
-            const windowedSample = chunk[j] * window[j];
-            if (j < fftSize/2) {
-                magnitudes[j] = Math.abs(windowedSample);
-            }
-        }
-        
-        // Map frequencies to pitch classes
-        for (let j = 0; j < fftSize/2; j++) {
-            const frequency = (j * sampleRate) / fftSize;
-            if (frequency > 27.5 && frequency < 4186) { // Piano range A0 to C8
-                const midiNote = 12 * Math.log2(frequency/440) + 69;
-                const pitchClass = Math.round(midiNote) % 12;
-                const magnitude = magnitudes[j];
-                
-                chromagram[pitchClass] += magnitude;
-                totalMagnitude += magnitude;
+    // Accumulate the magnitude of every STFT frame into pitch classes
+    for (const { magnitudes } of stftFrames(signal, { fftSize, hopSize, sampleRate })) {
+        for (let j = 0; j < pitchClasses.length; j++) {
+            const pitchClass = pitchClasses[j];
+            if (pitchClass >= 0) {
+                chromagram[pitchClass] += magnitudes[j];
+                totalMagnitude += magnitudes[j];
             }
         }
     }
@@ -519,65 +499,38 @@ export const loadAudioFile = async (file) => {
     return chromagram;
   }
 
-  function detectKey(chromagram) {
-    let maxCorrelation = -1;
-    let bestKey = 0;
-    let bestScale = 'major';
-    
-    // Test all possible keys
-    for (let root = 0; root < 12; root++) {
-        const majorCorr = correlateProfiles(chromagram, MAJOR_PROFILE, root);
-        const minorCorr = correlateProfiles(chromagram, MINOR_PROFILE, root);
-        
-        if (majorCorr > maxCorrelation) {
-            maxCorrelation = majorCorr;
-            bestKey = root;
-            bestScale = 'major';
-        }
-        
-        if (minorCorr > maxCorrelation) {
-            maxCorrelation = minorCorr;
-            bestKey = root;
-            bestScale = 'minor';
+  /**
+   * Map each FFT bin to its pitch class (-1 outside the piano range)
+   */
+  export function createPitchClassMap(fftSize, sampleRate) {
+    const frequencies = binFrequencies(fftSize, sampleRate);
+    const pitchClasses = new Int8Array(frequencies.length);
+    
+    for (let j = 0; j < frequencies.length; j++) {
+        const frequency = frequencies[j];
+        if (frequency > 27.5 && frequency < 4186) { // Piano range A0 to C8
+            const midiNote = 12 * Math.log2(frequency/440) + 69;
+            pitchClasses[j] = Math.round(midiNote) % 12;
+        } else {
+            pitchClasses[j] = -1;
         }
     }
     
-    // Calculate confidence based on correlation strength
-    const confidence = Math.max(0.3, Math.min(1, maxCorrelation));
-    
-    return {
-        root: bestKey,
-        scale: bestScale,
-        confidence: confidence,
-        correlation: maxCorrelation,
-        rootNote: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'][bestKey]
-    };
+    return pitchClasses;
   }
 
-  function combineKeyResults(results) {
-    // Count occurrences of each key
-    const keyCount = new Map();
-    let maxCount = 0;
-    let bestResult = null;
-    
-    results.forEach(result => {
-        const key = `${result.rootNote}${result.scale}`;
-        const count = (keyCount.get(key) || 0) + 1;
-        keyCount.set(key, count);
-        
-        if (count > maxCount || (count === maxCount && result.correlation > (bestResult?.correlation || 0))) {
-            maxCount = count;
-            bestResult = result;
-        }
-    });
-    
-    // Calculate overall confidence
-    const confidence = Math.min(maxCount / results.length + bestResult.confidence, 1);
-    
-    return {
-        ...bestResult,
-        confidence: confidence
-    };
+  /**
+   * Key of a single chromagram
+   * @param {number[]} chromagram - Energy per pitch class, C first
+   * @returns {Object} - Best key (root, scale, rootNote, confidence, correlation) plus
+   *   candidates: all keys ranked by correlation, as extractKey gives them
+   */
+  export function detectKey(chromagram) {
+    const scores = scoreAllKeys(chromagram);
+    const candidates = Array.from(scores.keys())
+        .sort((a, b) => scores[b] - scores[a])
+        .map(keyIndex => describeKey(keyIndex, scores[keyIndex]));
+    return { ...candidates[0], candidates };
   }
 
   function correlateProfiles(chroma, profile, root) {
@@ -598,95 +551,31 @@ export const loadAudioFile = async (file) => {
   }
   
   /**
-   * Extract mood features from audio
-   * @param {number} tempo - Tempo in BPM
+   * Extract mood features from audio. See estimateMood for the model; the
+   * context inputs are optional and sharpen the estimate when present.
+   * @param {number|null} tempo - Tempo in BPM
    * @param {number} rms - Loudness (RMS)
    * @param {Object} key - Key information
    * @param {Object} timbre - Timbre characteristics
-   * @returns {Object} - Mood characteristics
+   * @param {Object|null} vocals - Result of detectVocals, when known
+   * @param {Object} context
+   * @param {Object} context.loudness - Result of measureLoudness
+   * @param {number} context.percussiveness - Share of percussive energy from the HPSS front-end
+   * @param {Object} context.chords - Result of recognizeChords
+   * @returns {Object} - Arousal, valence, tension, a circumplex label with its confidence and the runner-up labels
    */
-  export const extractMood = (tempo, rms, key, timbre) => {
-    // Energy calculation (based on tempo and loudness)
-    const normalizedTempo = Math.min(Math.max((tempo - 40) / (200 - 40), 0), 1);
-    const normalizedLoudness = Math.min(rms * 2, 1);
-    const energy = (normalizedTempo * 0.6 + normalizedLoudness * 0.4);
-
-    // Valence calculation (based on key and timbre)
-    const isMinor = key.scale === 'minor';
-    const harmonicFactor = timbre.harmonicContent;
-    const valence = calculateValence(isMinor, harmonicFactor, key.confidence);
-
-    // Mood classification
-    const mood = classifyMood(energy, valence);
-
-    return {
-        energy,        // 0 to 1 (low to high energy)
-        valence,       // 0 to 1 (negative to positive)
-        primary: mood, // Primary mood category
-        intensity: (energy + valence) / 2 // Overall mood intensity
-    };
-  };
-
-  function calculateValence(isMinor, harmonicContent, keyConfidence) {
-    // Base valence: minor keys tend towards negative, major towards positive
-    let valence = isMinor ? 0.35 : 0.65;
-    
-    // Adjust based on harmonic content (more harmonic = more positive)
-    valence += (harmonicContent - 0.5) * 0.2;
-    
-    // Weight by key confidence
-    valence = valence * keyConfidence;
-    
-    return Math.min(Math.max(valence, 0), 1);
-  }
-
-  function classifyMood(energy, valence) {
-    if (energy > 0.67) {
-        return valence > 0.5 ? 'Energetic/Happy' : 'Aggressive/Intense';
-    } else if (energy > 0.33) {
-        return valence > 0.5 ? 'Cheerful/Positive' : 'Melancholic/Tense';
-    } else {
-        return valence > 0.5 ? 'Peaceful/Calm' : 'Sad/Depressed';
-    }
-  }
+  export const extractMood = (tempo, rms, key, timbre, vocals = null, { loudness = null, percussiveness = null, chords = null } = {}) => (
+    estimateMood({ tempo, rms, key, timbre, vocals, loudness, percussiveness, chords })
+  );
   
+  const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
   // Key profiles from Krumhansl-Schmuckler key-finding algorithm
   const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
   const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
   
-  function applyWindow(signal, windowType = 'hanning') {
-    const windowedSignal = new Float32Array(signal.length);
-    for (let i = 0; i < signal.length; i++) {
-        let multiplier;
-        switch (windowType) {
-            case 'hanning':
-                multiplier = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (signal.length - 1)));
-                break;
-            case 'hamming':
-                multiplier = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (signal.length - 1));
-                break;
-            default:
-                multiplier = 1;
-        }
-        windowedSignal[i] = signal[i] * multiplier;
-    }
-    return windowedSignal;
-  }
-
-  function calculateMagnitudeSpectrum(signal, fftSize) {
-    const magnitudes = new Float32Array(fftSize/2);
-    for (let i = 0; i < fftSize/2; i++) {
-        magnitudes[i] = Math.abs(signal[i]);
-    }
-    return magnitudes;
-  }
-
   export function createFrequencyArray(fftSize, sampleRate) {
-    const frequencies = new Float32Array(fftSize/2);
-    for (let i = 0; i < fftSize/2; i++) {
-        frequencies[i] = (i * sampleRate) / fftSize;
-    }
-    return frequencies;
+    return binFrequencies(fftSize, sampleRate);
   }
 
   export function calculateSpectralCentroid(magnitudes, frequencies) {
@@ -743,8 +632,7 @@ export const loadAudioFile = async (file) => {
     return frequencies[frequencies.length - 1];
   }
 
-  export function calculateEnhancedHarmonicRatio(signal, sampleRate, fftSize) {
-    const spectrum = calculateMagnitudeSpectrum(signal, fftSize);
+  export function calculateEnhancedHarmonicRatio(spectrum, sampleRate, fftSize) {
     let harmonicEnergy = 0;
     let totalEnergy = 0;
     
@@ -761,8 +649,7 @@ export const loadAudioFile = async (file) => {
     return totalEnergy > 0 ? harmonicEnergy / totalEnergy : 0;
   }
 
-  export function calculateInharmonicity(signal, sampleRate, fftSize) {
-    const spectrum = calculateMagnitudeSpectrum(signal, fftSize);
+  export function calculateInharmonicity(spectrum, sampleRate, fftSize) {
     let inharmonicity = 0;
     let totalEnergy = 0;
     
@@ -776,8 +663,7 @@ export const loadAudioFile = async (file) => {
     return totalEnergy > 0 ? inharmonicity / totalEnergy : 0;
   }
 
-  export function analyzeSpectralPeaks(signal, sampleRate, fftSize) {
-    const spectrum = calculateMagnitudeSpectrum(signal, fftSize);
+  export function analyzeSpectralPeaks(spectrum) {
     const peaks = findSpectralPeaks(spectrum);
     
     return {
@@ -816,25 +702,6 @@ export const loadAudioFile = async (file) => {
   }
 
   // Additional utility functions
-  function createMelFilterbank(fftSize, sampleRate, numFilters) {
-    const filters = Array(numFilters).fill().map(() => new Float32Array(fftSize));
-    const melMax = 2595 * Math.log10(1 + sampleRate/2/700);
-    const melDelta = melMax / (numFilters + 1);
-    
-    for (let i = 0; i < numFilters; i++) {
-        const melCenter = (i + 1) * melDelta;
-        const freqCenter = 700 * (Math.pow(10, melCenter/2595) - 1);
-        
-        for (let j = 0; j < fftSize; j++) {
-            const freq = (j * sampleRate) / (2 * fftSize);
-            const response = Math.exp(-Math.pow(freq - freqCenter, 2) / (2 * Math.pow(melDelta, 2)));
-            filters[i][j] = response;
-        }
-    }
-    
-    return filters;
-  }
-
   function isHarmonicFrequency(frequency, tolerance = 0.1) {
     const fundamental = 440; // A4 as reference
     const harmonic = Math.round(frequency / fundamental);
@@ -849,10 +716,16 @@ export const loadAudioFile = async (file) => {
 
   function findSpectralPeaks(spectrum, threshold = 0.1) {
     const peaks = [];
+    let maxMagnitude = 0;
+    for (let i = 0; i < spectrum.length; i++) {
+        if (spectrum[i] > maxMagnitude) maxMagnitude = spectrum[i];
+    }
+    const minMagnitude = threshold * maxMagnitude;
+    
     for (let i = 1; i < spectrum.length - 1; i++) {
         if (spectrum[i] > spectrum[i-1] && 
             spectrum[i] > spectrum[i+1] && 
-            spectrum[i] > threshold * Math.max(...spectrum)) {
+            spectrum[i] > minMagnitude) {
             peaks.push({ index: i, magnitude: spectrum[i] });
         }
     }
@@ -881,24 +754,6 @@ export const loadAudioFile = async (file) => {
     return totalProminence / peaks.length;
   }
 
-  function calculateEnhancedMFCCs(signal, sampleRate, fftSize) {
-    const numCoefficients = 13;
-    const melFilters = createMelFilterbank(fftSize/2, sampleRate, numCoefficients);
-    const spectrum = calculateMagnitudeSpectrum(signal, fftSize);
-    
-    // Apply mel filterbank
-    const melEnergies = new Float32Array(numCoefficients);
-    for (let i = 0; i < numCoefficients; i++) {
-        let sum = 0;
-        for (let j = 0; j < fftSize/2; j++) {
-            sum += spectrum[j] * melFilters[i][j];
-        }
-        melEnergies[i] = Math.log(sum + 1e-6);
-    }
-    
-    return melEnergies;
-  }
-
   function calculateTimbreComplexity(features) {
     // Combine multiple features to estimate overall complexity
     const spectralComplexity = features.spectralSpread.std / features.spectralSpread.mean;
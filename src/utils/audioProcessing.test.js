@@ -0,0 +1,42 @@
+import { extractKey, detectKey } from './audioProcessing';
+import { audioBufferOf, chord, concat } from './__fixtures__/signals';
+
+// I-IV-V-I in a key, two chords a second
+const cadence = (root) => concat(...[[0, 4, 7], [5, 9, 12], [7, 11, 14], [0, 4, 7]].map(chordNotes => chord(chordNotes.map(note => 60 + root + note), 0.5)));
+
+describe('detectKey', () => {
+    test('reads the key of a chromagram', () => {
+        // C major scale, tonic triad weighted
+        const chroma = [3, 0, 1, 0, 2, 1, 0, 2, 0, 1, 0, 1];
+        expect(detectKey(chroma)).toMatchObject({ rootNote: 'C', scale: 'major' });
+    });
+
+    test('ranks every key, best first', () => {
+        const { candidates, ...key } = detectKey([3, 0, 1, 0, 2, 1, 0, 2, 0, 1, 0, 1]);
+        expect(candidates).toHaveLength(24);
+        expect(candidates[0]).toEqual(key);
+        candidates.slice(1).forEach((candidate, i) => expect(candidate.correlation).toBeLessThanOrEqual(candidates[i].correlation));
+    });
+
+    test('falls back to C major at the lowest confidence for silence', () => {
+        expect(detectKey(new Array(12).fill(0))).toMatchObject({ rootNote: 'C', scale: 'major', confidence: 0.3 });
+    });
+});
+
+describe('extractKey', () => {
+    test('finds the key of a cadence', () => {
+        const key = extractKey(audioBufferOf(concat(...Array(4).fill(cadence(0)))));
+        expect(key).toMatchObject({ rootNote: 'C', scale: 'major', modulations: 0 });
+        expect(key.candidates).toHaveLength(24);
+        expect(key.candidates[0].correlation).toBeGreaterThanOrEqual(key.candidates[1].correlation);
+    });
+
+    test('follows a modulation into a key region map', () => {
+        const key = extractKey(audioBufferOf(concat(...Array(4).fill(cadence(0)), ...Array(4).fill(cadence(6)))), { blockDuration: 1, windowDuration: 4 });
+        expect(key.modulations).toBe(1);
+        expect(key.regions.map(region => `${region.rootNote} ${region.scale}`)).toEqual(['C major', 'F# major']);
+        expect(key.regions[0].start).toBe(0);
+        expect(key.regions[1].end).toBeCloseTo(16);
+        expect(Math.abs(key.regions[1].start - 8)).toBeLessThanOrEqual(1);
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * Chunked audio sources for analyzeAudioStream. WAV files are read straight
+ * from disk a few seconds at a time, so even hour-long recordings never sit
+ * in memory whole. Other formats need the browser's decoder, which only
+ * works on complete files; their decoded buffer can still be handed on in chunks.
+ */
+
+/**
+ * Tracks longer than this are analyzed as a stream
+ */
+export const STREAMING_THRESHOLD_SECONDS = 15 * 60;
+
+const DEFAULT_CHUNK_SECONDS = 10;
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Read the format and data location of a WAV file without loading its samples
+ * @param {Blob} file - The file to inspect
+ * @returns {Promise<Object|null>} - {
+ *   sampleRate, numberOfChannels, length, duration,
+ *   encoding: 'pcm'|'float', bitsPerSample, blockAlign, dataOffset, dataLength
+ * }, or null when the file is not a WAV file with PCM or float samples
+ */
+export const readWavHeader = async (file) => {
+    const riff = await readView(file, 0, 12);
+    if (riff.byteLength < 12 || readTag(riff, 0) !== 'RIFF' || readTag(riff, 8) !== 'WAVE') return null;
+
+    let format = null;
+    let offset = 12;
+
+    // Walk the chunk list; metadata chunks before 'data' can be large, so only headers are read
+    while (offset + 8 <= file.size) {
+        const chunk = await readView(file, offset, 8);
+        const id = readTag(chunk, 0);
+        const size = chunk.getUint32(4, true);
+        const bodyOffset = offset + 8;
+
+        if (id === 'fmt ') {
+            format = parseFormat(await readView(file, bodyOffset, Math.min(size, 40)));
+            if (!format) return null;
+        } else if (id === 'data') {
+            if (!format) return null;
+
+            // Streamed recordings leave the size at 0 or 0xFFFFFFFF; take the rest of the file
+            const available = file.size - bodyOffset;
+            const declared = size && size !== 0xffffffff ? size : available;
+            const dataLength = Math.min(declared, available);
+            const length = Math.floor(dataLength / format.blockAlign);
+
+            return {
+                ...format,
+                dataOffset: bodyOffset,
+                dataLength,
+                length,
+                duration: length / format.sampleRate
+            };
+        }
+
+        // Chunks are padded to an even size
+        offset = bodyOffset + size + (size % 2);
+    }
+
+    return null;
+};
+
+/**
+ * Read the samples of a WAV file in chunks
+ * @param {Blob} file - The WAV file
+ * @param {Object} options
+ * @param {number} options.chunkDuration - Seconds per chunk
+ * @param {Object} options.header - Result of readWavHeader, if already read
+ * @yields {Float32Array[]} - Samples per channel, scaled to -1..1
+ */
+export async function* readWavChunks(file, { chunkDuration = DEFAULT_CHUNK_SECONDS, header = null } = {}) {
+    const wav = header || await readWavHeader(file);
+    if (!wav) throw new Error('Not a PCM or floating-point WAV file');
+
+    const { numberOfChannels, blockAlign, dataOffset, length } = wav;
+    const readSample = createSampleReader(wav);
+    const bytesPerSample = wav.bitsPerSample / 8;
+    const chunkFrames = Math.max(1, Math.round(chunkDuration * wav.sampleRate));
+
+    for (let start = 0; start < length; start += chunkFrames) {
+        const frames = Math.min(chunkFrames, length - start);
+        const view = await readView(file, dataOffset + start * blockAlign, frames * blockAlign);
+        const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(frames));
+
+        for (let i = 0; i < frames; i++) {
+            const frameOffset = i * blockAlign;
+            for (let c = 0; c < numberOfChannels; c++) {
+                channels[c][i] = readSample(view, frameOffset + c * bytesPerSample);
+            }
+        }
+
+        yield channels;
+    }
+}
+
+/**
+ * Split a decoded buffer into chunks. Every chunk is a copy, so it can be
+ * transferred to a worker without detaching the buffer's own data.
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {Object} options
+ * @param {number} options.chunkDuration - Seconds per chunk
+ * @yields {Float32Array[]} - Samples per channel
+ */
+export function* audioBufferChunks(audioBuffer, { chunkDuration = DEFAULT_CHUNK_SECONDS } = {}) {
+    const chunkFrames = Math.max(1, Math.round(chunkDuration * audioBuffer.sampleRate));
+
+    for (let start = 0; start < audioBuffer.length; start += chunkFrames) {
+        const end = Math.min(audioBuffer.length, start + chunkFrames);
+        const channels = [];
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c).slice(start, end));
+        }
+        yield channels;
+    }
+}
+
+async function readView(file, offset, length) {
+    return new DataView(await file.slice(offset, offset + length).arrayBuffer());
+}
+
+function readTag(view, offset) {
+    return String.fromCharCode(...[0, 1, 2, 3].map(i => view.getUint8(offset + i)));
+}
+
+/**
+ * Parse a 'fmt ' chunk body, resolving WAVE_FORMAT_EXTENSIBLE to its subformat
+ */
+function parseFormat(view) {
+    if (view.byteLength < 16) return null;
+
+    let formatTag = view.getUint16(0, true);
+    const numberOfChannels = view.getUint16(2, true);
+    const sampleRate = view.getUint32(4, true);
+    const blockAlign = view.getUint16(12, true);
+    const bitsPerSample = view.getUint16(14, true);
+
+    // The subformat GUID starts with the plain format tag
+    if (formatTag === WAVE_FORMAT_EXTENSIBLE) {
+        if (view.byteLength < 26) return null;
+        formatTag = view.getUint16(24, true);
+    }
+
+    const encoding = {
+        [WAVE_FORMAT_PCM]: [8, 16, 24, 32].includes(bitsPerSample) ? 'pcm' : null,
+        [WAVE_FORMAT_IEEE_FLOAT]: [32, 64].includes(bitsPerSample) ? 'float' : null
+    }[formatTag];
+
+    if (!encoding || !numberOfChannels || !sampleRate || blockAlign < numberOfChannels * (bitsPerSample / 8)) return null;
+
+    return { encoding, numberOfChannels, sampleRate, blockAlign, bitsPerSample };
+}
+
+function createSampleReader({ encoding, bitsPerSample }) {
+    if (encoding === 'float') {
+        return bitsPerSample === 64
+            ? (view, offset) => view.getFloat64(offset, true)
+            : (view, offset) => view.getFloat32(offset, true);
+    }
+
+    switch (bitsPerSample) {
+        case 8:
+            // 8-bit WAV is unsigned
+            return (view, offset) => (view.getUint8(offset) - 128) / 128;
+        case 16:
+            return (view, offset) => view.getInt16(offset, true) / 32768;
+        case 24:
+            return (view, offset) => {
+                const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+                return value / 8388608;
+            };
+        default:
+            return (view, offset) => view.getInt32(offset, true) / 2147483648;
+    }
+}
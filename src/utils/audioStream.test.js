@@ -0,0 +1,81 @@
+import { readWavHeader, readWavChunks, audioBufferChunks } from './audioStream';
+import { analyzeAudioBuffer, analyzeAudioStream } from './analysisPipeline';
+import { audioBufferOf, chord, clicks, concat, mix, sine, SAMPLE_RATE } from './__fixtures__/signals';
+
+/**
+ * 16-bit PCM WAV bytes, with a metadata chunk before the samples as many editors write
+ */
+const encodeWav = (channels, sampleRate) => {
+    const frames = channels[0].length;
+    const blockAlign = channels.length * 2;
+    const list = [...'INFOISFT\x04\x00\x00\x00test'].map(char => char.charCodeAt(0));
+    const bytes = new DataView(new ArrayBuffer(44 + 8 + list.length + frames * blockAlign));
+    let offset = 0;
+    const tag = (text) => [...text].forEach(char => bytes.setUint8(offset++, char.charCodeAt(0)));
+    const uint32 = (value) => { bytes.setUint32(offset, value, true); offset += 4; };
+    const uint16 = (value) => { bytes.setUint16(offset, value, true); offset += 2; };
+
+    tag('RIFF'); uint32(bytes.byteLength - 8); tag('WAVE');
+    tag('LIST'); uint32(list.length); list.forEach(byte => bytes.setUint8(offset++, byte));
+    tag('fmt '); uint32(16); uint16(1); uint16(channels.length); uint32(sampleRate);
+    uint32(sampleRate * blockAlign); uint16(blockAlign); uint16(16);
+    tag('data'); uint32(frames * blockAlign);
+    for (let i = 0; i < frames; i++) {
+        for (let c = 0; c < channels.length; c++) {
+            bytes.setInt16(offset, Math.max(-32768, Math.min(32767, Math.round(channels[c][i] * 32768))), true);
+            offset += 2;
+        }
+    }
+    return bytes.buffer;
+};
+
+// Just the part of the Blob interface the reader uses
+const fileOf = (buffer) => ({
+    size: buffer.byteLength,
+    slice: (start, end) => ({ arrayBuffer: async () => buffer.slice(start, end) })
+});
+
+describe('WAV reading', () => {
+    const left = sine(440, 1);
+    const right = sine(660, 1);
+    const file = fileOf(encodeWav([left, right], SAMPLE_RATE));
+
+    test('reads the format past other chunks', async () => {
+        expect(await readWavHeader(file)).toMatchObject({
+            encoding: 'pcm',
+            sampleRate: SAMPLE_RATE,
+            numberOfChannels: 2,
+            bitsPerSample: 16,
+            length: SAMPLE_RATE,
+            duration: 1
+        });
+    });
+
+    test('rejects files that are not WAV', async () => {
+        expect(await readWavHeader(fileOf(new ArrayBuffer(64)))).toBeNull();
+    });
+
+    test('reads the samples in chunks', async () => {
+        const chunks = [];
+        for await (const channels of readWavChunks(file, { chunkDuration: 0.3 })) chunks.push(channels);
+        expect(chunks.map(channels => channels[0].length)).toEqual([13230, 13230, 13230, 4410]);
+
+        const joined = concat(...chunks.map(channels => channels[1]));
+        const error = joined.reduce((max, value, i) => Math.max(max, Math.abs(value - right[i])), 0);
+        expect(error).toBeLessThan(1 / 32768 + 1e-7);
+    });
+});
+
+describe('analyzeAudioStream', () => {
+    test('gives the same features as the whole-buffer analysis', async () => {
+        const music = mix(concat(chord([60, 64, 67], 3), chord([57, 60, 64], 3)), clicks(120, 6, { amplitude: 0.4 }));
+        const audioBuffer = audioBufferOf([music, music.map(value => value * 0.8)]);
+
+        const whole = await analyzeAudioBuffer(audioBuffer);
+        const streamed = await analyzeAudioStream(audioBufferChunks(audioBuffer, { chunkDuration: 1.7 }), {
+            sampleRate: SAMPLE_RATE,
+            numberOfChannels: 2
+        });
+        expect(streamed).toEqual(whole);
+    });
+});
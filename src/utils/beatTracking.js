@@ -0,0 +1,367 @@
+import { autocorrelation, createStftStream } from './fft';
+import { getHarmonicPercussive } from './hpss';
+
+/**
+ * Beat tracking: onset strength envelope, tempo estimation by autocorrelation,
+ * dynamic-programming beat placement (Ellis 2007) and meter estimation from
+ * beat accents and subdivisions.
+ */
+
+const FFT_SIZE = 2048;
+const HOP_SIZE = 512;
+const MIN_BPM = 40;
+const MAX_BPM = 240;
+const PRIOR_BPM = 120;
+const PRIOR_WIDTH_OCTAVES = 1;
+const BASS_CUTOFF_HZ = 150;
+const BEAT_TIGHTNESS = 100;
+
+/**
+ * Onset strength envelope from half-wave rectified log spectral flux
+ * @param {Float32Array} signal - Time-domain samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options
+ * @param {number} options.fftSize - FFT size (power of two)
+ * @param {number} options.hopSize - Samples between envelope frames
+ * @returns {{ envelope: Float32Array, bassEnvelope: Float32Array, frameRate: number, frameOffset: number }}
+ *   - bassEnvelope only uses bins below 150 Hz, which is where kick drums mark downbeats.
+ *   frameOffset is the time in seconds where an onset shows up in the first frame: new
+ *   energy raises the flux as soon as it enters the window, not when it reaches the centre.
+ */
+export const computeOnsetEnvelope = (signal, sampleRate, options = {}) => {
+    const stream = createOnsetStream(sampleRate, options);
+    stream.push(signal);
+    return stream.finish();
+};
+
+/**
+ * Incremental version of computeOnsetEnvelope for audio that arrives in chunks
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options - See computeOnsetEnvelope
+ * @returns {{ push: function(Float32Array): void, finish: function(): Object }} -
+ *   finish returns the computeOnsetEnvelope result
+ */
+export const createOnsetStream = (sampleRate, { fftSize = FFT_SIZE, hopSize = HOP_SIZE } = {}) => {
+    const numBins = fftSize / 2 + 1;
+    const bassBins = Math.max(2, Math.ceil((BASS_CUTOFF_HZ * fftSize) / sampleRate));
+    const envelope = [];
+    const bassEnvelope = [];
+
+    let previous = null;
+    const frames = createStftStream(({ magnitudes }) => {
+        const current = new Float32Array(numBins);
+        let flux = 0;
+        let bassFlux = 0;
+
+        for (let j = 0; j < numBins; j++) {
+            current[j] = Math.log1p(magnitudes[j]);
+            if (previous) {
+                const rise = Math.max(0, current[j] - previous[j]);
+                flux += rise;
+                if (j < bassBins) bassFlux += rise;
+            }
+        }
+
+        envelope.push(flux);
+        bassEnvelope.push(bassFlux);
+        previous = current;
+    }, { fftSize, hopSize, sampleRate });
+
+    return {
+        push: frames.push,
+        finish: () => {
+            frames.finish();
+            return {
+                envelope: Float32Array.from(envelope),
+                bassEnvelope: Float32Array.from(bassEnvelope),
+                frameRate: sampleRate / hopSize,
+                frameOffset: fftSize / sampleRate
+            };
+        }
+    };
+};
+
+/**
+ * Track beats, downbeats and meter in an audio buffer
+ * @param {AudioBuffer} audioBuffer - The decoded audio buffer
+ * @returns {Object} - {
+ *   bpm: number|null,            // Tempo, one decimal place; null when no periodicity was found
+ *   confidence: number,          // 0-1 strength of the tempo periodicity
+ *   beats: number[],             // Beat times in seconds
+ *   downbeats: number[],         // Times of the first beat of every bar
+ *   timeSignature: string|null,  // '3/4', '4/4' or '6/8'
+ *   beatsPerBar: number|null,
+ *   meterConfidence: number,     // 0-1
+ *   alternatives: { half: { bpm, confidence }|null, double: { bpm, confidence }|null }
+ * }
+ */
+export const trackBeats = (audioBuffer) => {
+    // Sustained pads hide onsets, so beats are tracked on the percussive part
+    const stream = createBeatStream(audioBuffer.sampleRate);
+    stream.push(getHarmonicPercussive(audioBuffer).percussive);
+    return stream.finish();
+};
+
+/**
+ * Incremental version of trackBeats. Push the percussive part of the track.
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {{ push: function(Float32Array): void, finish: function(): Object }} -
+ *   finish returns the trackBeats result
+ */
+export const createBeatStream = (sampleRate) => {
+    const onsets = createOnsetStream(sampleRate);
+    return {
+        push: onsets.push,
+        finish: () => placeBeats(onsets.finish())
+    };
+};
+
+function placeBeats({ envelope, bassEnvelope, frameRate, frameOffset }) {
+    const normalized = normalizeEnvelope(envelope, frameRate);
+    const tempo = estimateTempo(normalized, frameRate);
+    if (!tempo) return emptyBeatResult();
+
+    const beatFrames = trackBeatFrames(normalized, frameRate, tempo.bpm);
+    const meter = estimateMeter(beatFrames, normalized, normalizeEnvelope(bassEnvelope, frameRate));
+    const toTime = (frame) => frame / frameRate + frameOffset;
+
+    return {
+        bpm: Math.round(tempo.bpm * 10) / 10,
+        confidence: tempo.confidence,
+        beats: beatFrames.map(toTime),
+        downbeats: beatFrames.filter((_, i) => (i - meter.downbeatPhase) % meter.beatsPerBar === 0).map(toTime),
+        timeSignature: meter.timeSignature,
+        beatsPerBar: meter.beatsPerBar,
+        meterConfidence: meter.confidence,
+        alternatives: tempo.alternatives
+    };
+}
+
+function emptyBeatResult() {
+    return {
+        bpm: null,
+        confidence: 0,
+        beats: [],
+        downbeats: [],
+        timeSignature: null,
+        beatsPerBar: null,
+        meterConfidence: 0,
+        alternatives: { half: null, double: null }
+    };
+}
+
+/**
+ * Remove the slowly varying part of the envelope and scale to unit deviation
+ */
+function normalizeEnvelope(envelope, frameRate) {
+    const radius = Math.max(1, Math.round(frameRate / 2));
+    const result = new Float32Array(envelope.length);
+
+    // Running sum for a centred one-second moving average
+    let windowSum = 0;
+    let windowStart = 0;
+    let windowEnd = 0;
+    for (let i = 0; i < envelope.length; i++) {
+        while (windowEnd < envelope.length && windowEnd <= i + radius) windowSum += envelope[windowEnd++];
+        while (windowStart < i - radius) windowSum -= envelope[windowStart++];
+        result[i] = Math.max(0, envelope[i] - windowSum / (windowEnd - windowStart));
+    }
+
+    let sumSquares = 0;
+    for (let i = 0; i < result.length; i++) sumSquares += result[i] * result[i];
+    const std = Math.sqrt(sumSquares / Math.max(1, result.length));
+    if (std > 0) {
+        for (let i = 0; i < result.length; i++) result[i] /= std;
+    }
+
+    return result;
+}
+
+/**
+ * Tempo from the envelope autocorrelation, weighted by a log-normal prior around 120 BPM
+ */
+function estimateTempo(envelope, frameRate) {
+    const minLag = Math.max(1, Math.floor((60 * frameRate) / MAX_BPM));
+    const maxLag = Math.min(envelope.length - 2, Math.ceil((60 * frameRate) / MIN_BPM));
+    if (maxLag <= minLag) return null;
+
+    let envelopeMean = 0;
+    for (let i = 0; i < envelope.length; i++) envelopeMean += envelope[i];
+    envelopeMean /= envelope.length;
+    const centered = envelope.map(value => value - envelopeMean);
+
+    const correlations = autocorrelation(centered);
+    if (correlations[0] <= 0) return null;
+
+    const strengthAt = (lag) => {
+        if (lag < 1 || lag > correlations.length - 2) return 0;
+        const low = Math.floor(lag);
+        const fraction = lag - low;
+        const value = correlations[low] * (1 - fraction) + correlations[low + 1] * fraction;
+        return Math.max(0, value / correlations[0]);
+    };
+
+    let bestLag = 0;
+    let bestScore = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const bpm = (60 * frameRate) / lag;
+        const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / PRIOR_BPM) / PRIOR_WIDTH_OCTAVES, 2));
+        const score = strengthAt(lag) * prior;
+        if (score > bestScore) {
+            bestScore = score;
+            bestLag = lag;
+        }
+    }
+
+    if (!bestLag) return null;
+
+    // Parabolic interpolation around the peak for sub-frame lag resolution
+    let refinedLag = bestLag;
+    const [left, center, right] = [correlations[bestLag - 1], correlations[bestLag], correlations[bestLag + 1]];
+    const curvature = left - 2 * center + right;
+    if (curvature < 0) {
+        refinedLag += Math.max(-0.5, Math.min(0.5, (0.5 * (left - right)) / curvature));
+    }
+
+    const bpm = (60 * frameRate) / refinedLag;
+    const alternative = (lag) => (
+        lag >= 1 && lag <= correlations.length - 2
+            ? { bpm: Math.round(((60 * frameRate) / lag) * 10) / 10, confidence: strengthAt(lag) }
+            : null
+    );
+
+    return {
+        bpm,
+        confidence: Math.min(1, strengthAt(refinedLag)),
+        alternatives: {
+            half: alternative(refinedLag * 2),
+            double: alternative(refinedLag / 2)
+        }
+    };
+}
+
+/**
+ * Dynamic programming beat placement: every beat rewards onset strength and
+ * penalises deviation from the tempo period on a log scale
+ */
+function trackBeatFrames(envelope, frameRate, bpm) {
+    const period = (60 * frameRate) / bpm;
+    const length = envelope.length;
+    const scores = new Float64Array(length);
+    const backlinks = new Int32Array(length).fill(-1);
+
+    for (let t = 0; t < length; t++) {
+        const from = Math.max(0, Math.round(t - 2 * period));
+        const to = Math.round(t - period / 2);
+        let best = -Infinity;
+        let bestIndex = -1;
+
+        for (let previous = from; previous <= to; previous++) {
+            const deviation = Math.log((t - previous) / period);
+            const candidate = scores[previous] - BEAT_TIGHTNESS * deviation * deviation;
+            if (candidate > best) {
+                best = candidate;
+                bestIndex = previous;
+            }
+        }
+
+        scores[t] = envelope[t] + (bestIndex >= 0 ? best : 0);
+        backlinks[t] = bestIndex;
+    }
+
+    // The last beat is the best scoring frame within one period of the end
+    let last = length - 1;
+    for (let t = Math.max(0, Math.floor(length - period)); t < length; t++) {
+        if (scores[t] > scores[last]) last = t;
+    }
+
+    const beats = [];
+    for (let t = last; t >= 0; t = backlinks[t]) {
+        beats.push(t);
+    }
+    beats.reverse();
+
+    return trimSilentBeats(beats, envelope, period);
+}
+
+/**
+ * Drop beats the DP extrapolated into leading or trailing silence
+ */
+function trimSilentBeats(beats, envelope, period) {
+    let peak = 0;
+    for (let i = 0; i < envelope.length; i++) peak = Math.max(peak, envelope[i]);
+    const threshold = peak * 0.1;
+
+    let first = 0;
+    while (first < envelope.length && envelope[first] < threshold) first++;
+    let last = envelope.length - 1;
+    while (last > first && envelope[last] < threshold) last--;
+
+    return beats.filter(frame => frame >= first - period / 2 && frame <= last + period / 2);
+}
+
+function peakAround(envelope, frame, radius = 2) {
+    let peak = 0;
+    for (let i = Math.max(0, frame - radius); i <= Math.min(envelope.length - 1, frame + radius); i++) {
+        peak = Math.max(peak, envelope[i]);
+    }
+    return peak;
+}
+
+/**
+ * Estimate the time signature from how beats subdivide (halves vs thirds)
+ * and how beat accents group (every 2, 3 or 4 beats)
+ */
+function estimateMeter(beatFrames, envelope, bassEnvelope) {
+    if (beatFrames.length < 8) {
+        return { timeSignature: '4/4', beatsPerBar: 4, downbeatPhase: 0, confidence: 0 };
+    }
+
+    // Subdivision: is there more onset energy halfway between beats or at the thirds?
+    let halves = 0;
+    let thirds = 0;
+    for (let i = 0; i < beatFrames.length - 1; i++) {
+        const start = beatFrames[i];
+        const span = beatFrames[i + 1] - start;
+        halves += peakAround(envelope, Math.round(start + span / 2), 1);
+        thirds += (peakAround(envelope, Math.round(start + span / 3), 1) + peakAround(envelope, Math.round(start + (2 * span) / 3), 1)) / 2;
+    }
+    const ternary = thirds > halves * 1.1;
+
+    // Accent: bass onsets carry most of the downbeat information
+    const accents = beatFrames.map(frame => peakAround(bassEnvelope, frame) + 0.5 * peakAround(envelope, frame));
+    const accentMean = accents.reduce((sum, value) => sum + value, 0) / accents.length;
+
+    const groupings = [2, 3, 4].map(group => {
+        let bestPhase = 0;
+        let bestContrast = -Infinity;
+        for (let phase = 0; phase < group; phase++) {
+            let onPhase = 0;
+            let count = 0;
+            for (let i = phase; i < accents.length; i += group) {
+                onPhase += accents[i];
+                count++;
+            }
+            const contrast = onPhase / count - accentMean;
+            if (contrast > bestContrast) {
+                bestContrast = contrast;
+                bestPhase = phase;
+            }
+        }
+        return { group, phase: bestPhase, contrast: bestContrast };
+    });
+
+    // A bar of four also shows a two-beat grouping; only pick 2 when it clearly wins
+    const [two, three, four] = groupings;
+    const binaryGroup = four.contrast >= two.contrast * 0.8 ? four : two;
+    const best = three.contrast > binaryGroup.contrast ? three : binaryGroup;
+    const confidence = accentMean > 0 ? Math.max(0, Math.min(1, best.contrast / accentMean)) : 0;
+
+    if (ternary && best.group !== 3) {
+        return { timeSignature: '6/8', beatsPerBar: 2, downbeatPhase: two.phase, confidence };
+    }
+    if (best.group === 3) {
+        return { timeSignature: '3/4', beatsPerBar: 3, downbeatPhase: three.phase, confidence };
+    }
+    return { timeSignature: '4/4', beatsPerBar: 4, downbeatPhase: four.phase, confidence };
+}
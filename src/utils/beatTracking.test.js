@@ -0,0 +1,56 @@
+import { trackBeats, computeOnsetEnvelope, createBeatStream } from './beatTracking';
+import { audioBufferOf, clicks, SAMPLE_RATE } from './__fixtures__/signals';
+
+describe('trackBeats', () => {
+    const signal = clicks(120, 12);
+    const result = trackBeats(audioBufferOf(signal));
+
+    test('finds the tempo of a click track', () => {
+        expect(result.bpm).toBeGreaterThan(118);
+        expect(result.bpm).toBeLessThan(122);
+        expect(result.confidence).toBeGreaterThan(0.5);
+    });
+
+    test('places beats on the clicks', () => {
+        expect(result.beats.length).toBeGreaterThan(20);
+        const intervals = result.beats.slice(1).map((time, i) => time - result.beats[i]);
+        intervals.forEach(interval => expect(interval).toBeCloseTo(0.5, 1));
+        // Every beat lands within 30 ms of a click
+        result.beats.forEach(time => expect(Math.abs(time - Math.round(time * 2) / 2)).toBeLessThan(0.03));
+    });
+
+    test('offers half and double tempo', () => {
+        expect(result.alternatives.half.bpm).toBeCloseTo(result.bpm / 2, 0);
+        expect(result.alternatives.double.bpm).toBeCloseTo(result.bpm * 2, 0);
+    });
+
+    test('streams the same beats in any chunking', () => {
+        const whole = createBeatStream(SAMPLE_RATE);
+        whole.push(signal);
+        const chunked = createBeatStream(SAMPLE_RATE);
+        for (let start = 0; start < signal.length; start += 30000) {
+            chunked.push(signal.subarray(start, start + 30000));
+        }
+        expect(chunked.finish()).toEqual(whole.finish());
+    });
+
+    test('finds no tempo in silence', () => {
+        const silent = trackBeats(audioBufferOf(new Float32Array(SAMPLE_RATE * 4)));
+        expect(silent.bpm).toBeNull();
+        expect(silent.beats).toEqual([]);
+    });
+});
+
+describe('computeOnsetEnvelope', () => {
+    test('peaks where each click enters the window', () => {
+        const { envelope, frameRate, frameOffset } = computeOnsetEnvelope(clicks(60, 4), SAMPLE_RATE);
+        const threshold = Math.max(...envelope) / 2;
+        const peaks = [];
+        envelope.forEach((value, i) => {
+            if (value > threshold && value >= (envelope[i - 1] || 0) && value >= (envelope[i + 1] || 0)) peaks.push(i / frameRate + frameOffset);
+        });
+        // The click at 0 s is already in the first frame, which has nothing to rise from
+        expect(peaks).toHaveLength(3);
+        peaks.forEach((time, i) => expect(Math.abs(time - (i + 1))).toBeLessThan(2 / frameRate));
+    });
+});
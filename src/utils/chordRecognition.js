@@ -0,0 +1,212 @@
+import { createStftStream } from './fft';
+import { getHarmonicPercussive } from './hpss';
+import { createPitchClassMap, findBestStatePath } from './audioProcessing';
+
+/**
+ * Chord recognition by template matching on beat-synchronous chroma.
+ */
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export const CHORD_QUALITIES = {
+    maj: { intervals: [0, 4, 7], suffix: '' },
+    min: { intervals: [0, 3, 7], suffix: 'm' },
+    dim: { intervals: [0, 3, 6], suffix: 'dim' },
+    aug: { intervals: [0, 4, 8], suffix: 'aug' },
+    dom7: { intervals: [0, 4, 7, 10], suffix: '7' },
+    maj7: { intervals: [0, 4, 7, 11], suffix: 'maj7' },
+    min7: { intervals: [0, 3, 7, 10], suffix: 'm7' },
+    sus2: { intervals: [0, 2, 7], suffix: 'sus2' },
+    sus4: { intervals: [0, 5, 7], suffix: 'sus4' }
+};
+
+// Every root/quality pair, plus 'N' (no chord) as the last entry
+const CHORD_TEMPLATES = (() => {
+    const templates = [];
+    for (let root = 0; root < 12; root++) {
+        Object.entries(CHORD_QUALITIES).forEach(([quality, { intervals, suffix }]) => {
+            const vector = new Array(12).fill(0);
+            intervals.forEach(interval => { vector[(root + interval) % 12] = 1; });
+            const norm = Math.sqrt(intervals.length);
+            templates.push({
+                root,
+                quality,
+                label: `${NOTE_NAMES[root]}${suffix}`,
+                vector: vector.map(value => value / norm)
+            });
+        });
+    }
+    templates.push({ root: null, quality: 'none', label: 'N', vector: null });
+    return templates;
+})();
+
+const FFT_SIZE = 4096;
+const HOP_SIZE = 1024;
+const FALLBACK_STEP_SECONDS = 0.5;
+const NO_CHORD_SIMILARITY = 0.55;
+const SILENCE_RATIO = 0.1;
+const CHORD_CHANGE_PENALTY = 0.15;
+
+/**
+ * Recognize a chord sequence
+ * @param {AudioBuffer} audioBuffer - The decoded audio buffer
+ * @param {Object} options
+ * @param {number[]} options.beats - Beat times in seconds; chroma is averaged between beats.
+ *   Without beats the track is cut into fixed half-second steps.
+ * @param {number} options.beatsPerBar - Used for the changes-per-bar measure
+ * @returns {Object} - {
+ *   segments: Array<{ start, end, root, rootNote, quality, label, confidence }>,  // 'N' label when no chord
+ *   harmonicRhythm: { changesPerMinute, averageDuration, beatsPerChord, changesPerBar }
+ * }
+ */
+export const recognizeChords = (audioBuffer, options = {}) => {
+    const stream = createChordStream(audioBuffer.sampleRate);
+    stream.push(getHarmonicPercussive(audioBuffer).harmonic);
+    return stream.finish(options);
+};
+
+/**
+ * Incremental version of recognizeChords. Push the harmonic part of the
+ * track; the beats are only needed at the end, so they go to finish.
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {{ push: function(Float32Array): void, finish: function(Object): Object }} -
+ *   finish takes the recognizeChords options and returns its result
+ */
+export const createChordStream = (sampleRate) => {
+    // Chroma and centre time of every STFT frame, 12 values per frame
+    const pitchClasses = createPitchClassMap(FFT_SIZE, sampleRate);
+    const frameChromas = [];
+    const frameCenters = [];
+    let length = 0;
+
+    const frames = createStftStream(({ time, magnitudes }) => {
+        const chroma = new Array(12).fill(0);
+        for (let j = 0; j < pitchClasses.length; j++) {
+            if (pitchClasses[j] >= 0) chroma[pitchClasses[j]] += magnitudes[j];
+        }
+        frameChromas.push(...chroma);
+        frameCenters.push(time + FFT_SIZE / 2 / sampleRate);
+    }, { fftSize: FFT_SIZE, hopSize: HOP_SIZE, sampleRate });
+
+    const push = (channelData) => {
+        length += channelData.length;
+        frames.push(channelData);
+    };
+
+    const finish = ({ beats = [], beatsPerBar = null } = {}) => {
+        frames.finish();
+        const duration = length / sampleRate;
+        const boundaries = createStepBoundaries(beats, duration);
+        const stepCount = boundaries.length - 1;
+
+        // Beat-synchronous chroma: sum every STFT frame into the step containing its centre
+        const chromas = Array.from({ length: stepCount }, () => new Array(12).fill(0));
+        let step = 0;
+        frameCenters.forEach((center, frame) => {
+            while (step < stepCount - 1 && center >= boundaries[step + 1]) step++;
+            const chroma = chromas[step];
+            for (let k = 0; k < 12; k++) chroma[k] += frameChromas[frame * 12 + k];
+        });
+
+        return labelChords(chromas, boundaries, beats, beatsPerBar, duration);
+    };
+
+    return { push, finish };
+};
+
+function labelChords(chromas, boundaries, beats, beatsPerBar, duration) {
+    // Energy per second so short and long steps compare fairly
+    const energies = chromas.map((chroma, i) => chroma.reduce((sum, value) => sum + value, 0) / Math.max(1e-6, boundaries[i + 1] - boundaries[i]));
+    const sortedEnergies = energies.slice().sort((a, b) => a - b);
+    const silenceLevel = sortedEnergies[Math.floor(sortedEnergies.length / 2)] * SILENCE_RATIO;
+
+    const stepScores = chromas.map((chroma, i) => scoreTemplates(chroma, energies[i] <= silenceLevel));
+    const path = findBestStatePath(stepScores, CHORD_CHANGE_PENALTY);
+
+    const segments = [];
+    path.forEach((templateIndex, i) => {
+        const last = segments[segments.length - 1];
+        const similarity = stepScores[i][templateIndex];
+        if (last && last.templateIndex === templateIndex) {
+            last.end = boundaries[i + 1];
+            last.similarities.push(similarity);
+        } else {
+            segments.push({ templateIndex, start: boundaries[i], end: boundaries[i + 1], similarities: [similarity] });
+        }
+    });
+
+    const chords = segments.map(({ templateIndex, start, end, similarities }) => {
+        const { root, quality, label } = CHORD_TEMPLATES[templateIndex];
+        return {
+            start,
+            end,
+            root,
+            rootNote: root === null ? null : NOTE_NAMES[root],
+            quality,
+            label,
+            confidence: similarities.reduce((sum, value) => sum + value, 0) / similarities.length
+        };
+    });
+
+    return {
+        segments: chords,
+        harmonicRhythm: measureHarmonicRhythm(chords, beats, beatsPerBar, duration)
+    };
+}
+
+function createStepBoundaries(beats, duration) {
+    const inside = beats.filter(time => time > 0 && time < duration);
+    if (inside.length >= 2) {
+        return [0, ...inside, duration];
+    }
+
+    const boundaries = [];
+    for (let time = 0; time < duration; time += FALLBACK_STEP_SECONDS) boundaries.push(time);
+    boundaries.push(duration);
+    return boundaries;
+}
+
+/**
+ * Cosine similarity of a chroma vector with every chord template.
+ * 'N' scores the no-chord threshold, so it wins when nothing fits well.
+ */
+function scoreTemplates(chroma, silent) {
+    const scores = new Float64Array(CHORD_TEMPLATES.length);
+    const norm = Math.sqrt(chroma.reduce((sum, value) => sum + value * value, 0));
+
+    if (silent || norm === 0) {
+        scores[CHORD_TEMPLATES.length - 1] = 1;
+        return scores;
+    }
+
+    CHORD_TEMPLATES.forEach(({ vector }, index) => {
+        if (!vector) {
+            scores[index] = NO_CHORD_SIMILARITY;
+            return;
+        }
+        let dot = 0;
+        for (let i = 0; i < 12; i++) dot += vector[i] * chroma[i];
+        scores[index] = dot / norm;
+    });
+    return scores;
+}
+
+function measureHarmonicRhythm(chords, beats, beatsPerBar, duration) {
+    const played = chords.filter(chord => chord.label !== 'N');
+    if (!played.length) {
+        return { changesPerMinute: 0, averageDuration: 0, beatsPerChord: null, changesPerBar: null };
+    }
+
+    const changes = played.length - 1;
+    const playedDuration = played.reduce((sum, chord) => sum + chord.end - chord.start, 0);
+    const averageDuration = playedDuration / played.length;
+    const beatPeriod = beats.length >= 2 ? (beats[beats.length - 1] - beats[0]) / (beats.length - 1) : null;
+    const beatsPerChord = beatPeriod ? averageDuration / beatPeriod : null;
+
+    return {
+        changesPerMinute: duration > 0 ? (changes / duration) * 60 : 0,
+        averageDuration,
+        beatsPerChord,
+        changesPerBar: beatsPerChord && beatsPerBar ? beatsPerBar / beatsPerChord : null
+    };
+}
@@ -0,0 +1,45 @@
+import { recognizeChords, createChordStream } from './chordRecognition';
+import { audioBufferOf, chord, concat, SAMPLE_RATE } from './__fixtures__/signals';
+
+// C, Am, F, G7, a bar of four beats each at 120 BPM
+const progression = concat(
+    chord([60, 64, 67], 2),
+    chord([57, 60, 64], 2),
+    chord([53, 57, 60], 2),
+    chord([55, 59, 62, 65], 2)
+);
+const beats = Array.from({ length: 16 }, (_, i) => i * 0.5);
+
+describe('recognizeChords', () => {
+    const result = recognizeChords(audioBufferOf(progression), { beats, beatsPerBar: 4 });
+
+    test('labels a chord progression', () => {
+        expect(result.segments.map(segment => segment.label)).toEqual(['C', 'Am', 'F', 'G7']);
+        result.segments.forEach((segment, i) => {
+            expect(segment.start).toBeCloseTo(i * 2, 0);
+            expect(segment.confidence).toBeGreaterThan(0.5);
+        });
+    });
+
+    test('measures the harmonic rhythm', () => {
+        expect(result.harmonicRhythm.beatsPerChord).toBeCloseTo(4, 0);
+        expect(result.harmonicRhythm.changesPerBar).toBeCloseTo(1, 1);
+        expect(result.harmonicRhythm.changesPerMinute).toBeCloseTo(22.5, 0);
+    });
+
+    test('marks silence as no chord', () => {
+        const silent = recognizeChords(audioBufferOf(concat(new Float32Array(SAMPLE_RATE * 2), chord([60, 64, 67], 2))));
+        expect(silent.segments[0].label).toBe('N');
+        expect(silent.segments[silent.segments.length - 1].label).toBe('C');
+    });
+
+    test('streams the same chords in any chunking', () => {
+        const whole = createChordStream(SAMPLE_RATE);
+        whole.push(progression);
+        const chunked = createChordStream(SAMPLE_RATE);
+        for (let start = 0; start < progression.length; start += 12345) {
+            chunked.push(progression.subarray(start, start + 12345));
+        }
+        expect(chunked.finish({ beats })).toEqual(whole.finish({ beats }));
+    });
+});
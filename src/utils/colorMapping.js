@@ -1,63 +1,123 @@
+import { summarizeTimeline } from './timeline';
+import { frequencyToMidi } from './pitchTracking';
+import { fromHsl, formatColor, toGamut, deltaE2000 } from './colorSpace';
+import { DEFAULT_MAPPING, evaluateCurve } from './mappingRules';
+
+/**
+ * The mappers below think in colour-wheel hue, saturation and lightness,
+ * which keeps their tables readable (C is yellow, sadness is blue), but the
+ * colours are built in OKLCH through fromHsl, so two mappings with the same
+ * lightness look equally light whatever their hue.
+ */
+function wheelColor(hue, saturation, lightness) {
+    return formatColor(fromHsl(hue, saturation, lightness));
+}
+
 /**
  * Map tempo to a color (full spectrum)
- * @param {number} bpm - Tempo in beats per minute
- * @returns {string} - Color in HSL format
+ * @param {number|null} bpm - Tempo in beats per minute, null when no steady beat was found
+ * @param {Object} mapping - Mapping rules, see mappingRules
+ * @returns {string} - CSS colour (#rrggbb)
  */
-export const mapTempoToColor = (bpm) => {
-    // Map tempo ranges to specific hues:
-    // Slow (40-80 BPM): Cool colors (Blue to Green) -> 180-240
-    // Medium (81-120 BPM): Neutral colors (Green to Yellow) -> 60-180
-    // Fast (121-200 BPM): Warm colors (Red to Yellow) -> 0-60
-    
-    const minBpm = 40;
-    const maxBpm = 200;
-    const normalizedBpm = Math.max(minBpm, Math.min(maxBpm, bpm));
-    
-    let hue;
-    if (normalizedBpm <= 80) {
-        // Map 40-80 BPM to 240-180 (blue to green)
-        hue = 240 - ((normalizedBpm - 40) / 40) * 60;
-    } else if (normalizedBpm <= 120) {
-        // Map 81-120 BPM to 180-60 (green to yellow)
-        hue = 180 - ((normalizedBpm - 80) / 40) * 120;
-    } else {
-        // Map 121-200 BPM to 60-0 (yellow to red)
-        hue = 60 - ((normalizedBpm - 120) / 80) * 60;
-    }
+export const mapTempoToColor = (bpm, mapping = DEFAULT_MAPPING) => {
+    // No beat: neutral grey instead of pretending the track is slow
+    if (!bpm) return wheelColor(0, 0, 60);
+
+    // Tempo ranges to hues, by default slow tempos cool and fast ones warm
+    const hue = evaluateCurve(mapping.curves.tempoSwatchHue, bpm);
     
     const saturation = 85; // Strong color but not overwhelming
     const lightness = 50;  // Medium brightness
     
-    return `hsl(${Math.round(hue)}, ${saturation}%, ${lightness}%)`;
+    return wheelColor(hue, saturation, lightness);
 };
 
 /**
  * Map pitch to a color (affects saturation)
- * @param {number} pitch - Pitch in Hz
- * @returns {string} - Color in HSL format
+ * @param {number|Object} pitch - Pitch in Hz, or the melody summary from trackPitch
+ * @returns {string} - CSS colour (#rrggbb)
  */
 export const mapPitchToColor = (pitch) => {
     // Map pitch to saturation (0-100%)
     let saturation = 50; // Default for no pitch
-    if (pitch && pitch >= 20 && pitch <= 2000) {
-        const minPitch = 20;
-        const maxPitch = 2000;
-        const normalizedPitch = (pitch - minPitch) / (maxPitch - minPitch);
+    const normalizedPitch = normalizePitch(pitch);
+    if (normalizedPitch !== null) {
         saturation = Math.min(100, Math.max(20, normalizedPitch * 100));
     }
-    return `hsl(240, ${Math.round(saturation)}%, 50%)`; // Fixed hue and lightness
+    return wheelColor(240, saturation, 50); // Fixed hue and lightness
 };
 
+/**
+ * Position of a pitch within the mapped range (0-1), or null without a pitch.
+ * A melody summary is placed by its median note between C2 and C7, which
+ * spreads real melodies far better than a linear Hz scale.
+ */
+function normalizePitch(pitch) {
+    if (pitch && typeof pitch === 'object') {
+        if (!pitch.range) return null;
+        const medianMidi = frequencyToMidi(pitch.range.median);
+        return Math.min(1, Math.max(0, (medianMidi - 36) / (96 - 36)));
+    }
+    if (pitch && pitch >= 20 && pitch <= 2000) {
+        return (pitch - 20) / (2000 - 20);
+    }
+    return null;
+}
+
+/**
+ * How wide the melody moves (0-1), two octaves or more counting as 1
+ */
+function pitchSpread(pitch) {
+    if (!pitch || typeof pitch !== 'object' || !pitch.range) return 0;
+    return Math.min(1, pitch.range.spanSemitones / 24);
+}
+
+/**
+ * Share of the track with vocals (0-1), or null when not known
+ */
+function vocalPresence(vocals) {
+    if (typeof vocals === 'number') return Math.min(1, Math.max(0, vocals));
+    return vocals && typeof vocals.ratio === 'number' ? vocals.ratio : null;
+}
+
+// Hue the mood colour leans towards in vocal tracks
+const VOICE_HUE = 25;
+
+// CIEDE2000 difference below which two palette colours count as the same
+const JUST_NOTICEABLE_DIFFERENCE = 2.3;
+
+// Loudness scale for the color mappers: -40 LUFS (very quiet) to -6 LUFS
+// (heavily limited master), so modern masters land near the top without clipping
+const LOUDNESS_FLOOR = -40;
+const LOUDNESS_CEILING = -6;
+
+/**
+ * Position of a loudness on the perceptual loudness scale
+ * @param {number|Object} loudness - RMS value (read as dBFS), or the result of measureLoudness
+ * @returns {number|null} - 0..1, or null when there is no usable value
+ */
+function normalizeLoudness(loudness) {
+    let level = null;
+    if (typeof loudness === 'number' && !isNaN(loudness)) {
+        level = loudness > 0 ? 20 * Math.log10(loudness) : LOUDNESS_FLOOR;
+    } else if (loudness && typeof loudness === 'object') {
+        level = loudness.integrated ?? LOUDNESS_FLOOR;
+    }
+    if (level === null) return null;
+
+    return Math.max(0, Math.min(1, (level - LOUDNESS_FLOOR) / (LOUDNESS_CEILING - LOUDNESS_FLOOR)));
+}
+
 /**
  * Map loudness to a color (affects brightness)
- * @param {number} rms - RMS value
- * @returns {string} - Color in HSL format
+ * @param {number|Object} loudness - RMS value, or the result of measureLoudness
+ * @returns {string} - CSS colour (#rrggbb)
  */
-export const mapLoudnessToColor = (rms) => {
-    // Map RMS to lightness (0-100%)
-    const normalizedRms = Math.min(1, rms * 2);
-    const lightness = 20 + (normalizedRms * 60); // Range from 20% to 80%
-    return `hsl(120, 100%, ${Math.round(lightness)}%)`; // Fixed hue and saturation
+export const mapLoudnessToColor = (loudness) => {
+    // Map loudness to lightness (0-100%)
+    const normalizedLoudness = normalizeLoudness(loudness) ?? 0.5;
+    const lightness = 20 + (normalizedLoudness * 60); // Range from 20% to 80%
+    return wheelColor(120, 100, lightness); // Fixed hue and saturation
 };
 
 /**
@@ -68,67 +128,43 @@ export const mapLoudnessToColor = (rms) => {
  * - Timbre -> Gradient complexity and texture
  * - Key -> Color temperature and mood influence
  * - Mood -> Overall color scheme adjustment
+ * - Stereo -> Gradient hue spread (width) and angle (balance), when given
+ * The tempo, pitch and loudness curves come from the mapping rules (see mappingRules).
  */
-export const mapFeaturesToColor = (bpm, pitch, rms, timbre, key, mood) => {
-    console.log('Input values:', { bpm, pitch, rms, timbre, key, mood });
-    
+export const mapFeaturesToColor = (bpm, pitch, rms, timbre, key, mood, stereo = null, mapping = DEFAULT_MAPPING) => {
     // Generate base color from primary features
-    const baseColor = generateBaseColor(bpm, pitch, rms);
-    console.log('Base Color:', baseColor);
+    const baseColor = generateBaseColor(bpm, pitch, rms, mapping);
     
     // Adjust color based on musical context
     const contextAdjustedColor = adjustColorWithContext(baseColor, key, mood);
-    console.log('Context Adjusted Color:', contextAdjustedColor);
     
     // Create final gradient
     if (timbre) {
-        const finalColor = createDynamicGradient(contextAdjustedColor, timbre, key, mood);
-        console.log('Final Gradient Color:', finalColor);
-        return finalColor;
+        return createDynamicGradient(contextAdjustedColor, timbre, key, mood, stereo);
     }
     
-    return contextAdjustedColor;
+    const { hue, saturation, lightness } = contextAdjustedColor;
+    return wheelColor(hue, saturation, lightness);
 };
 
-function generateBaseColor(bpm, pitch, rms) {
-    console.log('Generating base color from:', { bpm, pitch, rms });
-    
+function generateBaseColor(bpm, pitch, rms, { curves } = DEFAULT_MAPPING) {
     // 1. Map tempo to base hue (0-360)
-    const minBpm = 40;
-    const maxBpm = 200;
-    const normalizedTempo = Math.max(minBpm, Math.min(maxBpm, bpm || 120));
-    let hue;
-    
-    // Modified tempo mapping for more variation
-    if (normalizedTempo <= 80) {
-        // Slow tempos: Cool colors (Blue to Purple)
-        hue = 240 - ((normalizedTempo - 40) / 40) * 90; // 240->150
-    } else if (normalizedTempo <= 120) {
-        // Medium tempos: Warm colors (Purple to Orange)
-        hue = 150 - ((normalizedTempo - 80) / 40) * 120; // 150->30
-    } else {
-        // Fast tempos: Hot colors (Orange to Red)
-        hue = 30 - ((normalizedTempo - 120) / 80) * 30; // 30->0
-    }
+    const hue = evaluateCurve(curves.tempoHue, bpm || 120);
     
-    // 2. Map pitch to saturation (30-100%)
-    // Use a default pitch value that produces medium saturation if pitch is null
-    const defaultPitch = 440; // A4 note
-    const normalizedPitch = pitch ? (pitch - 20) / (2000 - 20) : 0.5;
-    const saturation = 30 + (normalizedPitch * 70); // Increased minimum saturation
+    // 2. Map pitch to saturation
+    // Use medium saturation if there is no pitch
+    const normalizedPitch = normalizePitch(pitch) ?? 0.5;
+    const saturation = evaluateCurve(curves.pitchSaturation, normalizedPitch);
     
-    // 3. Map loudness to brightness (30-90%)
-    const normalizedLoudness = Math.min(1, (rms || 0.5) * 2);
-    const lightness = 30 + (normalizedLoudness * 60); // Increased minimum lightness
+    // 3. Map loudness to brightness, on the LUFS scale the curve is drawn in
+    const normalizedLoudness = normalizeLoudness(rms) ?? 0.5;
+    const lightness = evaluateCurve(curves.loudnessLightness, LOUDNESS_FLOOR + normalizedLoudness * (LOUDNESS_CEILING - LOUDNESS_FLOOR));
     
-    const color = `hsl(${Math.round(hue)}, ${Math.round(saturation)}%, ${Math.round(lightness)}%)`;
-    console.log('Generated base color components:', { hue, saturation, lightness });
-    return color;
+    return { hue, saturation, lightness };
 }
 
 function adjustColorWithContext(baseColor, key, mood) {
-    const hslMatch = baseColor.match(/hsl\((\d+),\s*(\d+)%,\s*(\d+)%\)/);
-    let [h, s, l] = hslMatch.slice(1).map(Number);
+    let { hue: h, saturation: s, lightness: l } = baseColor;
     
     // 4. Adjust for key (major/minor)
     if (key) {
@@ -170,32 +206,37 @@ function adjustColorWithContext(baseColor, key, mood) {
         }
     }
     
-    return `hsl(${Math.round(h)}, ${Math.round(s)}%, ${Math.round(l)}%)`;
+    return { hue: h, saturation: s, lightness: l };
 }
 
-function createDynamicGradient(baseColor, timbre, key, mood) {
+function createDynamicGradient(baseColor, timbre, key, mood, stereo) {
     // Remove unused destructured values
     const { complexity } = timbre;
-    const hslMatch = baseColor.match(/hsl\((\d+),\s*(\d+)%,\s*(\d+)%\)/);
-    const [h, s, l] = hslMatch.slice(1).map(Number);
+    const { hue: h, saturation: s, lightness: l } = baseColor;
     
     // 6. Create texture based on timbre
     const normalizedComplexity = Math.min(1, Math.max(0, complexity));
-    const angle = Math.round(((key?.root || 0) * 30 + (mood?.energy || 0.5) * 180) % 360);
+    // Left/right balance tilts the gradient by up to 45 degrees
+    const tilt = (stereo?.balance || 0) * 45;
+    const angle = Math.round((((key?.root || 0) * 30 + (mood?.energy || 0.5) * 180 + tilt) % 360 + 360) % 360);
+    
+    // 7. Stereo width spreads the hues: mono stays tight, wide mixes fan out.
+    // Without stereo information the spread is unchanged.
+    const spread = stereo ? 0.5 + stereo.width : 1;
     
     // Simple timbre: minimal color variation
     // Complex timbre: more color stops and variation
     if (normalizedComplexity < 0.3) {
         // Simple timbre: subtle gradient
         return `linear-gradient(${angle}deg, 
-            hsl(${h}, ${s}%, ${l}%), 
-            hsl(${(h + 10) % 360}, ${s}%, ${Math.min(80, l + 10)}%))`;
+            ${wheelColor(h, s, l)}, 
+            ${wheelColor(h + 10 * spread, s, Math.min(80, l + 10))})`;
     } else {
         // Complex timbre: more varied gradient
         return `linear-gradient(${angle}deg, 
-            hsl(${h}, ${s}%, ${l}%),
-            hsl(${(h + 30) % 360}, ${Math.min(100, s + 10)}%, ${Math.min(80, l + 10)}%),
-            hsl(${(h + 60) % 360}, ${Math.max(20, s - 10)}%, ${Math.max(20, l - 10)}%))`;
+            ${wheelColor(h, s, l)},
+            ${wheelColor(h + 30 * spread, Math.min(100, s + 10), Math.min(80, l + 10))},
+            ${wheelColor(h + 60 * spread, Math.max(20, s - 10), Math.max(20, l - 10))})`;
     }
 }
 
@@ -204,63 +245,64 @@ function weightedAverage(val1, val2, weight1, weight2) {
     return (val1 * weight1 + val2 * weight2) / (weight1 + weight2);
 }
 
-function getKeyHue(rootNote) {
-    const keyHues = {
-        'C': 0,    // Red
-        'G': 60,   // Yellow
-        'D': 30,   // Orange
-        'A': 270,  // Purple
-        'E': 240,  // Blue
-        'B': 210,  // Blue-Green
-        'F#': 180, // Green
-        'C#': 150, // Yellow-Green
-        'G#': 120, // Green
-        'D#': 90,  // Yellow
-        'A#': 330, // Pink
-        'F': 300,  // Magenta
-    };
-    return keyHues[rootNote] || 0;
-}
+/**
+ * Map the stereo image to color: balance moves the hue from blue (left)
+ * through violet (centre) to magenta (right), width raises the saturation
+ * @param {Object} stereo - Result of analyzeStereo
+ * @returns {string} - CSS colour (#rrggbb)
+ */
+export const mapStereoToColor = (stereo) => {
+    if (!stereo || stereo.isMono) return wheelColor(270, 10, 55);
 
-function getMoodHue(moodType) {
-    const moodHues = {
-        'Energetic/Happy': 60,    // Yellow
-        'Cheerful/Positive': 30,  // Orange
-        'Peaceful/Calm': 120,     // Green
-        'Melancholic/Tense': 270, // Purple
-        'Sad/Depressed': 240,     // Blue
-        'Aggressive/Intense': 0    // Red
-    };
-    return moodHues[moodType] || 0;
-}
+    const hue = 270 + stereo.balance * 50;
+    const saturation = 20 + stereo.width * 70;
+    // Phase problems darken the swatch
+    const lightness = 35 + stereo.monoCompatibility * 25;
+
+    return wheelColor(hue, saturation, lightness);
+};
+
+/**
+ * Map percussiveness to color: sustained, harmonic material is a calm teal,
+ * drum-driven material a hot orange-red
+ * @param {number} percussiveness - Share of percussive energy from the HPSS front-end, 0..1
+ * @returns {string} - CSS colour (#rrggbb)
+ */
+export const mapPercussivenessToColor = (percussiveness) => {
+    // Even drum-heavy mixes rarely pass 60% percussive energy
+    const normalized = Math.max(0, Math.min(1, (percussiveness || 0) / 0.6));
+    const hue = 185 - normalized * 170;
+    const saturation = 45 + normalized * 45;
+
+    return wheelColor(hue, saturation, 52);
+};
+
+/**
+ * Map vocal presence to color: instrumental material is a cool slate blue,
+ * a track sung throughout a warm rose
+ * @param {Object|number} vocals - Result of detectVocals, or its ratio
+ * @returns {string} - CSS colour (#rrggbb)
+ */
+export const mapVocalsToColor = (vocals) => {
+    const presence = vocalPresence(vocals) || 0;
+    const hue = (215 + presence * 130) % 360;
+    const saturation = 30 + presence * 50;
+
+    return wheelColor(hue, saturation, 58);
+};
 
 /**
  * Map musical key to color
  * @param {Object} keyInfo - Key detection results
- * @returns {string} - Color in HSL format
+ * @param {Object} mapping - Mapping rules, see mappingRules
+ * @returns {string} - CSS colour (#rrggbb)
  */
-export const mapKeyToColor = (keyInfo) => {
+export const mapKeyToColor = (keyInfo, mapping = DEFAULT_MAPPING) => {
     // eslint-disable-next-line no-unused-vars
     const { root, scale, confidence } = keyInfo;
     
-    // Base hue for each root note (C = 0, G = 60, etc. following circle of fifths)
-    const rootHues = {
-        'C': 60,   // Yellow
-        'G': 30,   // Orange-Yellow
-        'D': 0,    // Red
-        'A': 330,  // Pink
-        'E': 300,  // Purple
-        'B': 270,  // Blue-Purple
-        'F#': 240, // Blue
-        'C#': 210, // Blue-Green
-        'G#': 180, // Green
-        'D#': 150, // Yellow-Green
-        'A#': 120, // Green-Yellow
-        'F': 90,   // Yellow-Orange
-    };
-    
     // Get base hue from root note
-    const baseHue = rootHues[keyInfo.rootNote];
+    const baseHue = mapping.keyHues[keyInfo.rootNote];
     
     // Adjust saturation based on scale type and confidence
     const saturation = scale === 'major' 
@@ -272,95 +314,145 @@ export const mapKeyToColor = (keyInfo) => {
         ? 65  // Brighter for major
         : 45; // Darker for minor
     
-    return `hsl(${baseHue}, ${Math.round(saturation)}%, ${Math.round(lightness)}%)`;
+    return wheelColor(baseHue, saturation, lightness);
 };
 
 /**
- * Map mood to color
- * @param {Object} mood - Mood characteristics
- * @returns {string} - Color in HSL format
+ * Color every region of a key map separately
+ * @param {Object} keyInfo - Key detection results from extractKey
+ * @param {Object} mapping - Mapping rules, see mappingRules
+ * @returns {Array<{ start: number, end: number, label: string, color: string }>} - One entry per key region
  */
-export const mapMoodToColor = (mood) => {
-    const { energy, valence, intensity } = mood;
-    
-    // Base hues for different moods
-    const moodHues = {
-        'Energetic/Happy': 60,    // Yellow
-        'Cheerful/Positive': 30,  // Orange
-        'Peaceful/Calm': 120,     // Green
-        'Melancholic/Tense': 270, // Purple
-        'Sad/Depressed': 240,     // Blue
-        'Aggressive/Intense': 0    // Red
-    };
-
-    // Get base hue from primary mood
-    const hue = moodHues[mood.primary];
-    
-    // Saturation based on intensity
-    const saturation = 25 + (intensity * 75); // Range: 25-100
-    
-    // Lightness based on valence and energy
-    const lightness = 20 + (((valence + energy) / 2) * 60); // Range: 20-80
-    
-    return `hsl(${hue}, ${Math.round(saturation)}%, ${Math.round(lightness)}%)`;
+export const mapKeyRegionsToColors = (keyInfo, mapping = DEFAULT_MAPPING) => {
+    if (!keyInfo?.regions) return [];
+
+    return keyInfo.regions.map(region => ({
+        start: region.start,
+        end: region.end,
+        label: `${region.rootNote} ${region.scale}`,
+        color: mapKeyToColor(region, mapping)
+    }));
+};
+
+// Major-like chords bright, minor-like dark, unstable chords desaturated
+const CHORD_QUALITY_SHADES = {
+    maj: { saturation: 85, lightness: 62 },
+    maj7: { saturation: 75, lightness: 68 },
+    dom7: { saturation: 90, lightness: 55 },
+    min: { saturation: 70, lightness: 42 },
+    min7: { saturation: 60, lightness: 48 },
+    sus2: { saturation: 55, lightness: 65 },
+    sus4: { saturation: 55, lightness: 58 },
+    dim: { saturation: 40, lightness: 32 },
+    aug: { saturation: 95, lightness: 75 }
+};
+
+/**
+ * Map a recognized chord to color: the root picks the hue like a key does,
+ * the chord quality shifts saturation and lightness
+ * @param {Object} chord - Chord segment from recognizeChords
+ * @param {Object} mapping - Mapping rules, see mappingRules
+ * @returns {string} - CSS colour (#rrggbb)
+ */
+export const mapChordToColor = (chord, mapping = DEFAULT_MAPPING) => {
+    if (!chord || chord.root === null) return wheelColor(0, 0, 35);
+
+    const { saturation, lightness } = CHORD_QUALITY_SHADES[chord.quality] || CHORD_QUALITY_SHADES.maj;
+    const confidence = Math.max(0, Math.min(1, chord.confidence ?? 1));
+
+    return wheelColor(mapping.keyHues[chord.rootNote], saturation * (0.6 + 0.4 * confidence), lightness);
+};
+
+/**
+ * Color every segment of a chord sequence
+ * @param {Object} chords - Result of recognizeChords
+ * @returns {Array<{ start: number, end: number, label: string, color: string }>} - One entry per chord
+ */
+export const mapChordsToColors = (chords, mapping = DEFAULT_MAPPING) => {
+    if (!chords?.segments) return [];
+
+    return chords.segments.map(chord => ({
+        start: chord.start,
+        end: chord.end,
+        label: chord.label === 'N' ? 'No chord' : chord.label,
+        color: mapChordToColor(chord, mapping)
+    }));
+};
+
+/**
+ * Map mood to color: the hue comes from the mood label, the saturation from
+ * how far the mood sits from neutral and how sure the label is, the lightness
+ * from valence and arousal. Tension darkens the colour a little.
+ * @param {Object} mood - Result of extractMood
+ * @param {Object} mapping - Mapping rules, see mappingRules
+ * @returns {string} - CSS colour (#rrggbb)
+ */
+export const mapMoodToColor = (mood, mapping = DEFAULT_MAPPING) => {
+    const { arousal, valence, tension = 0.5, intensity, confidence = 1 } = mood;
+    const hue = mapping.moodHues[mood.primary] ?? 270;
+
+    const saturation = 25 + intensity * 55 + Math.min(1, confidence * 3) * 20;
+    const lightness = 25 + ((valence + arousal) / 2) * 50 - tension * 10;
+
+    return wheelColor(hue, saturation, lightness);
 };
 
 /**
  * Generate a color palette based on all audio features
  * @param {number} bpm - Tempo in BPM
- * @param {number} pitch - Pitch in Hz
- * @param {number} rms - RMS (loudness) value
+ * @param {number|Object} pitch - Pitch in Hz, or the melody summary from trackPitch
+ * @param {number|Object} rms - RMS (loudness) value, or the result of measureLoudness
  * @param {Object} timbre - Timbre features
  * @param {Object} key - Key detection results
  * @param {Object} mood - Mood analysis results
+ * @param {Object|number|null} vocals - Result of detectVocals or its ratio; leave out when unknown
+ * @param {Object} mapping - Mapping rules, see mappingRules
  * @returns {string[]} - Array of colors in the palette
  */
-export const generateColorPalette = (bpm, pitch, rms, timbre, key, mood) => {
-    console.log('Color Generation Input:', {
-        bpm,
-        pitch,
-        rms,
-        timbre,
-        key,
-        mood
-    });
-    
+export const generateColorPalette = (bpm, pitch, rms, timbre, key, mood, vocals = null, mapping = DEFAULT_MAPPING) => (
+    generatePaletteEntries(bpm, pitch, rms, timbre, key, mood, vocals, mapping).map(({ color }) => color)
+);
+
+/**
+ * generateColorPalette with the provenance of every colour
+ * @param {...*} args - Same as generateColorPalette
+ * @returns {Array<{ color: string, features: string[], description: string }>} - The palette colours, each with
+ *   the features that shaped it and what it stands for
+ */
+export const generatePaletteEntries = (bpm, pitch, rms, timbre, key, mood, vocals = null, mapping = DEFAULT_MAPPING) => {
     // Get the base color from combined features
-    const baseColor = generateBaseColor(bpm, pitch, rms);
-    console.log('Generated Base Color:', baseColor);
-    
-    const hslMatch = baseColor.match(/hsl\((\d+),\s*(\d+)%,\s*(\d+)%\)/);
-    if (!hslMatch) {
-        console.error('Failed to parse base color:', baseColor);
-        return ['#FF0000', '#00FF00', '#0000FF']; // Fallback colors
-    }
-    
-    let [baseHue, baseSaturation, baseLightness] = hslMatch.slice(1).map(Number);
-    console.log('Parsed HSL values:', { baseHue, baseSaturation, baseLightness });
+    const { hue: baseHue, saturation: baseSaturation, lightness: baseLightness } = generateBaseColor(bpm, pitch, rms, mapping);
 
-    // Create variations based on musical features
+    // Create variations based on musical features, as OKLCH colours until the end
     const palette = [];
 
     // 1. Base color (from tempo, pitch, and loudness)
-    palette.push(baseColor);
+    palette.push(entry(fromHsl(baseHue, baseSaturation, baseLightness), ['tempo', 'pitch', 'loudness'], 'Base colour from tempo, pitch and loudness'));
 
     // 2. Complementary color (opposite hue, adjusted for mood)
     const complementaryHue = (baseHue + 180) % 360;
     const complementaryS = mood ? Math.min(100, Math.max(0, baseSaturation * (1 + (mood.energy - 0.5) * 0.4))) : baseSaturation;
     const complementaryL = mood ? Math.min(100, Math.max(0, baseLightness * (1 + (mood.valence - 0.5) * 0.4))) : baseLightness;
-    palette.push(`hsl(${Math.round(complementaryHue)}, ${Math.round(complementaryS)}%, ${Math.round(complementaryL)}%)`);
+    palette.push(entry(fromHsl(complementaryHue, complementaryS, complementaryL), ['tempo', 'mood'], 'Complement of the base, shaded by the mood'));
 
-    // 3. Analogous colors (nearby hues, adjusted for key)
-    const analogousOffset = key?.scale === 'major' ? 30 : 20;
-    palette.push(`hsl(${Math.round((baseHue + analogousOffset) % 360)}, ${Math.round(baseSaturation)}%, ${Math.round(baseLightness)}%)`);
-    palette.push(`hsl(${Math.round((baseHue - analogousOffset + 360) % 360)}, ${Math.round(baseSaturation)}%, ${Math.round(baseLightness)}%)`);
+    // 3. Analogous colors (nearby hues, adjusted for key and widened by melodic range)
+    // Instrumental tracks spread a little wider; a voice keeps the palette closer together
+    const presence = vocalPresence(vocals);
+    const analogousOffset = (key?.scale === 'major' ? 30 : 20) + pitchSpread(pitch) * 20 + (presence === null ? 0 : (1 - presence) * 10);
+    palette.push(entry(fromHsl((baseHue + analogousOffset) % 360, baseSaturation, baseLightness), ['key', 'pitch', 'vocals'], 'Analogous hue, spread by the key and the melodic range'));
+    palette.push(entry(fromHsl((baseHue - analogousOffset + 360) % 360, baseSaturation, baseLightness), ['key', 'pitch', 'vocals'], 'Analogous hue, spread by the key and the melodic range'));
 
     // 4. Mood-influenced variation
     if (mood) {
         const moodSaturation = Math.min(100, Math.max(20, baseSaturation * (1 + (mood.energy - 0.5))));
         const moodLightness = Math.min(90, Math.max(10, baseLightness * (1 + (mood.valence - 0.5))));
-        const moodHue = (baseHue + (mood.valence > 0.5 ? 30 : -30) + 360) % 360;
-        palette.push(`hsl(${Math.round(moodHue)}, ${Math.round(moodSaturation)}%, ${Math.round(moodLightness)}%)`);
+        let moodHue = (baseHue + (mood.valence > 0.5 ? 30 : -30) + 360) % 360;
+        if (presence) {
+            // Pull towards a warm, skin-like orange as the voice takes over, along the shorter way round
+            const towardsVoice = ((VOICE_HUE - moodHue + 540) % 360) - 180;
+            moodHue = (moodHue + towardsVoice * presence * 0.5 + 360) % 360;
+        }
+        palette.push(entry(fromHsl(moodHue, moodSaturation, moodLightness), ['mood', 'vocals'], `Mood: ${mood.primary || 'energy and valence'}`));
     }
 
     // 5. Key-influenced variation
@@ -372,7 +464,7 @@ export const generateColorPalette = (bpm, pitch, rms, timbre, key, mood) => {
         const keyLightness = key.scale === 'major' ?
             Math.min(90, baseLightness * 1.1) :   // Brighter for major
             Math.max(20, baseLightness * 0.9);    // Darker for minor
-        palette.push(`hsl(${Math.round(keyHue)}, ${Math.round(keySaturation)}%, ${Math.round(keyLightness)}%)`);
+        palette.push(entry(fromHsl(keyHue, keySaturation, keyLightness), ['key'], `Key: ${key.rootNote} ${key.scale}`));
     }
 
     // 6. Timbre-influenced variations
@@ -383,13 +475,13 @@ export const generateColorPalette = (bpm, pitch, rms, timbre, key, mood) => {
         const timbreHue2 = (baseHue - complexity * 90 + 360) % 360;
         const timbreSaturation = Math.min(100, Math.max(20, baseSaturation * (1 + (complexity - 0.5))));
         
-        palette.push(`hsl(${Math.round(timbreHue1)}, ${Math.round(timbreSaturation)}%, ${Math.round(baseLightness)}%)`);
-        palette.push(`hsl(${Math.round(timbreHue2)}, ${Math.round(timbreSaturation)}%, ${Math.round(baseLightness)}%)`);
+        palette.push(entry(fromHsl(timbreHue1, timbreSaturation, baseLightness), ['timbre'], 'Timbre complexity, one way round the wheel'));
+        palette.push(entry(fromHsl(timbreHue2, timbreSaturation, baseLightness), ['timbre'], 'Timbre complexity, the other way round'));
     }
 
     // 7. Intensity variations (based on RMS)
-    if (typeof rms === 'number' && !isNaN(rms)) {
-        const normalizedRms = Math.min(1, Math.max(0, rms * 2)); // Ensure RMS is between 0 and 1
+    const normalizedRms = normalizeLoudness(rms);
+    if (normalizedRms !== null) {
         const safeBaseHue = isNaN(baseHue) ? 0 : baseHue;
         const safeBaseSaturation = isNaN(baseSaturation) ? 50 : baseSaturation;
         const safeBaseLightness = isNaN(baseLightness) ? 50 : baseLightness;
@@ -398,33 +490,58 @@ export const generateColorPalette = (bpm, pitch, rms, timbre, key, mood) => {
         const intensityLightness2 = Math.min(90, Math.max(10, safeBaseLightness - (normalizedRms * 30)));
         const intensitySaturation = Math.min(100, Math.max(20, safeBaseSaturation + (normalizedRms * 20)));
 
-        palette.push(`hsl(${Math.round(safeBaseHue)}, ${Math.round(intensitySaturation)}%, ${Math.round(intensityLightness1)}%)`);
-        palette.push(`hsl(${Math.round(safeBaseHue)}, ${Math.round(intensitySaturation)}%, ${Math.round(intensityLightness2)}%)`);
+        palette.push(entry(fromHsl(safeBaseHue, intensitySaturation, intensityLightness1), ['loudness'], 'Loudness, lighter'));
+        palette.push(entry(fromHsl(safeBaseHue, intensitySaturation, intensityLightness2), ['loudness'], 'Loudness, darker'));
     } else {
         // Fallback colors if RMS is invalid
-        palette.push(`hsl(${Math.round(baseHue)}, 50%, 60%)`);
-        palette.push(`hsl(${Math.round(baseHue)}, 50%, 40%)`);
+        palette.push(entry(fromHsl(baseHue, 50, 60), ['tempo'], 'Lighter base, without loudness'));
+        palette.push(entry(fromHsl(baseHue, 50, 40), ['tempo'], 'Darker base, without loudness'));
     }
 
-    // Log each color variation
-    console.log('Generated Color Variations:', {
-        base: palette[0],
-        complementary: palette[1],
-        analogous1: palette[2],
-        analogous2: palette[3],
-        mood: palette[4],
-        key: palette[5],
-        timbre1: palette[6],
-        timbre2: palette[7],
-        intensity1: palette[8],
-        intensity2: palette[9]
-    });
-
-    // Filter out any duplicate colors and ensure we have a reasonable number of colors
-    const uniquePalette = [...new Set(palette.filter(color => !color.includes('NaN')))];
-    const finalPalette = uniquePalette.slice(0, 8); // Limit to 8 colors for a manageable palette
-    
-    console.log('Final Palette:', finalPalette);
-    return finalPalette;
+    // Bring every colour into sRGB before comparing, as that is what will be seen
+    const displayable = palette
+        .filter(({ color: { l, c, h } }) => !isNaN(l + c + h))
+        .map(item => ({ ...item, color: toGamut(item.color) }));
+
+    // Drop colors nobody could tell apart from one already in and keep a manageable number
+    const uniquePalette = displayable.filter(({ color }, i) => (
+        displayable.slice(0, i).every(earlier => deltaE2000(color, earlier.color) >= JUST_NOTICEABLE_DIFFERENCE)
+    ));
+    return uniquePalette.slice(0, 8).map(item => ({ ...item, color: formatColor(item.color) }));
+};
+
+function entry(color, features, description) {
+    return { color, features, description };
+}
+
+/**
+ * Generate a color palette for a time slice of a feature timeline
+ * @param {Object} timeline - Result of extractTimeline
+ * @param {number} start - Slice start in seconds
+ * @param {number} end - Slice end in seconds
+ * @param {Object} mapping - Mapping rules, see mappingRules
+ * @returns {string[]} - Array of colors in the palette
+ */
+export const generateTimelinePalette = (timeline, start = 0, end = timeline.duration, mapping = DEFAULT_MAPPING) => {
+    const { tempo, pitch, rms, timbre, key, mood } = summarizeTimeline(timeline, start, end);
+    return generateColorPalette(tempo, pitch, rms, timbre, key, mood, null, mapping);
+};
+
+/**
+ * Generate a palette for every detected section of a song
+ * @param {Object} structure - Result of segmentStructure
+ * @param {Object} timeline - The timeline the structure was detected on
+ * @param {Object} mapping - Mapping rules, see mappingRules
+ * @returns {Array<{ start: number, end: number, label: string, role: string, palette: string[] }>}
+ */
+export const mapSectionsToPalettes = (structure, timeline, mapping = DEFAULT_MAPPING) => {
+    if (!structure?.sections || !timeline) return [];
+
+    return structure.sections.map(({ start, end, label, role }) => ({
+        start,
+        end,
+        label,
+        role,
+        palette: generateTimelinePalette(timeline, start, end, mapping)
+    }));
 };
-  
\ No newline at end of file
@@ -0,0 +1,329 @@
+/**
+ * The shared colour model. Colours are OKLCH objects, { l, c, h }:
+ * perceptual lightness 0..1, chroma from 0 (grey) to about 0.37, and hue
+ * in degrees. Equal steps in OKLCH look like equal steps, which HSL does
+ * not manage: hsl(60, 100%, 50%) and hsl(240, 100%, 50%) share a lightness
+ * on paper and are nowhere near each other to the eye.
+ *
+ * Colours are only turned into CSS strings at the end, after mapping them
+ * into the sRGB gamut, so every colour handed to the UI is displayable.
+ * Distances are ΔEOK (Euclidean in OKLab, about 0.02 just noticeable) or
+ * CIEDE2000 (about 2.3 just noticeable). sRGB uses the D65 white point.
+ */
+
+/**
+ * @typedef {Object} Color
+ * @property {number} l - OKLCH lightness, 0..1
+ * @property {number} c - OKLCH chroma, 0 and up
+ * @property {number} h - OKLCH hue in degrees, 0..360
+ */
+
+const D65 = { x: 0.95047, y: 1, z: 1.08883 };
+
+// Gamut mapping: differences below this ΔEOK are invisible, so clipping is fine
+const GAMUT_JND = 0.02;
+const GAMUT_EPSILON = 0.0001;
+
+// OKLCH chroma that stands for 100% saturation in fromHsl
+const FULL_CHROMA = 0.22;
+
+/**
+ * Make a colour object, wrapping the hue and keeping the lightness in range
+ * @param {number} l - Lightness, 0..1
+ * @param {number} c - Chroma
+ * @param {number} h - Hue in degrees
+ * @returns {Color}
+ */
+export const oklch = (l, c, h) => ({
+    l: Math.min(1, Math.max(0, l)),
+    c: Math.max(0, c),
+    h: (((h % 360) + 360) % 360) || 0
+});
+
+/**
+ * Read HSL coordinates perceptually: the hue of the sRGB colour at that
+ * HSL hue, the lightness of the grey at that HSL lightness and a chroma in
+ * proportion to the saturation. Hue tables written for the colour wheel
+ * (red 0, yellow 60, blue 240) keep their meaning, while every hue at the
+ * same lightness now looks equally light.
+ * @param {number} hue - Degrees on the HSL colour wheel
+ * @param {number} saturation - 0..100
+ * @param {number} lightness - 0..100
+ * @returns {Color}
+ */
+export const fromHsl = (hue, saturation, lightness) => oklch(
+    Math.cbrt(toLinear(Math.min(1, Math.max(0, lightness / 100)))),
+    (Math.min(100, Math.max(0, saturation)) / 100) * FULL_CHROMA,
+    fromRgb(hslToRgb(hue, 1, 0.5)).h
+);
+
+/**
+ * Parse a CSS colour string
+ * @param {string} color - hsl(), hsla(), rgb(), rgba(), oklch(), #rgb or #rrggbb
+ * @returns {Color|null} - null when the string is not understood
+ */
+export const parseColor = (color) => {
+    if (typeof color !== 'string') return null;
+    const text = color.trim().toLowerCase();
+
+    const hsl = text.match(/^hsla?\(\s*(-?[\d.]+)(?:deg)?[\s,]+([\d.]+)%[\s,]+([\d.]+)%/);
+    if (hsl) return fromRgb(hslToRgb(Number(hsl[1]), Number(hsl[2]) / 100, Number(hsl[3]) / 100));
+
+    const rgb = text.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/);
+    if (rgb) return fromRgb({ r: Number(rgb[1]) / 255, g: Number(rgb[2]) / 255, b: Number(rgb[3]) / 255 });
+
+    const lch = text.match(/^oklch\(\s*([\d.]+)(%?)\s+([\d.]+)\s+(-?[\d.]+)/);
+    if (lch) return oklch(Number(lch[1]) / (lch[2] ? 100 : 1), Number(lch[3]), Number(lch[4]));
+
+    const hex = text.match(/^#([\da-f]{3}|[\da-f]{6})$/);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        const value = parseInt(digits, 16);
+        return fromRgb({ r: ((value >> 16) & 255) / 255, g: ((value >> 8) & 255) / 255, b: (value & 255) / 255 });
+    }
+
+    return null;
+};
+
+/**
+ * CSS string of a colour, mapped into the sRGB gamut first
+ * @param {Color} color
+ * @returns {string} - #rrggbb
+ */
+export const formatColor = (color) => {
+    const { r, g, b } = toRgb(color);
+    return `#${[r, g, b].map(channel => Math.round(channel * 255).toString(16).padStart(2, '0')).join('')}`;
+};
+
+/**
+ * Convert sRGB to a colour object
+ * @param {{ r: number, g: number, b: number }} rgb - Channels 0..1
+ * @returns {Color}
+ */
+export const fromRgb = ({ r, g, b }) => {
+    const { l, a, b: bb } = linearRgbToOklab(toLinear(r), toLinear(g), toLinear(b));
+    const c = Math.hypot(a, bb);
+    // Greys have no hue; rounding noise would otherwise invent one
+    return oklch(l, c, c < 1e-6 ? 0 : (Math.atan2(bb, a) * 180) / Math.PI);
+};
+
+/**
+ * Convert a colour object to sRGB, mapped into the gamut first
+ * @param {Color} color
+ * @returns {{ r: number, g: number, b: number }} - Channels 0..1
+ */
+export const toRgb = (color) => {
+    const [r, g, b] = toLinearRgb(toGamut(color)).map(channel => fromLinear(Math.min(1, Math.max(0, channel))));
+    return { r, g, b };
+};
+
+/**
+ * Convert a colour object to linear-light sRGB, mapped into the gamut first,
+ * for work that mixes light such as simulating colour vision
+ * @param {Color} color
+ * @returns {{ r: number, g: number, b: number }} - Channels 0..1
+ */
+export const toLinearSrgb = (color) => {
+    const [r, g, b] = toLinearRgb(toGamut(color)).map(channel => Math.min(1, Math.max(0, channel)));
+    return { r, g, b };
+};
+
+/**
+ * Convert linear-light sRGB to a colour object
+ * @param {{ r: number, g: number, b: number }} rgb - Channels 0..1
+ * @returns {Color}
+ */
+export const fromLinearSrgb = ({ r, g, b }) => fromRgb({ r: fromLinear(r), g: fromLinear(g), b: fromLinear(b) });
+
+/**
+ * Whether sRGB can show a colour as it is
+ * @param {Color} color
+ * @returns {boolean}
+ */
+export const isInGamut = (color) => toLinearRgb(color).every(channel => channel >= -1e-5 && channel <= 1 + 1e-5);
+
+/**
+ * Bring a colour into the sRGB gamut with the CSS Color 4 algorithm:
+ * lower the chroma at constant lightness and hue until plain clipping
+ * changes the colour by less than a just-noticeable difference
+ * @param {Color} color
+ * @returns {Color}
+ */
+export const toGamut = (color) => {
+    if (color.l >= 1) return oklch(1, 0, 0);
+    if (color.l <= 0) return oklch(0, 0, 0);
+    if (isInGamut(color)) return color;
+
+    let clipped = clip(color);
+    if (deltaEOK(clipped, color) < GAMUT_JND) return clipped;
+
+    let min = 0;
+    let max = color.c;
+    let minInGamut = true;
+    while (max - min > GAMUT_EPSILON) {
+        const current = { ...color, c: (min + max) / 2 };
+        if (minInGamut && isInGamut(current)) {
+            min = current.c;
+            continue;
+        }
+
+        clipped = clip(current);
+        const error = deltaEOK(clipped, current);
+        if (error < GAMUT_JND) {
+            if (GAMUT_JND - error < GAMUT_EPSILON) return clipped;
+            minInGamut = false;
+            min = current.c;
+        } else {
+            max = current.c;
+        }
+    }
+    return clipped;
+};
+
+/**
+ * CIELAB coordinates of a colour
+ * @param {Color} color
+ * @returns {{ l: number, a: number, b: number }} - L 0..100, a and b roughly -128..127
+ */
+export const toLab = (color) => {
+    const [lr, lg, lb] = toLinearRgb(color);
+    const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / D65.x;
+    const y = (0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / D65.y;
+    const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / D65.z;
+    const [fx, fy, fz] = [x, y, z].map(labCompand);
+    return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+};
+
+/**
+ * Euclidean distance in OKLab
+ * @param {Color} first
+ * @param {Color} second
+ * @returns {number} - About 0.02 is just noticeable
+ */
+export const deltaEOK = (first, second) => {
+    const [a1, b1] = toAb(first);
+    const [a2, b2] = toAb(second);
+    return Math.hypot(first.l - second.l, a1 - a2, b1 - b2);
+};
+
+/**
+ * CIEDE2000 colour difference
+ * @param {Color} first
+ * @param {Color} second
+ * @returns {number} - About 2.3 is just noticeable
+ */
+export const deltaE2000 = (first, second) => deltaE2000Lab(toLab(first), toLab(second));
+
+/**
+ * CIEDE2000 colour difference of two CIELAB colours, for loops that compare
+ * the same colours many times and convert them once
+ * @param {{ l: number, a: number, b: number }} lab1 - From toLab
+ * @param {{ l: number, a: number, b: number }} lab2 - From toLab
+ * @returns {number} - About 2.3 is just noticeable
+ */
+export const deltaE2000Lab = (lab1, lab2) => {
+    const meanChroma = (Math.hypot(lab1.a, lab1.b) + Math.hypot(lab2.a, lab2.b)) / 2;
+    const g = 0.5 * (1 - Math.sqrt(meanChroma ** 7 / (meanChroma ** 7 + 25 ** 7)));
+    const [c1, h1] = primedChromaHue(lab1, g);
+    const [c2, h2] = primedChromaHue(lab2, g);
+
+    const deltaL = lab2.l - lab1.l;
+    const deltaC = c2 - c1;
+    let deltaHue = 0;
+    if (c1 * c2 !== 0) {
+        deltaHue = h2 - h1;
+        if (deltaHue > 180) deltaHue -= 360;
+        else if (deltaHue < -180) deltaHue += 360;
+    }
+    const deltaH = 2 * Math.sqrt(c1 * c2) * Math.sin(radians(deltaHue / 2));
+
+    const meanL = (lab1.l + lab2.l) / 2;
+    const meanC = (c1 + c2) / 2;
+    let meanH = h1 + h2;
+    if (c1 * c2 !== 0) {
+        if (Math.abs(h1 - h2) <= 180) meanH /= 2;
+        else meanH = h1 + h2 < 360 ? (meanH + 360) / 2 : (meanH - 360) / 2;
+    }
+
+    const t = 1
+        - 0.17 * Math.cos(radians(meanH - 30))
+        + 0.24 * Math.cos(radians(2 * meanH))
+        + 0.32 * Math.cos(radians(3 * meanH + 6))
+        - 0.2 * Math.cos(radians(4 * meanH - 63));
+    const sl = 1 + (0.015 * (meanL - 50) ** 2) / Math.sqrt(20 + (meanL - 50) ** 2);
+    const sc = 1 + 0.045 * meanC;
+    const sh = 1 + 0.015 * meanC * t;
+    const rotation = -2 * Math.sqrt(meanC ** 7 / (meanC ** 7 + 25 ** 7))
+        * Math.sin(radians(60 * Math.exp(-(((meanH - 275) / 25) ** 2))));
+
+    return Math.sqrt(
+        (deltaL / sl) ** 2 + (deltaC / sc) ** 2 + (deltaH / sh) ** 2 + rotation * (deltaC / sc) * (deltaH / sh)
+    );
+};
+
+function hslToRgb(hue, saturation, lightness) {
+    const h = (((hue % 360) + 360) % 360) / 60;
+    const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+    const x = chroma * (1 - Math.abs((h % 2) - 1));
+    const m = lightness - chroma / 2;
+    const [r, g, b] = [
+        [chroma, x, 0], [x, chroma, 0], [0, chroma, x],
+        [0, x, chroma], [x, 0, chroma], [chroma, 0, x]
+    ][Math.min(5, Math.floor(h)) || 0];
+    return { r: r + m, g: g + m, b: b + m };
+}
+
+function linearRgbToOklab(r, g, b) {
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    return {
+        l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+// Linear sRGB of a colour, unclamped, so out-of-gamut colours show up as values outside 0..1
+function toLinearRgb(color) {
+    const [a, b] = toAb(color);
+    const l = (color.l + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+    const m = (color.l - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+    const s = (color.l - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+}
+
+function toAb({ c, h }) {
+    return [c * Math.cos(radians(h)), c * Math.sin(radians(h))];
+}
+
+function clip(color) {
+    const [r, g, b] = toLinearRgb(color).map(channel => fromLinear(Math.min(1, Math.max(0, channel))));
+    return fromRgb({ r, g, b });
+}
+
+function primedChromaHue({ a, b }, g) {
+    const primedA = a * (1 + g);
+    const hue = primedA === 0 && b === 0 ? 0 : (Math.atan2(b, primedA) * 180) / Math.PI;
+    return [Math.hypot(primedA, b), hue < 0 ? hue + 360 : hue];
+}
+
+function radians(degrees) {
+    return (degrees * Math.PI) / 180;
+}
+
+function toLinear(channel) {
+    return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(channel) {
+    return channel <= 0.0031308 ? channel * 12.92 : 1.055 * Math.pow(channel, 1 / 2.4) - 0.055;
+}
+
+function labCompand(t) {
+    return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
@@ -0,0 +1,107 @@
+import { oklch, fromHsl, parseColor, formatColor, fromRgb, toRgb, isInGamut, toGamut, toLab, deltaEOK, deltaE2000, deltaE2000Lab } from './colorSpace';
+
+const lab = (l, a, b) => ({ l, a, b });
+
+describe('CIEDE2000', () => {
+    // Sharma, Wu and Dalal (2005), test data for the CIEDE2000 colour-difference formula
+    const pairs = [
+        [lab(50, 2.6772, -79.7751), lab(50, 0, -82.7485), 2.0425],
+        [lab(50, -1.3802, -84.2814), lab(50, 0, -82.7485), 1.0000],
+        [lab(50, 0, 0), lab(50, -1, 2), 2.3669],
+        [lab(50, 2.49, -0.001), lab(50, -2.49, 0.0009), 7.1792],
+        [lab(50, 2.49, -0.001), lab(50, -2.49, 0.0011), 7.2195],
+        [lab(50, -0.001, 2.49), lab(50, 0.0009, -2.49), 4.8045],
+        [lab(50, 2.5, 0), lab(73, 25, -18), 27.1492],
+        [lab(50, 2.5, 0), lab(56, -27, -3), 31.9030],
+        [lab(60.2574, -34.0099, 36.2677), lab(60.4626, -34.1751, 39.4387), 1.2644],
+        [lab(22.7233, 20.0904, -46.694), lab(23.0331, 14.973, -42.5619), 2.0373],
+        [lab(90.9257, -0.5406, -0.9208), lab(88.6381, -0.8985, -0.7239), 1.5381],
+        [lab(2.0776, 0.0795, -1.135), lab(0.9033, -0.0636, -0.5514), 0.9082]
+    ];
+
+    test.each(pairs)('matches the reference pair %#', (first, second, expected) => {
+        expect(deltaE2000Lab(first, second)).toBeCloseTo(expected, 4);
+        expect(deltaE2000Lab(second, first)).toBeCloseTo(expected, 4);
+    });
+
+    test('is zero for the same colour', () => {
+        const teal = parseColor('#2a9d8f');
+        expect(deltaE2000(teal, teal)).toBe(0);
+    });
+});
+
+describe('parseColor and formatColor', () => {
+    test('read every supported notation to the same colour', () => {
+        const expected = parseColor('#ff8000');
+        ['#FF8000', 'rgb(255, 128, 0)', 'rgba(255,128,0,0.5)', 'hsl(30.12, 100%, 50%)'].forEach(text => {
+            expect(formatColor(parseColor(text))).toBe('#ff8000');
+        });
+        expect(formatColor(parseColor('#f80'))).toBe('#ff8800');
+        expect(deltaEOK(parseColor(`oklch(${expected.l} ${expected.c} ${expected.h})`), expected)).toBeLessThan(1e-6);
+    });
+
+    test('return null for what they do not understand', () => {
+        expect(parseColor('tomato')).toBeNull();
+        expect(parseColor(undefined)).toBeNull();
+    });
+
+    test('round-trip sRGB', () => {
+        const rgb = { r: 0.2, g: 0.6, b: 0.9 };
+        const back = toRgb(fromRgb(rgb));
+        expect(back.r).toBeCloseTo(0.2, 6);
+        expect(back.g).toBeCloseTo(0.6, 6);
+        expect(back.b).toBeCloseTo(0.9, 6);
+    });
+});
+
+describe('OKLCH', () => {
+    test('matches the published coordinates of white and sRGB red', () => {
+        const white = fromRgb({ r: 1, g: 1, b: 1 });
+        expect(white.l).toBeCloseTo(1, 4);
+        expect(white.c).toBeCloseTo(0, 4);
+
+        const red = fromRgb({ r: 1, g: 0, b: 0 });
+        expect(red.l).toBeCloseTo(0.628, 3);
+        expect(red.c).toBeCloseTo(0.2577, 3);
+        expect(red.h).toBeCloseTo(29.23, 1);
+    });
+
+    test('wraps hues and keeps lightness in range', () => {
+        expect(oklch(1.5, -0.1, -30)).toEqual({ l: 1, c: 0, h: 330 });
+    });
+
+    test('gives every HSL hue at one lightness the same perceived lightness', () => {
+        const yellow = fromHsl(60, 100, 50);
+        const blue = fromHsl(240, 100, 50);
+        expect(yellow.l).toBeCloseTo(blue.l);
+        expect(yellow.h).toBeCloseTo(fromRgb({ r: 1, g: 1, b: 0 }).h);
+    });
+});
+
+describe('toGamut', () => {
+    test('keeps displayable colours as they are', () => {
+        const color = parseColor('#336699');
+        expect(isInGamut(color)).toBe(true);
+        expect(toGamut(color)).toBe(color);
+    });
+
+    test('lowers the chroma of an out-of-gamut colour, keeping lightness and hue within a just-noticeable difference', () => {
+        const vivid = oklch(0.7, 0.35, 150);
+        expect(isInGamut(vivid)).toBe(false);
+
+        const mapped = toGamut(vivid);
+        expect(mapped.c).toBeLessThan(vivid.c);
+        expect(deltaEOK(mapped, { ...vivid, c: mapped.c })).toBeLessThan(0.02);
+        expect(isInGamut(mapped)).toBe(true);
+    });
+});
+
+describe('toLab', () => {
+    test('puts white at L 100 and mid grey at L 53.59', () => {
+        const white = toLab(parseColor('#ffffff'));
+        expect(white.l).toBeCloseTo(100, 2);
+        expect(white.a).toBeCloseTo(0, 2);
+        expect(white.b).toBeCloseTo(0, 2);
+        expect(toLab(parseColor('#808080')).l).toBeCloseTo(53.59, 1);
+    });
+});
@@ -0,0 +1,266 @@
+import { oklch, parseColor, formatColor, toRgb as colorToRgb } from './colorSpace';
+
+/**
+ * Colour accessibility: WCAG 2.x contrast ratios, APCA lightness contrast
+ * and repair of colours that fall short. Palette colours end up as
+ * swatches, chart segments and backgrounds behind text, so a palette is
+ * judged by the non-text contrast of each colour against the page and
+ * repaired by moving OKLCH lightness only, which keeps the hue and chroma
+ * the music chose.
+ */
+
+// WCAG 2.x minimum contrast ratios; 'graphics' is the non-text contrast of 1.4.11
+const WCAG_RATIOS = {
+    AA: { normal: 4.5, large: 3, graphics: 3 },
+    AAA: { normal: 7, large: 4.5, graphics: 3 }
+};
+
+// APCA lightness contrast (Lc) each use needs, from the APCA readability guidelines
+export const APCA_THRESHOLDS = {
+    body: 75,
+    content: 60,
+    large: 45,
+    spot: 30,
+    minimum: 15
+};
+
+// APCA-W3 0.0.98G-4g constants
+const APCA = {
+    normBackground: 0.56,
+    normText: 0.57,
+    reverseText: 0.62,
+    reverseBackground: 0.65,
+    blackThreshold: 0.022,
+    blackClamp: 1.414,
+    scale: 1.14,
+    offset: 0.027,
+    deltaYMin: 0.0005,
+    lowClip: 0.1
+};
+
+/**
+ * Convert HSL to RGB
+ * @param {number} h - Hue, 0..1
+ * @param {number} s - Saturation, 0..1
+ * @param {number} l - Lightness, 0..1
+ * @returns {number[]} - [r, g, b], 0..255 each
+ */
+export function hslToRgb(h, s, l) {
+    if (s === 0) {
+        const grey = Math.round(l * 255);
+        return [grey, grey, grey];
+    }
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    return [h + 1 / 3, h, h - 1 / 3].map(t => Math.round(hueToChannel(p, q, t) * 255));
+}
+
+/**
+ * Convert RGB to HSL
+ * @param {number} r - Red, 0..255
+ * @param {number} g - Green, 0..255
+ * @param {number} b - Blue, 0..255
+ * @returns {number[]} - [h, s, l], 0..1 each
+ */
+export function rgbToHsl(r, g, b) {
+    const [red, green, blue] = [r / 255, g / 255, b / 255];
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const l = (max + min) / 2;
+    if (max === min) return [0, 0, l];
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === red) {
+        h = (green - blue) / d + (green < blue ? 6 : 0);
+    } else if (max === green) {
+        h = (blue - red) / d + 2;
+    } else {
+        h = (red - green) / d + 4;
+    }
+    return [h / 6, s, l];
+}
+
+/**
+ * WCAG 2.x relative luminance
+ * @param {number[]|string} color - [r, g, b] 0..255, or a CSS colour string
+ * @returns {number} - 0 (black) to 1 (white)
+ */
+export function getRelativeLuminance(color) {
+    const [r, g, b] = toRgb(color).map(channel => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG 2.x contrast ratio between two colours; the order does not matter
+ * @param {number[]|string} first - [r, g, b] 0..255, or a CSS colour string
+ * @param {number[]|string} second - [r, g, b] 0..255, or a CSS colour string
+ * @returns {number} - 1 (identical) to 21 (black on white)
+ */
+export function getContrastRatio(first, second) {
+    const a = getRelativeLuminance(first);
+    const b = getRelativeLuminance(second);
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+/**
+ * Whether a contrast ratio passes WCAG 2.x
+ * @param {number} ratio - From getContrastRatio
+ * @param {string} level - 'AA' or 'AAA'
+ * @param {string} use - 'normal' text, 'large' text, or 'graphics' for non-text elements
+ * @returns {boolean}
+ */
+export function meetsContrastRequirements(ratio, level = 'AA', use = 'normal') {
+    return ratio >= WCAG_RATIOS[level][use];
+}
+
+/**
+ * APCA lightness contrast of text on a background. Unlike the WCAG ratio it
+ * depends on which colour is the text: dark on light is positive, light on
+ * dark negative, and mid-tone pairs score lower than the ratio suggests.
+ * @param {number[]|string} text - [r, g, b] 0..255, or a CSS colour string
+ * @param {number[]|string} background - [r, g, b] 0..255, or a CSS colour string
+ * @returns {number} - Lc, about -108 to 106; compare its magnitude with APCA_THRESHOLDS
+ */
+export function getApcaContrast(text, background) {
+    const textY = apcaLuminance(toRgb(text));
+    const backgroundY = apcaLuminance(toRgb(background));
+    if (Math.abs(backgroundY - textY) < APCA.deltaYMin) return 0;
+
+    let contrast;
+    if (backgroundY > textY) {
+        const sapc = (Math.pow(backgroundY, APCA.normBackground) - Math.pow(textY, APCA.normText)) * APCA.scale;
+        contrast = sapc < APCA.lowClip ? 0 : sapc - APCA.offset;
+    } else {
+        const sapc = (Math.pow(backgroundY, APCA.reverseBackground) - Math.pow(textY, APCA.reverseText)) * APCA.scale;
+        contrast = sapc > -APCA.lowClip ? 0 : sapc + APCA.offset;
+    }
+    return contrast * 100;
+}
+
+/**
+ * Text colour, black or white, that reads best on a background
+ * @param {number[]|string} background - [r, g, b] 0..255, or a CSS colour string
+ * @returns {string} - '#000000' or '#ffffff'
+ */
+export function getReadableTextColor(background) {
+    const onBlack = Math.abs(getApcaContrast([0, 0, 0], background));
+    const onWhite = Math.abs(getApcaContrast([255, 255, 255], background));
+    return onBlack >= onWhite ? '#000000' : '#ffffff';
+}
+
+/**
+ * Move a colour's OKLCH lightness, keeping hue and chroma, until it reaches
+ * a contrast ratio against the background. It goes darker or lighter,
+ * whichever needs the smaller change; a colour that already passes only
+ * changes format.
+ * @param {string} color - CSS colour string
+ * @param {Object} options
+ * @param {string} options.background - CSS colour the colour is seen against
+ * @param {number} options.minRatio - Contrast ratio to reach; 3 is the WCAG non-text minimum
+ * @returns {string} - CSS colour (#rrggbb)
+ */
+export function improveColorAccessibility(color, { background = '#ffffff', minRatio = WCAG_RATIOS.AA.graphics } = {}) {
+    const original = parseColor(color) || oklch(0, 0, 0);
+    if (getContrastRatio(formatColor(original), background) >= minRatio) return formatColor(original);
+
+    // Lightness in steps of 0.01, each checked as the colour will be written out
+    const withLightness = (step) => formatColor(oklch(step / 100, original.c, original.h));
+    const passes = (step) => getContrastRatio(withLightness(step), background) >= minRatio;
+    const start = original.l * 100;
+    const darker = searchLightness(passes, Math.floor(start), 0);
+    const lighter = searchLightness(passes, Math.ceil(start), 100);
+
+    if (darker === null && lighter === null) {
+        // Neither direction gets there: take whichever end contrasts most
+        return getContrastRatio([0, 0, 0], background) >= getContrastRatio([255, 255, 255], background) ? '#000000' : '#ffffff';
+    }
+    if (darker === null) return withLightness(lighter);
+    if (lighter === null) return withLightness(darker);
+    return withLightness(start - darker <= lighter - start ? darker : lighter);
+}
+
+/**
+ * Contrast of every palette colour against a background
+ * @param {string[]} palette - CSS colour strings
+ * @param {Object} options
+ * @param {string} options.background - CSS colour the palette is seen against
+ * @param {number} options.minRatio - Contrast ratio each colour should reach
+ * @returns {Object} - {
+ *   passes: boolean,      // Every colour reaches minRatio
+ *   failing: number,      // Colours that do not
+ *   colors: Array<{ color, ratio, apca, passes, textColor }>  // Per colour, with the text colour that reads best on it
+ * }
+ */
+export function analyzePaletteAccessibility(palette, { background = '#ffffff', minRatio = WCAG_RATIOS.AA.graphics } = {}) {
+    const colors = palette.map(color => {
+        const ratio = getContrastRatio(color, background);
+        return {
+            color,
+            ratio,
+            apca: getApcaContrast(color, background),
+            passes: ratio >= minRatio,
+            textColor: getReadableTextColor(color)
+        };
+    });
+
+    const failing = colors.filter(({ passes }) => !passes).length;
+    return { passes: failing === 0, failing, colors };
+}
+
+/**
+ * Whether every palette colour stands out from the background
+ * @param {string[]} palette - CSS colour strings
+ * @param {Object} options - See analyzePaletteAccessibility
+ * @returns {boolean}
+ */
+export function checkPaletteAccessibility(palette, options = {}) {
+    return analyzePaletteAccessibility(palette, options).passes;
+}
+
+function hueToChannel(p, q, t) {
+    const wrapped = t < 0 ? t + 1 : t > 1 ? t - 1 : t;
+    if (wrapped < 1 / 6) return p + (q - p) * 6 * wrapped;
+    if (wrapped < 1 / 2) return q;
+    if (wrapped < 2 / 3) return p + (q - p) * (2 / 3 - wrapped) * 6;
+    return p;
+}
+
+// [r, g, b] 0..255 from an array or a CSS colour string; unreadable strings count as black
+function toRgb(color) {
+    if (Array.isArray(color)) return color;
+    const parsed = parseColor(color);
+    if (!parsed) return [0, 0, 0];
+    const { r, g, b } = colorToRgb(parsed);
+    return [r * 255, g * 255, b * 255];
+}
+
+// APCA screen luminance: simple 2.4 gamma and a soft clamp near black
+function apcaLuminance([r, g, b]) {
+    const y = 0.2126729 * Math.pow(r / 255, 2.4) + 0.7151522 * Math.pow(g / 255, 2.4) + 0.0721750 * Math.pow(b / 255, 2.4);
+    return y > APCA.blackThreshold ? y : y + Math.pow(APCA.blackThreshold - y, APCA.blackClamp);
+}
+
+// Lightness step nearest to start, towards target, that passes. Contrast
+// against the background only falls and then rises along the way, so the
+// passing lightnesses are one stretch that ends at target.
+function searchLightness(passes, start, target) {
+    if (!passes(target)) return null;
+
+    let from = start;
+    let to = target;
+    while (Math.abs(to - from) > 1) {
+        const middle = Math.round((from + to) / 2);
+        if (passes(middle)) {
+            to = middle;
+        } else {
+            from = middle;
+        }
+    }
+    return passes(from) ? from : to;
+}
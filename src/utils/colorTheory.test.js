@@ -0,0 +1,103 @@
+import {
+    hslToRgb,
+    rgbToHsl,
+    getRelativeLuminance,
+    getContrastRatio,
+    meetsContrastRequirements,
+    getApcaContrast,
+    getReadableTextColor,
+    improveColorAccessibility,
+    analyzePaletteAccessibility,
+    checkPaletteAccessibility
+} from './colorTheory';
+import { parseColor } from './colorSpace';
+
+describe('HSL conversion', () => {
+    test('converts the primaries and greys both ways', () => {
+        expect(hslToRgb(0, 1, 0.5)).toEqual([255, 0, 0]);
+        expect(hslToRgb(1 / 3, 1, 0.5)).toEqual([0, 255, 0]);
+        expect(hslToRgb(0.5, 0, 0.5)).toEqual([128, 128, 128]);
+        expect(rgbToHsl(0, 0, 255)).toEqual([2 / 3, 1, 0.5]);
+        expect(rgbToHsl(255, 255, 255)).toEqual([0, 0, 1]);
+    });
+
+    test('round-trips a colour', () => {
+        const [h, s, l] = rgbToHsl(200, 120, 40);
+        expect(hslToRgb(h, s, l)).toEqual([200, 120, 40]);
+    });
+});
+
+describe('WCAG contrast', () => {
+    test('spans 1 to 21 between black and white', () => {
+        expect(getRelativeLuminance('#ffffff')).toBeCloseTo(1);
+        expect(getRelativeLuminance([0, 0, 0])).toBe(0);
+        expect(getContrastRatio('#000000', '#ffffff')).toBeCloseTo(21);
+        expect(getContrastRatio('#ff0000', '#ff0000')).toBe(1);
+    });
+
+    test('matches the published ratios of the greys either side of AA', () => {
+        expect(getContrastRatio('#767676', '#ffffff')).toBeCloseTo(4.54, 2);
+        expect(getContrastRatio('#777777', '#ffffff')).toBeCloseTo(4.48, 2);
+        expect(meetsContrastRequirements(getContrastRatio('#767676', '#ffffff'))).toBe(true);
+        expect(meetsContrastRequirements(getContrastRatio('#777777', '#ffffff'))).toBe(false);
+        expect(meetsContrastRequirements(4.48, 'AA', 'large')).toBe(true);
+        expect(meetsContrastRequirements(4.48, 'AAA', 'large')).toBe(false);
+    });
+
+    test('does not depend on the order of the colours', () => {
+        expect(getContrastRatio('#336699', '#ffcc00')).toBe(getContrastRatio('#ffcc00', '#336699'));
+    });
+});
+
+describe('getApcaContrast', () => {
+    test('matches the APCA reference values', () => {
+        expect(getApcaContrast('#888888', '#ffffff')).toBeCloseTo(63.06, 1);
+        expect(getApcaContrast('#000000', '#ffffff')).toBeCloseTo(106.04, 1);
+        expect(getApcaContrast('#ffffff', '#000000')).toBeCloseTo(-107.88, 1);
+    });
+
+    test('is zero for colours too close to tell apart', () => {
+        expect(getApcaContrast('#777777', '#787878')).toBe(0);
+    });
+});
+
+describe('getReadableTextColor', () => {
+    test('picks black on light and white on dark backgrounds', () => {
+        expect(getReadableTextColor('#ffee88')).toBe('#000000');
+        expect(getReadableTextColor('#202060')).toBe('#ffffff');
+    });
+});
+
+describe('improveColorAccessibility', () => {
+    test('leaves a colour that passes alone apart from its format', () => {
+        expect(improveColorAccessibility('rgb(0, 0, 128)')).toBe('#000080');
+    });
+
+    test('darkens a pale colour just enough to stand out from white, keeping its hue', () => {
+        const improved = improveColorAccessibility('#ffe08a');
+        const ratio = getContrastRatio(improved, '#ffffff');
+        expect(ratio).toBeGreaterThanOrEqual(3);
+        expect(ratio).toBeLessThan(3.3);
+        expect(Math.abs(parseColor(improved).h - parseColor('#ffe08a').h)).toBeLessThan(5);
+    });
+
+    test('lightens a dark colour against a dark background', () => {
+        const improved = improveColorAccessibility('#303030', { background: '#000000', minRatio: 4.5 });
+        expect(getContrastRatio(improved, '#000000')).toBeGreaterThanOrEqual(4.5);
+    });
+
+    test('falls back to black or white when no lightness gets there', () => {
+        expect(improveColorAccessibility('#808080', { background: '#808080', minRatio: 10 })).toBe('#000000');
+    });
+});
+
+describe('palette accessibility', () => {
+    test('reports each colour and whether the whole palette passes', () => {
+        const report = analyzePaletteAccessibility(['#000080', '#ffff99']);
+        expect(report.failing).toBe(1);
+        expect(report.passes).toBe(false);
+        expect(report.colors[0]).toMatchObject({ color: '#000080', passes: true, textColor: '#ffffff' });
+        expect(report.colors[1]).toMatchObject({ passes: false, textColor: '#000000' });
+        expect(checkPaletteAccessibility(['#000080'])).toBe(true);
+    });
+});
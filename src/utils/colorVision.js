@@ -0,0 +1,250 @@
+import { oklch, parseColor, formatColor, toGamut, toLinearSrgb, fromLinearSrgb, toLab, deltaE2000, deltaE2000Lab } from './colorSpace';
+
+/**
+ * Colour vision deficiency (CVD): how a palette looks to people with
+ * protanopia, deuteranopia, tritanopia or achromatopsia, and a repair that
+ * nudges palette colours until every pair stays distinguishable under each
+ * of them. The dichromacies use the full-severity matrices of Machado,
+ * Oliveira and Fernandes (2009) on linear sRGB, as browser emulations do;
+ * achromatopsia keeps the luminance only.
+ */
+
+export const CVD_TYPES = {
+    protanopia: { label: 'Protanopia', description: 'No red cones, about 1% of men' },
+    deuteranopia: { label: 'Deuteranopia', description: 'No green cones, about 1% of men' },
+    tritanopia: { label: 'Tritanopia', description: 'No blue cones, rare' },
+    achromatopsia: { label: 'Achromatopsia', description: 'No colour at all, only lightness; very rare' }
+};
+
+// CIEDE2000 difference every pair of palette colours keeps under each simulation:
+// clearly different side by side, if not always a different colour name
+export const CVD_MIN_DIFFERENCE = 6;
+
+// Rows give the simulated linear red, green and blue
+const SIMULATION_MATRICES = {
+    protanopia: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998]
+    ],
+    deuteranopia: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881]
+    ],
+    tritanopia: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900]
+    ]
+};
+
+// The repair keeps typical vision in the comparison, so fixing one simulation never merges two colours for everyone else
+const VISIONS = ['normal', ...Object.keys(CVD_TYPES)];
+
+// Search steps of the repair, coarse to fine: OKLCH lightness, chroma and hue
+const REPAIR_STEPS = [
+    { lightness: 0.08, chroma: 0.04, hue: 20 },
+    { lightness: 0.04, chroma: 0.02, hue: 10 },
+    { lightness: 0.02, chroma: 0.01, hue: 5 },
+    { lightness: 0.01, chroma: 0.005, hue: 2.5 }
+];
+const MAX_SWEEPS = 12;
+// Lightness range the greys of a repaired palette are spread over, and the
+// headroom they get, as a lightness change does not move the grey exactly as much
+const GREY_RANGE = { min: 0.2, max: 0.98 };
+const GREY_MARGIN = 1.1;
+// The search aims a little past the difference asked, so rounding to #rrggbb and near misses still clear it
+const SEARCH_MARGIN = 1.05;
+
+/**
+ * A colour as someone with a colour vision deficiency sees it
+ * @param {string} color - CSS colour string
+ * @param {string} type - A key of CVD_TYPES
+ * @returns {string} - CSS colour (#rrggbb)
+ */
+export function simulateColorVision(color, type) {
+    return formatColor(simulate(parseColor(color) || oklch(0, 0, 0), type));
+}
+
+/**
+ * Every palette colour under one colour vision deficiency
+ * @param {string[]} palette - CSS colour strings
+ * @param {string} type - A key of CVD_TYPES
+ * @returns {string[]} - CSS colours (#rrggbb)
+ */
+export function simulatePalette(palette, type) {
+    return palette.map(color => simulateColorVision(color, type));
+}
+
+/**
+ * How well a palette survives each colour vision deficiency
+ * @param {string[]} palette - CSS colour strings
+ * @param {Object} options
+ * @param {number} options.minDifference - CIEDE2000 difference a pair needs to count as distinguishable
+ * @returns {Object} - {
+ *   passes: boolean,  // Every pair is distinguishable under every simulation
+ *   types: { [type]: {
+ *     palette: string[],              // The palette as simulated
+ *     minDifference: number|null,     // Smallest difference between two simulated colours; null below two colours
+ *     confusable: Array<number[]>     // Index pairs that fall below options.minDifference
+ *   } }
+ * }
+ */
+export function analyzeColorVision(palette, { minDifference = CVD_MIN_DIFFERENCE } = {}) {
+    const colors = palette.map(color => parseColor(color) || oklch(0, 0, 0));
+
+    const types = {};
+    Object.keys(CVD_TYPES).forEach(type => {
+        const simulated = colors.map(color => simulate(color, type));
+        let smallest = null;
+        const confusable = [];
+        for (let i = 0; i < simulated.length; i++) {
+            for (let j = i + 1; j < simulated.length; j++) {
+                const difference = deltaE2000(simulated[i], simulated[j]);
+                if (smallest === null || difference < smallest) smallest = difference;
+                if (difference < minDifference) confusable.push([i, j]);
+            }
+        }
+        types[type] = { palette: simulated.map(formatColor), minDifference: smallest, confusable };
+    });
+
+    return { passes: Object.values(types).every(({ confusable }) => !confusable.length), types };
+}
+
+/**
+ * Adjust a palette until every pair of colours stays distinguishable under
+ * every simulation and to typical vision, moving the colours as little as
+ * possible. Achromatopsia leaves nothing but lightness, so the colours'
+ * lightnesses are first spread until their greys stand apart, keeping
+ * their order. Then each colour in turn takes the lightness, chroma or hue
+ * step that best closes its gaps to the others, and once nothing is short,
+ * the step back towards where it started; the steps shrink as it converges.
+ * Later colours move first, so the leading colours of a palette keep their
+ * musical mapping longest. A palette with too many colours for the
+ * difference asked may still come out with close pairs, as near as the
+ * search gets.
+ * @param {string[]} palette - CSS colour strings
+ * @param {Object} options
+ * @param {number} options.minDifference - CIEDE2000 difference to keep between any two colours
+ * @returns {string[]} - CSS colours (#rrggbb), in the same order
+ */
+export function makeCvdSafePalette(palette, { minDifference = CVD_MIN_DIFFERENCE } = {}) {
+    const originals = palette.map(color => toGamut(parseColor(color) || oklch(0, 0, 0)));
+    const colors = spreadLightness(originals, minDifference);
+    const views = colors.map(viewsOf);
+
+    // Squared shortfall of one colour against all the others, over every vision
+    const target = minDifference * SEARCH_MARGIN;
+    const shortfall = (index, candidateViews) => {
+        let total = 0;
+        views.forEach((other, j) => {
+            if (j === index) return;
+            candidateViews.forEach((view, v) => {
+                total += Math.max(0, target - deltaE2000Lab(view, other[v])) ** 2;
+            });
+        });
+        return total;
+    };
+
+    REPAIR_STEPS.forEach(step => {
+        for (let sweep = 0; sweep < MAX_SWEEPS; sweep++) {
+            let moved = false;
+            for (let i = colors.length - 1; i >= 0; i--) {
+                let best = { color: colors[i], views: views[i], shortfall: shortfall(i, views[i]), drift: deltaE2000(originals[i], colors[i]) };
+                candidatesAround(colors[i], originals[i], step).forEach(color => {
+                    const candidateViews = viewsOf(color);
+                    const candidate = { color, views: candidateViews, shortfall: shortfall(i, candidateViews) };
+                    if (candidate.shortfall > best.shortfall + 1e-9) return;
+                    candidate.drift = deltaE2000(originals[i], color);
+                    // Less shortfall wins; at equal shortfall, staying closer to the original does
+                    if (candidate.shortfall < best.shortfall - 1e-9 || candidate.drift < best.drift - 1e-9) best = candidate;
+                });
+                if (best.color !== colors[i]) {
+                    colors[i] = best.color;
+                    views[i] = best.views;
+                    moved = true;
+                }
+            }
+            if (!moved) break;
+        }
+    });
+
+    return colors.map(formatColor);
+}
+
+function simulate(color, type) {
+    const { r, g, b } = toLinearSrgb(color);
+    if (type === 'achromatopsia') {
+        const y = 0.2126729 * r + 0.7151522 * g + 0.0721750 * b;
+        return fromLinearSrgb({ r: y, g: y, b: y });
+    }
+
+    const matrix = SIMULATION_MATRICES[type];
+    if (!matrix) return color;
+    const [sr, sg, sb] = matrix.map(([mr, mg, mb]) => Math.min(1, Math.max(0, mr * r + mg * g + mb * b)));
+    return fromLinearSrgb({ r: sr, g: sg, b: sb });
+}
+
+// Move lightnesses so that the greys of neighbouring colours differ by minDifference:
+// pairs too close push apart evenly, and the range keeps pushing back from its ends
+function spreadLightness(colors, minDifference) {
+    const greys = colors.map(color => simulate(color, 'achromatopsia').l);
+    const order = greys.map((_, index) => index).sort((a, b) => greys[a] - greys[b]);
+    const targets = order.map(index => greys[index]);
+
+    for (let pass = 0; pass < 100; pass++) {
+        let spread = true;
+        for (let k = 1; k < targets.length; k++) {
+            const missing = greyGap(targets[k - 1], minDifference * GREY_MARGIN) - (targets[k] - targets[k - 1]);
+            if (missing > 1e-4) {
+                targets[k - 1] -= missing / 2;
+                targets[k] += missing / 2;
+                spread = false;
+            }
+        }
+        targets.forEach((target, k) => { targets[k] = Math.min(GREY_RANGE.max, Math.max(GREY_RANGE.min, target)); });
+        if (spread) break;
+    }
+
+    const spreadColors = [...colors];
+    order.forEach((index, k) => {
+        const { l, c, h } = colors[index];
+        spreadColors[index] = toGamut(oklch(Math.min(1, Math.max(0, l + targets[k] - greys[index])), c, h));
+    });
+    return spreadColors;
+}
+
+// Smallest lightness step up from a grey that reaches the difference
+function greyGap(lightness, minDifference) {
+    const grey = oklch(lightness, 0, 0);
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 16; i++) {
+        const middle = (low + high) / 2;
+        if (deltaE2000(grey, oklch(lightness + middle, 0, 0)) >= minDifference) {
+            high = middle;
+        } else {
+            low = middle;
+        }
+    }
+    return high;
+}
+
+// CIELAB of a colour under every vision the repair compares
+function viewsOf(color) {
+    return VISIONS.map(type => toLab(type === 'normal' ? color : simulate(color, type)));
+}
+
+// One step either way in lightness, chroma and hue, and halfway back to the original, all displayable
+function candidatesAround({ l, c, h }, original, step) {
+    return [
+        oklch(Math.min(1, l + step.lightness), c, h),
+        oklch(Math.max(0, l - step.lightness), c, h),
+        oklch(l, c + step.chroma, h),
+        oklch(l, Math.max(0, c - step.chroma), h),
+        oklch(l, c, h + step.hue),
+        oklch(l, c, h - step.hue),
+        oklch((l + original.l) / 2, (c + original.c) / 2, h + ((((original.h - h) % 360) + 540) % 360 - 180) / 2)
+    ].map(toGamut);
+}
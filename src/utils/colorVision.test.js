@@ -0,0 +1,69 @@
+import { CVD_TYPES, CVD_MIN_DIFFERENCE, simulateColorVision, simulatePalette, analyzeColorVision, makeCvdSafePalette } from './colorVision';
+import { parseColor, deltaE2000 } from './colorSpace';
+import { getRelativeLuminance } from './colorTheory';
+
+describe('simulateColorVision', () => {
+    test('leaves white, black and greys alone under every deficiency', () => {
+        Object.keys(CVD_TYPES).forEach(type => {
+            expect(simulatePalette(['#ffffff', '#000000', '#808080'], type)).toEqual(['#ffffff', '#000000', '#808080']);
+        });
+    });
+
+    test('shows red and green alike without green cones', () => {
+        const [red, green] = simulatePalette(['#d62728', '#2ca02c'], 'deuteranopia').map(parseColor);
+        expect(deltaE2000(parseColor('#d62728'), parseColor('#2ca02c'))).toBeGreaterThan(60);
+        expect(deltaE2000(red, green)).toBeLessThan(CVD_MIN_DIFFERENCE);
+    });
+
+    test('keeps only the luminance without any colour', () => {
+        const grey = simulateColorVision('#ff0000', 'achromatopsia');
+        expect(parseColor(grey).c).toBeLessThan(0.005);
+        expect(getRelativeLuminance(grey)).toBeCloseTo(getRelativeLuminance('#ff0000'), 2);
+    });
+});
+
+describe('analyzeColorVision', () => {
+    test('finds the pairs each deficiency confuses', () => {
+        // Rust and olive: clearly apart to typical vision and under tritanopia
+        const { passes, types } = analyzeColorVision(['#9e5b40', '#5e7f3a', '#1f77b4']);
+        expect(passes).toBe(false);
+        expect(types.deuteranopia.confusable).toEqual([[0, 1]]);
+        expect(types.deuteranopia.minDifference).toBeLessThan(2);
+        expect(types.tritanopia.confusable).toEqual([]);
+        expect(types.deuteranopia.palette).toHaveLength(3);
+    });
+
+    test('passes black and white', () => {
+        const { passes, types } = analyzeColorVision(['#000000', '#ffffff']);
+        expect(passes).toBe(true);
+        expect(types.achromatopsia.minDifference).toBeGreaterThan(90);
+    });
+
+    test('has no smallest difference below two colours', () => {
+        expect(analyzeColorVision(['#123456']).types.protanopia.minDifference).toBeNull();
+    });
+});
+
+describe('makeCvdSafePalette', () => {
+    test('separates colours that a deficiency confuses', () => {
+        const palette = ['#d62728', '#2ca02c', '#ff7f0e', '#1f77b4'];
+        const safe = makeCvdSafePalette(palette);
+
+        expect(safe).toHaveLength(palette.length);
+        expect(analyzeColorVision(safe).passes).toBe(true);
+    });
+
+    test('moves a later colour more than the leading colour it was confused with', () => {
+        const palette = ['#9e5b40', '#5e7f3a'];
+        const safe = makeCvdSafePalette(palette);
+        const moves = palette.map((color, i) => deltaE2000(parseColor(color), parseColor(safe[i])));
+        expect(analyzeColorVision(safe).passes).toBe(true);
+        expect(moves[1]).toBeGreaterThan(moves[0]);
+    });
+
+    test('keeps a palette that is already safe', () => {
+        const palette = ['#000000', '#ffffff'];
+        expect(makeCvdSafePalette(palette)).toEqual(palette);
+        expect(analyzeColorVision(palette, { minDifference: CVD_MIN_DIFFERENCE }).passes).toBe(true);
+    });
+});
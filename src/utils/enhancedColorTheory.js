@@ -6,13 +6,15 @@ import {
     improveColorAccessibility,
     checkPaletteAccessibility
 } from './colorTheory';
+import { oklch, parseColor, formatColor, toGamut, deltaE2000, deltaEOK } from './colorSpace';
 
 /**
  * Enhanced color theory rules for musical color mapping
  * Inspired by Coolors.co color harmony and generation techniques
+ * Colors are OKLCH objects from colorSpace until they are handed back as CSS strings
  */
 
-// Constants for color temperature ranges
+// Constants for color temperature ranges, in OKLCH hue
 const TEMPERATURE_RANGES = {
     COOL: { min: 180, max: 270 },
     NEUTRAL: { min: 271, max: 359 },
@@ -22,6 +24,9 @@ const TEMPERATURE_RANGES = {
 // Golden ratio for color spacing
 const PHI = 1.618033988749895;
 
+// CIEDE2000 difference two palette colors need to read as different colors at a glance
+const MIN_DISTINCTION = 10;
+
 // Enhanced harmony schemes with musical context
 const ENHANCED_HARMONY_SCHEMES = {
     ANALOGOUS: {
@@ -109,12 +114,10 @@ function calculateHarmonyWeights(mood, timbre) {
 }
 
 /**
- * Parse color string into HSL components
+ * Parse a CSS colour into the shared OKLCH colour object; unreadable strings become mid grey
  */
-function parseColor(color) {
-    const match = color.match(/hsl\((\d+),\s*(\d+)%,\s*(\d+)%\)/);
-    if (!match) return [0, 0, 50];
-    return match.slice(1).map(Number);
+function toColor(color) {
+    return parseColor(color) || oklch(0.6, 0, 0);
 }
 
 /**
@@ -125,11 +128,19 @@ export function weightedAverage(val1, val2, weight1 = 1, weight2 = 1) {
 }
 
 /**
- * Variate a value based on intensity
+ * Weighted average of two hues along the shorter way round the wheel
+ */
+function averageHue(hue1, hue2, weight1 = 1, weight2 = 1) {
+    const difference = ((hue2 - hue1 + 540) % 360) - 180;
+    return hue1 + (difference * weight2) / (weight1 + weight2);
+}
+
+/**
+ * Variate a value based on intensity, keeping it between min and max
  */
-function variateValue(value, intensity, range = 10) {
+function variateValue(value, intensity, range, min = 0, max = 1) {
     const variation = (Math.random() - 0.5) * range * intensity;
-    return Math.max(0, Math.min(100, value + variation));
+    return Math.max(min, Math.min(max, value + variation));
 }
 
 /**
@@ -158,75 +169,62 @@ function adjustColorTemperature(hue, energy) {
 /**
  * Generate a balanced color based on musical features
  */
-function generateBalancedColor(h, s, l, mood, timbre) {
-    let finalH = h;
-    let finalS = s;
-    let finalL = l;
+function generateBalancedColor(color, mood, timbre) {
+    let { l, c, h } = color;
 
     if (mood) {
-        // Adjust saturation based on mood energy
-        finalS = variateValue(s, mood.energy || 0.5, 15);
+        // Adjust chroma based on mood energy
+        c = variateValue(c, mood.energy || 0.5, 0.06, 0, 0.37);
         
         // Adjust lightness based on mood valence
-        finalL = variateValue(l, mood.valence || 0.5, 10);
+        l = variateValue(l, mood.valence || 0.5, 0.1);
     }
 
     if (timbre) {
         // Adjust hue based on timbre brightness
-        finalH = (h + (timbre.brightness - 0.5) * 20 + 360) % 360;
+        h = h + (timbre.brightness - 0.5) * 20;
         
-        // Fine-tune saturation based on timbre complexity
-        finalS = variateValue(finalS, timbre.complexity || 0.5, 10);
+        // Fine-tune chroma based on timbre complexity
+        c = variateValue(c, timbre.complexity || 0.5, 0.04, 0, 0.37);
     }
 
-    return `hsl(${Math.round(finalH)}, ${Math.round(finalS)}%, ${Math.round(finalL)}%)`;
+    return toGamut(oklch(l, c, h));
 }
 
 /**
- * Check if colors are sufficiently distinct
+ * Check if colors are sufficiently distinct: CIEDE2000 for the decision,
+ * with the OKLab distance alongside
  */
 function checkColorDistinction(color1, color2) {
-    const [h1, s1, l1] = parseColor(color1);
-    const [h2, s2, l2] = parseColor(color2);
-    
-    const hueDiff = Math.min(Math.abs(h1 - h2), 360 - Math.abs(h1 - h2));
-    const satDiff = Math.abs(s1 - s2);
-    const lightDiff = Math.abs(l1 - l2);
-    
+    const deltaE = deltaE2000(color1, color2);
     return {
-        distinct: hueDiff > 30 || satDiff > 20 || lightDiff > 20,
-        hueDiff,
-        satDiff,
-        lightDiff
+        distinct: deltaE >= MIN_DISTINCTION,
+        deltaE,
+        deltaEOK: deltaEOK(color1, color2)
     };
 }
 
 /**
- * Optimize distinction between colors in a palette
+ * Optimize distinction between colors in a palette. A color too close to an
+ * earlier one takes whichever hue or lightness step sets it furthest apart
+ * from all the colors before it.
  */
 function optimizeDistinction(palette) {
     const optimizedPalette = [...palette];
     
-    for (let i = 0; i < optimizedPalette.length; i++) {
-        for (let j = i + 1; j < optimizedPalette.length; j++) {
-            const distinction = checkColorDistinction(optimizedPalette[i], optimizedPalette[j]);
-            
-            if (!distinction.distinct) {
-                const [h, s, l] = parseColor(optimizedPalette[j]);
-                
-                // Adjust the second color to increase distinction
-                if (distinction.hueDiff < 30) {
-                    const newHue = (h + 30) % 360;
-                    optimizedPalette[j] = `hsl(${newHue}, ${s}%, ${l}%)`;
-                } else if (distinction.satDiff < 20) {
-                    const newSat = Math.min(100, s + 20);
-                    optimizedPalette[j] = `hsl(${h}, ${newSat}%, ${l}%)`;
-                } else if (distinction.lightDiff < 20) {
-                    const newLight = Math.min(90, l + 20);
-                    optimizedPalette[j] = `hsl(${h}, ${s}%, ${newLight}%)`;
-                }
-            }
-        }
+    for (let j = 1; j < optimizedPalette.length; j++) {
+        const earlier = optimizedPalette.slice(0, j);
+        const nearest = (color) => Math.min(...earlier.map(other => checkColorDistinction(color, other).deltaE));
+        if (nearest(optimizedPalette[j]) >= MIN_DISTINCTION) continue;
+
+        const { l, c, h } = optimizedPalette[j];
+        const candidates = [
+            oklch(l, c, h + 30),
+            oklch(l, c, h - 30),
+            oklch(Math.min(0.95, l + 0.15), c, h),
+            oklch(Math.max(0.15, l - 0.15), c, h)
+        ].map(toGamut);
+        optimizedPalette[j] = candidates.reduce((best, candidate) => (nearest(candidate) > nearest(best) ? candidate : best));
     }
     
     return optimizedPalette;
@@ -244,35 +242,35 @@ export function generateEnhancedPalette(baseColor, mood, timbre, count = 5) {
         .reduce((a, b) => a[1] > b[1] ? a : b)[0];
     
     const angles = ENHANCED_HARMONY_SCHEMES[bestScheme].angles;
-    const [baseH, baseS, baseL] = parseColor(baseColor);
-    const palette = [baseColor];
+    const base = toColor(baseColor);
+    const palette = [base];
 
-    // Generate harmony colors with temperature consideration
+    // Generate harmony colors with temperature consideration; OKLCH hues keep the lightness steady
     angles.forEach(angle => {
-        const h = (baseH + angle) % 360;
+        const h = (base.h + angle) % 360;
         const temperatureAdjusted = adjustColorTemperature(h, mood?.energy || 0.5);
-        palette.push(generateBalancedColor(temperatureAdjusted, baseS, baseL, mood, timbre));
+        palette.push(generateBalancedColor(oklch(base.l, base.c, temperatureAdjusted), mood, timbre));
     });
 
     // Fill remaining slots with musically-informed variations
     while (palette.length < count) {
         const index = palette.length;
         const phi = PHI * index;
-        const h = (baseH + (phi * 360)) % 360;
-        const s = variateValue(baseS, mood?.intensity || 0.5, 20);
-        const l = variateValue(baseL, timbre?.brightness || 0.5, 15);
+        const h = (base.h + (phi * 360)) % 360;
+        const c = variateValue(base.c, mood?.intensity || 0.5, 0.08, 0, 0.37);
+        const l = variateValue(base.l, timbre?.brightness || 0.5, 0.15);
         
         // Add shades and tints like Coolors.co
         if (index % 2 === 0) {
             // Create a shade (darker version)
-            palette.push(`hsl(${Math.round(h)}, ${Math.round(s)}%, ${Math.round(l * 0.7)}%)`);
+            palette.push(toGamut(oklch(l * 0.75, c, h)));
         } else {
             // Create a tint (lighter version)
-            palette.push(`hsl(${Math.round(h)}, ${Math.round(s)}%, ${Math.min(95, Math.round(l * 1.3))}%)`);
+            palette.push(toGamut(oklch(Math.min(0.95, l * 1.2), c, h)));
         }
     }
 
-    return optimizeDistinction(palette);
+    return optimizeDistinction(palette).map(formatColor);
 }
 
 /**
@@ -280,21 +278,17 @@ export function generateEnhancedPalette(baseColor, mood, timbre, count = 5) {
  */
 export function optimizePalette(palette, mood, timbre) {
     // First optimize for distinction
-    let optimizedPalette = optimizeDistinction(palette);
+    let optimizedPalette = optimizeDistinction(palette.map(toColor));
     
     // Then adjust for mood and timbre if provided
     if (mood || timbre) {
         optimizedPalette = optimizedPalette.map(color => {
-            const [h, s, l] = parseColor(color);
-            const rgb = hslToRgb(h/360, s/100, l/100);
-            const balancedColor = generateBalancedColor(h, s, l, mood, timbre);
-            const [bh, bs, bl] = parseColor(balancedColor);
-            const balancedRgb = hslToRgb(bh/360, bs/100, bl/100);
+            const balancedColor = generateBalancedColor(color, mood, timbre);
             
             // Check contrast and improve accessibility if needed
-            const contrastRatio = getContrastRatio(rgb, balancedRgb);
+            const contrastRatio = getContrastRatio(formatColor(color), formatColor(balancedColor));
             if (!meetsContrastRequirements(contrastRatio)) {
-                return improveColorAccessibility(balancedColor);
+                return toColor(improveColorAccessibility(formatColor(balancedColor)));
             }
             
             return balancedColor;
@@ -302,23 +296,20 @@ export function optimizePalette(palette, mood, timbre) {
     }
     
     // Final check for palette-wide accessibility
-    if (!checkPaletteAccessibility(optimizedPalette)) {
+    if (!checkPaletteAccessibility(optimizedPalette.map(formatColor))) {
         // Use weighted average to adjust colors while maintaining relationships
         optimizedPalette = optimizedPalette.map((color, i) => {
             if (i === 0) return color;
-            const [h1, s1, l1] = parseColor(color);
-            const [h2, s2, l2] = parseColor(optimizedPalette[i-1]);
+            const previous = optimizedPalette[i - 1];
             return generateBalancedColor(
-                weightedAverage(h1, h2),
-                weightedAverage(s1, s2),
-                weightedAverage(l1, l2),
+                oklch(weightedAverage(color.l, previous.l), weightedAverage(color.c, previous.c), averageHue(color.h, previous.h)),
                 mood,
                 timbre
             );
         });
     }
     
-    return optimizedPalette;
+    return optimizedPalette.map(formatColor);
 }
 
 // Export color utility functions for future use
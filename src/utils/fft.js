@@ -0,0 +1,321 @@
+/**
+ * FFT and short-time Fourier transform helpers shared by every spectral
+ * extractor in audioProcessing.js.
+ */
+
+const windowCache = new Map();
+
+/**
+ * Create (or reuse) an analysis window of the given size.
+ * Windows are periodic, which is what an STFT with overlap-add expects.
+ * @param {number} size - Window length in samples
+ * @param {string} type - 'hann' (alias 'hanning'), 'hamming' or 'rectangular'
+ * @returns {Float32Array} - Window coefficients
+ */
+export const createWindow = (size, type = 'hann') => {
+    const cacheKey = `${type}:${size}`;
+    if (windowCache.has(cacheKey)) return windowCache.get(cacheKey);
+
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        switch (type) {
+            case 'hann':
+            case 'hanning':
+                window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / size));
+                break;
+            case 'hamming':
+                window[i] = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / size);
+                break;
+            default:
+                window[i] = 1;
+        }
+    }
+
+    windowCache.set(cacheKey, window);
+    return window;
+};
+
+/**
+ * In-place iterative radix-2 FFT.
+ * @param {Float32Array|Float64Array} real - Real part, length must be a power of two
+ * @param {Float32Array|Float64Array} imag - Imaginary part, same length as real
+ */
+export const fft = (real, imag) => {
+    const n = real.length;
+    if (n !== imag.length) throw new Error('FFT real and imaginary parts must have the same length');
+    if (n === 0 || (n & (n - 1)) !== 0) throw new Error(`FFT size must be a power of two, got ${n}`);
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+
+        if (i < j) {
+            let tmp = real[i]; real[i] = real[j]; real[j] = tmp;
+            tmp = imag[i]; imag[i] = imag[j]; imag[j] = tmp;
+        }
+    }
+
+    // Butterflies
+    for (let size = 2; size <= n; size <<= 1) {
+        const halfSize = size >> 1;
+        const angle = (-2 * Math.PI) / size;
+        const stepReal = Math.cos(angle);
+        const stepImag = Math.sin(angle);
+
+        for (let start = 0; start < n; start += size) {
+            let wReal = 1;
+            let wImag = 0;
+
+            for (let k = 0; k < halfSize; k++) {
+                const even = start + k;
+                const odd = even + halfSize;
+                const tReal = wReal * real[odd] - wImag * imag[odd];
+                const tImag = wReal * imag[odd] + wImag * real[odd];
+
+                real[odd] = real[even] - tReal;
+                imag[odd] = imag[even] - tImag;
+                real[even] += tReal;
+                imag[even] += tImag;
+
+                const nextReal = wReal * stepReal - wImag * stepImag;
+                wImag = wReal * stepImag + wImag * stepReal;
+                wReal = nextReal;
+            }
+        }
+    }
+};
+
+/**
+ * Windowed FFT of a single frame.
+ * Frames shorter than fftSize are zero-padded.
+ * @param {Float32Array} frame - Time-domain samples
+ * @param {number} fftSize - FFT size (power of two)
+ * @param {string} windowType - Window passed to createWindow
+ * @returns {{ magnitudes: Float32Array, phases: Float32Array }} - fftSize/2 + 1 bins each
+ */
+export const computeSpectrum = (frame, fftSize = 2048, windowType = 'hann') => {
+    const window = createWindow(fftSize, windowType);
+    const real = new Float64Array(fftSize);
+    const imag = new Float64Array(fftSize);
+    const length = Math.min(frame.length, fftSize);
+
+    for (let i = 0; i < length; i++) {
+        real[i] = frame[i] * window[i];
+    }
+
+    fft(real, imag);
+
+    const numBins = fftSize / 2 + 1;
+    const magnitudes = new Float32Array(numBins);
+    const phases = new Float32Array(numBins);
+    for (let i = 0; i < numBins; i++) {
+        magnitudes[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
+        phases[i] = Math.atan2(imag[i], real[i]);
+    }
+
+    return { magnitudes, phases };
+};
+
+/**
+ * Iterate over the frames of a short-time Fourier transform without keeping
+ * them all in memory. Use this for whole tracks.
+ * @param {Float32Array} signal - Time-domain samples
+ * @param {Object} options
+ * @param {number} options.fftSize - FFT size (power of two)
+ * @param {number} options.hopSize - Samples between frame starts
+ * @param {string} options.windowType - Window passed to createWindow
+ * @param {number} options.sampleRate - Used to stamp each frame with its time
+ * @yields {{ index: number, time: number, magnitudes: Float32Array, phases: Float32Array }}
+ * @throws {RangeError} - When hopSize is not a positive number
+ */
+export function* stftFrames(signal, { fftSize = 2048, hopSize = fftSize / 4, windowType = 'hann', sampleRate = 44100 } = {}) {
+    checkHopSize(hopSize);
+    // Signals shorter than one frame still produce a single zero-padded frame
+    const lastStart = Math.max(0, signal.length - fftSize);
+
+    for (let start = 0, index = 0; start <= lastStart; start += hopSize, index++) {
+        const frame = signal.subarray(start, start + fftSize);
+        const { magnitudes, phases } = computeSpectrum(frame, fftSize, windowType);
+        yield { index, time: start / sampleRate, magnitudes, phases };
+    }
+}
+
+/**
+ * Cut audio that arrives in chunks into frames, exactly as if the chunks
+ * were one signal. Only the samples the next frame needs are kept.
+ * Frames are views into an internal buffer and are only valid during the callback.
+ * @param {function(Float32Array, number): void} onFrame - Called with each frame and its index
+ * @param {Object} options
+ * @param {number} options.frameSize - Samples per frame
+ * @param {number} options.hopSize - Samples between frame starts
+ * @param {boolean} options.keepTail - Emit the partial frame left at the end, as splitting into blocks does
+ * @param {boolean} options.keepShort - Emit a stream shorter than one frame as a single short frame
+ * @returns {{ push: function(Float32Array): void, finish: function(): void }}
+ * @throws {RangeError} - When hopSize is not a positive number
+ */
+export const createFrameStream = (onFrame, { frameSize, hopSize = frameSize, keepTail = false, keepShort = false }) => {
+    checkHopSize(hopSize);
+    let buffer = new Float32Array(Math.max(1, frameSize * 2));
+    let bufferStart = 0;
+    let bufferLength = 0;
+    let frameStart = 0;
+    let index = 0;
+
+    const push = (samples) => {
+        // Drop what is left of the previous frames, and skip samples a large hop jumps over
+        const drop = Math.min(bufferLength, frameStart - bufferStart);
+        if (drop > 0) {
+            buffer.copyWithin(0, drop, bufferLength);
+            bufferLength -= drop;
+            bufferStart += drop;
+        }
+        let offset = 0;
+        if (!bufferLength && frameStart > bufferStart) {
+            offset = Math.min(samples.length, frameStart - bufferStart);
+            bufferStart += offset;
+        }
+
+        const incoming = samples.length - offset;
+        if (bufferLength + incoming > buffer.length) {
+            const grown = new Float32Array(Math.max(buffer.length * 2, bufferLength + incoming));
+            grown.set(buffer.subarray(0, bufferLength));
+            buffer = grown;
+        }
+        buffer.set(offset ? samples.subarray(offset) : samples, bufferLength);
+        bufferLength += incoming;
+
+        while (frameStart + frameSize <= bufferStart + bufferLength) {
+            const from = frameStart - bufferStart;
+            onFrame(buffer.subarray(from, from + frameSize), index++);
+            frameStart += hopSize;
+        }
+    };
+
+    const finish = () => {
+        const from = frameStart - bufferStart;
+        if (keepTail && from < bufferLength) {
+            onFrame(buffer.subarray(from, bufferLength), index++);
+        } else if (keepShort && index === 0) {
+            onFrame(buffer.subarray(0, bufferLength), index++);
+        }
+    };
+
+    return { push, finish };
+};
+
+/**
+ * Incremental version of stftFrames for audio that arrives in chunks.
+ * Produces the same frames as stftFrames on the joined signal.
+ * @param {function({ index: number, time: number, magnitudes: Float32Array, phases: Float32Array }): void} onFrame
+ * @param {Object} options - See stftFrames
+ * @returns {{ push: function(Float32Array): void, finish: function(): void }}
+ */
+export const createStftStream = (onFrame, { fftSize = 2048, hopSize = fftSize / 4, windowType = 'hann', sampleRate = 44100 } = {}) => (
+    createFrameStream((frame, index) => {
+        const { magnitudes, phases } = computeSpectrum(frame, fftSize, windowType);
+        onFrame({ index, time: (index * hopSize) / sampleRate, magnitudes, phases });
+    }, { frameSize: fftSize, hopSize, keepShort: true })
+);
+
+/**
+ * Short-time Fourier transform collected into arrays.
+ * Prefer stftFrames for long signals; this keeps every frame in memory.
+ * @param {Float32Array} signal - Time-domain samples
+ * @param {Object} options - See stftFrames
+ * @returns {{ fftSize: number, hopSize: number, sampleRate: number, times: number[], magnitudes: Float32Array[], phases: Float32Array[] }}
+ */
+export const stft = (signal, options = {}) => {
+    const { fftSize = 2048, hopSize = fftSize / 4, sampleRate = 44100 } = options;
+    const times = [];
+    const magnitudes = [];
+    const phases = [];
+
+    for (const frame of stftFrames(signal, { ...options, fftSize, hopSize, sampleRate })) {
+        times.push(frame.time);
+        magnitudes.push(frame.magnitudes);
+        phases.push(frame.phases);
+    }
+
+    return { fftSize, hopSize, sampleRate, times, magnitudes, phases };
+};
+
+/**
+ * Mean magnitude spectrum over all STFT frames of a signal (Welch-style).
+ * Gives a stable spectrum for a segment regardless of its length.
+ * @param {Float32Array} signal - Time-domain samples
+ * @param {Object} options - See stftFrames
+ * @returns {Float32Array} - fftSize/2 + 1 bins
+ */
+export const averageMagnitudeSpectrum = (signal, options = {}) => {
+    const { fftSize = 2048 } = options;
+    const average = new Float32Array(fftSize / 2 + 1);
+    let frameCount = 0;
+
+    for (const { magnitudes } of stftFrames(signal, { ...options, fftSize })) {
+        for (let i = 0; i < average.length; i++) {
+            average[i] += magnitudes[i];
+        }
+        frameCount++;
+    }
+
+    if (frameCount > 0) {
+        for (let i = 0; i < average.length; i++) {
+            average[i] /= frameCount;
+        }
+    }
+
+    return average;
+};
+
+/**
+ * Centre frequency of every bin in an fftSize/2 + 1 spectrum.
+ * @param {number} fftSize - FFT size
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Float32Array}
+ */
+export const binFrequencies = (fftSize, sampleRate) => {
+    const frequencies = new Float32Array(fftSize / 2 + 1);
+    for (let i = 0; i < frequencies.length; i++) {
+        frequencies[i] = (i * sampleRate) / fftSize;
+    }
+    return frequencies;
+};
+
+/**
+ * Linear (non-circular) autocorrelation computed through the FFT.
+ * @param {Float32Array} signal - Time-domain samples
+ * @returns {Float64Array} - Autocorrelation for lags 0..signal.length-1
+ */
+export const autocorrelation = (signal) => {
+    const n = signal.length;
+    let size = 1;
+    while (size < n * 2) size <<= 1;
+
+    const real = new Float64Array(size);
+    const imag = new Float64Array(size);
+    real.set(signal);
+
+    fft(real, imag);
+    for (let i = 0; i < size; i++) {
+        real[i] = real[i] * real[i] + imag[i] * imag[i];
+        imag[i] = 0;
+    }
+
+    // The power spectrum is real and even, so a forward FFT equals size * inverse FFT
+    fft(real, imag);
+
+    const result = new Float64Array(n);
+    for (let lag = 0; lag < n; lag++) {
+        result[lag] = real[lag] / size;
+    }
+    return result;
+};
+
+// A hop that does not move forward would never reach the end of the signal
+function checkHopSize(hopSize) {
+    if (!(hopSize > 0)) throw new RangeError(`Hop size must be positive, got ${hopSize}`);
+}
@@ -0,0 +1,123 @@
+import { createWindow, fft, computeSpectrum, stftFrames, stft, createStftStream, createFrameStream, binFrequencies, autocorrelation } from './fft';
+import { sine } from './__fixtures__/signals';
+
+const peakBin = (magnitudes) => magnitudes.reduce((best, value, i) => (value > magnitudes[best] ? i : best), 0);
+
+describe('createWindow', () => {
+    test('builds a periodic Hann window', () => {
+        const window = createWindow(8, 'hann');
+        expect(window[0]).toBeCloseTo(0);
+        expect(window[4]).toBeCloseTo(1);
+        expect(window[2]).toBeCloseTo(window[6]);
+    });
+
+    test('reuses windows of the same size and type', () => {
+        expect(createWindow(64, 'hamming')).toBe(createWindow(64, 'hamming'));
+    });
+});
+
+describe('fft', () => {
+    test('transforms an impulse to a flat spectrum', () => {
+        const real = new Float64Array(8);
+        const imag = new Float64Array(8);
+        real[0] = 1;
+        fft(real, imag);
+        real.forEach(value => expect(value).toBeCloseTo(1));
+        imag.forEach(value => expect(value).toBeCloseTo(0));
+    });
+
+    test('matches a direct DFT', () => {
+        const input = [0.3, -1, 2, 0.5, 0, 1.5, -0.25, 0.75];
+        const real = Float64Array.from(input);
+        const imag = new Float64Array(input.length);
+        fft(real, imag);
+
+        input.forEach((_, k) => {
+            let re = 0;
+            let im = 0;
+            input.forEach((x, n) => {
+                re += x * Math.cos((-2 * Math.PI * k * n) / input.length);
+                im += x * Math.sin((-2 * Math.PI * k * n) / input.length);
+            });
+            expect(real[k]).toBeCloseTo(re);
+            expect(imag[k]).toBeCloseTo(im);
+        });
+    });
+
+    test('rejects sizes that are not a power of two', () => {
+        expect(() => fft(new Float64Array(6), new Float64Array(6))).toThrow(/power of two/);
+        expect(() => fft(new Float64Array(8), new Float64Array(4))).toThrow(/same length/);
+    });
+});
+
+describe('computeSpectrum', () => {
+    test('peaks at the bin of a sine', () => {
+        const sampleRate = 44100;
+        const { magnitudes } = computeSpectrum(sine(1000, 0.1, { sampleRate }), 2048);
+        const frequencies = binFrequencies(2048, sampleRate);
+        expect(magnitudes).toHaveLength(1025);
+        expect(Math.abs(frequencies[peakBin(magnitudes)] - 1000)).toBeLessThan(sampleRate / 2048);
+    });
+});
+
+describe('stft', () => {
+    test('stamps frames with their start time', () => {
+        const { times, magnitudes } = stft(sine(440, 0.5), { fftSize: 1024, hopSize: 512 });
+        expect(magnitudes.length).toBe(Math.floor((22050 - 1024) / 512) + 1);
+        expect(times[1]).toBeCloseTo(512 / 44100);
+    });
+
+    test('gives a short signal one zero-padded frame', () => {
+        expect(stft(new Float32Array(100), { fftSize: 1024 }).magnitudes).toHaveLength(1);
+    });
+
+    test('rejects a hop that does not move forward', () => {
+        expect(() => stftFrames(new Float32Array(4096), { hopSize: 0 }).next()).toThrow(RangeError);
+        expect(() => stft(new Float32Array(4096), { hopSize: -512 })).toThrow(RangeError);
+        expect(() => createStftStream(() => {}, { hopSize: 0 })).toThrow(RangeError);
+    });
+
+    test('streams the same frames as the whole signal in any chunking', () => {
+        const signal = sine(330, 0.3);
+        const whole = stft(signal, { fftSize: 1024, hopSize: 256 });
+        const streamed = [];
+        const stream = createStftStream(frame => streamed.push(Float32Array.from(frame.magnitudes)), { fftSize: 1024, hopSize: 256 });
+        for (let start = 0; start < signal.length; start += 777) {
+            stream.push(signal.subarray(start, start + 777));
+        }
+        stream.finish();
+
+        expect(streamed).toHaveLength(whole.magnitudes.length);
+        streamed.forEach((magnitudes, i) => expect(magnitudes).toEqual(whole.magnitudes[i]));
+    });
+});
+
+describe('createFrameStream', () => {
+    test('skips the samples a hop larger than the frame jumps over', () => {
+        const frames = [];
+        const stream = createFrameStream((frame, index) => frames.push([index, frame[0]]), { frameSize: 2, hopSize: 5 });
+        stream.push(Float32Array.from({ length: 12 }, (_, i) => i));
+        stream.finish();
+        expect(frames).toEqual([[0, 0], [1, 5], [2, 10]]);
+    });
+
+    test('emits the partial last frame when asked', () => {
+        const lengths = [];
+        const stream = createFrameStream(frame => lengths.push(frame.length), { frameSize: 4, keepTail: true });
+        stream.push(new Float32Array(10));
+        stream.finish();
+        expect(lengths).toEqual([4, 4, 2]);
+    });
+});
+
+describe('autocorrelation', () => {
+    test('matches the direct sum', () => {
+        const signal = Float32Array.from([1, 2, -1, 0.5, 3]);
+        const result = autocorrelation(signal);
+        for (let lag = 0; lag < signal.length; lag++) {
+            let sum = 0;
+            for (let i = 0; i + lag < signal.length; i++) sum += signal[i] * signal[i + lag];
+            expect(result[lag]).toBeCloseTo(sum);
+        }
+    });
+});
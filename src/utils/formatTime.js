@@ -0,0 +1,10 @@
+/**
+ * Position in a track as minutes and seconds, e.g. 3:07
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatTime = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.floor(seconds % 60);
+    return `${minutes}:${rest.toString().padStart(2, '0')}`;
+};
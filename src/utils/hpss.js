@@ -0,0 +1,274 @@
+import { fft, createWindow, createStftStream } from './fft';
+import { getMonoSignal } from './stereo';
+
+/**
+ * Harmonic/percussive source separation (Fitzgerald 2010): on a spectrogram
+ * sustained tones are horizontal lines and drum hits vertical ones, so a
+ * median filter along time keeps the harmonic part and one along frequency
+ * keeps the percussive part.
+ */
+
+const sourceCache = new WeakMap();
+
+/**
+ * Split a signal into harmonic and percussive components with soft masks.
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options - See createHarmonicPercussiveStream
+ * @returns {{ harmonic: Float32Array, percussive: Float32Array, percussiveness: number }}
+ *   percussiveness is the share of spectral energy assigned to the percussive part, 0..1
+ */
+export const separateHarmonicPercussive = (signal, sampleRate, options = {}) => {
+    const harmonic = new Float32Array(signal.length);
+    const percussive = new Float32Array(signal.length);
+    let offset = 0;
+
+    const stream = createHarmonicPercussiveStream(sampleRate, {
+        ...options,
+        onOutput: (output) => {
+            harmonic.set(output.harmonic, offset);
+            percussive.set(output.percussive, offset);
+            offset += output.harmonic.length;
+        }
+    });
+    stream.push(signal);
+
+    return { harmonic, percussive, ...stream.finish() };
+};
+
+/**
+ * Harmonic/percussive separation of audio that arrives in chunks. Works
+ * frame by frame with a short buffer, so memory stays proportional to the
+ * kernel rather than the spectrogram. Output lags the input by the time
+ * kernel; finish flushes the rest.
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options
+ * @param {function({ harmonic: Float32Array, percussive: Float32Array }): void} options.onOutput -
+ *   Called with the next separated samples, at most once per push
+ * @param {number} options.fftSize - FFT size (power of two)
+ * @param {number} options.hopSize - Samples between STFT frames
+ * @param {number} options.harmonicKernel - Median length along time, in frames (odd)
+ * @param {number} options.percussiveKernel - Median length along frequency, in bins (odd)
+ * @returns {{ push: function(Float32Array): void, finish: function(): { percussiveness: number } }}
+ */
+export const createHarmonicPercussiveStream = (sampleRate, {
+    onOutput = () => {},
+    fftSize = 2048,
+    hopSize = fftSize / 2,
+    harmonicKernel = 17,
+    percussiveKernel = 17
+} = {}) => {
+    const numBins = fftSize / 2 + 1;
+    const timeRadius = Math.floor(harmonicKernel / 2);
+    const frequencyRadius = Math.floor(percussiveKernel / 2);
+    const window = createWindow(fftSize);
+
+    // Padding so the first and last samples sit under full windows
+    const padding = fftSize / 2;
+
+    // Overlap-add accumulators for the fftSize padded samples from outputStart on
+    const harmonicOut = new Float32Array(fftSize);
+    const percussiveOut = new Float32Array(fftSize);
+    const windowSum = new Float32Array(fftSize);
+    let outputStart = 0;
+    let signalLength = 0;
+
+    // Finished samples waiting for the next onOutput call
+    let pendingHarmonic = new Float32Array(fftSize);
+    let pendingPercussive = new Float32Array(fftSize);
+    let pendingLength = 0;
+    let emitted = 0;
+
+    // Sorted sliding windows: one along time per bin, one along frequency
+    const timeWindows = new Float32Array(numBins * harmonicKernel);
+    const frequencyWindow = new Float32Array(percussiveKernel);
+    const harmonicMask = new Float32Array(numBins);
+    const ring = [];
+    let windowFrom = 0;
+    let windowTo = -1;
+    const real = new Float64Array(fftSize);
+    const imag = new Float64Array(fftSize);
+    let harmonicEnergy = 0;
+    let percussiveEnergy = 0;
+    let frameCount = 0;
+
+    const frameMagnitudes = (index) => ring.find(entry => entry.index === index).magnitudes;
+
+    // Hand every padded sample before `to` over as output; no later frame touches them
+    const advanceOutput = (to) => {
+        while (outputStart < to) {
+            const count = Math.min(to - outputStart, fftSize);
+            for (let n = 0; n < count; n++) {
+                const index = outputStart + n - padding;
+                if (index < emitted || index >= signalLength) continue;
+                const norm = windowSum[n];
+                writePending(norm > 1e-6 ? harmonicOut[n] / norm : 0, norm > 1e-6 ? percussiveOut[n] / norm : 0);
+                emitted++;
+            }
+            harmonicOut.copyWithin(0, count);
+            percussiveOut.copyWithin(0, count);
+            windowSum.copyWithin(0, count);
+            harmonicOut.fill(0, fftSize - count);
+            percussiveOut.fill(0, fftSize - count);
+            windowSum.fill(0, fftSize - count);
+            outputStart += count;
+        }
+    };
+
+    const writePending = (harmonicValue, percussiveValue) => {
+        if (pendingLength === pendingHarmonic.length) {
+            const grow = (array) => {
+                const grown = new Float32Array(array.length * 2);
+                grown.set(array);
+                return grown;
+            };
+            pendingHarmonic = grow(pendingHarmonic);
+            pendingPercussive = grow(pendingPercussive);
+        }
+        pendingHarmonic[pendingLength] = harmonicValue;
+        pendingPercussive[pendingLength] = percussiveValue;
+        pendingLength++;
+    };
+
+    const flushOutput = () => {
+        if (!pendingLength) return;
+        onOutput({
+            harmonic: pendingHarmonic.slice(0, pendingLength),
+            percussive: pendingPercussive.slice(0, pendingLength)
+        });
+        pendingLength = 0;
+    };
+
+    const processFrame = (center) => {
+        const { magnitudes, phases } = ring.find(entry => entry.index === center);
+
+        // Slide every bin's time window to the frames around the centre
+        const to = Math.min(frameCount - 1, center + timeRadius);
+        // Remove before inserting so a window never exceeds the kernel
+        while (windowFrom < center - timeRadius) {
+            const removed = frameMagnitudes(windowFrom);
+            const length = windowTo - windowFrom + 1;
+            for (let j = 0; j < numBins; j++) removeSorted(timeWindows, j * harmonicKernel, length, removed[j]);
+            windowFrom++;
+        }
+        while (windowTo < to) {
+            const added = frameMagnitudes(++windowTo);
+            const length = windowTo - windowFrom;
+            for (let j = 0; j < numBins; j++) insertSorted(timeWindows, j * harmonicKernel, length, added[j]);
+        }
+        const timeLength = windowTo - windowFrom + 1;
+
+        let frequencyLength = 0;
+        for (let k = 0; k < Math.min(numBins, frequencyRadius); k++) {
+            insertSorted(frequencyWindow, 0, frequencyLength++, magnitudes[k]);
+        }
+
+        for (let j = 0; j < numBins; j++) {
+            if (j - frequencyRadius - 1 >= 0) removeSorted(frequencyWindow, 0, frequencyLength--, magnitudes[j - frequencyRadius - 1]);
+            if (j + frequencyRadius < numBins) insertSorted(frequencyWindow, 0, frequencyLength++, magnitudes[j + frequencyRadius]);
+
+            // Wiener-style soft mask from the two medians
+            const harmonicMedian = timeWindows[j * harmonicKernel + (timeLength >> 1)];
+            const percussiveMedian = frequencyWindow[frequencyLength >> 1];
+            const h = harmonicMedian * harmonicMedian;
+            const p = percussiveMedian * percussiveMedian;
+            harmonicMask[j] = h + p > 0 ? h / (h + p) : 0.5;
+
+            const energy = magnitudes[j] * magnitudes[j];
+            harmonicEnergy += energy * harmonicMask[j];
+            percussiveEnergy += energy * (1 - harmonicMask[j]);
+        }
+
+        // One inverse FFT per component
+        advanceOutput(center * hopSize);
+        overlapAdd(harmonicOut, magnitudes, phases, harmonicMask, false);
+        overlapAdd(percussiveOut, magnitudes, phases, harmonicMask, true);
+        for (let n = 0; n < fftSize; n++) windowSum[n] += window[n] * window[n];
+    };
+
+    const overlapAdd = (output, magnitudes, phases, mask, invertMask) => {
+        real.fill(0);
+        imag.fill(0);
+        for (let j = 0; j < numBins; j++) {
+            const gain = invertMask ? 1 - mask[j] : mask[j];
+            // Conjugated, so the forward FFT below computes the inverse transform
+            real[j] = magnitudes[j] * gain * Math.cos(phases[j]);
+            imag[j] = -magnitudes[j] * gain * Math.sin(phases[j]);
+            if (j > 0 && j < numBins - 1) {
+                real[fftSize - j] = real[j];
+                imag[fftSize - j] = -imag[j];
+            }
+        }
+        fft(real, imag);
+        for (let n = 0; n < fftSize; n++) {
+            output[n] += (real[n] / fftSize) * window[n];
+        }
+    };
+
+    const frames = createStftStream(({ index, magnitudes, phases }) => {
+        ring.push({ index, magnitudes, phases });
+        frameCount = index + 1;
+        // Keep one frame more than the kernel so the outgoing frame can be removed
+        if (ring.length > harmonicKernel + 1) ring.shift();
+
+        // The frame timeRadius back now has all its future neighbours
+        if (index >= timeRadius) processFrame(index - timeRadius);
+    }, { fftSize, hopSize, sampleRate });
+    frames.push(new Float32Array(padding));
+
+    const push = (samples) => {
+        signalLength += samples.length;
+        frames.push(samples);
+        flushOutput();
+    };
+
+    const finish = () => {
+        frames.push(new Float32Array(fftSize));
+        frames.finish();
+        for (let center = Math.max(0, frameCount - timeRadius); center < frameCount; center++) {
+            processFrame(center);
+        }
+        advanceOutput(padding + signalLength);
+        flushOutput();
+
+        const totalEnergy = harmonicEnergy + percussiveEnergy;
+        return { percussiveness: totalEnergy > 0 ? percussiveEnergy / totalEnergy : 0 };
+    };
+
+    return { push, finish };
+};
+
+/**
+ * Harmonic and percussive parts of an audio buffer's mono downmix.
+ * Cached per buffer, so every extractor shares one separation.
+ * @param {AudioBuffer} audioBuffer - Decoded audio, or the result of createAudioData
+ * @returns {{ harmonic: Float32Array, percussive: Float32Array, percussiveness: number }}
+ */
+export const getHarmonicPercussive = (audioBuffer) => {
+    if (!sourceCache.has(audioBuffer)) {
+        sourceCache.set(audioBuffer, separateHarmonicPercussive(getMonoSignal(audioBuffer), audioBuffer.sampleRate));
+    }
+    return sourceCache.get(audioBuffer);
+};
+
+/**
+ * Insert a value into the sorted run values[offset .. offset + length)
+ */
+function insertSorted(values, offset, length, value) {
+    let i = offset + length;
+    while (i > offset && values[i - 1] > value) {
+        values[i] = values[i - 1];
+        i--;
+    }
+    values[i] = value;
+}
+
+/**
+ * Remove one occurrence of a value from the sorted run values[offset .. offset + length)
+ */
+function removeSorted(values, offset, length, value) {
+    const end = offset + length - 1;
+    let i = offset;
+    while (i < end && values[i] !== value) i++;
+    for (; i < end; i++) values[i] = values[i + 1];
+}
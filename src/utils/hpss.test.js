@@ -0,0 +1,56 @@
+import { separateHarmonicPercussive, createHarmonicPercussiveStream } from './hpss';
+import { clicks, harmonicTone, mix, SAMPLE_RATE } from './__fixtures__/signals';
+
+const energy = (signal, from = 0, to = signal.length) => {
+    let sum = 0;
+    for (let i = from; i < to; i++) sum += signal[i] * signal[i];
+    return sum;
+};
+
+describe('separateHarmonicPercussive', () => {
+    const tone = harmonicTone(220, 3, { amplitude: 0.3 });
+    const beat = clicks(120, 3);
+    const { harmonic, percussive, percussiveness } = separateHarmonicPercussive(mix(tone, beat), SAMPLE_RATE);
+
+    test('puts a sustained tone in the harmonic part and clicks in the percussive part', () => {
+        // Away from the edges, which the kernels only see from one side
+        const from = SAMPLE_RATE / 2;
+        const to = tone.length - SAMPLE_RATE / 2;
+        const residual = (part, source) => energy(part.map((value, i) => value - source[i]), from, to) / energy(source, from, to);
+        expect(residual(harmonic, tone)).toBeLessThan(0.1);
+        expect(energy(percussive, from, to)).toBeGreaterThan(0.5 * energy(beat, from, to));
+    });
+
+    test('keeps the sum of the parts equal to the input', () => {
+        const input = mix(tone, beat);
+        const from = SAMPLE_RATE / 2;
+        const to = input.length - SAMPLE_RATE / 2;
+        const error = energy(input.map((value, i) => value - harmonic[i] - percussive[i]), from, to);
+        expect(error / energy(input, from, to)).toBeLessThan(1e-3);
+    });
+
+    test('rates a pure tone harmonic and clicks percussive', () => {
+        const toneOnly = separateHarmonicPercussive(tone, SAMPLE_RATE).percussiveness;
+        expect(toneOnly).toBeLessThan(0.1);
+        expect(separateHarmonicPercussive(beat, SAMPLE_RATE).percussiveness).toBeGreaterThan(0.7);
+        expect(percussiveness).toBeGreaterThan(toneOnly);
+    });
+
+    test('streams the same parts in chunks', () => {
+        const input = mix(tone, beat);
+        const chunks = [];
+        const stream = createHarmonicPercussiveStream(SAMPLE_RATE, { onOutput: ({ harmonic: part }) => chunks.push(Float32Array.from(part)) });
+        for (let start = 0; start < input.length; start += 5000) {
+            stream.push(input.subarray(start, start + 5000));
+        }
+        expect(stream.finish().percussiveness).toBeCloseTo(percussiveness, 6);
+        const streamed = new Float32Array(input.length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            streamed.set(chunk, offset);
+            offset += chunk.length;
+        });
+        expect(offset).toBe(input.length);
+        expect(streamed).toEqual(harmonic);
+    });
+});
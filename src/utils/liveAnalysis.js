@@ -0,0 +1,251 @@
+import { computeSpectrum, createFrameStream } from './fft';
+import { estimateFramePitch } from './pitchTracking';
+import { computeMfccs } from './mfcc';
+import {
+    calculateSpectralCentroid,
+    createFrequencyArray,
+    createPitchClassMap,
+    detectKey,
+    extractMood,
+    getMedian
+} from './audioProcessing';
+import { estimateLocalTempo, summarizeFrameTimbre } from './timeline';
+
+/**
+ * Real-time analysis of a live input such as a microphone or line-in.
+ * A rolling analyzer keeps per-frame features for the last few seconds and
+ * summarizes them on demand; a live session feeds it from any MediaStream.
+ */
+
+const FFT_SIZE = 2048;
+const HOP_SIZE = 512;
+const CAPTURE_BLOCK = 2048;
+
+// Runs on the audio rendering thread. Posts mono blocks to the main thread;
+// outputs silence, so connecting it to the destination only keeps it running.
+const CAPTURE_PROCESSOR = `
+class SampleCaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.block = new Float32Array(${CAPTURE_BLOCK});
+        this.fill = 0;
+    }
+
+    process(inputs) {
+        const channels = inputs[0];
+        if (channels && channels.length) {
+            for (let i = 0; i < channels[0].length; i++) {
+                let sum = 0;
+                for (let c = 0; c < channels.length; c++) sum += channels[c][i];
+                this.block[this.fill++] = sum / channels.length;
+
+                if (this.fill === this.block.length) {
+                    this.port.postMessage(this.block, [this.block.buffer]);
+                    this.block = new Float32Array(${CAPTURE_BLOCK});
+                    this.fill = 0;
+                }
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('sample-capture', SampleCaptureProcessor);
+`;
+
+/**
+ * Keep the features of the most recent audio and summarize them on demand
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options
+ * @param {number} options.windowDuration - Seconds of audio the summary covers
+ * @returns {{ push: function(Float32Array): void, snapshot: function(): Object|null }} -
+ *   snapshot returns a timeline-style frame for the window, or null before the first frame:
+ *   { time, duration, rms, loudnessDb, tempo, tempoConfidence, pitch, chroma, key, timbre, mood }
+ */
+export const createRollingAnalyzer = (sampleRate, { windowDuration = 8 } = {}) => {
+    const maxFrames = Math.max(1, Math.round((windowDuration * sampleRate) / HOP_SIZE));
+    const numBins = FFT_SIZE / 2 + 1;
+    const frequencies = createFrequencyArray(FFT_SIZE, sampleRate);
+    const pitchClasses = createPitchClassMap(FFT_SIZE, sampleRate);
+
+    const frames = [];
+    let previousLogMagnitudes = null;
+    let length = 0;
+
+    const stream = createFrameStream((frame) => {
+        const { magnitudes } = computeSpectrum(frame, FFT_SIZE);
+
+        const chroma = new Array(12).fill(0);
+        const logMagnitudes = new Float32Array(numBins);
+        let flux = 0;
+        for (let j = 0; j < numBins; j++) {
+            if (pitchClasses[j] >= 0) chroma[pitchClasses[j]] += magnitudes[j];
+            logMagnitudes[j] = Math.log1p(magnitudes[j]);
+            if (previousLogMagnitudes) {
+                flux += Math.max(0, logMagnitudes[j] - previousLogMagnitudes[j]);
+            }
+        }
+        previousLogMagnitudes = logMagnitudes;
+
+        let energy = 0;
+        for (let i = 0; i < frame.length; i++) energy += frame[i] * frame[i];
+
+        const { frequency, voicing } = estimateFramePitch(frame, sampleRate);
+
+        frames.push({
+            magnitudes,
+            chroma,
+            flux,
+            energy: energy / frame.length,
+            centroid: calculateSpectralCentroid(magnitudes, frequencies),
+            mfccs: computeMfccs(magnitudes, sampleRate, FFT_SIZE),
+            pitch: frequency && voicing > 0.5 ? frequency : null
+        });
+        if (frames.length > maxFrames) frames.shift();
+    }, { frameSize: FFT_SIZE, hopSize: HOP_SIZE });
+
+    const push = (samples) => {
+        length += samples.length;
+        stream.push(samples);
+    };
+
+    const snapshot = () => {
+        if (!frames.length) return null;
+
+        const envelopeRate = sampleRate / HOP_SIZE;
+        const onsetEnvelope = frames.map(frame => frame.flux);
+        const { bpm, confidence } = estimateLocalTempo(onsetEnvelope, envelopeRate, onsetEnvelope.length / envelopeRate / 2);
+
+        const rms = Math.sqrt(frames.reduce((sum, frame) => sum + frame.energy, 0) / frames.length);
+
+        const spectrum = new Float32Array(numBins);
+        const mfccs = new Float32Array(frames[0].mfccs.length);
+        const chroma = new Array(12).fill(0);
+        frames.forEach(frame => {
+            for (let j = 0; j < numBins; j++) spectrum[j] += frame.magnitudes[j] / frames.length;
+            frame.mfccs.forEach((value, k) => { mfccs[k] += value / frames.length; });
+            frame.chroma.forEach((value, k) => { chroma[k] += value; });
+        });
+        const chromaTotal = chroma.reduce((sum, value) => sum + value, 0);
+        const normalizedChroma = chromaTotal > 0 ? chroma.map(value => value / chromaTotal) : chroma;
+
+        const pitches = frames.map(frame => frame.pitch).filter(Boolean);
+        const key = detectKey(normalizedChroma);
+        const timbre = summarizeFrameTimbre(spectrum, frames.map(frame => frame.centroid), mfccs, sampleRate);
+        const duration = ((frames.length - 1) * HOP_SIZE + FFT_SIZE) / sampleRate;
+
+        return {
+            time: Math.max(0, length / sampleRate - duration),
+            duration,
+            rms,
+            loudnessDb: 20 * Math.log10(rms + 1e-10),
+            tempo: bpm,
+            tempoConfidence: confidence,
+            pitch: pitches.length ? Math.round(getMedian(pitches)) : null,
+            chroma: normalizedChroma,
+            key,
+            timbre,
+            mood: extractMood(bpm, rms, key, timbre)
+        };
+    };
+
+    return { push, snapshot };
+};
+
+/**
+ * Analyze a MediaStream as it plays
+ * @param {MediaStream} mediaStream - Any stream with an audio track: a microphone, line-in or a generated signal
+ * @param {Object} options
+ * @param {function(Object): void} options.onUpdate - Called with each rolling analyzer snapshot
+ * @param {number} options.updateInterval - Seconds between updates
+ * @param {number} options.windowDuration - Seconds of audio each update covers
+ * @returns {Promise<{ stop: function(): Promise<void> }>} - stop leaves the stream's tracks running
+ */
+export const startLiveAnalysis = async (mediaStream, { onUpdate = () => {}, updateInterval = 0.5, windowDuration = 8 } = {}) => {
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    if (!audioContext.audioWorklet) {
+        await audioContext.close();
+        throw new Error('Live analysis needs a browser with AudioWorklet support');
+    }
+
+    const moduleUrl = URL.createObjectURL(new Blob([CAPTURE_PROCESSOR], { type: 'application/javascript' }));
+    try {
+        await audioContext.audioWorklet.addModule(moduleUrl);
+    } catch (error) {
+        await audioContext.close();
+        throw error;
+    } finally {
+        URL.revokeObjectURL(moduleUrl);
+    }
+
+    const analyzer = createRollingAnalyzer(audioContext.sampleRate, { windowDuration });
+    const source = audioContext.createMediaStreamSource(mediaStream);
+    const capture = new AudioWorkletNode(audioContext, 'sample-capture');
+    capture.port.onmessage = (event) => analyzer.push(event.data);
+    source.connect(capture).connect(audioContext.destination);
+    await audioContext.resume();
+
+    const timer = setInterval(() => {
+        const features = analyzer.snapshot();
+        if (features) onUpdate(features);
+    }, updateInterval * 1000);
+
+    return {
+        stop: async () => {
+            clearInterval(timer);
+            capture.port.onmessage = null;
+            source.disconnect();
+            capture.disconnect();
+            await audioContext.close();
+        }
+    };
+};
+
+/**
+ * Ask for the microphone or line-in, with the voice processing browsers add turned off
+ * @returns {Promise<{ stream: MediaStream, stop: function(): void }>}
+ */
+export const openMicrophone = async () => {
+    const stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+    });
+    return { stream, stop: () => stream.getTracks().forEach(track => track.stop()) };
+};
+
+/**
+ * A generated MediaStream that stands in for a microphone: a chord pulsing on every beat
+ * @param {Object} options
+ * @param {number[]} options.frequencies - Chord tones in Hz, A major by default
+ * @param {number} options.bpm - Pulse rate
+ * @returns {{ stream: MediaStream, stop: function(): void }}
+ */
+export const createTestTone = ({ frequencies = [220, 277.18, 329.63], bpm = 120 } = {}) => {
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const destination = audioContext.createMediaStreamDestination();
+
+    // A square LFO swings the gain between 0 and 1 once per beat
+    const pulse = audioContext.createGain();
+    pulse.gain.value = 0.5;
+    const lfo = audioContext.createOscillator();
+    lfo.type = 'square';
+    lfo.frequency.value = bpm / 60;
+    const depth = audioContext.createGain();
+    depth.gain.value = 0.5;
+    lfo.connect(depth).connect(pulse.gain);
+
+    const oscillators = frequencies.map((frequency) => {
+        const oscillator = audioContext.createOscillator();
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = frequency;
+        oscillator.connect(pulse);
+        return oscillator;
+    });
+
+    const level = audioContext.createGain();
+    level.gain.value = 0.3 / Math.max(1, frequencies.length);
+    pulse.connect(level).connect(destination);
+
+    [lfo, ...oscillators].forEach(node => node.start());
+
+    return { stream: destination.stream, stop: () => audioContext.close() };
+};
@@ -0,0 +1,67 @@
+import { createRollingAnalyzer } from './liveAnalysis';
+import { chord, clicks, concat, harmonicTone, SAMPLE_RATE } from './__fixtures__/signals';
+
+// Feed a signal the way the capture worklet does, in blocks of 2048 samples
+const pushInBlocks = (analyzer, signal, blockSize = 2048) => {
+    for (let offset = 0; offset < signal.length; offset += blockSize) {
+        analyzer.push(signal.subarray(offset, offset + blockSize));
+    }
+};
+
+const analyze = (signal, options) => {
+    const analyzer = createRollingAnalyzer(SAMPLE_RATE, options);
+    pushInBlocks(analyzer, signal);
+    return analyzer.snapshot();
+};
+
+const progression = (chords) => concat(...[0, 1].flatMap(() => chords.map(notes => chord(notes, 0.5))));
+
+describe('createRollingAnalyzer', () => {
+    test('has nothing to report before the first frame', () => {
+        const analyzer = createRollingAnalyzer(SAMPLE_RATE);
+        expect(analyzer.snapshot()).toBeNull();
+        analyzer.push(new Float32Array(1000));
+        expect(analyzer.snapshot()).toBeNull();
+    });
+
+    test('finds the pitch and pitch class of a steady tone', () => {
+        const { pitch, chroma, rms, loudnessDb } = analyze(harmonicTone(440, 2, { amplitude: 0.3 }));
+        expect(pitch).toBeGreaterThan(435);
+        expect(pitch).toBeLessThan(445);
+        expect(chroma.indexOf(Math.max(...chroma))).toBe(9);
+        expect(chroma.reduce((sum, value) => sum + value, 0)).toBeCloseTo(1);
+        expect(rms).toBeGreaterThan(0);
+        expect(loudnessDb).toBeCloseTo(20 * Math.log10(rms));
+    });
+
+    test('finds the tempo of a click track', () => {
+        const { tempo, tempoConfidence } = analyze(clicks(120, 8));
+        expect(tempo).toBeGreaterThan(117);
+        expect(tempo).toBeLessThan(123);
+        expect(tempoConfidence).toBeGreaterThan(0);
+    });
+
+    test('finds the key and lets the mode shape the mood', () => {
+        const major = analyze(progression([[57, 61, 64], [62, 66, 69], [64, 68, 71], [57, 61, 64]]));
+        const minor = analyze(progression([[57, 60, 64], [62, 65, 69], [64, 68, 71], [57, 60, 64]]));
+
+        expect(`${major.key.rootNote} ${major.key.scale}`).toBe('A major');
+        expect(`${minor.key.rootNote} ${minor.key.scale}`).toBe('A minor');
+        expect(minor.key.candidates).toHaveLength(24);
+        expect(minor.mood.valence).toBeLessThan(major.mood.valence - 0.1);
+    });
+
+    test('covers only the last window of audio', () => {
+        const analyzer = createRollingAnalyzer(SAMPLE_RATE, { windowDuration: 2 });
+        // Four seconds of C, then four of F#: the window holds only the F#
+        pushInBlocks(analyzer, concat(harmonicTone(261.63, 4, { amplitude: 0.3 }), harmonicTone(369.99, 4, { amplitude: 0.3 })));
+        const { time, duration, chroma, pitch } = analyzer.snapshot();
+
+        expect(duration).toBeGreaterThan(1.9);
+        expect(duration).toBeLessThan(2.1);
+        expect(time + duration).toBeCloseTo(8, 1);
+        expect(chroma.indexOf(Math.max(...chroma))).toBe(6);
+        expect(chroma[0]).toBeLessThan(0.05);
+        expect(pitch).toBeCloseTo(370, -1);
+    });
+});
@@ -0,0 +1,354 @@
+/**
+ * Loudness measurement following ITU-R BS.1770-4 / EBU R128: K-weighted
+ * momentary, short-term and integrated loudness, loudness range and true peak.
+ */
+
+const SUB_BLOCK_SECONDS = 0.1;
+const MOMENTARY_SUB_BLOCKS = 4;
+const SHORT_TERM_SUB_BLOCKS = 30;
+const ABSOLUTE_GATE = -70;
+const INTEGRATED_RELATIVE_GATE = -10;
+const RANGE_RELATIVE_GATE = -20;
+const TRUE_PEAK_OVERSAMPLING = 4;
+const TRUE_PEAK_HALF_TAPS = 6;
+
+/**
+ * Measure the loudness of a track
+ * @param {AudioBuffer} audioBuffer - Decoded audio, or the result of createAudioData
+ * @returns {Object} - {
+ *   integrated: number|null,        // LUFS, null when everything is below the absolute gate
+ *   momentary: { hop, window, values },  // 400 ms loudness every 100 ms, LUFS floored at -70
+ *   shortTerm: { hop, window, values },  // 3 s loudness every 100 ms, LUFS floored at -70
+ *   maxMomentary, maxShortTerm,     // LUFS
+ *   loudnessRange: number,          // LRA in LU
+ *   truePeakDb: number,             // dBTP from 4x oversampling
+ *   samplePeakDb, rmsDb: number,    // dBFS
+ *   crestFactorDb: number,          // sample peak over RMS
+ *   peakToLoudnessRatio: number|null  // true peak over integrated loudness (PLR)
+ * }
+ */
+export const measureLoudness = (audioBuffer) => {
+    const channelCount = audioBuffer.numberOfChannels || 1;
+    const stream = createLoudnessStream(audioBuffer.sampleRate, channelCount);
+    stream.push(Array.from({ length: channelCount }, (_, c) => audioBuffer.getChannelData(c)));
+    return stream.finish();
+};
+
+/**
+ * Incremental version of measureLoudness for audio that arrives in chunks
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} channelCount - Channels in the stream
+ * @returns {{ push: function(Float32Array[]): void, finish: function(): Object }} -
+ *   push takes sample data per channel; finish returns the measureLoudness result
+ */
+export const createLoudnessStream = (sampleRate, channelCount) => {
+    const weights = channelWeights(channelCount);
+    const subBlockLength = Math.max(1, Math.round(SUB_BLOCK_SECONDS * sampleRate));
+
+    // Channel-weighted K-filtered power per 100 ms sub-block
+    const subBlockPower = [];
+    const channels = Array.from({ length: channelCount }, () => ({
+        kWeighting: createKWeighting(sampleRate),
+        subBlockSum: 0,
+        squareSum: 0,
+        samplePeak: 0,
+        truePeak: createTruePeakMeter()
+    }));
+    let subBlockFill = 0;
+    let length = 0;
+
+    const closeSubBlock = () => {
+        let power = 0;
+        channels.forEach((channel, c) => {
+            if (weights[c]) power += weights[c] * channel.subBlockSum;
+            channel.subBlockSum = 0;
+        });
+        subBlockPower.push(power);
+        subBlockFill = 0;
+    };
+
+    const push = (channelData) => {
+        const chunkLength = channelData[0].length;
+        const filtered = channelData.map((samples, c) => channels[c].kWeighting(samples));
+        channelData.forEach((samples, c) => {
+            const channel = channels[c];
+            for (let i = 0; i < samples.length; i++) {
+                const magnitude = Math.abs(samples[i]);
+                if (magnitude > channel.samplePeak) channel.samplePeak = magnitude;
+                channel.squareSum += samples[i] * samples[i];
+            }
+            channel.truePeak.push(samples);
+        });
+
+        // Walk the chunk one sub-block boundary at a time
+        for (let from = 0; from < chunkLength;) {
+            const to = Math.min(chunkLength, from + subBlockLength - subBlockFill);
+            filtered.forEach((samples, c) => {
+                let sum = channels[c].subBlockSum;
+                for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+                channels[c].subBlockSum = sum;
+            });
+            subBlockFill += to - from;
+            if (subBlockFill === subBlockLength) closeSubBlock();
+            from = to;
+        }
+        length += chunkLength;
+    };
+
+    const finish = () => {
+        if (subBlockFill) closeSubBlock();
+
+        const samplePeak = channels.reduce((peak, channel) => Math.max(peak, channel.samplePeak), 0);
+        const truePeak = channels.reduce((peak, channel) => Math.max(peak, channel.truePeak.finish()), 0);
+        const squareSum = channels.reduce((sum, channel) => sum + channel.squareSum, 0);
+
+        const momentaryPower = slidingMeanPower(subBlockPower, MOMENTARY_SUB_BLOCKS, subBlockLength, length);
+        const shortTermPower = slidingMeanPower(subBlockPower, SHORT_TERM_SUB_BLOCKS, subBlockLength, length);
+        const momentary = momentaryPower.map(powerToLufs);
+        const shortTerm = shortTermPower.map(powerToLufs);
+
+        const integrated = gatedLoudness(momentaryPower, INTEGRATED_RELATIVE_GATE);
+        const rms = length ? Math.sqrt(squareSum / (length * channelCount)) : 0;
+        const truePeakDb = amplitudeToDb(truePeak);
+
+        return {
+            integrated,
+            momentary: { hop: SUB_BLOCK_SECONDS, window: MOMENTARY_SUB_BLOCKS * SUB_BLOCK_SECONDS, values: floorCurve(momentary) },
+            shortTerm: { hop: SUB_BLOCK_SECONDS, window: SHORT_TERM_SUB_BLOCKS * SUB_BLOCK_SECONDS, values: floorCurve(shortTerm) },
+            maxMomentary: momentary.reduce((max, value) => Math.max(max, value), ABSOLUTE_GATE),
+            maxShortTerm: shortTerm.reduce((max, value) => Math.max(max, value), ABSOLUTE_GATE),
+            loudnessRange: measureLoudnessRange(shortTermPower),
+            truePeakDb,
+            samplePeakDb: amplitudeToDb(samplePeak),
+            rmsDb: amplitudeToDb(rms),
+            crestFactorDb: rms > 0 ? amplitudeToDb(samplePeak / rms) : 0,
+            peakToLoudnessRatio: integrated === null ? null : truePeakDb - integrated
+        };
+    };
+
+    return { push, finish };
+};
+
+/**
+ * Coefficients of the two K-weighting biquads for a sample rate: the BS.1770
+ * high-shelf "head" filter and the RLB high-pass, derived from their analogue
+ * prototypes so any rate gets the response the standard tabulates for 48 kHz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {{ shelf: { b: number[], a: number[] }, highPass: { b: number[], a: number[] } }} -
+ *   a holds a1 and a2; a0 is normalised to 1
+ */
+export const kWeightingCoefficients = (sampleRate) => {
+    const shelf = (() => {
+        const f0 = 1681.974450955533;
+        const gain = 3.999843853973347;
+        const q = 0.7071752369554196;
+        const k = Math.tan((Math.PI * f0) / sampleRate);
+        const vh = 10 ** (gain / 20);
+        const vb = vh ** 0.4996667741545416;
+        const a0 = 1 + k / q + k * k;
+        return {
+            b: [(vh + (vb * k) / q + k * k) / a0, (2 * (k * k - vh)) / a0, (vh - (vb * k) / q + k * k) / a0],
+            a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0]
+        };
+    })();
+
+    const highPass = (() => {
+        const f0 = 38.13547087602444;
+        const q = 0.5003270373238773;
+        const k = Math.tan((Math.PI * f0) / sampleRate);
+        const a0 = 1 + k / q + k * k;
+        return {
+            b: [1, -2, 1],
+            a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0]
+        };
+    })();
+
+    return { shelf, highPass };
+};
+
+/**
+ * BS.1770 channel weights: surrounds count 1.41, the LFE channel not at all
+ */
+function channelWeights(channelCount) {
+    if (channelCount === 6) return [1, 1, 1, 0, 1.41, 1.41];
+    return new Array(channelCount).fill(1);
+}
+
+/**
+ * K-weighting filter that keeps its state between chunks
+ */
+function createKWeighting(sampleRate) {
+    const { shelf, highPass } = kWeightingCoefficients(sampleRate);
+    const shelfFilter = createBiquad(shelf);
+    const highPassFilter = createBiquad(highPass);
+    return (signal) => highPassFilter(shelfFilter(signal));
+}
+
+function createBiquad({ b, a }) {
+    const state = { x1: 0, x2: 0, y1: 0, y2: 0 };
+    return (signal) => {
+        const output = new Float32Array(signal.length);
+        let { x1, x2, y1, y2 } = state;
+        for (let i = 0; i < signal.length; i++) {
+            const x = signal[i];
+            const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+            output[i] = y;
+            x2 = x1; x1 = x;
+            y2 = y1; y1 = y;
+        }
+        Object.assign(state, { x1, x2, y1, y2 });
+        return output;
+    };
+}
+
+/**
+ * Mean power over a window of sub-blocks ending at every sub-block,
+ * starting once the first full window is available
+ */
+function slidingMeanPower(subBlockPower, windowBlocks, subBlockLength, totalLength) {
+    const count = Math.max(1, subBlockPower.length - windowBlocks + 1);
+    const windowLength = Math.min(totalLength, windowBlocks * subBlockLength);
+    const result = new Float64Array(count);
+    let sum = 0;
+    for (let i = 0; i < subBlockPower.length; i++) {
+        sum += subBlockPower[i];
+        if (i >= windowBlocks) sum -= subBlockPower[i - windowBlocks];
+        if (i >= windowBlocks - 1) result[i - windowBlocks + 1] = sum / windowLength;
+    }
+    // Tracks shorter than one window get a single value over everything
+    if (subBlockPower.length < windowBlocks) result[0] = sum / Math.max(1, windowLength);
+    return result;
+}
+
+function powerToLufs(power) {
+    return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+function amplitudeToDb(amplitude) {
+    return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+}
+
+function floorCurve(values) {
+    return Float32Array.from(values, value => Math.max(ABSOLUTE_GATE, value));
+}
+
+/**
+ * Two-stage gating: drop blocks below -70 LUFS, then blocks more than
+ * relativeGate LU below the loudness of what is left
+ */
+function gatedBlocks(blockPower, relativeGate) {
+    const aboveAbsolute = Array.from(blockPower).filter(power => powerToLufs(power) > ABSOLUTE_GATE);
+    if (!aboveAbsolute.length) return [];
+
+    const mean = aboveAbsolute.reduce((sum, power) => sum + power, 0) / aboveAbsolute.length;
+    const threshold = powerToLufs(mean) + relativeGate;
+    return aboveAbsolute.filter(power => powerToLufs(power) > threshold);
+}
+
+function gatedLoudness(blockPower, relativeGate) {
+    const blocks = gatedBlocks(blockPower, relativeGate);
+    if (!blocks.length) return null;
+    return powerToLufs(blocks.reduce((sum, power) => sum + power, 0) / blocks.length);
+}
+
+/**
+ * EBU Tech 3342 loudness range: spread between the 10th and 95th percentile
+ * of the gated short-term loudness
+ */
+function measureLoudnessRange(shortTermPower) {
+    const values = gatedBlocks(shortTermPower, RANGE_RELATIVE_GATE)
+        .map(powerToLufs)
+        .sort((a, b) => a - b);
+    if (values.length < 2) return 0;
+
+    const percentile = (p) => values[Math.min(values.length - 1, Math.round(p * (values.length - 1)))];
+    return percentile(0.95) - percentile(0.1);
+}
+
+// Windowed-sinc taps for the three in-between positions of 4x oversampling
+const TRUE_PEAK_PHASES = (() => {
+    const phases = [];
+    for (let p = 1; p < TRUE_PEAK_OVERSAMPLING; p++) {
+        const offset = p / TRUE_PEAK_OVERSAMPLING;
+        const taps = [];
+        for (let m = -TRUE_PEAK_HALF_TAPS + 1; m <= TRUE_PEAK_HALF_TAPS; m++) {
+            const t = offset - m;
+            const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+            const window = 0.5 * (1 + Math.cos((Math.PI * t) / TRUE_PEAK_HALF_TAPS));
+            taps.push(sinc * window);
+        }
+        phases.push(taps);
+    }
+    return phases;
+})();
+
+/**
+ * Highest absolute value of the 4x oversampled signal, fed in chunks.
+ * Only sample pairs within 6 dB of the peak so far are interpolated;
+ * inter-sample overs on real material stay well under that margin.
+ */
+function createTruePeakMeter() {
+    const history = TRUE_PEAK_HALF_TAPS - 1;
+    let buffer = new Float32Array(0);
+    let bufferStart = 0;
+    let next = 0;
+    let samplePeak = 0;
+    let peak = 0;
+
+    // Interpolate around every sample before `end`; samples outside the buffer count as silence
+    const scan = (end) => {
+        const bufferEnd = bufferStart + buffer.length;
+        const at = (index) => (index >= bufferStart && index < bufferEnd ? buffer[index - bufferStart] : 0);
+        // Locals rather than the closure variables keep this loop fast
+        const samples = buffer;
+        let runningPeak = samplePeak;
+        let maximum = peak;
+
+        for (let i = next; i < end; i++) {
+            const first = i - TRUE_PEAK_HALF_TAPS + 1;
+            // Direct indexing when every tap is inside the buffer, the common case
+            const inside = first >= bufferStart && first + 2 * TRUE_PEAK_HALF_TAPS <= bufferEnd;
+            const offset = first - bufferStart;
+            const magnitude = Math.abs(inside ? samples[offset + TRUE_PEAK_HALF_TAPS - 1] : at(i));
+            const following = Math.abs(inside ? samples[offset + TRUE_PEAK_HALF_TAPS] : at(i + 1));
+            if (magnitude > runningPeak) runningPeak = magnitude;
+            if (following > runningPeak) runningPeak = following;
+            if (magnitude > maximum) maximum = magnitude;
+
+            const threshold = runningPeak / 2;
+            if (magnitude < threshold && following < threshold) continue;
+
+            for (let p = 0; p < TRUE_PEAK_PHASES.length; p++) {
+                const taps = TRUE_PEAK_PHASES[p];
+                let value = 0;
+                if (inside) {
+                    for (let j = 0; j < taps.length; j++) value += samples[offset + j] * taps[j];
+                } else {
+                    for (let j = 0; j < taps.length; j++) value += at(first + j) * taps[j];
+                }
+                if (Math.abs(value) > maximum) maximum = Math.abs(value);
+            }
+        }
+
+        next = Math.max(next, end);
+        samplePeak = runningPeak;
+        peak = maximum;
+    };
+
+    return {
+        push: (samples) => {
+            // Keep the samples the next interpolation still reaches back to
+            const keepFrom = Math.max(bufferStart, next - history);
+            const joined = new Float32Array(bufferStart + buffer.length - keepFrom + samples.length);
+            joined.set(buffer.subarray(keepFrom - bufferStart));
+            joined.set(samples, buffer.length - (keepFrom - bufferStart));
+            buffer = joined;
+            bufferStart = keepFrom;
+            scan(bufferStart + buffer.length - TRUE_PEAK_HALF_TAPS);
+        },
+        finish: () => {
+            scan(bufferStart + buffer.length);
+            return peak;
+        }
+    };
+}
@@ -0,0 +1,65 @@
+import { measureLoudness, createLoudnessStream, kWeightingCoefficients } from './loudness';
+import { audioBufferOf, concat, sine } from './__fixtures__/signals';
+
+const RATE = 48000;
+
+describe('kWeightingCoefficients', () => {
+    test('match the BS.1770 table at 48 kHz', () => {
+        const { shelf, highPass } = kWeightingCoefficients(RATE);
+        [1.53512485958697, -2.69169618940638, 1.19839281085285].forEach((value, i) => expect(shelf.b[i]).toBeCloseTo(value, 6));
+        [-1.69065929318241, 0.73248077421585].forEach((value, i) => expect(shelf.a[i]).toBeCloseTo(value, 6));
+        expect(highPass.b).toEqual([1, -2, 1]);
+        [-1.99004745483398, 0.99007225036621].forEach((value, i) => expect(highPass.a[i]).toBeCloseTo(value, 6));
+    });
+});
+
+describe('measureLoudness', () => {
+    test('reads a full-scale 997 Hz sine in one channel as -3.01 LUFS', () => {
+        const result = measureLoudness(audioBufferOf(sine(997, 5, { amplitude: 1, sampleRate: RATE }), RATE));
+        expect(result.integrated).toBeCloseTo(-3.01, 1);
+        expect(result.maxMomentary).toBeCloseTo(-3.01, 1);
+        expect(result.rmsDb).toBeCloseTo(-3.01, 1);
+        expect(result.crestFactorDb).toBeCloseTo(3.01, 1);
+    });
+
+    test('adds up the channels of a stereo signal', () => {
+        const tone = sine(997, 5, { amplitude: 1, sampleRate: RATE });
+        expect(measureLoudness(audioBufferOf([tone, tone], RATE)).integrated).toBeCloseTo(0, 1);
+    });
+
+    test('finds the true peak between samples', () => {
+        // A quarter of the sample rate, 45 degrees out: every sample lands at 0.707 of the peak
+        const signal = Float32Array.from({ length: RATE }, (_, i) => Math.sin((Math.PI * i) / 2 + Math.PI / 4));
+        const result = measureLoudness(audioBufferOf(signal, RATE));
+        expect(result.samplePeakDb).toBeCloseTo(-3.01, 1);
+        expect(result.truePeakDb).toBeGreaterThan(-0.5);
+    });
+
+    test('gates silence out of the integrated loudness', () => {
+        const tone = sine(997, 3, { amplitude: 0.5, sampleRate: RATE });
+        const toneOnly = measureLoudness(audioBufferOf(tone, RATE)).integrated;
+        const withSilence = measureLoudness(audioBufferOf(concat(tone, new Float32Array(RATE * 3)), RATE)).integrated;
+        // Ungated, half the track silent would take 3 dB off; only the blocks across the end count here
+        expect(withSilence).toBeLessThan(toneOnly);
+        expect(withSilence).toBeGreaterThan(toneOnly - 0.5);
+        expect(measureLoudness(audioBufferOf(new Float32Array(RATE * 2), RATE)).integrated).toBeNull();
+    });
+
+    test('measures the loudness range of a track with a quiet and a loud half', () => {
+        const result = measureLoudness(audioBufferOf(concat(
+            sine(997, 10, { amplitude: 0.1, sampleRate: RATE }),
+            sine(997, 10, { amplitude: 1, sampleRate: RATE })
+        ), RATE));
+        expect(result.loudnessRange).toBeGreaterThan(15);
+        expect(result.loudnessRange).toBeLessThan(21);
+    });
+
+    test('streams the same result in chunks', () => {
+        const signal = sine(440, 4, { sampleRate: RATE });
+        const stream = createLoudnessStream(RATE, 1);
+        for (let start = 0; start < signal.length; start += 7000) {
+            stream.push([signal.subarray(start, start + 7000)]);
+        }
+        expect(stream.finish()).toEqual(measureLoudness(audioBufferOf(signal, RATE)));
+    });
+});
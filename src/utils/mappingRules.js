@@ -0,0 +1,241 @@
+/**
+ * Editable rules for the colour mappers in colorMapping: piecewise-linear
+ * curves from a feature to a colour channel, plus the wheel hue of every key
+ * root and mood label. A mapping is plain JSON, so it can be saved as a named
+ * preset, exported to a file and imported again elsewhere.
+ *
+ * Curves are lists of [x, y] breakpoints sorted by x. Between breakpoints the
+ * value is interpolated linearly; outside them it holds the nearest end, so a
+ * curve doubles as the clamp of its feature.
+ */
+
+// Bumped when the preset format changes in a way older code cannot read
+export const MAPPING_FORMAT_VERSION = 1;
+
+// What every curve maps, and the range its breakpoints may take
+export const MAPPING_CURVES = {
+    tempoHue: {
+        label: 'Tempo → hue (palette base)',
+        x: { min: 40, max: 200, unit: 'BPM' },
+        y: { min: 0, max: 360, unit: '°' }
+    },
+    tempoSwatchHue: {
+        label: 'Tempo → hue (tempo swatch)',
+        x: { min: 40, max: 200, unit: 'BPM' },
+        y: { min: 0, max: 360, unit: '°' }
+    },
+    pitchSaturation: {
+        label: 'Pitch → saturation',
+        // Melodies are placed by their median note between C2 (0) and C7 (1)
+        x: { min: 0, max: 1, unit: 'low → high' },
+        y: { min: 0, max: 100, unit: '%' }
+    },
+    loudnessLightness: {
+        label: 'Loudness → lightness',
+        x: { min: -40, max: -6, unit: 'LUFS' },
+        y: { min: 0, max: 100, unit: '%' }
+    }
+};
+
+export const KEY_ROOTS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * The mapping the app ships with
+ */
+export const DEFAULT_MAPPING = {
+    name: 'Default',
+    version: MAPPING_FORMAT_VERSION,
+    curves: {
+        // Slow tempos cool, medium warm, fast hot
+        tempoHue: [[40, 240], [80, 150], [120, 30], [200, 0]],
+        // Slow blue to green, medium green to yellow, fast yellow to red
+        tempoSwatchHue: [[40, 240], [80, 180], [120, 60], [200, 0]],
+        pitchSaturation: [[0, 30], [1, 100]],
+        loudnessLightness: [[-40, 30], [-6, 90]]
+    },
+    // Hue of each root, a fifth up the circle 30 degrees round the wheel from C yellow
+    keyHues: {
+        'C': 60,
+        'G': 30,
+        'D': 0,
+        'A': 330,
+        'E': 300,
+        'B': 270,
+        'F#': 240,
+        'C#': 210,
+        'G#': 180,
+        'D#': 150,
+        'A#': 120,
+        'F': 90
+    },
+    // Hue of every mood label from extractMood: warm for positive, cool for negative, red and magenta for tense
+    moodHues: {
+        Happy: 50,
+        Joyful: 40,
+        Excited: 25,
+        Energetic: 10,
+        Tense: 330,
+        Angry: 0,
+        Anxious: 290,
+        Sad: 225,
+        Melancholic: 250,
+        Gloomy: 235,
+        Tired: 205,
+        Calm: 175,
+        Relaxed: 145,
+        Serene: 190,
+        Content: 90
+    }
+};
+
+// localStorage key of the saved presets
+const PRESETS_STORAGE_KEY = 'colorMappingPresets';
+
+/**
+ * Value of a piecewise-linear curve
+ * @param {Array<number[]>} points - [x, y] breakpoints sorted by x
+ * @param {number} x
+ * @returns {number}
+ */
+export const evaluateCurve = (points, x) => {
+    if (x <= points[0][0]) return points[0][1];
+
+    for (let i = 1; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        if (x <= x1) {
+            const [x0, y0] = points[i - 1];
+            return x1 === x0 ? y1 : y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+        }
+    }
+    return points[points.length - 1][1];
+};
+
+/**
+ * Check and tidy a mapping from outside, such as an imported file: missing
+ * curves and hues take the default, breakpoints are sorted and kept inside
+ * their curve's range, hues are wrapped to 0..360
+ * @param {Object|string} input - Mapping object or its JSON
+ * @returns {Object} - A complete mapping
+ * @throws {Error} - When the input is not a mapping at all
+ */
+export const parseMapping = (input) => {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (err) {
+            throw new Error('The preset is not valid JSON');
+        }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('The preset is not a colour mapping');
+    }
+    if (data.version > MAPPING_FORMAT_VERSION) {
+        throw new Error(`The preset was saved by a newer version (format ${data.version})`);
+    }
+
+    const curves = {};
+    Object.entries(MAPPING_CURVES).forEach(([id, range]) => {
+        const points = data.curves?.[id];
+        curves[id] = points === undefined ? DEFAULT_MAPPING.curves[id] : parseCurve(points, range, id);
+    });
+
+    return {
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported mapping',
+        version: MAPPING_FORMAT_VERSION,
+        curves,
+        keyHues: parseHues(data.keyHues, DEFAULT_MAPPING.keyHues),
+        moodHues: parseHues(data.moodHues, DEFAULT_MAPPING.moodHues)
+    };
+};
+
+/**
+ * JSON of a mapping, as written to a preset file
+ * @param {Object} mapping
+ * @returns {string}
+ */
+export const serializeMapping = (mapping) => JSON.stringify({ ...mapping, version: MAPPING_FORMAT_VERSION }, null, 2);
+
+/**
+ * Presets saved in this browser
+ * @returns {Object[]} - Mappings, sorted by name; unreadable entries are skipped
+ */
+export const listMappingPresets = () => (
+    readPresets()
+        .map(preset => {
+            try {
+                return parseMapping(preset);
+            } catch (err) {
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name))
+);
+
+/**
+ * Save a mapping as a preset, replacing any preset with the same name
+ * @param {Object} mapping
+ * @returns {Object[]} - The presets after saving
+ */
+export const saveMappingPreset = (mapping) => {
+    writePresets([...readPresets().filter(({ name }) => name !== mapping.name), mapping]);
+    return listMappingPresets();
+};
+
+/**
+ * Delete a saved preset
+ * @param {string} name
+ * @returns {Object[]} - The presets left
+ */
+export const deleteMappingPreset = (name) => {
+    writePresets(readPresets().filter(preset => preset.name !== name));
+    return listMappingPresets();
+};
+
+function parseCurve(points, range, id) {
+    if (!Array.isArray(points) || points.length < 2) {
+        throw new Error(`Curve "${id}" needs at least two points`);
+    }
+
+    return points
+        .map(point => {
+            if (!Array.isArray(point) || point.length !== 2 || !point.every(Number.isFinite)) {
+                throw new Error(`Curve "${id}" has a point that is not a pair of numbers`);
+            }
+            return [clamp(point[0], range.x), clamp(point[1], range.y)];
+        })
+        .sort((a, b) => a[0] - b[0]);
+}
+
+// Hues by name; only names the defaults know are kept
+function parseHues(hues, defaults) {
+    const parsed = {};
+    Object.entries(defaults).forEach(([name, fallback]) => {
+        const hue = hues?.[name];
+        parsed[name] = Number.isFinite(hue) ? ((hue % 360) + 360) % 360 : fallback;
+    });
+    return parsed;
+}
+
+function clamp(value, { min, max }) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// Storage can be missing or refuse access (private windows, blocked cookies): no presets then
+function readPresets() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(PRESETS_STORAGE_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (err) {
+        return [];
+    }
+}
+
+function writePresets(presets) {
+    try {
+        window.localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    } catch (err) {
+        throw new Error('Presets cannot be saved in this browser');
+    }
+}
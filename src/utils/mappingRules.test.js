@@ -0,0 +1,95 @@
+import {
+    DEFAULT_MAPPING,
+    MAPPING_FORMAT_VERSION,
+    evaluateCurve,
+    parseMapping,
+    serializeMapping,
+    listMappingPresets,
+    saveMappingPreset,
+    deleteMappingPreset
+} from './mappingRules';
+
+describe('evaluateCurve', () => {
+    const curve = [[0, 10], [10, 30], [20, 0]];
+
+    test('interpolates between breakpoints', () => {
+        expect(evaluateCurve(curve, 5)).toBe(20);
+        expect(evaluateCurve(curve, 15)).toBe(15);
+        expect(evaluateCurve(curve, 10)).toBe(30);
+    });
+
+    test('holds the nearest end outside the breakpoints', () => {
+        expect(evaluateCurve(curve, -5)).toBe(10);
+        expect(evaluateCurve(curve, 99)).toBe(0);
+    });
+
+    test('steps at two breakpoints on the same x', () => {
+        expect(evaluateCurve([[0, 0], [5, 10], [5, 50], [10, 50]], 5)).toBe(10);
+        expect(evaluateCurve([[0, 0], [5, 10], [5, 50], [10, 50]], 5.5)).toBe(50);
+    });
+});
+
+describe('parseMapping', () => {
+    test('round-trips a mapping through its JSON', () => {
+        const mapping = {
+            ...DEFAULT_MAPPING,
+            name: 'Night drive',
+            curves: { ...DEFAULT_MAPPING.curves, tempoHue: [[40, 200], [120, 260], [200, 300]] },
+            keyHues: { ...DEFAULT_MAPPING.keyHues, C: 15 }
+        };
+        expect(parseMapping(serializeMapping(mapping))).toEqual(mapping);
+        expect(parseMapping(serializeMapping(DEFAULT_MAPPING))).toEqual(DEFAULT_MAPPING);
+    });
+
+    test('fills in what is missing from the defaults', () => {
+        const mapping = parseMapping({ moodHues: { Happy: 70 } });
+        expect(mapping.name).toBe('Imported mapping');
+        expect(mapping.version).toBe(MAPPING_FORMAT_VERSION);
+        expect(mapping.curves).toEqual(DEFAULT_MAPPING.curves);
+        expect(mapping.keyHues).toEqual(DEFAULT_MAPPING.keyHues);
+        expect(mapping.moodHues).toEqual({ ...DEFAULT_MAPPING.moodHues, Happy: 70 });
+    });
+
+    test('sorts breakpoints, keeps them in range and wraps hues', () => {
+        const mapping = parseMapping({
+            curves: { loudnessLightness: [[0, 150], [-80, 10]] },
+            keyHues: { D: -30, E: 725, Z: 100 }
+        });
+        expect(mapping.curves.loudnessLightness).toEqual([[-40, 10], [-6, 100]]);
+        expect(mapping.keyHues.D).toBe(330);
+        expect(mapping.keyHues.E).toBe(5);
+        expect(mapping.keyHues).not.toHaveProperty('Z');
+    });
+
+    test('rejects breakpoints that are not pairs of numbers', () => {
+        expect(() => parseMapping({ curves: { tempoHue: [[5], [80]] } })).toThrow(/pair of numbers/);
+        expect(() => parseMapping({ curves: { tempoHue: [[40, 0, 1], [80, 10]] } })).toThrow(/pair of numbers/);
+        expect(() => parseMapping({ curves: { tempoHue: [[40, 0], [80, null]] } })).toThrow(/pair of numbers/);
+        expect(() => parseMapping({ curves: { tempoHue: [[40, 0]] } })).toThrow(/at least two points/);
+    });
+
+    test('rejects what is not a mapping', () => {
+        expect(() => parseMapping('{not json')).toThrow(/not valid JSON/);
+        expect(() => parseMapping('[]')).toThrow(/not a colour mapping/);
+        expect(() => parseMapping({ version: MAPPING_FORMAT_VERSION + 1 })).toThrow(/newer version/);
+    });
+});
+
+describe('presets', () => {
+    beforeEach(() => window.localStorage.clear());
+
+    test('are saved, replaced by name, listed by name and deleted', () => {
+        saveMappingPreset({ ...DEFAULT_MAPPING, name: 'Warm' });
+        saveMappingPreset({ ...DEFAULT_MAPPING, name: 'Cool' });
+        const presets = saveMappingPreset({ ...DEFAULT_MAPPING, name: 'Warm', keyHues: { ...DEFAULT_MAPPING.keyHues, C: 20 } });
+
+        expect(presets.map(({ name }) => name)).toEqual(['Cool', 'Warm']);
+        expect(presets[1].keyHues.C).toBe(20);
+        expect(deleteMappingPreset('Cool').map(({ name }) => name)).toEqual(['Warm']);
+    });
+
+    test('skip unreadable entries', () => {
+        window.localStorage.setItem('colorMappingPresets', JSON.stringify([{ name: 'Broken', curves: { tempoHue: [[1]] } }, { name: 'Fine' }]));
+        expect(listMappingPresets().map(({ name }) => name)).toEqual(['Fine']);
+    });
+});
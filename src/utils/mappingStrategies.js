@@ -0,0 +1,329 @@
+import { generatePaletteEntries, mapMoodToColor, mapTempoToColor, mapVocalsToColor } from './colorMapping';
+import { oklch, fromHsl, parseColor, formatColor, toGamut, deltaE2000 } from './colorSpace';
+import { frequencyToMidi, midiToNoteName } from './pitchTracking';
+import { DEFAULT_MAPPING } from './mappingRules';
+import { getModeCertainty } from './mood';
+import { summarizeTimeline } from './timeline';
+
+/**
+ * Named ways of turning a feature object into a palette. A strategy's
+ * generate function takes the features, from a whole track or from a
+ * timeline slice, and the mapping rules of mappingRules, and returns entries of { color, features, description }:
+ * the colour as an OKLCH object or CSS string, the features that shaped it
+ * and a line saying what it stands for. applyStrategy does the rest (gamut
+ * mapping, dropping look-alikes, formatting), so switching strategies
+ * re-renders the palette from the analysis already made.
+ *
+ * Strategies must cope with missing features: a timeline slice has no
+ * chords, melody or vocals, only tempo, pitch, rms, timbre, key and mood.
+ */
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Most colours a strategy's palette keeps
+const MAX_COLORS = 8;
+// CIEDE2000 difference below which two colours count as the same
+const JUST_NOTICEABLE_DIFFERENCE = 2.3;
+
+export const DEFAULT_STRATEGY = 'default';
+
+const strategies = new Map();
+
+/**
+ * Add a strategy, or replace one with the same id
+ * @param {Object} strategy
+ * @param {string} strategy.id - Stable identifier, e.g. for saved settings
+ * @param {string} strategy.name - Name shown in the UI
+ * @param {string} strategy.description - One line on the idea behind it
+ * @param {function(Object, Object): Array<{ color: Object|string, features: string[], description: string }>} strategy.generate
+ */
+export const registerStrategy = (strategy) => {
+    if (!strategy?.id || typeof strategy.generate !== 'function') {
+        throw new Error('A mapping strategy needs an id and a generate function');
+    }
+    strategies.set(strategy.id, strategy);
+};
+
+/**
+ * Every registered strategy, in registration order
+ * @returns {Array<{ id: string, name: string, description: string }>}
+ */
+export const listStrategies = () => [...strategies.values()].map(({ id, name, description }) => ({ id, name, description }));
+
+/**
+ * Run a strategy over a feature object
+ * @param {string} id - Strategy id; unknown ids fall back to the default strategy
+ * @param {Object} features - Result of analyzeAudioBuffer, or summarizeTimeline for a slice
+ * @param {Object} mapping - Mapping rules, for the strategies built on the colour mappers
+ * @returns {{ palette: string[], provenance: Array<{ color: string, features: string[], description: string }> }}
+ */
+export const applyStrategy = (id, features, mapping = DEFAULT_MAPPING) => {
+    const strategy = strategies.get(id) || strategies.get(DEFAULT_STRATEGY);
+
+    const kept = [];
+    strategy.generate(features, mapping).forEach(({ color, features: sources = [], description = '' }) => {
+        const parsed = typeof color === 'string' ? parseColor(color) : color;
+        if (!parsed || isNaN(parsed.l + parsed.c + parsed.h)) return;
+
+        const displayable = toGamut(parsed);
+        if (kept.some(item => deltaE2000(item.color, displayable) < JUST_NOTICEABLE_DIFFERENCE)) return;
+        kept.push({ color: displayable, features: sources, description });
+    });
+
+    const provenance = kept.slice(0, MAX_COLORS).map(item => ({ ...item, color: formatColor(item.color) }));
+    return { palette: provenance.map(({ color }) => color), provenance };
+};
+
+/**
+ * Run a strategy over every detected section of a song
+ * @param {string} id - Strategy id, as for applyStrategy
+ * @param {Object} structure - Result of segmentStructure
+ * @param {Object} timeline - The timeline the structure was detected on
+ * @param {Object} mapping - Mapping rules
+ * @returns {Array<{ start: number, end: number, label: string, role: string, palette: string[] }>}
+ */
+export const applyStrategyToSections = (id, structure, timeline, mapping = DEFAULT_MAPPING) => {
+    if (!structure?.sections || !timeline) return [];
+
+    return structure.sections.map(({ start, end, label, role }) => ({
+        start,
+        end,
+        label,
+        role,
+        palette: applyStrategy(id, summarizeTimeline(timeline, start, end), mapping).palette
+    }));
+};
+
+registerStrategy({
+    id: DEFAULT_STRATEGY,
+    name: 'Current default',
+    description: 'Tempo sets the base hue, the other features add harmonies and shades around it',
+    generate: ({ tempo, pitch, melody, rms, loudness, timbre, key, mood, vocals = null }, mapping) => (
+        generatePaletteEntries(tempo, melody?.range ? melody : pitch, loudness || rms, timbre, key, mood, vocals, mapping)
+    )
+});
+
+registerStrategy({
+    id: 'circle-of-fifths',
+    name: 'Circle of fifths',
+    description: 'Keys a fifth apart sit next to each other on the colour wheel, so related harmony gets related hues',
+    generate: ({ key, chords, mood }) => {
+        if (!key) return [];
+
+        // Twelve steps of 30 degrees: C red, G orange, D yellow and on round the wheel
+        const fifthsHue = (root) => ((root * 7) % 12) * 30;
+        const certainty = getModeCertainty(key);
+        const saturation = 45 + certainty * 40;
+        const lift = mood ? (mood.valence - 0.5) * 10 : 0;
+        const isMinor = key.scale === 'minor';
+        const relative = isMinor ? (key.root + 3) % 12 : (key.root + 9) % 12;
+
+        const entries = [
+            {
+                color: fromHsl(fifthsHue(key.root), saturation, (isMinor ? 42 : 58) + lift),
+                features: ['key'],
+                description: `Tonic: ${key.rootNote} ${key.scale}`
+            },
+            {
+                color: fromHsl(fifthsHue(key.root + 7), saturation * 0.9, 62 + lift),
+                features: ['key'],
+                description: `Dominant: ${NOTE_NAMES[(key.root + 7) % 12]}`
+            },
+            {
+                color: fromHsl(fifthsHue(key.root + 5), saturation * 0.9, 48 + lift),
+                features: ['key'],
+                description: `Subdominant: ${NOTE_NAMES[(key.root + 5) % 12]}`
+            },
+            {
+                color: fromHsl(fifthsHue(relative), saturation * 0.75, (isMinor ? 62 : 38) + lift),
+                features: ['key'],
+                description: `Relative ${isMinor ? 'major' : 'minor'}: ${NOTE_NAMES[relative]}${isMinor ? '' : 'm'}`
+            }
+        ];
+
+        prominentChords(chords, 4).forEach(({ root, label, share, minor }) => {
+            entries.push({
+                color: fromHsl(fifthsHue(root), saturation, minor ? 40 : 60),
+                features: ['chords'],
+                description: `Chord ${label} · ${Math.round(share * 100)}% of the track`
+            });
+        });
+        return entries;
+    }
+});
+
+// Scriabin's colours for the twelve pitch classes, as usually given for his clavier à lumières
+const SCRIABIN_COLORS = [
+    '#ff0000', // C: red
+    '#8f00ff', // C#: violet
+    '#ffff00', // D: yellow
+    '#b7468b', // D#: steely flesh
+    '#c3f2ff', // E: moonlit blue-white
+    '#ab0034', // F: deep red
+    '#7f8bfd', // F#: bright blue
+    '#ff7f00', // G: rosy orange
+    '#bb75fc', // G#: purple
+    '#33cc33', // A: green
+    '#a9677c', // A#: steel with a glint of rose
+    '#8ec9ff'  // B: pearly blue
+];
+
+registerStrategy({
+    id: 'scriabin',
+    name: 'Scriabin synesthesia',
+    description: 'Every pitch class has the colour Scriabin heard for it; the key and the main chords pick the notes',
+    generate: ({ key, chords }) => {
+        if (!key) return [];
+
+        const shade = (root, minor) => {
+            const color = parseColor(SCRIABIN_COLORS[root]);
+            return minor ? oklch(color.l * 0.8, color.c, color.h) : color;
+        };
+        const isMinor = key.scale === 'minor';
+        const entries = [{ color: shade(key.root, isMinor), features: ['key'], description: `Tonic: ${key.rootNote} ${key.scale}` }];
+
+        const found = prominentChords(chords, 5);
+        if (found.length) {
+            found.forEach(({ root, label, share, minor }) => {
+                entries.push({
+                    color: shade(root, minor),
+                    features: ['chords'],
+                    description: `Chord ${label} · ${Math.round(share * 100)}% of the track`
+                });
+            });
+        } else {
+            // No chords to go on: the third and fifth of the tonic triad
+            [[isMinor ? 3 : 4, 'Third'], [7, 'Fifth']].forEach(([interval, degree]) => {
+                const root = (key.root + interval) % 12;
+                entries.push({ color: shade(root, false), features: ['key'], description: `${degree} of the key: ${NOTE_NAMES[root]}` });
+            });
+        }
+        return entries;
+    }
+});
+
+// Newton's colours for the notes of the Dorian scale on D, in semitones above D
+const NEWTON_ANCHORS = [
+    [0, 0],     // D: red
+    [2, 30],    // E: orange
+    [3, 60],    // F: yellow
+    [5, 120],   // G: green
+    [7, 240],   // A: blue
+    [9, 260],   // B: indigo
+    [10, 285],  // C: violet
+    [12, 360]   // D again
+];
+
+registerStrategy({
+    id: 'newton',
+    name: 'Newton spectrum',
+    description: 'Newton matched the seven notes of a scale to the seven colours of the spectrum; higher octaves are lighter',
+    generate: ({ key, chords, melody, pitch }) => {
+        const entries = [];
+        const noteColor = (midi, saturation = 80) => fromHsl(newtonHue(Math.round(midi) % 12), saturation, 25 + clamp((midi - 36) / 60) * 55);
+
+        if (melody?.range) {
+            const { low, median, high, lowNote, medianNote, highNote } = melody.range;
+            entries.push({ color: noteColor(frequencyToMidi(median)), features: ['pitch'], description: `Melody centre: ${medianNote}` });
+            entries.push({ color: noteColor(frequencyToMidi(low), 65), features: ['pitch'], description: `Melody low: ${lowNote}` });
+            entries.push({ color: noteColor(frequencyToMidi(high), 65), features: ['pitch'], description: `Melody high: ${highNote}` });
+        } else if (pitch) {
+            const midi = frequencyToMidi(pitch);
+            entries.push({ color: noteColor(midi), features: ['pitch'], description: `Pitch: ${midiToNoteName(midi)}` });
+        }
+
+        // Harmony sits around the octave below middle C
+        if (key) {
+            entries.push({ color: noteColor(48 + key.root, 70), features: ['key'], description: `Tonic: ${key.rootNote} ${key.scale}` });
+        }
+        prominentChords(chords, 4).forEach(({ root, label, share, minor }) => {
+            entries.push({
+                color: noteColor(48 + root, minor ? 55 : 70),
+                features: ['chords'],
+                description: `Chord ${label} · ${Math.round(share * 100)}% of the track`
+            });
+        });
+        return entries;
+    }
+});
+
+registerStrategy({
+    id: 'mood-first',
+    name: 'Mood-first',
+    description: 'The mood label leads, its close runners-up follow, and tension, tempo and voice add accents',
+    generate: ({ mood, tempo, vocals }, mapping) => {
+        if (!mood) return [];
+
+        const primary = parseColor(mapMoodToColor(mood, mapping));
+        const entries = [{ color: primary, features: ['mood'], description: `Mood: ${mood.primary} · ${Math.round(mood.confidence * 100)}%` }];
+
+        (mood.candidates || []).slice(1).forEach(({ label, confidence }) => {
+            entries.push({
+                color: mapMoodToColor({ ...mood, primary: label, confidence }, mapping),
+                features: ['mood'],
+                description: `Also ${label} · ${Math.round(confidence * 100)}%`
+            });
+        });
+
+        // Tension sinks the mood colour into a deep, more saturated shade; arousal lifts it into a tint
+        entries.push({
+            color: oklch(primary.l * (0.75 - mood.tension * 0.3), primary.c * 1.15, primary.h + mood.tension * 20),
+            features: ['mood'],
+            description: `Tension: ${Math.round(mood.tension * 100)}%`
+        });
+        entries.push({
+            color: oklch(Math.min(0.95, primary.l + 0.1 + mood.arousal * 0.15), primary.c * 0.7, primary.h),
+            features: ['mood'],
+            description: `Arousal: ${Math.round(mood.arousal * 100)}%`
+        });
+
+        if (tempo) {
+            entries.push({ color: mapTempoToColor(tempo, mapping), features: ['tempo'], description: `Tempo: ${Math.round(tempo)} BPM` });
+        }
+        if (vocals) {
+            entries.push({ color: mapVocalsToColor(vocals), features: ['vocals'], description: `Vocals: ${Math.round(vocals.ratio * 100)}% of the track` });
+        }
+        return entries;
+    }
+});
+
+/**
+ * Chord roots that fill most of the track, one entry per root
+ */
+function prominentChords(chords, count) {
+    const segments = (chords?.segments || []).filter(segment => segment.root !== null && segment.quality !== 'none');
+    const total = segments.reduce((sum, { start, end }) => sum + (end - start), 0);
+    if (!total) return [];
+
+    const byRoot = new Map();
+    segments.forEach(({ root, quality, label, start, end }) => {
+        const current = byRoot.get(root) || { root, duration: 0, labels: new Map() };
+        current.duration += end - start;
+        current.labels.set(label, { quality, duration: (current.labels.get(label)?.duration || 0) + end - start });
+        byRoot.set(root, current);
+    });
+
+    return [...byRoot.values()]
+        .sort((a, b) => b.duration - a.duration)
+        .slice(0, count)
+        .map(({ root, duration, labels }) => {
+            // The most common chord on the root names it
+            const [label, { quality }] = [...labels.entries()].reduce((best, item) => (item[1].duration > best[1].duration ? item : best));
+            return { root, label, share: duration / total, minor: ['min', 'min7', 'dim'].includes(quality) };
+        });
+}
+
+// Wheel hue of a pitch class in Newton's scheme, between the anchors for the notes off the scale
+function newtonHue(pitchClass) {
+    const fromD = (pitchClass - 2 + 12) % 12;
+    for (let i = 1; i < NEWTON_ANCHORS.length; i++) {
+        const [upper, upperHue] = NEWTON_ANCHORS[i];
+        const [lower, lowerHue] = NEWTON_ANCHORS[i - 1];
+        if (fromD <= upper) return lowerHue + ((fromD - lower) / (upper - lower)) * (upperHue - lowerHue);
+    }
+    return 0;
+}
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+}
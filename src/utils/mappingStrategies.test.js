@@ -0,0 +1,141 @@
+import { applyStrategy, applyStrategyToSections, listStrategies, registerStrategy, DEFAULT_STRATEGY } from './mappingStrategies';
+import { deltaE2000, parseColor } from './colorSpace';
+import { extractTimeline, summarizeTimeline } from './timeline';
+import { keyFrom } from './__fixtures__/keys';
+import { audioBufferOf, chord, concat } from './__fixtures__/signals';
+
+const features = (overrides = {}) => ({
+    tempo: 120,
+    pitch: 440,
+    rms: 0.2,
+    timbre: { brightness: 0.3, roughness: 0.1, harmonicContent: 0.6 },
+    key: keyFrom({ 'C major': 0.9 }),
+    mood: {
+        arousal: 0.6,
+        valence: 0.7,
+        tension: 0.2,
+        energy: 0.6,
+        intensity: 0.4,
+        primary: 'Happy',
+        confidence: 0.4,
+        candidates: [{ label: 'Happy', confidence: 0.4 }, { label: 'Joyful', confidence: 0.3 }, { label: 'Content', confidence: 0.1 }]
+    },
+    ...overrides
+});
+
+const colorsOf = (count) => Array.from({ length: count }, (_, i) => ({
+    color: `hsl(${(i * 360) / count}, 70%, 50%)`,
+    features: ['tempo'],
+    description: `Colour ${i}`
+}));
+
+describe('applyStrategy', () => {
+    test('falls back to the default strategy for an unknown id', () => {
+        expect(applyStrategy('no-such-strategy', features())).toEqual(applyStrategy(DEFAULT_STRATEGY, features()));
+    });
+
+    test('sets the provenance of every colour it keeps', () => {
+        const { palette, provenance } = applyStrategy('circle-of-fifths', features());
+        expect(palette).toEqual(provenance.map(({ color }) => color));
+        provenance.forEach(({ color, features: sources, description }) => {
+            expect(color).toMatch(/^#[0-9a-f]{6}$/);
+            expect(sources).toEqual(['key']);
+            expect(description).not.toBe('');
+        });
+        expect(provenance[0].description).toBe('Tonic: C major');
+    });
+
+    test('drops colours too close to one already kept', () => {
+        registerStrategy({
+            id: 'test-near-duplicates',
+            name: 'Near duplicates',
+            description: '',
+            generate: () => [
+                { color: '#3366cc', features: ['tempo'], description: 'First' },
+                { color: '#3367cc', features: ['pitch'], description: 'Same to the eye' },
+                { color: '#cc6633', features: ['key'], description: 'Different' }
+            ]
+        });
+        const { provenance } = applyStrategy('test-near-duplicates', features());
+        expect(provenance.map(({ description }) => description)).toEqual(['First', 'Different']);
+    });
+
+    test('keeps at most eight colours', () => {
+        registerStrategy({ id: 'test-many', name: 'Many', description: '', generate: () => colorsOf(12) });
+        const { palette } = applyStrategy('test-many', features());
+        expect(palette).toHaveLength(8);
+        for (let i = 0; i < palette.length; i++) {
+            for (let j = i + 1; j < palette.length; j++) {
+                expect(deltaE2000(parseColor(palette[i]), parseColor(palette[j]))).toBeGreaterThan(2.3);
+            }
+        }
+    });
+
+    test('skips colours it cannot read', () => {
+        registerStrategy({
+            id: 'test-unreadable',
+            name: 'Unreadable',
+            description: '',
+            generate: () => [{ color: 'not a colour' }, { color: { l: NaN, c: 0, h: 0 } }, { color: '#3366cc' }]
+        });
+        expect(applyStrategy('test-unreadable', features()).palette).toHaveLength(1);
+    });
+});
+
+describe('applyStrategyToSections', () => {
+    // Two seconds of C major, then two of A minor
+    const timeline = extractTimeline(audioBufferOf(concat(
+        ...[0, 1, 2, 3].map(() => chord([60, 64, 67], 0.5)),
+        ...[0, 1, 2, 3].map(() => chord([57, 60, 64], 0.5))
+    )), { hop: 0.5 });
+    const structure = { sections: [{ start: 0, end: 2, label: 'A', role: 'verse' }, { start: 2, end: 4, label: 'B', role: 'chorus' }] };
+
+    test('colours every section from its own slice of the timeline', () => {
+        const sections = applyStrategyToSections('circle-of-fifths', structure, timeline);
+        expect(sections.map(({ start, end, label, role }) => ({ start, end, label, role }))).toEqual(structure.sections);
+        sections.forEach(({ start, end, palette }) => {
+            expect(palette).toEqual(applyStrategy('circle-of-fifths', summarizeTimeline(timeline, start, end)).palette);
+        });
+        expect(sections[0].palette).not.toEqual(sections[1].palette);
+    });
+
+    test('is empty without a structure or a timeline', () => {
+        expect(applyStrategyToSections(DEFAULT_STRATEGY, null, timeline)).toEqual([]);
+        expect(applyStrategyToSections(DEFAULT_STRATEGY, structure, null)).toEqual([]);
+    });
+});
+
+describe('strategies', () => {
+    const builtIn = ['default', 'circle-of-fifths', 'scriabin', 'newton', 'mood-first'];
+
+    test('are listed in registration order', () => {
+        expect(listStrategies().map(({ id }) => id).slice(0, builtIn.length)).toEqual(builtIn);
+    });
+
+    describe.each(builtIn)('%s', (id) => {
+        test('gives a palette for a whole track', () => {
+            expect(applyStrategy(id, features()).palette.length).toBeGreaterThan(0);
+        });
+
+        test.each(['tempo', 'key', 'mood'])('copes without %s', (missing) => {
+            const { palette } = applyStrategy(id, features({ [missing]: null }));
+            palette.forEach(color => expect(color).toMatch(/^#[0-9a-f]{6}$/));
+        });
+
+        test('copes with an empty feature object', () => {
+            expect(() => applyStrategy(id, {})).not.toThrow();
+        });
+    });
+
+    test('give nothing when the feature they are built on is missing', () => {
+        expect(applyStrategy('circle-of-fifths', features({ key: null })).palette).toEqual([]);
+        expect(applyStrategy('scriabin', features({ key: null })).palette).toEqual([]);
+        expect(applyStrategy('mood-first', features({ mood: null })).palette).toEqual([]);
+        expect(applyStrategy('newton', features({ key: null, pitch: null })).palette).toEqual([]);
+    });
+
+    test('circle of fifths saturates the colours of a certain key more', () => {
+        const chroma = (key) => parseColor(applyStrategy('circle-of-fifths', features({ key })).palette[0]).c;
+        expect(chroma(keyFrom({ 'C major': 0.9 }))).toBeGreaterThan(chroma(keyFrom({ 'C major': 0.9, 'A minor': 0.89 })));
+    });
+});
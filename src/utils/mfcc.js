@@ -0,0 +1,289 @@
+import { createStftStream } from './fft';
+import { getMonoSignal } from './stereo';
+
+/**
+ * Mel-frequency cepstral coefficients: triangular mel filterbank on the
+ * power spectrum, log, orthonormal DCT-II and optional sinusoidal liftering.
+ */
+
+const filterbankCache = new Map();
+
+const hzToMel = (frequency) => 2595 * Math.log10(1 + frequency / 700);
+const melToHz = (mel) => 700 * (10 ** (mel / 2595) - 1);
+
+/**
+ * Triangular filters equally spaced on the mel scale, each peaking at 1.
+ * Stored sparsely as the first bin and the weights from there on.
+ * @param {number} fftSize - FFT size; filters span its fftSize/2 + 1 bins
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options
+ * @param {number} options.numFilters - Number of mel bands
+ * @param {number} options.minFrequency - Lower edge of the first band in Hz
+ * @param {number} options.maxFrequency - Upper edge of the last band in Hz
+ * @returns {Array<{ start: number, weights: Float32Array, center: number }>}
+ */
+export const createMelFilterbank = (fftSize, sampleRate, { numFilters = 40, minFrequency = 0, maxFrequency = sampleRate / 2 } = {}) => {
+    const cacheKey = `${fftSize}:${sampleRate}:${numFilters}:${minFrequency}:${maxFrequency}`;
+    if (filterbankCache.has(cacheKey)) return filterbankCache.get(cacheKey);
+
+    const numBins = fftSize / 2 + 1;
+    const binWidth = sampleRate / fftSize;
+    const melMin = hzToMel(minFrequency);
+    const melStep = (hzToMel(maxFrequency) - melMin) / (numFilters + 1);
+    const edges = Array.from({ length: numFilters + 2 }, (_, i) => melToHz(melMin + i * melStep));
+
+    const filters = [];
+    for (let m = 0; m < numFilters; m++) {
+        const [lower, center, upper] = [edges[m], edges[m + 1], edges[m + 2]];
+        const start = Math.min(numBins - 1, Math.ceil(lower / binWidth));
+        const end = Math.min(numBins - 1, Math.floor(upper / binWidth));
+        const weights = new Float32Array(Math.max(1, end - start + 1));
+
+        for (let j = start; j <= end; j++) {
+            const frequency = j * binWidth;
+            weights[j - start] = frequency <= center
+                ? (frequency - lower) / (center - lower)
+                : (upper - frequency) / (upper - center);
+        }
+        // Bands narrower than a bin still take the nearest bin
+        if (end < start) weights[0] = 1;
+
+        filters.push({ start, weights, center });
+    }
+
+    filterbankCache.set(cacheKey, filters);
+    return filters;
+};
+
+/**
+ * MFCCs of one magnitude spectrum
+ * @param {Float32Array} spectrum - Magnitude spectrum with fftSize/2 + 1 bins
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} fftSize - FFT size the spectrum came from
+ * @param {Object} options
+ * @param {number} options.numFilters - Mel bands
+ * @param {number} options.numCoefficients - Cepstral coefficients to keep, including c0
+ * @param {number} options.lifter - Sinusoidal lifter length, 0 to disable
+ * @returns {Float32Array} - numCoefficients values
+ */
+export const computeMfccs = (spectrum, sampleRate, fftSize, { numFilters = 40, numCoefficients = 13, lifter = 22 } = {}) => {
+    const filters = createMelFilterbank(fftSize, sampleRate, { numFilters });
+    const logEnergies = new Float64Array(numFilters);
+
+    filters.forEach(({ start, weights }, m) => {
+        let energy = 0;
+        for (let k = 0; k < weights.length; k++) {
+            const magnitude = spectrum[start + k];
+            energy += magnitude * magnitude * weights[k];
+        }
+        logEnergies[m] = Math.log(Math.max(energy, 1e-10));
+    });
+
+    const dct = getDctMatrix(numCoefficients, numFilters);
+    const coefficients = new Float32Array(numCoefficients);
+    for (let k = 0; k < numCoefficients; k++) {
+        let sum = 0;
+        for (let m = 0; m < numFilters; m++) sum += dct[k * numFilters + m] * logEnergies[m];
+        coefficients[k] = lifter > 0 ? sum * (1 + (lifter / 2) * Math.sin((Math.PI * k) / lifter)) : sum;
+    }
+    return coefficients;
+};
+
+const dctCache = new Map();
+
+/**
+ * Orthonormal DCT-II basis, numCoefficients rows of numFilters values
+ */
+function getDctMatrix(numCoefficients, numFilters) {
+    const cacheKey = `${numCoefficients}:${numFilters}`;
+    if (dctCache.has(cacheKey)) return dctCache.get(cacheKey);
+
+    const matrix = new Float64Array(numCoefficients * numFilters);
+    for (let k = 0; k < numCoefficients; k++) {
+        const scale = Math.sqrt((k === 0 ? 1 : 2) / numFilters);
+        for (let m = 0; m < numFilters; m++) {
+            matrix[k * numFilters + m] = scale * Math.cos((Math.PI * k * (2 * m + 1)) / (2 * numFilters));
+        }
+    }
+    dctCache.set(cacheKey, matrix);
+    return matrix;
+}
+
+/**
+ * Regression deltas over neighbouring frames, with the edges repeated
+ * @param {Float32Array[]} frames - One coefficient vector per frame
+ * @param {number} width - Frames on each side used by the regression
+ * @returns {Float32Array[]} - One delta vector per frame
+ */
+export const computeDeltas = (frames, width = 2) => {
+    const deltas = [];
+    const stream = createDeltaStream(delta => deltas.push(delta), width);
+    frames.forEach(stream.push);
+    stream.finish();
+    return deltas;
+};
+
+/**
+ * Incremental version of computeDeltas. Each delta is emitted once the
+ * frames `width` ahead of it have arrived; finish emits the rest.
+ * @param {function(Float32Array): void} onDelta - Called with each delta vector, in frame order
+ * @param {number} width - Frames on each side used by the regression
+ * @returns {{ push: function(Float32Array): void, finish: function(): void }}
+ */
+export const createDeltaStream = (onDelta, width = 2) => {
+    let denominator = 0;
+    for (let n = 1; n <= width; n++) denominator += 2 * n * n;
+
+    const history = [];
+    let historyStart = 0;
+    let count = 0;
+    let emitted = 0;
+
+    const frameAt = (t) => history[Math.min(count - 1, Math.max(0, t)) - historyStart];
+
+    const emit = () => {
+        const t = emitted++;
+        const delta = new Float32Array(frameAt(t).length);
+        for (let n = 1; n <= width; n++) {
+            const next = frameAt(t + n);
+            const previous = frameAt(t - n);
+            for (let d = 0; d < delta.length; d++) delta[d] += (n * (next[d] - previous[d])) / denominator;
+        }
+        onDelta(delta);
+    };
+
+    return {
+        push: (frame) => {
+            history.push(frame);
+            count++;
+            while (emitted + width < count) emit();
+            // Keep the frames the next deltas reach back to, including the repeated first one
+            while (historyStart < emitted - width) {
+                history.shift();
+                historyStart++;
+            }
+        },
+        finish: () => {
+            while (emitted < count) emit();
+        }
+    };
+};
+
+/**
+ * Mean, standard deviation and covariance of a set of vectors
+ * @param {Float32Array[]} frames - One vector per frame
+ * @returns {{ mean: Float32Array, std: Float32Array, covariance: Float32Array[] }}
+ */
+export const summarizeVectors = (frames) => {
+    const summary = createVectorSummary(frames.length ? frames[0].length : 0);
+    frames.forEach(summary.add);
+    return summary.finish();
+};
+
+/**
+ * Running mean and covariance (Welford's method), so vectors can be
+ * summarised as they arrive without keeping them
+ * @param {number} dims - Vector length
+ * @returns {{ add: function(ArrayLike<number>): void, finish: function(): { mean: Float32Array, std: Float32Array, covariance: Float32Array[] } }}
+ */
+export const createVectorSummary = (dims) => {
+    const mean = new Float64Array(dims);
+    const comoments = Array.from({ length: dims }, () => new Float64Array(dims));
+    const deviation = new Float64Array(dims);
+    let count = 0;
+
+    const add = (vector) => {
+        count++;
+        for (let d = 0; d < dims; d++) {
+            deviation[d] = vector[d] - mean[d];
+            mean[d] += deviation[d] / count;
+        }
+        for (let a = 0; a < dims; a++) {
+            for (let b = a; b < dims; b++) comoments[a][b] += deviation[a] * (vector[b] - mean[b]);
+        }
+    };
+
+    const finish = () => {
+        const covariance = Array.from({ length: dims }, () => new Float32Array(dims));
+        for (let a = 0; a < dims; a++) {
+            for (let b = a; b < dims; b++) {
+                covariance[a][b] = covariance[b][a] = count ? comoments[a][b] / count : 0;
+            }
+        }
+        return {
+            mean: Float32Array.from(mean),
+            std: Float32Array.from(covariance, (row, d) => Math.sqrt(Math.max(0, row[d]))),
+            covariance
+        };
+    };
+
+    return { add, finish };
+};
+
+/**
+ * Frame-level MFCCs of a track with deltas and per-track summaries
+ * @param {AudioBuffer} audioBuffer - Decoded audio, or the result of createAudioData
+ * @param {Object} options - fftSize and hopSize for the STFT, plus the computeMfccs options
+ * @returns {Object} - {
+ *   hopDuration: number,
+ *   coefficients, deltas, deltaDeltas: Float32Array[],  // one vector per frame
+ *   summary: { mean, std, covariance, deltaMean, deltaStd, deltaDeltaMean, deltaDeltaStd }
+ * }
+ */
+export const extractMfccs = (audioBuffer, options = {}) => {
+    const stream = createMfccStream(audioBuffer.sampleRate, { ...options, keepFrames: true });
+    stream.push(getMonoSignal(audioBuffer));
+    return stream.finish();
+};
+
+/**
+ * Incremental version of extractMfccs for audio that arrives in chunks.
+ * Only the summaries are kept unless keepFrames is set.
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options - See extractMfccs
+ * @param {boolean} options.keepFrames - Also return the per-frame coefficients, deltas and delta-deltas
+ * @returns {{ push: function(Float32Array): void, finish: function(): Object }} -
+ *   finish returns the extractMfccs result, without the frame arrays unless keepFrames is set
+ */
+export const createMfccStream = (sampleRate, { fftSize = 2048, hopSize = 512, keepFrames = false, ...mfccOptions } = {}) => {
+    const numCoefficients = mfccOptions.numCoefficients || 13;
+    const summaries = [0, 1, 2].map(() => createVectorSummary(numCoefficients));
+    const kept = [[], [], []];
+
+    // Coefficients feed the deltas, deltas feed the delta-deltas
+    const collect = (order) => (vector) => {
+        summaries[order].add(vector);
+        if (keepFrames) kept[order].push(vector);
+    };
+    const deltaDeltas = createDeltaStream(collect(2));
+    const deltas = createDeltaStream((delta) => {
+        collect(1)(delta);
+        deltaDeltas.push(delta);
+    });
+    const frames = createStftStream(({ magnitudes }) => {
+        const coefficients = computeMfccs(magnitudes, sampleRate, fftSize, mfccOptions);
+        collect(0)(coefficients);
+        deltas.push(coefficients);
+    }, { fftSize, hopSize, sampleRate });
+
+    const finish = () => {
+        frames.finish();
+        deltas.finish();
+        deltaDeltas.finish();
+        const [coefficientSummary, deltaSummary, deltaDeltaSummary] = summaries.map(summary => summary.finish());
+
+        return {
+            hopDuration: hopSize / sampleRate,
+            ...(keepFrames && { coefficients: kept[0], deltas: kept[1], deltaDeltas: kept[2] }),
+            summary: {
+                ...coefficientSummary,
+                deltaMean: deltaSummary.mean,
+                deltaStd: deltaSummary.std,
+                deltaDeltaMean: deltaDeltaSummary.mean,
+                deltaDeltaStd: deltaDeltaSummary.std
+            }
+        };
+    };
+
+    return { push: frames.push, finish };
+};
@@ -0,0 +1,66 @@
+import { createMelFilterbank, computeMfccs, computeDeltas, summarizeVectors, extractMfccs } from './mfcc';
+import { audioBufferOf, concat, harmonicTone, noise, SAMPLE_RATE } from './__fixtures__/signals';
+
+describe('createMelFilterbank', () => {
+    const filters = createMelFilterbank(2048, SAMPLE_RATE, { numFilters: 26 });
+
+    test('spaces triangular filters along the mel scale', () => {
+        expect(filters).toHaveLength(26);
+        const centers = filters.map(filter => filter.center);
+        centers.slice(1).forEach((center, m) => expect(center).toBeGreaterThan(centers[m]));
+        // Equal mel steps are ever wider in Hz
+        expect(centers[25] - centers[24]).toBeGreaterThan(centers[1] - centers[0]);
+        filters.forEach(({ weights }) => weights.forEach(weight => {
+            expect(weight).toBeGreaterThanOrEqual(0);
+            expect(weight).toBeLessThanOrEqual(1);
+        }));
+    });
+});
+
+describe('computeMfccs', () => {
+    test('turns a change of gain into a change of c0 alone', () => {
+        const spectrum = Float32Array.from({ length: 1025 }, (_, j) => 1 + Math.sin(j / 40));
+        const quiet = computeMfccs(spectrum, SAMPLE_RATE, 2048, { lifter: 0 });
+        const loud = computeMfccs(spectrum.map(value => value * 10), SAMPLE_RATE, 2048, { lifter: 0 });
+        expect(loud).toHaveLength(13);
+        // Power goes up 100 times in every band; the orthonormal DCT scales c0 by sqrt(40)
+        expect(loud[0] - quiet[0]).toBeCloseTo(Math.log(100) * Math.sqrt(40), 3);
+        for (let k = 1; k < 13; k++) expect(loud[k]).toBeCloseTo(quiet[k], 3);
+    });
+
+    test('moves c1 with the spectral tilt', () => {
+        const tilt = (slope) => Float32Array.from({ length: 1025 }, (_, j) => Math.exp(slope * j / 1025));
+        const dark = computeMfccs(tilt(-4), SAMPLE_RATE, 2048)[1];
+        const bright = computeMfccs(tilt(4), SAMPLE_RATE, 2048)[1];
+        expect(dark).toBeGreaterThan(bright);
+    });
+});
+
+describe('computeDeltas', () => {
+    test('gives the slope of a linear ramp', () => {
+        const frames = Array.from({ length: 9 }, (_, i) => Float32Array.from([2 * i, 5]));
+        const deltas = computeDeltas(frames, 2);
+        expect(deltas).toHaveLength(9);
+        expect(deltas[4][0]).toBeCloseTo(2);
+        expect(deltas[4][1]).toBeCloseTo(0);
+    });
+});
+
+describe('summarizeVectors', () => {
+    test('gives the mean, spread and covariance', () => {
+        const { mean, std, covariance } = summarizeVectors([[1, 2], [3, 6], [5, 10]].map(v => Float32Array.from(v)));
+        expect(Array.from(mean)).toEqual([3, 6]);
+        expect(std[0]).toBeCloseTo(Math.sqrt(8 / 3));
+        expect(covariance[0][1]).toBeCloseTo(16 / 3);
+    });
+});
+
+describe('extractMfccs', () => {
+    test('keeps a delta per frame and summarizes timbre changes', () => {
+        const steady = extractMfccs(audioBufferOf(harmonicTone(220, 1)));
+        const changing = extractMfccs(audioBufferOf(concat(harmonicTone(220, 0.5), noise(0.5, { amplitude: 0.2 }))));
+        expect(steady.deltas).toHaveLength(steady.coefficients.length);
+        expect(steady.deltaDeltas).toHaveLength(steady.coefficients.length);
+        expect(changing.summary.std[1]).toBeGreaterThan(steady.summary.std[1]);
+    });
+});
@@ -0,0 +1,231 @@
+/**
+ * Mood as a point in a continuous space: arousal (calm to excited) and
+ * valence (negative to positive) from Russell's circumplex model, plus
+ * tension (relaxed to tense), which separates moods the circle alone puts
+ * close together, such as angry and excited.
+ *
+ * Each dimension is a weighted average of whatever cues are available, so
+ * a missing input (no chords in a live window, no integrated loudness)
+ * shifts the weight onto the others instead of biasing the result. Labels
+ * are scored by how close the point is to each label's prototype.
+ */
+
+/**
+ * Circumplex labels. angle is in degrees from the positive valence axis
+ * towards high arousal; tension is the tension level typical of the label.
+ */
+export const MOOD_LABELS = [
+    { label: 'Happy', angle: 15, tension: 0.2 },
+    { label: 'Joyful', angle: 38, tension: 0.3 },
+    { label: 'Excited', angle: 60, tension: 0.45 },
+    { label: 'Energetic', angle: 85, tension: 0.55 },
+    { label: 'Tense', angle: 105, tension: 0.85 },
+    { label: 'Angry', angle: 128, tension: 0.95 },
+    { label: 'Anxious', angle: 150, tension: 0.8 },
+    { label: 'Sad', angle: 190, tension: 0.45 },
+    { label: 'Melancholic', angle: 212, tension: 0.35 },
+    { label: 'Gloomy', angle: 235, tension: 0.5 },
+    { label: 'Tired', angle: 260, tension: 0.2 },
+    { label: 'Calm', angle: 285, tension: 0.1 },
+    { label: 'Relaxed', angle: 308, tension: 0.1 },
+    { label: 'Serene', angle: 328, tension: 0.05 },
+    { label: 'Content', angle: 350, tension: 0.15 }
+];
+
+// Distance of the label prototypes from the neutral centre, on a -1..1 scale
+const PROTOTYPE_RADIUS = 0.6;
+const AROUSAL_SPREAD = 0.3;
+const TENSION_SPREAD = 0.35;
+// Valence spread when the key is certain and when it is a guess
+const VALENCE_SPREAD = [0.3, 0.6];
+// Below this much total cue weight, valence is pulled towards neutral
+const MIN_VALENCE_EVIDENCE = 0.7;
+// Key correlations are all high and close together, even for noise. The mode
+// counts once the best key beats the best key of the other mode by a clear
+// margin, and stands out from the average key at all (noise: 0.02 and 0.04)
+const MODE_MARGIN = [0.02, 0.06];
+const KEY_CLARITY = [0.05, 0.15];
+
+// How bright (-1..1) and how dissonant (0..1) each chord quality sounds
+const QUALITY_BRIGHTNESS = { maj: 1, maj7: 0.8, dom7: 0.5, sus2: 0.3, sus4: 0.2, aug: 0, min7: -0.6, min: -1, dim: -1 };
+const QUALITY_DISSONANCE = { maj: 0, min: 0.1, sus2: 0.3, sus4: 0.35, maj7: 0.4, min7: 0.4, dom7: 0.6, aug: 0.9, dim: 1 };
+
+/**
+ * Estimate the mood of a track or a slice of one
+ * @param {Object} features
+ * @param {number|null} features.tempo - Tempo in BPM
+ * @param {number} features.rms - RMS level, used when there is no integrated loudness
+ * @param {Object} features.key - Result of extractKey or detectKey; see getModeCertainty for how much the mode counts
+ * @param {Object} features.timbre - Timbre characteristics
+ * @param {Object|null} features.vocals - Result of detectVocals
+ * @param {Object|null} features.loudness - Result of measureLoudness
+ * @param {number|null} features.percussiveness - Share of percussive energy, 0..1
+ * @param {Object|null} features.chords - Result of recognizeChords
+ * @returns {Object} - {
+ *   arousal, valence, tension: number,  // 0..1 each
+ *   energy: number,                     // Same as arousal
+ *   intensity: number,                  // Distance from the neutral centre, 0..1
+ *   primary: string,                    // Best label from MOOD_LABELS
+ *   confidence: number,                 // Share of the label evidence the primary label takes, 0..1
+ *   candidates: Array<{ label, confidence }>,  // The three best labels
+ *   vocalPresence: number|null          // Share of the track with vocals, null when unknown
+ * }
+ */
+export const estimateMood = ({
+    tempo = null,
+    rms = 0,
+    key = null,
+    timbre = null,
+    vocals = null,
+    loudness = null,
+    percussiveness = null,
+    chords = null
+}) => {
+    const tempoLevel = tempo ? clamp((tempo - 60) / 120) : null;
+    const brightness = isNumber(timbre?.brightness) ? clamp((timbre.brightness - 0.1) / 0.4) : null;
+    const roughness = isNumber(timbre?.roughness) ? clamp(timbre.roughness / 0.3) : null;
+    const harmonicContent = isNumber(timbre?.harmonicContent) ? clamp(timbre.harmonicContent) : null;
+    const vocalPresence = vocals ? vocals.ratio : null;
+
+    const modeCertainty = getModeCertainty(key);
+    const isMinor = key?.scale === 'minor';
+    const harmony = describeHarmony(chords);
+
+    const arousal = clamp(weightedMean([
+        [tempoLevel, 0.3],
+        [loudnessLevel(loudness, rms), 0.25],
+        [isNumber(percussiveness) ? clamp(percussiveness / 0.6) : null, 0.2],
+        [brightness, 0.15],
+        [roughness, 0.1]
+    ], 0.5) + (vocalPresence || 0) * 0.05);
+
+    // Valence cues run from -1 (negative) to 1 (positive), centred on typical music
+    const valenceCues = [
+        [key ? (isMinor ? -1 : 1) : null, 0.35 * modeCertainty],
+        [harmony ? harmony.brightness : null, 0.25],
+        [isNumber(timbre?.brightness) ? clampSigned((timbre.brightness - 0.25) / 0.15) : null, 0.15],
+        [harmonicContent === null ? null : harmonicContent * 2 - 1, 0.1],
+        [tempo ? clampSigned((tempo - 110) / 50) : null, 0.15]
+    ];
+    const valenceEvidence = valenceCues.reduce((sum, [value, weight]) => sum + (value === null ? 0 : weight), 0);
+    const valence = clamp(0.5 + 0.5 * weightedMean(valenceCues, 0) * Math.min(1, valenceEvidence / MIN_VALENCE_EVIDENCE));
+
+    const tension = clamp(weightedMean([
+        [harmony ? harmony.dissonance : null, 0.3],
+        [harmony ? clamp(harmony.changesPerMinute / 60) : null, 0.1],
+        [key ? (isMinor ? 1 : 0) : null, 0.2 * modeCertainty],
+        [roughness, 0.2],
+        [arousal, 0.2]
+    ], 0.5));
+
+    const candidates = scoreLabels(valence, arousal, tension, modeCertainty);
+
+    return {
+        arousal,
+        valence,
+        tension,
+        energy: arousal,
+        intensity: Math.min(1, Math.hypot(valence - 0.5, arousal - 0.5) * 2),
+        primary: candidates[0].label,
+        confidence: candidates[0].confidence,
+        candidates: candidates.slice(0, 3),
+        vocalPresence
+    };
+};
+
+/**
+ * How sure the key analysis is of major versus minor: the lead of the best
+ * key over the best key of the other mode, counted only when the best key
+ * stands out from the rest at all
+ * @param {Object|null} key - Result of extractKey or detectKey, with its ranked candidates
+ * @returns {number} - 0 (mode unknown) to 1 (clearly major or minor); 0 without candidates
+ */
+export const getModeCertainty = (key) => {
+    const candidates = key?.candidates;
+    if (!candidates?.length) return 0;
+
+    const [best] = candidates;
+    const otherMode = candidates.find(({ scale }) => scale !== best.scale);
+    if (!otherMode) return 0;
+
+    const average = candidates.reduce((sum, { correlation }) => sum + correlation, 0) / candidates.length;
+    const margin = clamp((best.correlation - otherMode.correlation - MODE_MARGIN[0]) / (MODE_MARGIN[1] - MODE_MARGIN[0]));
+    const clarity = clamp((best.correlation - average - KEY_CLARITY[0]) / (KEY_CLARITY[1] - KEY_CLARITY[0]));
+    return margin * clarity;
+};
+
+/**
+ * Gaussian closeness of the mood point to every label prototype, normalised
+ * to sum to one. With an uncertain key valence is known less precisely, so
+ * labels that differ mostly in valence share the evidence.
+ */
+function scoreLabels(valence, arousal, tension, modeCertainty) {
+    const x = valence * 2 - 1;
+    const y = arousal * 2 - 1;
+    const valenceSpread = VALENCE_SPREAD[1] - (VALENCE_SPREAD[1] - VALENCE_SPREAD[0]) * modeCertainty;
+
+    const scores = MOOD_LABELS.map(({ label, angle, tension: labelTension }) => {
+        const radians = (angle * Math.PI) / 180;
+        const dx = (x - PROTOTYPE_RADIUS * Math.cos(radians)) / valenceSpread;
+        const dy = (y - PROTOTYPE_RADIUS * Math.sin(radians)) / AROUSAL_SPREAD;
+        const dt = (tension - labelTension) / TENSION_SPREAD;
+        return { label, score: Math.exp(-0.5 * (dx * dx + dy * dy + dt * dt)) };
+    });
+
+    const total = scores.reduce((sum, { score }) => sum + score, 0);
+    return scores
+        .map(({ label, score }) => ({ label, confidence: total > 0 ? score / total : 1 / scores.length }))
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Time-weighted chord qualities: brightness runs from -1 (minor and
+ * diminished) to 1 (major), dissonance from 0 (triads) to 1 (all
+ * diminished, augmented or dominant sevenths)
+ */
+function describeHarmony(chords) {
+    const segments = (chords?.segments || []).filter(segment => segment.quality !== 'none');
+    const total = segments.reduce((sum, { start, end }) => sum + (end - start), 0);
+    if (!total) return null;
+
+    let brightness = 0;
+    let dissonance = 0;
+    segments.forEach(({ start, end, quality }) => {
+        const share = (end - start) / total;
+        brightness += share * (QUALITY_BRIGHTNESS[quality] ?? 0);
+        dissonance += share * (QUALITY_DISSONANCE[quality] ?? 0);
+    });
+
+    return { brightness, dissonance, changesPerMinute: chords.harmonicRhythm?.changesPerMinute || 0 };
+}
+
+// Integrated loudness when measured, else the RMS level in dBFS, on a 0..1 scale
+function loudnessLevel(loudness, rms) {
+    if (isNumber(loudness?.integrated)) return clamp((loudness.integrated + 30) / 24);
+    if (isNumber(rms) && rms > 0) return clamp((20 * Math.log10(rms) + 40) / 34);
+    return null;
+}
+
+// Mean of [value, weight] pairs, skipping missing values; fallback when none are left
+function weightedMean(pairs, fallback) {
+    let sum = 0;
+    let weights = 0;
+    pairs.forEach(([value, weight]) => {
+        if (value === null || !weight) return;
+        sum += value * weight;
+        weights += weight;
+    });
+    return weights > 0 ? sum / weights : fallback;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && !isNaN(value);
+}
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+function clampSigned(value) {
+    return Math.min(1, Math.max(-1, value));
+}
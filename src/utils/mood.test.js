@@ -0,0 +1,79 @@
+import { estimateMood, getModeCertainty, MOOD_LABELS } from './mood';
+import { extractKey } from './audioProcessing';
+import { audioBufferOf, chord, concat, noise } from './__fixtures__/signals';
+import { keyFrom } from './__fixtures__/keys';
+
+const progression = (chords) => concat(...[0, 1, 2].flatMap(() => chords.map(notes => chord(notes, 0.5))));
+
+describe('getModeCertainty', () => {
+    test('knows nothing of the mode of noise', () => {
+        expect(getModeCertainty(extractKey(audioBufferOf(noise(6))))).toBeCloseTo(0);
+    });
+
+    test('knows nothing of the mode when both modes fit as well', () => {
+        expect(getModeCertainty(keyFrom({ 'C major': 0.9, 'A minor': 0.89 }))).toBeCloseTo(0);
+    });
+
+    test('knows nothing of the mode when no key stands out', () => {
+        expect(getModeCertainty(keyFrom({ 'C major': 0.96, 'A minor': 0.9 }, 0.93))).toBeCloseTo(0);
+    });
+
+    test('is sure of the mode of a plain major progression', () => {
+        const key = extractKey(audioBufferOf(progression([[60, 64, 67], [65, 69, 72], [67, 71, 74], [60, 64, 67]])));
+        expect(key.scale).toBe('major');
+        expect(getModeCertainty(key)).toBeGreaterThan(0.8);
+    });
+
+    test('needs the ranked candidates', () => {
+        expect(getModeCertainty(null)).toBe(0);
+        expect(getModeCertainty({ root: 0, scale: 'major', confidence: 1 })).toBe(0);
+    });
+});
+
+describe('estimateMood', () => {
+    const features = { tempo: 110, rms: 0.1, timbre: { brightness: 0.25, roughness: 0.1, harmonicContent: 0.5 } };
+
+    test('leaves the mood as it is without the key when the mode is unknown', () => {
+        const unknownMode = keyFrom({ 'C major': 0.9, 'A minor': 0.89 });
+        expect(estimateMood({ ...features, key: unknownMode })).toEqual(estimateMood({ ...features, key: null }));
+    });
+
+    test('hears a certain major key as more positive than a certain minor one', () => {
+        const major = estimateMood({ ...features, key: keyFrom({ 'C major': 0.9 }) });
+        const minor = estimateMood({ ...features, key: keyFrom({ 'A minor': 0.9 }) });
+        expect(major.valence).toBeGreaterThan(0.6);
+        expect(minor.valence).toBeLessThan(0.4);
+        expect(minor.tension).toBeGreaterThan(major.tension);
+    });
+
+    test('puts fast, loud, bright music in the excited corner and slow, quiet music in the calm one', () => {
+        const loud = estimateMood({
+            tempo: 170,
+            loudness: { integrated: -8 },
+            percussiveness: 0.6,
+            timbre: { brightness: 0.45, roughness: 0.05, harmonicContent: 0.8 },
+            key: keyFrom({ 'D major': 0.9 })
+        });
+        const quiet = estimateMood({
+            tempo: 60,
+            loudness: { integrated: -30 },
+            percussiveness: 0,
+            timbre: { brightness: 0.2, roughness: 0, harmonicContent: 0.8 },
+            key: keyFrom({ 'F major': 0.9 })
+        });
+
+        expect(loud.arousal).toBeGreaterThan(0.8);
+        expect(['Joyful', 'Excited', 'Energetic']).toContain(loud.primary);
+        expect(quiet.arousal).toBeLessThan(0.2);
+        expect(['Tired', 'Calm', 'Relaxed', 'Serene']).toContain(quiet.primary);
+    });
+
+    test('shares the label confidence out over the labels', () => {
+        const mood = estimateMood(features);
+        expect(mood.candidates).toHaveLength(3);
+        expect(mood.candidates[0].label).toBe(mood.primary);
+        expect(MOOD_LABELS.map(({ label }) => label)).toContain(mood.primary);
+        expect(mood.confidence).toBeGreaterThan(1 / MOOD_LABELS.length);
+        expect(mood.confidence).toBeLessThanOrEqual(1);
+    });
+});
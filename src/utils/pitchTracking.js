@@ -0,0 +1,353 @@
+import { fft, createFrameStream } from './fft';
+import { getHarmonicPercussive } from './hpss';
+
+/**
+ * Frame-by-frame fundamental frequency tracking with a probabilistic YIN
+ * (pYIN-style threshold distribution) and note segmentation.
+ */
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Beta(2, 18) distribution over YIN thresholds, as proposed for pYIN
+const THRESHOLDS = Array.from({ length: 100 }, (_, i) => (i + 1) / 100);
+const THRESHOLD_CDF = (() => {
+    const weights = THRESHOLDS.map(t => t * Math.pow(1 - t, 17));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let cumulative = 0;
+    return weights.map(w => (cumulative += w / total));
+})();
+
+const SILENCE_RMS = 1e-3;
+const VOICING_ON = 0.5;
+const VOICING_OFF = 0.3;
+
+/**
+ * Convert a frequency to a (fractional) MIDI note number
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number}
+ */
+export const frequencyToMidi = (frequency) => 69 + 12 * Math.log2(frequency / 440);
+
+/**
+ * Name of a MIDI note, e.g. 69 -> 'A4'
+ * @param {number} midi - MIDI note number
+ * @returns {string}
+ */
+export const midiToNoteName = (midi) => {
+    const rounded = Math.round(midi);
+    return `${NOTE_NAMES[((rounded % 12) + 12) % 12]}${Math.floor(rounded / 12) - 1}`;
+};
+
+/**
+ * Estimate the fundamental of a single frame
+ * @param {Float32Array} frame - Time-domain samples, length a power of two
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options
+ * @param {number} options.minFrequency - Lowest detectable f0 in Hz
+ * @param {number} options.maxFrequency - Highest detectable f0 in Hz
+ * @returns {{ frequency: number|null, voicing: number }} - voicing is the probability that the frame is pitched
+ */
+export const estimateFramePitch = (frame, sampleRate, { minFrequency = 60, maxFrequency = 1500 } = {}) => {
+    const size = frame.length;
+    const half = size / 2;
+    const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+    const maxLag = Math.min(half - 2, Math.ceil(sampleRate / minFrequency));
+    if (maxLag <= minLag) return { frequency: null, voicing: 0 };
+
+    let energy = 0;
+    for (let i = 0; i < size; i++) energy += frame[i] * frame[i];
+    if (Math.sqrt(energy / size) < SILENCE_RMS) return { frequency: null, voicing: 0 };
+
+    const cmndf = cumulativeMeanNormalizedDifference(frame, maxLag + 1);
+
+    // Every local minimum claims the thresholds for which YIN would stop at it
+    const candidates = [];
+    let lowestSoFar = Infinity;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const isMinimum = cmndf[lag] < cmndf[lag - 1] && cmndf[lag] <= cmndf[lag + 1];
+        if (!isMinimum || cmndf[lag] >= lowestSoFar) continue;
+
+        const mass = thresholdMass(cmndf[lag], Math.min(1, lowestSoFar));
+        if (mass > 0) candidates.push({ lag, mass });
+        lowestSoFar = cmndf[lag];
+    }
+
+    if (!candidates.length) return { frequency: null, voicing: 0 };
+
+    const best = candidates.reduce((a, b) => (b.mass > a.mass ? b : a));
+    const voicing = Math.min(1, candidates.reduce((sum, c) => sum + c.mass, 0));
+
+    // Parabolic interpolation for sub-sample lag accuracy
+    const { lag } = best;
+    const [left, center, right] = [cmndf[lag - 1], cmndf[lag], cmndf[lag + 1]];
+    const curvature = left - 2 * center + right;
+    const refinedLag = curvature > 0 ? lag + (0.5 * (left - right)) / curvature : lag;
+
+    return { frequency: sampleRate / refinedLag, voicing };
+};
+
+/**
+ * Track the melody of an audio buffer
+ * @param {AudioBuffer} audioBuffer - The decoded audio buffer
+ * @param {Object} options
+ * @param {number} options.frameSize - Analysis frame length (power of two)
+ * @param {number} options.hopSize - Samples between frames
+ * @param {number} options.minFrequency - Lowest detectable f0 in Hz
+ * @param {number} options.maxFrequency - Highest detectable f0 in Hz
+ * @param {number} options.minNoteDuration - Shortest note kept, in seconds
+ * @returns {Object} - {
+ *   hopDuration: number,
+ *   frequencies: Float32Array,  // f0 per frame in Hz, 0 when unvoiced
+ *   voicing: Float32Array,      // Voicing probability per frame
+ *   notes: Array<{ onset, offset, midi, noteName, frequency, cents, confidence }>,
+ *   range: { low, high, median, lowNote, highNote, medianNote, spanSemitones }|null,
+ *   register: string|null,      // 'bass', 'low', 'middle', 'high' or 'very high'
+ *   voicedRatio: number         // Share of frames with a pitch
+ * }
+ */
+export const trackPitch = (audioBuffer, options = {}) => {
+    // Drum hits would read as spurious unvoiced frames; track the harmonic part
+    const stream = createPitchStream(audioBuffer.sampleRate, options);
+    stream.push(getHarmonicPercussive(audioBuffer).harmonic);
+    return stream.finish();
+};
+
+/**
+ * Incremental version of trackPitch. Push the harmonic part of the track.
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options - See trackPitch
+ * @returns {{ push: function(Float32Array): void, finish: function(): Object }} -
+ *   finish returns the trackPitch result
+ */
+export const createPitchStream = (sampleRate, {
+    frameSize = 2048,
+    hopSize = 512,
+    minFrequency = 60,
+    maxFrequency = 1500,
+    minNoteDuration = 0.06
+} = {}) => {
+    const estimates = [];
+    const voicings = [];
+    const frames = createFrameStream((frame) => {
+        const estimate = estimateFramePitch(frame, sampleRate, { minFrequency, maxFrequency });
+        estimates.push(estimate.frequency || 0);
+        voicings.push(estimate.voicing);
+    }, { frameSize, hopSize });
+
+    const finish = () => {
+        frames.finish();
+        const frameCount = estimates.length;
+        const frequencies = Float32Array.from(estimates);
+        const voicing = Float32Array.from(voicings);
+
+        const voiced = decideVoicing(voicing);
+        const smoothed = medianSmooth(frequencies, voiced, 2);
+        for (let i = 0; i < frameCount; i++) {
+            frequencies[i] = voiced[i] ? smoothed[i] : 0;
+        }
+
+        const hopDuration = hopSize / sampleRate;
+        // Frames are stamped at their centre
+        const frameTime = (index) => index * hopDuration + frameSize / 2 / sampleRate;
+        const notes = segmentNotes(frequencies, voicing, frameTime, hopDuration, minNoteDuration);
+        const voicedFrequencies = Array.from(frequencies).filter(f => f > 0);
+
+        return {
+            hopDuration,
+            frequencies,
+            voicing,
+            notes,
+            ...summarizeRange(voicedFrequencies),
+            voicedRatio: frameCount ? voicedFrequencies.length / frameCount : 0
+        };
+    };
+
+    return { push: frames.push, finish };
+};
+
+/**
+ * YIN difference function normalised by its cumulative mean, computed with the FFT
+ */
+function cumulativeMeanNormalizedDifference(frame, lagCount) {
+    const size = frame.length;
+    const half = size / 2;
+
+    // Cross-correlation of the first half with the whole frame
+    const frameReal = new Float64Array(size);
+    const frameImag = new Float64Array(size);
+    const headReal = new Float64Array(size);
+    const headImag = new Float64Array(size);
+    frameReal.set(frame);
+    headReal.set(frame.subarray(0, half));
+    fft(frameReal, frameImag);
+    fft(headReal, headImag);
+
+    // Multiply by the conjugate, then invert with the conjugate trick
+    for (let i = 0; i < size; i++) {
+        const re = frameReal[i] * headReal[i] + frameImag[i] * headImag[i];
+        const im = frameImag[i] * headReal[i] - frameReal[i] * headImag[i];
+        frameReal[i] = re;
+        frameImag[i] = -im;
+    }
+    fft(frameReal, frameImag);
+
+    // Energy of the sliding window x[lag..lag+half)
+    const prefix = new Float64Array(size + 1);
+    for (let i = 0; i < size; i++) prefix[i + 1] = prefix[i] + frame[i] * frame[i];
+    const headEnergy = prefix[half];
+
+    const cmndf = new Float64Array(lagCount + 1);
+    cmndf[0] = 1;
+    let runningSum = 0;
+    for (let lag = 1; lag <= lagCount; lag++) {
+        const correlation = frameReal[lag] / size;
+        const shiftedEnergy = prefix[lag + half] - prefix[lag];
+        const difference = Math.max(0, headEnergy + shiftedEnergy - 2 * correlation);
+        runningSum += difference;
+        cmndf[lag] = runningSum > 0 ? (difference * lag) / runningSum : 1;
+    }
+
+    return cmndf;
+}
+
+/**
+ * Probability mass of thresholds in [value, upper)
+ */
+function thresholdMass(value, upper) {
+    const cdfAt = (t) => {
+        if (t <= THRESHOLDS[0]) return 0;
+        const index = Math.min(THRESHOLDS.length - 1, Math.floor(t * 100) - 1);
+        return THRESHOLD_CDF[index];
+    };
+    return Math.max(0, cdfAt(upper) - cdfAt(value));
+}
+
+/**
+ * Hysteresis on the voicing probability so short dips don't split notes
+ */
+function decideVoicing(voicing) {
+    const voiced = new Uint8Array(voicing.length);
+    let on = false;
+    for (let i = 0; i < voicing.length; i++) {
+        on = on ? voicing[i] >= VOICING_OFF : voicing[i] >= VOICING_ON;
+        voiced[i] = on ? 1 : 0;
+    }
+    return voiced;
+}
+
+function medianSmooth(frequencies, voiced, radius) {
+    const result = new Float32Array(frequencies.length);
+    for (let i = 0; i < frequencies.length; i++) {
+        if (!voiced[i]) continue;
+        const window = [];
+        for (let j = Math.max(0, i - radius); j <= Math.min(frequencies.length - 1, i + radius); j++) {
+            if (voiced[j] && frequencies[j] > 0) window.push(frequencies[j]);
+        }
+        window.sort((a, b) => a - b);
+        result[i] = window.length ? window[Math.floor(window.length / 2)] : frequencies[i];
+    }
+    return result;
+}
+
+/**
+ * Split the voiced track into notes at unvoiced gaps and at stable pitch changes
+ */
+function segmentNotes(frequencies, voicing, frameTime, hopDuration, minNoteDuration) {
+    const notes = [];
+    const minChangeFrames = 3;
+    let current = null;
+    let pendingChange = 0;
+
+    const closeNote = (endIndex) => {
+        if (!current) return;
+        const duration = frameTime(endIndex) - frameTime(current.start) + hopDuration;
+        if (duration >= minNoteDuration) {
+            const midis = current.midis.slice().sort((a, b) => a - b);
+            const medianMidi = midis[Math.floor(midis.length / 2)];
+            const midi = Math.round(medianMidi);
+            notes.push({
+                onset: frameTime(current.start),
+                offset: frameTime(endIndex) + hopDuration,
+                midi,
+                noteName: midiToNoteName(midi),
+                frequency: 440 * Math.pow(2, (medianMidi - 69) / 12),
+                cents: Math.round((medianMidi - midi) * 100),
+                confidence: current.voicing / current.midis.length
+            });
+        }
+        current = null;
+    };
+
+    for (let i = 0; i < frequencies.length; i++) {
+        if (frequencies[i] <= 0) {
+            closeNote(i - 1);
+            pendingChange = 0;
+            continue;
+        }
+
+        const midi = frequencyToMidi(frequencies[i]);
+        if (!current) {
+            current = { start: i, midis: [midi], voicing: voicing[i], reference: midi };
+            continue;
+        }
+
+        if (Math.abs(midi - current.reference) > 0.6) {
+            pendingChange++;
+            if (pendingChange >= minChangeFrames) {
+                // The change held: the new note started where the deviation began
+                const changeStart = i - pendingChange + 1;
+                current.midis.length -= pendingChange - 1;
+                for (let j = changeStart; j < i; j++) current.voicing -= voicing[j];
+                closeNote(changeStart - 1);
+                current = { start: changeStart, midis: [], voicing: 0, reference: midi };
+                for (let j = changeStart; j <= i; j++) {
+                    current.midis.push(frequencyToMidi(frequencies[j]));
+                    current.voicing += voicing[j];
+                }
+                pendingChange = 0;
+                continue;
+            }
+        } else {
+            pendingChange = 0;
+        }
+
+        current.midis.push(midi);
+        current.voicing += voicing[i];
+    }
+    closeNote(frequencies.length - 1);
+
+    return notes;
+}
+
+function summarizeRange(voicedFrequencies) {
+    if (!voicedFrequencies.length) return { range: null, register: null };
+
+    // Percentiles rather than extremes so octave errors don't stretch the range
+    const sorted = voicedFrequencies.slice().sort((a, b) => a - b);
+    const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    const low = percentile(0.05);
+    const high = percentile(0.95);
+    const median = percentile(0.5);
+    const medianMidi = frequencyToMidi(median);
+
+    return {
+        range: {
+            low,
+            high,
+            median,
+            lowNote: midiToNoteName(frequencyToMidi(low)),
+            highNote: midiToNoteName(frequencyToMidi(high)),
+            medianNote: midiToNoteName(medianMidi),
+            spanSemitones: Math.round(frequencyToMidi(high) - frequencyToMidi(low))
+        },
+        register: classifyRegister(medianMidi)
+    };
+}
+
+function classifyRegister(midi) {
+    if (midi < 48) return 'bass';        // Below C3
+    if (midi < 60) return 'low';         // C3 - B3
+    if (midi < 72) return 'middle';      // C4 - B4
+    if (midi < 84) return 'high';        // C5 - B5
+    return 'very high';
+}
@@ -0,0 +1,56 @@
+import { frequencyToMidi, midiToNoteName, estimateFramePitch, trackPitch, createPitchStream } from './pitchTracking';
+import { audioBufferOf, concat, harmonicTone, midiToFrequency, noise, sine, SAMPLE_RATE } from './__fixtures__/signals';
+
+describe('note helpers', () => {
+    test('convert between frequency, MIDI and note names', () => {
+        expect(frequencyToMidi(440)).toBeCloseTo(69);
+        expect(frequencyToMidi(261.63)).toBeCloseTo(60, 1);
+        expect(midiToNoteName(69)).toBe('A4');
+        expect(midiToNoteName(61)).toBe('C#4');
+    });
+});
+
+describe('estimateFramePitch', () => {
+    test('finds the fundamental of a harmonic tone', () => {
+        const { frequency, voicing } = estimateFramePitch(harmonicTone(196, 0.05).subarray(0, 2048), SAMPLE_RATE);
+        expect(frequency).toBeCloseTo(196, 0);
+        expect(voicing).toBeGreaterThan(0.8);
+    });
+
+    test('gives noise no pitch', () => {
+        const { frequency, voicing } = estimateFramePitch(noise(0.05).subarray(0, 2048), SAMPLE_RATE);
+        expect(voicing).toBeLessThan(0.5);
+        expect(frequency).toBeNull();
+    });
+});
+
+describe('trackPitch', () => {
+    // A4, C5, E5, half a second each
+    const melody = concat(...[69, 72, 76].map(midi => sine(midiToFrequency(midi), 0.5)));
+    const result = trackPitch(audioBufferOf(melody));
+
+    test('segments a melody into notes', () => {
+        expect(result.notes.map(note => note.noteName)).toEqual(['A4', 'C5', 'E5']);
+        result.notes.forEach((note, i) => {
+            expect(note.onset).toBeCloseTo(i * 0.5, 1);
+            expect(Math.abs(note.cents)).toBeLessThan(10);
+        });
+    });
+
+    test('reports the range and register', () => {
+        expect(result.range.lowNote).toBe('A4');
+        expect(result.range.highNote).toBe('E5');
+        expect(result.range.spanSemitones).toBe(7);
+        expect(result.voicedRatio).toBeGreaterThan(0.8);
+    });
+
+    test('streams the same melody in any chunking', () => {
+        const whole = createPitchStream(SAMPLE_RATE);
+        whole.push(melody);
+        const chunked = createPitchStream(SAMPLE_RATE);
+        for (let start = 0; start < melody.length; start += 4000) {
+            chunked.push(melody.subarray(start, start + 4000));
+        }
+        expect(chunked.finish()).toEqual(whole.finish());
+    });
+});
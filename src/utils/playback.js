@@ -0,0 +1,115 @@
+/**
+ * Playback of a decoded AudioBuffer with play, pause and seek, plus the
+ * waveform overview the player draws.
+ */
+
+/**
+ * Create a player for a decoded buffer. An AudioBufferSourceNode can only be
+ * started once, so every play or seek starts a new one at the saved offset.
+ * @param {AudioBuffer} audioBuffer - The decoded audio
+ * @param {Object} options
+ * @param {function(): void} options.onEnded - Called when playback reaches the end
+ * @returns {{
+ *   play: function(): Promise<void>,
+ *   pause: function(): void,
+ *   seek: function(number): void,
+ *   getCurrentTime: function(): number,
+ *   isPlaying: function(): boolean,
+ *   close: function(): Promise<void>
+ * }}
+ */
+export const createPlayer = (audioBuffer, { onEnded = () => {} } = {}) => {
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const duration = audioBuffer.duration;
+    let source = null;
+    let startedAt = 0;
+    let offset = 0;
+
+    const stopSource = () => {
+        if (!source) return;
+        // Stopping fires 'ended' too; only the natural end should count
+        source.onended = null;
+        source.stop();
+        source.disconnect();
+        source = null;
+    };
+
+    const getCurrentTime = () => (
+        source ? Math.min(duration, audioContext.currentTime - startedAt) : offset
+    );
+
+    // The source is started before resuming, so a pause or seek made while the
+    // context wakes up already sees it playing. A context that will not resume
+    // (no user gesture yet) plays nothing, so the source is stopped again.
+    const play = async () => {
+        if (source) return;
+        if (offset >= duration) offset = 0;
+
+        const started = audioContext.createBufferSource();
+        started.buffer = audioBuffer;
+        started.connect(audioContext.destination);
+        started.onended = () => {
+            source = null;
+            offset = duration;
+            onEnded();
+        };
+        started.start(0, offset);
+        source = started;
+        startedAt = audioContext.currentTime - offset;
+
+        try {
+            await audioContext.resume();
+        } catch (error) {
+            if (source === started) stopSource();
+            throw error;
+        }
+    };
+
+    const pause = () => {
+        if (!source) return;
+        offset = getCurrentTime();
+        stopSource();
+    };
+
+    const seek = (time) => {
+        const wasPlaying = Boolean(source);
+        stopSource();
+        offset = Math.max(0, Math.min(duration, time));
+        if (wasPlaying) play().catch(error => console.error('Could not resume playback after seeking:', error));
+    };
+
+    const close = () => {
+        stopSource();
+        return audioContext.close();
+    };
+
+    return { play, pause, seek, getCurrentTime, isPlaying: () => Boolean(source), close };
+};
+
+/**
+ * Peak level over all channels in evenly spaced buckets, for drawing a waveform
+ * @param {AudioBuffer} audioBuffer - Decoded audio, or the result of createAudioData
+ * @param {number} bucketCount - Number of bars
+ * @returns {Float32Array} - Peak absolute sample value per bucket, 0..1
+ */
+export const computeWaveformPeaks = (audioBuffer, bucketCount = 400) => {
+    const peaks = new Float32Array(bucketCount);
+    const { length, numberOfChannels } = audioBuffer;
+    if (!length) return peaks;
+
+    for (let c = 0; c < numberOfChannels; c++) {
+        const channel = audioBuffer.getChannelData(c);
+        for (let bucket = 0; bucket < bucketCount; bucket++) {
+            const start = Math.floor((bucket * length) / bucketCount);
+            const end = Math.floor(((bucket + 1) * length) / bucketCount);
+            let peak = peaks[bucket];
+            for (let i = start; i < end; i++) {
+                const value = Math.abs(channel[i]);
+                if (value > peak) peak = value;
+            }
+            peaks[bucket] = Math.min(1, peak);
+        }
+    }
+
+    return peaks;
+};
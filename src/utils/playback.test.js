@@ -0,0 +1,139 @@
+import { createPlayer, computeWaveformPeaks } from './playback';
+import { createAudioData } from './audioProcessing';
+
+// Just enough of Web Audio for the player; the test moves currentTime by hand
+class FakeAudioContext {
+    constructor() {
+        this.currentTime = 0;
+        this.destination = {};
+        this.sources = [];
+        this.resume = jest.fn(() => Promise.resolve());
+        this.close = jest.fn(() => Promise.resolve());
+        FakeAudioContext.last = this;
+    }
+
+    createBufferSource() {
+        const source = { start: jest.fn(), stop: jest.fn(), connect: jest.fn(), disconnect: jest.fn(), onended: null };
+        this.sources.push(source);
+        return source;
+    }
+}
+
+describe('computeWaveformPeaks', () => {
+    test('takes the loudest sample of any channel in every bucket', () => {
+        const left = Float32Array.from([0.1, -0.5, 0, 0, 0.2, 0, 0, 0]);
+        const right = Float32Array.from([0, 0, 0.3, 0, 0, 0, -0.9, 0]);
+        expect(Array.from(computeWaveformPeaks(createAudioData([left, right], 8), 4)))
+            .toEqual([0.5, 0.3, 0.2, 0.9].map(Math.fround));
+    });
+
+    test('caps peaks at 1 and gives zeros for empty audio', () => {
+        expect(computeWaveformPeaks(createAudioData([Float32Array.from([2, -3])], 2), 2)).toEqual(Float32Array.from([1, 1]));
+        expect(computeWaveformPeaks(createAudioData([new Float32Array(0)], 44100), 3)).toEqual(new Float32Array(3));
+    });
+});
+
+describe('createPlayer', () => {
+    const audioBuffer = createAudioData([new Float32Array(44100 * 10)], 44100);
+    const originalAudioContext = window.AudioContext;
+
+    beforeEach(() => { window.AudioContext = FakeAudioContext; });
+    afterEach(() => {
+        window.AudioContext = originalAudioContext;
+        jest.restoreAllMocks();
+    });
+
+    test('pauses where it got to and plays on from there', async () => {
+        const player = createPlayer(audioBuffer);
+        const context = FakeAudioContext.last;
+
+        context.currentTime = 5;
+        await player.play();
+        expect(context.sources[0].start).toHaveBeenCalledWith(0, 0);
+        expect(player.isPlaying()).toBe(true);
+
+        context.currentTime = 7.5;
+        expect(player.getCurrentTime()).toBeCloseTo(2.5);
+        player.pause();
+        expect(player.isPlaying()).toBe(false);
+        expect(context.sources[0].stop).toHaveBeenCalled();
+
+        context.currentTime = 20;
+        expect(player.getCurrentTime()).toBeCloseTo(2.5);
+        await player.play();
+        expect(context.sources[1].start).toHaveBeenCalledWith(0, 2.5);
+        context.currentTime = 21;
+        expect(player.getCurrentTime()).toBeCloseTo(3.5);
+    });
+
+    test('seeks within the track, restarting the audio only while playing', async () => {
+        const player = createPlayer(audioBuffer);
+        const context = FakeAudioContext.last;
+
+        player.seek(4);
+        expect(context.sources).toHaveLength(0);
+        expect(player.getCurrentTime()).toBe(4);
+        player.seek(99);
+        expect(player.getCurrentTime()).toBe(10);
+        player.seek(-1);
+        expect(player.getCurrentTime()).toBe(0);
+
+        await player.play();
+        player.seek(6);
+        expect(context.sources[0].stop).toHaveBeenCalled();
+        expect(context.sources[1].start).toHaveBeenCalledWith(0, 6);
+        expect(player.getCurrentTime()).toBeCloseTo(6);
+    });
+
+    test('reports the natural end, not a stop, and starts over after it', async () => {
+        const onEnded = jest.fn();
+        const player = createPlayer(audioBuffer, { onEnded });
+        const context = FakeAudioContext.last;
+
+        await player.play();
+        player.pause();
+        expect(context.sources[0].onended).toBeNull();
+
+        await player.play();
+        context.sources[1].onended();
+        expect(onEnded).toHaveBeenCalledTimes(1);
+        expect(player.isPlaying()).toBe(false);
+        expect(player.getCurrentTime()).toBe(10);
+
+        await player.play();
+        expect(context.sources[2].start).toHaveBeenCalledWith(0, 0);
+    });
+
+    test('stops again when the audio context will not resume', async () => {
+        const player = createPlayer(audioBuffer);
+        const context = FakeAudioContext.last;
+        context.resume.mockRejectedValueOnce(new Error('Not allowed to start'));
+
+        await expect(player.play()).rejects.toThrow('Not allowed to start');
+        expect(player.isPlaying()).toBe(false);
+        expect(context.sources[0].stop).toHaveBeenCalled();
+    });
+
+    test('logs a failed resume after seeking instead of leaving it unhandled', async () => {
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const player = createPlayer(audioBuffer);
+        const context = FakeAudioContext.last;
+
+        await player.play();
+        context.resume.mockRejectedValueOnce(new Error('Suspended'));
+        player.seek(3);
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(error).toHaveBeenCalled();
+        expect(player.isPlaying()).toBe(false);
+        expect(player.getCurrentTime()).toBe(3);
+    });
+
+    test('closes its audio context', async () => {
+        const player = createPlayer(audioBuffer);
+        await player.play();
+        await player.close();
+        expect(FakeAudioContext.last.close).toHaveBeenCalled();
+        expect(player.isPlaying()).toBe(false);
+    });
+});
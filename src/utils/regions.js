@@ -0,0 +1,79 @@
+import { createAudioData } from './audioProcessing';
+
+/**
+ * Analysis regions: parts of a track picked on the waveform, joined into one
+ * piece of audio so the whole pipeline can run on just those parts.
+ */
+
+// Shortest region worth analysing; normalizeRegions drops anything shorter
+export const MIN_REGION_SECONDS = 0.25;
+
+/**
+ * Sort regions, clamp them to the track and merge any that overlap or touch
+ * @param {Array<{ start: number, end: number }>} regions - Times in seconds
+ * @param {number} duration - Track duration in seconds
+ * @returns {Array<{ start: number, end: number }>} - Regions shorter than a quarter second are dropped
+ */
+export const normalizeRegions = (regions, duration) => {
+    const sorted = regions
+        .map(({ start, end }) => ({
+            start: Math.max(0, Math.min(start, end)),
+            end: Math.min(duration, Math.max(start, end))
+        }))
+        .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    sorted.forEach((region) => {
+        const last = merged[merged.length - 1];
+        if (last && region.start <= last.end) {
+            last.end = Math.max(last.end, region.end);
+        } else {
+            merged.push({ ...region });
+        }
+    });
+
+    return merged.filter(({ start, end }) => end - start >= MIN_REGION_SECONDS);
+};
+
+/**
+ * Join the audio of several regions into one buffer. Each join gets a short
+ * fade on both sides so the cut does not read as an onset.
+ * @param {AudioBuffer} audioBuffer - Decoded audio, or the result of createAudioData
+ * @param {Array<{ start: number, end: number }>} regions - Times in seconds, as returned by normalizeRegions
+ * @param {Object} options
+ * @param {number} options.fadeDuration - Seconds of fade at every join
+ * @returns {Object} - Result of createAudioData with the joined audio
+ */
+export const extractRegions = (audioBuffer, regions, { fadeDuration = 0.01 } = {}) => {
+    if (!regions.length) throw new Error('No regions selected');
+
+    const { sampleRate, numberOfChannels } = audioBuffer;
+    const ranges = regions.map(({ start, end }) => [
+        Math.round(start * sampleRate),
+        Math.min(audioBuffer.length, Math.round(end * sampleRate))
+    ]);
+    const length = ranges.reduce((sum, [from, to]) => sum + (to - from), 0);
+    const fadeLength = Math.round(fadeDuration * sampleRate);
+
+    const channels = Array.from({ length: numberOfChannels }, (_, c) => {
+        const source = audioBuffer.getChannelData(c);
+        const joined = new Float32Array(length);
+        let offset = 0;
+
+        ranges.forEach(([from, to], index) => {
+            joined.set(source.subarray(from, to), offset);
+            const size = to - from;
+            const fade = Math.min(fadeLength, Math.floor(size / 2));
+            for (let i = 0; i < fade; i++) {
+                const gain = i / fade;
+                if (index > 0) joined[offset + i] *= gain;
+                if (index < ranges.length - 1) joined[offset + size - 1 - i] *= gain;
+            }
+            offset += size;
+        });
+
+        return joined;
+    });
+
+    return createAudioData(channels, sampleRate);
+};
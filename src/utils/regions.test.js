@@ -0,0 +1,79 @@
+import { normalizeRegions, extractRegions, MIN_REGION_SECONDS } from './regions';
+import { audioBufferOf } from './__fixtures__/signals';
+
+describe('normalizeRegions', () => {
+    test('sorts, merges overlapping and touching regions and clamps to the track', () => {
+        const regions = normalizeRegions([
+            { start: 8, end: 12 },
+            { start: 1, end: 3 },
+            { start: 2.5, end: 4 },
+            { start: 4, end: 5 },
+            { start: -1, end: 0.5 }
+        ], 10);
+        expect(regions).toEqual([
+            { start: 0, end: 0.5 },
+            { start: 1, end: 5 },
+            { start: 8, end: 10 }
+        ]);
+    });
+
+    test('accepts regions dragged right to left', () => {
+        expect(normalizeRegions([{ start: 6, end: 2 }], 10)).toEqual([{ start: 2, end: 6 }]);
+    });
+
+    test('drops regions shorter than a quarter second', () => {
+        expect(MIN_REGION_SECONDS).toBe(0.25);
+        expect(normalizeRegions([{ start: 1, end: 1.2 }, { start: 3, end: 3.25 }], 10)).toEqual([{ start: 3, end: 3.25 }]);
+        expect(normalizeRegions([{ start: 5, end: 5 }], 10)).toEqual([]);
+    });
+
+    test('does not change the regions passed in', () => {
+        const regions = [{ start: 1, end: 3 }, { start: 2, end: 4 }];
+        normalizeRegions(regions, 10);
+        expect(regions).toEqual([{ start: 1, end: 3 }, { start: 2, end: 4 }]);
+    });
+});
+
+describe('extractRegions', () => {
+    const sampleRate = 1000;
+    const ramp = Float32Array.from({ length: 4000 }, (_, i) => i);
+
+    test('joins the regions of every channel in order', () => {
+        const joined = extractRegions(audioBufferOf([ramp, ramp.map(value => -value)], sampleRate), [
+            { start: 0.5, end: 1 },
+            { start: 2, end: 2.25 }
+        ], { fadeDuration: 0 });
+
+        expect(joined.length).toBe(750);
+        expect(joined.duration).toBeCloseTo(0.75);
+        expect(joined.numberOfChannels).toBe(2);
+        expect(joined.getChannelData(0)[0]).toBe(500);
+        expect(joined.getChannelData(0)[499]).toBe(999);
+        expect(joined.getChannelData(0)[500]).toBe(2000);
+        expect(joined.getChannelData(1)[749]).toBe(-2249);
+    });
+
+    test('fades both sides of every join but not the outer ends', () => {
+        const ones = new Float32Array(4000).fill(1);
+        const joined = extractRegions(audioBufferOf(ones, sampleRate), [
+            { start: 0, end: 1 },
+            { start: 2, end: 3 }
+        ], { fadeDuration: 0.01 }).getChannelData(0);
+
+        expect(joined[0]).toBe(1);
+        expect(joined[999]).toBe(0);
+        expect(joined[995]).toBeCloseTo(0.4);
+        expect(joined[1000]).toBe(0);
+        expect(joined[1005]).toBeCloseTo(0.5);
+        expect(joined[1999]).toBe(1);
+    });
+
+    test('stops at the end of the audio', () => {
+        const joined = extractRegions(audioBufferOf(ramp, sampleRate), [{ start: 3.5, end: 5 }], { fadeDuration: 0 });
+        expect(joined.length).toBe(500);
+    });
+
+    test('needs at least one region', () => {
+        expect(() => extractRegions(audioBufferOf(ramp, sampleRate), [])).toThrow(/No regions/);
+    });
+});
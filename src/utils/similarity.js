@@ -0,0 +1,181 @@
+import { parseColor, deltaE2000 } from './colorSpace';
+import { generateColorPalette } from './colorMapping';
+import { DEFAULT_MAPPING } from './mappingRules';
+import { getModeCertainty } from './mood';
+
+/**
+ * Track similarity from finished analyses. Audio similarity compares a
+ * compact embedding of the features; palette similarity compares the
+ * generated colours with CIEDE2000. Either can rank a library of stored
+ * analyses, or a blend of the two. Palettes are always compared as the
+ * default mapping rules colour them, whatever rules were active when each
+ * track was analysed.
+ *
+ * The embedding is a set of named groups scaled so that "very different"
+ * is about 1 in each dimension. Scales are fixed rather than fitted to the
+ * library, so embeddings stored months apart stay comparable and a library
+ * of two tracks ranks the same way as one of two hundred.
+ */
+
+// Relative say of each group in the audio distance
+const GROUP_WEIGHTS = {
+    tempo: 1,
+    key: 1,
+    timbre: 1.5,
+    mood: 1.5,
+    loudness: 0.75,
+    texture: 0.75
+};
+
+// Cepstral coefficients 1-12; c0 is overall level, which loudness already covers
+const MFCC_COEFFICIENTS = 12;
+const MFCC_MEAN_SCALE = 40;
+const MFCC_STD_SCALE = 10;
+
+// Distances at which similarity falls to 1/e
+const AUDIO_DISTANCE_SCALE = 0.35;
+const PALETTE_DISTANCE_SCALE = 12;
+
+/**
+ * Audio embedding of an analysis
+ * @param {Object} features - Result of analyzeAudioBuffer
+ * @returns {Object} - { tempo, key, timbre, mood, loudness, texture }: number[] each, null when the feature is missing
+ */
+export const computeEmbedding = ({ tempo, key, timbre, mood, loudness, percussiveness, vocals }) => {
+    const mfcc = timbre?.mfccSummary;
+
+    return {
+        // A doubling of the tempo is one unit
+        tempo: tempo ? [Math.log2(tempo / 120)] : null,
+        key: key ? embedKey(key) : null,
+        timbre: mfcc ? [
+            ...Array.from(mfcc.mean).slice(1, MFCC_COEFFICIENTS + 1).map(value => value / MFCC_MEAN_SCALE),
+            ...Array.from(mfcc.std).slice(1, MFCC_COEFFICIENTS + 1).map(value => value / MFCC_STD_SCALE)
+        ] : null,
+        mood: mood ? [mood.arousal, mood.valence, mood.tension] : null,
+        loudness: isNumber(loudness?.integrated) ? [(loudness.integrated + 30) / 24, loudness.loudnessRange / 20] : null,
+        texture: isNumber(percussiveness) ? [Math.min(1, percussiveness / 0.6), vocals ? vocals.ratio : 0] : null
+    };
+};
+
+/**
+ * Distance between two audio embeddings: the weighted root mean square
+ * difference over the groups both of them have
+ * @param {Object} first - From computeEmbedding
+ * @param {Object} second - From computeEmbedding
+ * @returns {number|null} - 0 for identical, about 1 for unrelated tracks; null when no group is shared
+ */
+export const audioDistance = (first, second) => {
+    let sum = 0;
+    let weights = 0;
+
+    Object.entries(GROUP_WEIGHTS).forEach(([group, weight]) => {
+        const a = first[group];
+        const b = second[group];
+        if (!a || !b || a.length !== b.length) return;
+
+        let squared = 0;
+        for (let i = 0; i < a.length; i++) squared += (a[i] - b[i]) ** 2;
+        sum += weight * (squared / a.length);
+        weights += weight;
+    });
+
+    return weights > 0 ? Math.sqrt(sum / weights) : null;
+};
+
+/**
+ * Palette of an analysis as it is stored and compared for similarity: the
+ * one the default mapping rules give, so custom rules do not move tracks apart
+ * @param {Object} features - Result of analyzeAudioBuffer
+ * @returns {string[]} - CSS colour strings
+ */
+export const comparisonPalette = ({ tempo, pitch, melody, loudness, timbre, key, mood, vocals }) => (
+    // The melody summary maps range and register; fall back to the single pitch
+    generateColorPalette(tempo, melody?.range ? melody : pitch, loudness, timbre, key, mood, vocals, DEFAULT_MAPPING)
+);
+
+/**
+ * Distance between two palettes as sets of colours: the mean CIEDE2000
+ * difference from each colour to the nearest colour of the other palette,
+ * taken both ways, so order and repeated shades do not matter
+ * @param {string[]} first - CSS colour strings
+ * @param {string[]} second - CSS colour strings
+ * @returns {number|null} - Mean CIEDE2000 difference; null when either palette has no readable colour
+ */
+export const paletteDistance = (first, second) => {
+    const a = toColors(first);
+    const b = toColors(second);
+    if (!a.length || !b.length) return null;
+
+    return (meanNearest(a, b) + meanNearest(b, a)) / 2;
+};
+
+/**
+ * Rank stored analyses by similarity to the current one
+ * @param {{ embedding: Object, palette: string[] }} query - The current analysis
+ * @param {Array<{ embedding: Object, palette: string[] }>} candidates - Stored analyses; other fields are passed through
+ * @param {Object} options
+ * @param {string} options.mode - 'audio', 'palette' or 'blend'
+ * @param {number} options.blend - Share of the palette similarity in 'blend' mode, 0..1
+ * @param {number} options.limit - Most matches to return
+ * @returns {Array<Object>} - Candidates plus audioSimilarity, paletteSimilarity and score (each 0..1 or null), best first
+ */
+export const rankSimilar = (query, candidates, { mode = 'blend', blend = 0.5, limit = 5 } = {}) => {
+    const paletteShare = mode === 'audio' ? 0 : mode === 'palette' ? 1 : blend;
+
+    return candidates
+        .map(candidate => {
+            const audio = audioDistance(query.embedding, candidate.embedding);
+            const palette = paletteDistance(query.palette, candidate.palette);
+            const audioSimilarity = audio === null ? null : Math.exp(-audio / AUDIO_DISTANCE_SCALE);
+            const paletteSimilarity = palette === null ? null : Math.exp(-palette / PALETTE_DISTANCE_SCALE);
+
+            let score;
+            if (paletteShare === 0) {
+                score = audioSimilarity;
+            } else if (paletteShare === 1) {
+                score = paletteSimilarity;
+            } else if (audioSimilarity === null || paletteSimilarity === null) {
+                // A side that cannot be compared leaves the blend to the other
+                score = audioSimilarity ?? paletteSimilarity;
+            } else {
+                score = (1 - paletteShare) * audioSimilarity + paletteShare * paletteSimilarity;
+            }
+
+            return { ...candidate, audioSimilarity, paletteSimilarity, score };
+        })
+        .filter(({ score }) => score !== null)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
+/**
+ * Key on the circle of fifths, a minor key sitting on its relative major,
+ * plus the mode. The whole vector shrinks towards zero as the key gets less
+ * certain, so a guessed key neither attracts nor repels.
+ */
+function embedKey(key) {
+    const { root, scale } = key;
+    const certainty = getModeCertainty(key);
+    const isMinor = scale === 'minor';
+    const majorRoot = isMinor ? (root + 3) % 12 : root;
+    const angle = (2 * Math.PI * ((majorRoot * 7) % 12)) / 12;
+    return [
+        certainty * Math.cos(angle),
+        certainty * Math.sin(angle),
+        certainty * (isMinor ? 0.5 : -0.5)
+    ];
+}
+
+function toColors(palette) {
+    return (palette || []).map(parseColor).filter(Boolean);
+}
+
+function meanNearest(from, to) {
+    const total = from.reduce((sum, color) => sum + Math.min(...to.map(other => deltaE2000(color, other))), 0);
+    return total / from.length;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && !isNaN(value);
+}
@@ -0,0 +1,113 @@
+import { computeEmbedding, audioDistance, comparisonPalette, paletteDistance, rankSimilar } from './similarity';
+import { generateColorPalette } from './colorMapping';
+import { DEFAULT_MAPPING } from './mappingRules';
+import { keyFrom } from './__fixtures__/keys';
+
+const features = (overrides = {}) => ({
+    tempo: 120,
+    key: keyFrom({ 'C major': 0.9 }),
+    timbre: { mfccSummary: { mean: Float32Array.from({ length: 13 }, (_, i) => i), std: new Float32Array(13).fill(5) } },
+    mood: { arousal: 0.6, valence: 0.7, tension: 0.2, energy: 0.6, primary: 'Happy' },
+    loudness: { integrated: -14, loudnessRange: 6 },
+    pitch: 440,
+    percussiveness: 0.3,
+    vocals: { ratio: 0.5 },
+    ...overrides
+});
+
+describe('computeEmbedding', () => {
+    test('leaves out the groups whose features are missing', () => {
+        const embedding = computeEmbedding(features({ tempo: 0, timbre: null }));
+        expect(embedding.tempo).toBeNull();
+        expect(embedding.timbre).toBeNull();
+        expect(embedding.key).toHaveLength(3);
+        expect(embedding.loudness).toEqual([16 / 24, 6 / 20]);
+    });
+
+    test('counts a doubling of the tempo as one unit', () => {
+        expect(computeEmbedding(features({ tempo: 240 })).tempo[0]).toBeCloseTo(1);
+        expect(computeEmbedding(features({ tempo: 60 })).tempo[0]).toBeCloseTo(-1);
+    });
+
+    test('puts a key next to its relative minor and a guessed key near the centre', () => {
+        const major = computeEmbedding(features()).key;
+        const relativeMinor = computeEmbedding(features({ key: keyFrom({ 'A minor': 0.9 }) })).key;
+        const tritone = computeEmbedding(features({ key: keyFrom({ 'F# major': 0.9 }) })).key;
+        // The confidence is high, but D# minor scores nearly as well as F# major
+        const guessed = computeEmbedding(features({ key: keyFrom({ 'F# major': 0.9, 'D# minor': 0.89 }) })).key;
+
+        expect(relativeMinor[0]).toBeCloseTo(major[0]);
+        expect(relativeMinor[1]).toBeCloseTo(major[1]);
+        expect(tritone[0]).toBeCloseTo(-major[0]);
+        guessed.forEach(value => expect(value).toBeCloseTo(0));
+    });
+});
+
+describe('audioDistance', () => {
+    test('is zero for the same features and grows with the difference', () => {
+        const base = computeEmbedding(features());
+        expect(audioDistance(base, base)).toBe(0);
+        const near = audioDistance(base, computeEmbedding(features({ tempo: 126 })));
+        const far = audioDistance(base, computeEmbedding(features({ tempo: 60, mood: { arousal: 0.1, valence: 0.1, tension: 0.8 } })));
+        expect(near).toBeGreaterThan(0);
+        expect(far).toBeGreaterThan(near);
+    });
+
+    test('compares only the groups both embeddings have', () => {
+        const base = computeEmbedding(features());
+        const tempoOnly = { tempo: base.tempo };
+        expect(audioDistance(base, tempoOnly)).toBe(0);
+        expect(audioDistance({ tempo: null }, tempoOnly)).toBeNull();
+    });
+});
+
+describe('paletteDistance', () => {
+    test('ignores order and repeated shades', () => {
+        expect(paletteDistance(['#ff0000', '#0000ff'], ['#0000ff', '#ff0000', '#ff0000'])).toBeCloseTo(0);
+    });
+
+    test('measures how far the colours are apart', () => {
+        const close = paletteDistance(['#ff0000'], ['#f00a0a']);
+        const far = paletteDistance(['#ff0000'], ['#0000ff']);
+        expect(close).toBeGreaterThan(0);
+        expect(far).toBeGreaterThan(30);
+        expect(close).toBeLessThan(far / 10);
+    });
+
+    test('cannot compare a palette without readable colours', () => {
+        expect(paletteDistance(['not a colour'], ['#ffffff'])).toBeNull();
+        expect(paletteDistance([], ['#ffffff'])).toBeNull();
+    });
+});
+
+describe('comparisonPalette', () => {
+    test('colours every track with the default mapping', () => {
+        const { tempo, pitch, loudness, timbre, key, mood, vocals } = features();
+        expect(comparisonPalette(features())).toEqual(generateColorPalette(tempo, pitch, loudness, timbre, key, mood, vocals, DEFAULT_MAPPING));
+
+        const custom = { ...DEFAULT_MAPPING, curves: { ...DEFAULT_MAPPING.curves, tempoHue: [[40, 0], [200, 0]] } };
+        expect(comparisonPalette(features())).not.toEqual(generateColorPalette(tempo, pitch, loudness, timbre, key, mood, vocals, custom));
+    });
+});
+
+describe('rankSimilar', () => {
+    const query = { embedding: computeEmbedding(features()), palette: ['#ff0000'] };
+    const candidates = [
+        { name: 'far', embedding: computeEmbedding(features({ tempo: 60, loudness: { integrated: -30, loudnessRange: 20 } })), palette: ['#ff0000'] },
+        { name: 'near', embedding: computeEmbedding(features({ tempo: 125 })), palette: ['#0000ff'] },
+        { name: 'silent', embedding: {}, palette: [] }
+    ];
+
+    test('ranks by audio, by palette or by a blend', () => {
+        expect(rankSimilar(query, candidates, { mode: 'audio' }).map(({ name }) => name)).toEqual(['near', 'far']);
+        expect(rankSimilar(query, candidates, { mode: 'palette' }).map(({ name }) => name)).toEqual(['far', 'near']);
+
+        const [best] = rankSimilar(query, candidates, { mode: 'blend', blend: 0.5 });
+        expect(best.score).toBeCloseTo(0.5 * best.audioSimilarity + 0.5 * best.paletteSimilarity);
+    });
+
+    test('drops what cannot be compared and keeps the limit', () => {
+        expect(rankSimilar(query, candidates, { mode: 'audio', limit: 1 }).map(({ name }) => name)).toEqual(['near']);
+        expect(rankSimilar(query, candidates).some(({ name }) => name === 'silent')).toBe(false);
+    });
+});
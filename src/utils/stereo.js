@@ -0,0 +1,188 @@
+/**
+ * Channel handling: a proper mono downmix for the feature extractors and a
+ * mid/side analysis of the stereo image.
+ */
+
+const monoCache = new WeakMap();
+const BLOCK_SECONDS = 1;
+
+/**
+ * Mono version of an audio buffer, following the Web Audio speaker
+ * down-mix rules for mono, stereo, quad and 5.1 layouts and averaging any
+ * other layout. The result is cached per buffer, so every extractor can ask
+ * for it without downmixing again.
+ * @param {AudioBuffer} audioBuffer - Decoded audio, or the result of createAudioData
+ * @returns {Float32Array} - Mono samples
+ */
+export const getMonoSignal = (audioBuffer) => {
+    const channelCount = audioBuffer.numberOfChannels || 1;
+    if (channelCount === 1) return audioBuffer.getChannelData(0);
+    if (monoCache.has(audioBuffer)) return monoCache.get(audioBuffer);
+
+    const mono = downmixChannels(Array.from({ length: channelCount }, (_, i) => audioBuffer.getChannelData(i)));
+    monoCache.set(audioBuffer, mono);
+    return mono;
+};
+
+/**
+ * Mono downmix of raw channel data, with the same rules as getMonoSignal.
+ * A single channel is returned as is.
+ * @param {Float32Array[]} channels - Sample data per channel, all the same length
+ * @returns {Float32Array} - Mono samples
+ */
+export const downmixChannels = (channels) => {
+    if (channels.length === 1) return channels[0];
+
+    const gains = downmixGains(channels.length);
+    const mono = new Float32Array(channels[0].length);
+    channels.forEach((channel, c) => {
+        const gain = gains[c];
+        if (!gain) return;
+        for (let i = 0; i < mono.length; i++) mono[i] += gain * channel[i];
+    });
+    return mono;
+};
+
+function downmixGains(channelCount) {
+    switch (channelCount) {
+        case 2:
+            return [0.5, 0.5];
+        case 4:
+            // L, R, SL, SR
+            return [0.25, 0.25, 0.25, 0.25];
+        case 6:
+            // L, R, C, LFE, SL, SR; the LFE channel is dropped
+            return [Math.SQRT1_2, Math.SQRT1_2, 1, 0, 0.5, 0.5];
+        default:
+            return new Array(channelCount).fill(1 / channelCount);
+    }
+}
+
+/**
+ * Analyze the stereo image of a track
+ * @param {AudioBuffer} audioBuffer - Decoded audio, or the result of createAudioData
+ * @returns {Object} - {
+ *   isMono: boolean,            // one channel, or two identical ones
+ *   midEnergy, sideEnergy,      // mean square of (L+R)/2 and (L-R)/2
+ *   width: number,              // 0 = mono, 1 = uncorrelated channels or wider
+ *   balance: number,            // -1 hard left .. 1 hard right
+ *   correlation: number,        // -1..1 inter-channel correlation
+ *   monoCompatibility: number,  // 1 when nothing cancels in the mono downmix, 0 when everything does
+ *   monoLossDb: number,         // level change of the downmix against the channel average
+ *   blocks: Array<{ time, width, balance, correlation }>  // one per second
+ * }
+ */
+export const analyzeStereo = (audioBuffer) => {
+    const channelCount = audioBuffer.numberOfChannels || 1;
+    const stream = createStereoStream(audioBuffer.sampleRate, channelCount);
+    stream.push(Array.from({ length: Math.min(2, channelCount) }, (_, i) => audioBuffer.getChannelData(i)));
+    return stream.finish();
+};
+
+/**
+ * Incremental version of analyzeStereo for audio that arrives in chunks
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} channelCount - Channels in the stream
+ * @returns {{ push: function(Float32Array[]): void, finish: function(): Object }} -
+ *   push takes sample data per channel; finish returns the analyzeStereo result
+ */
+export const createStereoStream = (sampleRate, channelCount) => {
+    const blockLength = Math.max(1, Math.round(BLOCK_SECONDS * sampleRate));
+    const total = { left: 0, right: 0, product: 0 };
+    const blocks = [];
+    let block = { left: 0, right: 0, product: 0 };
+    let blockFill = 0;
+    let length = 0;
+
+    const closeBlock = () => {
+        total.left += block.left;
+        total.right += block.right;
+        total.product += block.product;
+        blocks.push({ time: (length - blockFill) / sampleRate, ...describeImage(block) });
+        block = { left: 0, right: 0, product: 0 };
+        blockFill = 0;
+    };
+
+    let monoEnergy = 0;
+
+    const push = (channels) => {
+        const left = channels[0];
+        if (channelCount < 2) {
+            for (let i = 0; i < left.length; i++) monoEnergy += left[i] * left[i];
+            length += left.length;
+            return;
+        }
+
+        // Surround layouts are judged on their front pair
+        const right = channels[1];
+        for (let i = 0; i < left.length; i++) {
+            block.left += left[i] * left[i];
+            block.right += right[i] * right[i];
+            block.product += left[i] * right[i];
+            length++;
+            if (++blockFill === blockLength) closeBlock();
+        }
+    };
+
+    const finish = () => {
+        if (channelCount < 2) return monoResult(monoEnergy, length, sampleRate);
+        if (blockFill) closeBlock();
+
+        const image = describeImage(total);
+        const samples = length || 1;
+        const midEnergy = (total.left + total.right + 2 * total.product) / 4 / samples;
+        const sideEnergy = (total.left + total.right - 2 * total.product) / 4 / samples;
+        const channelEnergy = (total.left + total.right) / 2 / samples;
+        const monoRatio = channelEnergy > 0 ? midEnergy / channelEnergy : 1;
+
+        return {
+            isMono: sideEnergy <= midEnergy * 1e-6,
+            midEnergy,
+            sideEnergy,
+            ...image,
+            monoCompatibility: Math.max(0, Math.min(1, 2 * monoRatio)),
+            monoLossDb: 10 * Math.log10(Math.max(monoRatio, 1e-10)),
+            blocks
+        };
+    };
+
+    return { push, finish };
+};
+
+/**
+ * Width, balance and correlation from channel energies and their cross product.
+ * For equal channel levels, side / (mid + side) = (1 - correlation) / 2, so
+ * width doubles that share to reach 1 for uncorrelated channels. Width is
+ * scaled down by the imbalance, so one source panned hard to a side reads
+ * as narrow rather than wide.
+ */
+function describeImage({ left, right, product }) {
+    const energy = left + right;
+    if (energy <= 0) return { width: 0, balance: 0, correlation: 1 };
+
+    const side = energy - 2 * product;
+    const balance = (right - left) / energy;
+    return {
+        width: Math.max(0, Math.min(1, (side / energy) * (1 - Math.abs(balance)))),
+        balance,
+        correlation: left > 0 && right > 0 ? product / Math.sqrt(left * right) : 0
+    };
+}
+
+function monoResult(energy, length, sampleRate) {
+    const blocks = [];
+    for (let time = 0; time < length / sampleRate; time += BLOCK_SECONDS) {
+        blocks.push({ time, width: 0, balance: 0, correlation: 1 });
+    }
+    return {
+        isMono: true,
+        midEnergy: length ? energy / length : 0,
+        sideEnergy: 0,
+        width: 0,
+        balance: 0,
+        correlation: 1,
+        monoCompatibility: 1,
+        monoLossDb: 0,
+        blocks
+    };
+}
@@ -0,0 +1,58 @@
+import { analyzeStereo, createStereoStream, downmixChannels, getMonoSignal } from './stereo';
+import { audioBufferOf, noise, sine, SAMPLE_RATE } from './__fixtures__/signals';
+
+describe('downmixChannels', () => {
+    test('averages a stereo pair and keeps a single channel as is', () => {
+        const left = Float32Array.from([1, 0.5, -1]);
+        const right = Float32Array.from([0, 0.5, 1]);
+        expect(Array.from(downmixChannels([left, right]))).toEqual([0.5, 0.5, 0]);
+        expect(downmixChannels([left])).toBe(left);
+    });
+
+    test('drops the LFE channel of 5.1', () => {
+        const channels = Array.from({ length: 6 }, (_, c) => Float32Array.from([c === 3 ? 1 : 0]));
+        expect(downmixChannels(channels)[0]).toBe(0);
+    });
+});
+
+describe('analyzeStereo', () => {
+    const tone = sine(440, 2);
+
+    test('recognizes two identical channels as mono', () => {
+        const result = analyzeStereo(audioBufferOf([tone, tone]));
+        expect(result.isMono).toBe(true);
+        expect(result.width).toBeCloseTo(0);
+        expect(result.correlation).toBeCloseTo(1);
+        expect(result.monoCompatibility).toBeCloseTo(1);
+    });
+
+    test('measures the width of uncorrelated channels', () => {
+        const result = analyzeStereo(audioBufferOf([noise(2, { seed: 1 }), noise(2, { seed: 2 })]));
+        expect(result.isMono).toBe(false);
+        expect(result.width).toBeGreaterThan(0.9);
+        expect(Math.abs(result.correlation)).toBeLessThan(0.1);
+    });
+
+    test('catches phase cancellation in the downmix', () => {
+        const result = analyzeStereo(audioBufferOf([tone, tone.map(value => -value)]));
+        expect(result.correlation).toBeCloseTo(-1);
+        expect(result.monoCompatibility).toBeCloseTo(0);
+        expect(getMonoSignal(audioBufferOf([tone, tone.map(value => -value)])).every(value => value === 0)).toBe(true);
+    });
+
+    test('reads a signal panned left', () => {
+        const result = analyzeStereo(audioBufferOf([tone, tone.map(value => value * 0.25)]));
+        expect(result.balance).toBeLessThan(-0.5);
+        expect(result.blocks).toHaveLength(2);
+    });
+
+    test('streams the same result in chunks', () => {
+        const left = noise(2, { seed: 3 });
+        const right = tone;
+        const stream = createStereoStream(SAMPLE_RATE, 2);
+        for (let start = 0; start < left.length; start += 10000) {
+            stream.push([left.subarray(start, start + 10000), right.subarray(start, start + 10000)]);
+        }
+        expect(stream.finish()).toEqual(analyzeStereo(audioBufferOf([left, right])));
+    });
+});
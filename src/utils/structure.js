@@ -0,0 +1,266 @@
+/**
+ * Song structure: section boundaries from the self-similarity of the feature
+ * timeline, and letter labels that repeat for repeated sections. Frames are
+ * only compared within the novelty kernel and sections through their mean
+ * features, so time and memory grow with the length of the track, not its square.
+ */
+
+const SMOOTHING_RADIUS = 2;
+const CHROMA_WEIGHT = 0.5;
+const TIMBRE_WEIGHT = 0.5;
+const SAME_SECTION_SIMILARITY = 0.8;
+// Raw novelty a boundary needs at least. Steady audio stays below about 0.08,
+// as its small frame-to-frame changes are all the feature scaling has to work with;
+// a change of chords or instruments scores 0.3 and more
+const NOVELTY_FLOOR = 0.12;
+
+/**
+ * Detect the sections of a song
+ * @param {Object} timeline - Result of extractTimeline
+ * @param {Object} options
+ * @param {number} options.minSectionDuration - Shortest section in seconds
+ * @param {number} options.kernelDuration - Width of the checkerboard kernel in seconds
+ * @returns {Object} - {
+ *   boundaries: number[],   // section start times after 0, in seconds
+ *   novelty: number[],      // boundary strength per timeline frame, 0..1
+ *   sections: Array<{ start, end, label, role, repetitions, similarity }>
+ * }
+ */
+export const segmentStructure = (timeline, { minSectionDuration = 8, kernelDuration = 16 } = {}) => {
+    const { frames, hop, duration } = timeline;
+    const features = smoothFeatures(createFeatureVectors(frames), SMOOTHING_RADIUS);
+    const novelty = computeNovelty(features, Math.max(2, Math.round(kernelDuration / hop / 2)));
+
+    const boundaryFrames = pickBoundaries(novelty, Math.max(1, Math.round(minSectionDuration / hop)));
+    const maxNovelty = novelty.reduce((a, b) => Math.max(a, b), 0);
+    const starts = [0, ...boundaryFrames];
+    const ranges = starts.map((from, i) => [from, i + 1 < starts.length ? starts[i + 1] : frames.length]);
+
+    const sections = labelSections(ranges, features).map((section, i) => ({
+        start: frames[ranges[i][0]].time,
+        end: i + 1 < ranges.length ? frames[ranges[i + 1][0]].time : duration,
+        ...section
+    }));
+
+    return {
+        boundaries: boundaryFrames.map(index => frames[index].time),
+        novelty: Array.from(novelty, value => (maxNovelty > 0 ? value / maxNovelty : 0)),
+        sections: assignRoles(sections, frames, ranges)
+    };
+};
+
+/**
+ * One vector per frame: the chroma for harmony and the low-order MFCCs for
+ * timbre, each block unit length and weighted. The energy coefficient is
+ * left out, and so are the higher ones, which follow the pitch of the notes
+ * rather than the spectral envelope.
+ */
+function createFeatureVectors(frames) {
+    const mfccs = frames.map(frame => Array.from(frame.timbre.mfccs).slice(1, 9));
+    const dims = mfccs[0].length;
+
+    // Standardize each coefficient so no single one dominates the distance
+    const means = new Array(dims).fill(0);
+    const stds = new Array(dims).fill(0);
+    mfccs.forEach(vector => vector.forEach((value, d) => { means[d] += value / mfccs.length; }));
+    mfccs.forEach(vector => vector.forEach((value, d) => { stds[d] += (value - means[d]) ** 2 / mfccs.length; }));
+
+    return frames.map((frame, i) => {
+        const timbre = mfccs[i].map((value, d) => (stds[d] > 0 ? (value - means[d]) / Math.sqrt(stds[d]) : 0));
+        return [
+            ...scaleToLength(frame.chroma, CHROMA_WEIGHT),
+            ...scaleToLength(timbre, TIMBRE_WEIGHT)
+        ];
+    });
+}
+
+function scaleToLength(vector, length) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => (value / norm) * length) : vector.map(() => 0);
+}
+
+function smoothFeatures(features, radius) {
+    return features.map((_, i) => {
+        const from = Math.max(0, i - radius);
+        const to = Math.min(features.length - 1, i + radius);
+        const average = new Array(features[i].length).fill(0);
+        for (let j = from; j <= to; j++) {
+            features[j].forEach((value, d) => { average[d] += value / (to - from + 1); });
+        }
+        return average;
+    });
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Foote novelty: correlate a Gaussian-tapered checkerboard kernel along the
+ * diagonal of the self-similarity matrix. Peaks where the past is
+ * self-similar, the future is self-similar and the two differ. The kernel
+ * never reaches further than 2 * halfWidth frames off the diagonal, so only
+ * that band of the matrix is computed. Values are left unscaled, so they can
+ * be compared against an absolute floor.
+ */
+function computeNovelty(features, halfWidth) {
+    const n = features.length;
+    const band = features.map((feature, j) => {
+        const row = new Float32Array(Math.min(2 * halfWidth, n - j));
+        row[0] = 1;
+        for (let d = 1; d < row.length; d++) row[d] = cosineSimilarity(feature, features[j + d]);
+        return row;
+    });
+    const similarity = (j, k) => (j <= k ? band[j][k - j] : band[k][j - k]);
+    const novelty = new Float32Array(n);
+
+    for (let i = 0; i < n; i++) {
+        // Shrink the kernel near the edges so past and future stay balanced
+        const width = Math.min(halfWidth, i, n - i);
+        if (width < 2) continue;
+
+        const sigma = width / 2;
+        let sum = 0;
+        let weightSum = 0;
+        for (let a = -width; a < width; a++) {
+            for (let b = -width; b < width; b++) {
+                const sign = (a < 0) === (b < 0) ? 1 : -1;
+                const weight = Math.exp(-((a + 0.5) ** 2 + (b + 0.5) ** 2) / (2 * sigma * sigma));
+                sum += sign * weight * similarity(i + a, i + b);
+                weightSum += weight;
+            }
+        }
+        novelty[i] = weightSum > 0 ? Math.max(0, sum / weightSum) : 0;
+    }
+    return novelty;
+}
+
+/**
+ * Strongest novelty peaks first, keeping every section at least minFrames long.
+ * A peak has to stand out from the rest of the track and clear the floor, so
+ * a track that never changes stays one section.
+ */
+function pickBoundaries(novelty, minFrames) {
+    const n = novelty.length;
+    const mean = novelty.reduce((sum, value) => sum + value, 0) / n;
+    const std = Math.sqrt(novelty.reduce((sum, value) => sum + (value - mean) ** 2, 0) / n);
+    const threshold = Math.max(NOVELTY_FLOOR, mean + 0.5 * std);
+
+    const peaks = [];
+    for (let i = minFrames; i <= n - minFrames; i++) {
+        if (novelty[i] >= threshold && novelty[i] >= novelty[i - 1] && novelty[i] >= (novelty[i + 1] ?? 0)) {
+            peaks.push(i);
+        }
+    }
+
+    const accepted = [];
+    peaks
+        .sort((a, b) => novelty[b] - novelty[a])
+        .forEach(peak => {
+            if (accepted.every(boundary => Math.abs(boundary - peak) >= minFrames)) accepted.push(peak);
+        });
+
+    return accepted.sort((a, b) => a - b);
+}
+
+/**
+ * Give sections that sound alike the same letter. Two sections match when
+ * their frames are, on average, about as similar to each other as each
+ * section is to itself.
+ */
+function labelSections(ranges, features) {
+    const meanOf = (vectors, [from, to]) => {
+        const mean = new Array(vectors[0].length).fill(0);
+        for (let i = from; i < to; i++) vectors[i].forEach((value, d) => { mean[d] += value / (to - from); });
+        return mean;
+    };
+    const dot = (a, b) => a.reduce((sum, value, d) => sum + value * b[d], 0);
+
+    // The mean cosine similarity between the frames of two sections is the dot
+    // product of their mean unit vectors, so no frame pairs need comparing
+    const units = features.map(feature => scaleToLength(feature, 1));
+    const unitMeans = ranges.map(range => meanOf(units, range));
+    // Frames of a repeated section line up with a time shift, so also compare
+    // mean feature vectors, which are insensitive to ordering within the section
+    const centroids = ranges.map(range => meanOf(features, range));
+
+    const selfSimilarity = unitMeans.map(mean => dot(mean, mean));
+    const labels = [];
+    const scores = [];
+    let nextLabel = 0;
+
+    ranges.forEach((_, i) => {
+        let bestMatch = -1;
+        let bestScore = 0;
+        for (let j = 0; j < i; j++) {
+            const relative = dot(unitMeans[i], unitMeans[j]) / Math.max(1e-6, Math.min(selfSimilarity[i], selfSimilarity[j]));
+            const score = Math.max(relative, cosineSimilarity(centroids[i], centroids[j]));
+            if (score > bestScore) {
+                bestScore = score;
+                bestMatch = j;
+            }
+        }
+
+        if (bestMatch >= 0 && bestScore >= SAME_SECTION_SIMILARITY) {
+            labels.push(labels[bestMatch]);
+        } else {
+            labels.push(sectionLetter(nextLabel++));
+        }
+        scores.push(bestMatch >= 0 ? Math.min(1, bestScore) : 0);
+    });
+
+    return labels.map((label, i) => ({
+        label,
+        repetitions: labels.filter(other => other === label).length,
+        similarity: scores[i]
+    }));
+}
+
+function sectionLetter(index) {
+    const letter = String.fromCharCode(65 + (index % 26));
+    return index < 26 ? letter : `${letter}${Math.floor(index / 26) + 1}`;
+}
+
+/**
+ * Best-guess section names: the loudest repeated label is the chorus, other
+ * repeated labels are verses, one-off sections at the edges are the intro
+ * and outro and one-off sections in between are bridges. A track that is
+ * all one label has no parts to tell apart and is the whole track.
+ */
+function assignRoles(sections, frames, ranges) {
+    const loudness = new Map();
+    sections.forEach((section, i) => {
+        const [from, to] = ranges[i];
+        let energy = 0;
+        for (let f = from; f < to; f++) energy += frames[f].rms * frames[f].rms;
+        const entry = loudness.get(section.label) || { energy: 0, count: 0 };
+        loudness.set(section.label, { energy: entry.energy + energy, count: entry.count + (to - from) });
+    });
+
+    const repeatedLabels = [...new Set(sections.filter(section => section.repetitions > 1).map(section => section.label))];
+    const chorusLabel = repeatedLabels.reduce((best, label) => {
+        const level = loudness.get(label).energy / loudness.get(label).count;
+        return !best || level > best.level ? { label, level } : best;
+    }, null)?.label;
+
+    const singleLabel = sections.every(section => section.label === sections[0].label);
+
+    return sections.map((section, i) => {
+        let role;
+        if (singleLabel) role = 'whole track';
+        else if (section.label === chorusLabel) role = 'chorus';
+        else if (section.repetitions > 1) role = 'verse';
+        else if (i === 0 && sections.length > 1) role = 'intro';
+        else if (i === sections.length - 1 && sections.length > 1) role = 'outro';
+        else role = 'bridge';
+        return { ...section, role };
+    });
+}
@@ -0,0 +1,66 @@
+import { segmentStructure } from './structure';
+import { extractTimeline } from './timeline';
+import { audioBufferOf, chord, clicks, concat, mix, noise } from './__fixtures__/signals';
+
+const timelineOf = (signal) => extractTimeline(audioBufferOf(signal), { hop: 1 });
+
+// Timeline frames straight from features, for lengths too long to synthesize as audio
+const syntheticTimeline = (parts, seconds) => {
+    const frames = Array.from({ length: parts.length * seconds }, (_, i) => {
+        const part = parts[Math.floor(i / seconds)];
+        return {
+            time: i,
+            duration: 1,
+            rms: part.rms,
+            chroma: part.chroma.map(value => value + 0.01 * Math.sin(i * 1.3)),
+            timbre: { mfccs: part.mfccs.map((value, k) => value + 0.1 * Math.sin(i * 0.7 + k)) }
+        };
+    });
+    return { hop: 1, duration: frames.length, frames };
+};
+
+// Three parts that differ in harmony and timbre
+const partA = (seconds) => mix(chord([57, 61, 64], seconds), clicks(120, seconds, { amplitude: 0.5 }));
+const partB = (seconds) => chord([50, 53, 57], seconds);
+const partC = (seconds) => mix(chord([55, 59, 62, 65], seconds), noise(seconds, { amplitude: 0.05 }));
+
+describe('segmentStructure', () => {
+    test('keeps a track that never changes as one section', () => {
+        const { boundaries, sections } = segmentStructure(timelineOf(partA(20)));
+        expect(boundaries).toEqual([]);
+        expect(sections).toHaveLength(1);
+        expect(sections[0]).toMatchObject({ start: 0, end: 20, label: 'A', role: 'whole track' });
+    });
+
+    describe('on A-B-A-B', () => {
+        const { boundaries, novelty, sections } = segmentStructure(timelineOf(concat(partA(12), partB(12), partA(12), partB(12))));
+
+        test('finds the boundaries and repeats', () => {
+            expect(boundaries).toHaveLength(3);
+            boundaries.forEach((time, i) => expect(Math.abs(time - (i + 1) * 12)).toBeLessThanOrEqual(1));
+            expect(sections.map(section => section.label)).toEqual(['A', 'B', 'A', 'B']);
+            expect(sections.every(section => section.repetitions === 2)).toBe(true);
+            expect(Math.max(...novelty)).toBe(1);
+        });
+
+        test('names the louder repeated section the chorus', () => {
+            expect(sections.map(section => section.role)).toEqual(['chorus', 'verse', 'chorus', 'verse']);
+        });
+    });
+
+    test('names a lone repeated section the chorus and one-offs by position', () => {
+        const { sections } = segmentStructure(timelineOf(concat(partA(12), partB(12), partA(12), partC(12))));
+        expect(sections.map(section => section.label)).toEqual(['A', 'B', 'A', 'C']);
+        expect(sections.map(section => section.role)).toEqual(['chorus', 'bridge', 'chorus', 'outro']);
+    });
+
+    test('segments a three-hour mix', () => {
+        const verse = { rms: 0.1, chroma: [1, 0, 0, 0, 1, 0, 0, 1, 0, 0, 0, 0], mfccs: [-200, 40, 10, -5, 3, 2, 1, 0, 0, 0, 0, 0, 0] };
+        const chorus = { rms: 0.3, chroma: [0, 0, 1, 0, 0, 1, 0, 0, 0, 1, 0, 0], mfccs: [-150, 10, -20, 5, -3, 4, 2, 1, 0, 0, 0, 0, 0] };
+        const parts = Array.from({ length: 90 }, (_, i) => (i % 2 ? chorus : verse));
+        const { boundaries, sections } = segmentStructure(syntheticTimeline(parts, 120));
+        expect(boundaries).toHaveLength(89);
+        expect(new Set(sections.map(section => section.label))).toEqual(new Set(['A', 'B']));
+        expect(sections[1].role).toBe('chorus');
+    });
+});
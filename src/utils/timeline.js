@@ -0,0 +1,392 @@
+import { createStftStream, autocorrelation } from './fft';
+import { estimateFramePitch } from './pitchTracking';
+import { getMonoSignal } from './stereo';
+import { computeMfccs } from './mfcc';
+import {
+    calculateEnhancedHarmonicRatio,
+    calculateSpectralCentroid,
+    calculateSpectralFlatness,
+    calculateSpectralRolloff,
+    createFrequencyArray,
+    createPitchClassMap,
+    detectKey,
+    extractMood,
+    getMedian
+} from './audioProcessing';
+
+/**
+ * Time-resolved analysis: the same features the whole-track extractors
+ * produce, but one set per hop so palettes can follow the song.
+ */
+
+const FFT_SIZE = 2048;
+const STFT_HOP = 512;
+const PITCH_WINDOW = 2048;
+const TEMPO_WINDOW_SECONDS = 8;
+const KEY_WINDOW_SECONDS = 8;
+const MIN_BPM = 40;
+const MAX_BPM = 200;
+
+/**
+ * Extract a feature timeline from an audio buffer
+ * @param {AudioBuffer} audioBuffer - The decoded audio buffer
+ * @param {Object} options
+ * @param {number} options.hop - Seconds between timeline frames
+ * @returns {Object} - { hop, duration, sampleRate, frames } where every frame has
+ *   time, duration, rms, loudnessDb, tempo, tempoConfidence, pitch, chroma, key, timbre and mood
+ * @throws {RangeError} - When hop is not a positive number
+ */
+export const extractTimeline = (audioBuffer, options = {}) => {
+    const stream = createTimelineStream(audioBuffer.sampleRate, options);
+    stream.push(getMonoSignal(audioBuffer));
+    return stream.finish();
+};
+
+/**
+ * Incremental version of extractTimeline for audio that arrives in chunks.
+ * Spectral and level features are reduced as soon as a timeline frame is
+ * complete; tempo, key and mood need their neighbours and are added at the end.
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options - See extractTimeline
+ * @returns {{ push: function(Float32Array): void, finish: function(): Object }} -
+ *   finish returns the extractTimeline result
+ */
+export const createTimelineStream = (sampleRate, { hop = 1 } = {}) => {
+    if (!(hop > 0)) throw new RangeError(`Timeline hop must be a positive number of seconds, got ${hop}`);
+    const hopSamples = Math.max(1, Math.round(hop * sampleRate));
+    const numBins = FFT_SIZE / 2 + 1;
+
+    const frequencies = createFrequencyArray(FFT_SIZE, sampleRate);
+    const pitchClasses = createPitchClassMap(FFT_SIZE, sampleRate);
+
+    // Per-timeline-frame accumulators filled from a single STFT pass.
+    // Only the frame the STFT is in stays open; closed frames keep chroma and timbre.
+    const spectral = [];
+    const onsetEnvelope = [];
+    let current = null;
+    let previousLogMagnitudes = null;
+
+    const openFrame = (index) => ({
+        index,
+        spectrum: new Float32Array(numBins),
+        chroma: new Array(12).fill(0),
+        centroids: [],
+        mfccSum: null,
+        count: 0
+    });
+
+    const closeFrame = ({ spectrum, chroma, centroids, mfccSum, count }) => {
+        if (count > 0) {
+            for (let j = 0; j < numBins; j++) spectrum[j] /= count;
+        }
+        const mfccs = mfccSum
+            ? mfccSum.map(value => value / count)
+            : computeMfccs(spectrum, sampleRate, FFT_SIZE);
+        spectral.push({ chroma, timbre: summarizeFrameTimbre(spectrum, centroids, mfccs, sampleRate) });
+    };
+
+    // Close every frame before `index`; frames no STFT frame landed in stay empty
+    const closeFramesBefore = (index) => {
+        while (spectral.length < index) {
+            closeFrame(current && current.index === spectral.length ? current : openFrame(spectral.length));
+        }
+        if (current && current.index < index) current = null;
+    };
+
+    const stft = createStftStream(({ time, magnitudes }) => {
+        const index = Math.floor((time * sampleRate + FFT_SIZE / 2) / hopSamples);
+        closeFramesBefore(index);
+        if (!current) current = openFrame(index);
+        const { spectrum, chroma } = current;
+
+        for (let j = 0; j < numBins; j++) {
+            spectrum[j] += magnitudes[j];
+            if (pitchClasses[j] >= 0) chroma[pitchClasses[j]] += magnitudes[j];
+        }
+        current.centroids.push(calculateSpectralCentroid(magnitudes, frequencies));
+        const mfccs = computeMfccs(magnitudes, sampleRate, FFT_SIZE);
+        if (current.mfccSum) mfccs.forEach((value, k) => { current.mfccSum[k] += value; });
+        else current.mfccSum = mfccs;
+        current.count++;
+
+        // Half-wave rectified log spectral flux as onset strength
+        const logMagnitudes = new Float32Array(numBins);
+        let flux = 0;
+        for (let j = 0; j < numBins; j++) {
+            logMagnitudes[j] = Math.log1p(magnitudes[j]);
+            if (previousLogMagnitudes) {
+                flux += Math.max(0, logMagnitudes[j] - previousLogMagnitudes[j]);
+            }
+        }
+        onsetEnvelope.push(flux);
+        previousLogMagnitudes = logMagnitudes;
+    }, { fftSize: FFT_SIZE, hopSize: STFT_HOP, sampleRate });
+
+    // Level and pitch need the samples themselves; keep those of the next unmeasured frame
+    const samples = createSampleWindow();
+    const levels = [];
+    let length = 0;
+
+    const frameBounds = (index, signalLength) => {
+        const start = index * hopSamples;
+        const end = Math.min(signalLength, start + hopSamples);
+        const center = (start + end) / 2;
+        return { start, end, center, pitchStart: Math.max(0, Math.round(center - PITCH_WINDOW / 2)) };
+    };
+
+    const measureFrame = ({ start, end, pitchStart }) => ({
+        rms: calculateRms(samples.view(start, end)),
+        pitch: estimateLocalPitch(samples.view(pitchStart, pitchStart + PITCH_WINDOW), sampleRate)
+    });
+
+    const push = (channelData) => {
+        length += channelData.length;
+        stft.push(channelData);
+        samples.append(channelData);
+
+        // A frame can be measured once its samples and its whole pitch window are in
+        for (;;) {
+            const bounds = frameBounds(levels.length, Infinity);
+            if (bounds.end > samples.end() || bounds.pitchStart + PITCH_WINDOW > samples.end()) break;
+            levels.push(measureFrame(bounds));
+        }
+        samples.dropBefore(Math.max(0, levels.length * hopSamples - PITCH_WINDOW));
+    };
+
+    const finish = () => {
+        stft.finish();
+        const frameCount = Math.max(1, Math.ceil(length / hopSamples));
+
+        // A track shorter than one FFT has a single STFT frame, which may centre past the end
+        if (current && current.index >= frameCount) {
+            spectral.length = Math.min(spectral.length, frameCount - 1);
+            current.index = frameCount - 1;
+        }
+        closeFramesBefore(frameCount);
+        while (levels.length < frameCount) levels.push(measureFrame(frameBounds(levels.length, length)));
+
+        const envelopeRate = sampleRate / STFT_HOP;
+        const keyRadius = Math.max(0, Math.round(KEY_WINDOW_SECONDS / hop / 2));
+        const chromas = spectral.map(entry => entry.chroma);
+
+        const frames = levels.map(({ rms, pitch }, i) => {
+            const { start, end, center } = frameBounds(i, length);
+            const { bpm, confidence: tempoConfidence } = estimateLocalTempo(onsetEnvelope, envelopeRate, center / sampleRate);
+            // The ranking decides how much the mode counts in the mood; frames keep only the best key
+            const { candidates, ...key } = detectKey(sumChroma(chromas, i - keyRadius, i + keyRadius));
+            const { timbre } = spectral[i];
+
+            return {
+                time: start / sampleRate,
+                duration: (end - start) / sampleRate,
+                rms,
+                loudnessDb: 20 * Math.log10(rms + 1e-10),
+                tempo: bpm,
+                tempoConfidence,
+                pitch,
+                chroma: normalizeChroma(chromas[i]),
+                key,
+                timbre,
+                mood: extractMood(bpm, rms, { ...key, candidates }, timbre)
+            };
+        });
+
+        return {
+            hop,
+            duration: length / sampleRate,
+            sampleRate,
+            frames
+        };
+    };
+
+    return { push, finish };
+};
+
+/**
+ * Collapse a time slice of a timeline into whole-track style features
+ * @param {Object} timeline - Result of extractTimeline
+ * @param {number} start - Slice start in seconds
+ * @param {number} end - Slice end in seconds
+ * @returns {{ tempo: number|null, rms: number, pitch: number|null, timbre: Object, key: Object, mood: Object }}
+ */
+export const summarizeTimeline = (timeline, start = 0, end = timeline.duration) => {
+    const frames = timeline.frames.filter(frame => frame.time + frame.duration > start && frame.time < end);
+    if (!frames.length) throw new Error(`No timeline frames between ${start}s and ${end}s`);
+
+    // Tempo: the estimate most frames agree on, weighted by confidence
+    const tempoVotes = new Map();
+    frames.forEach(frame => {
+        if (frame.tempo) {
+            tempoVotes.set(frame.tempo, (tempoVotes.get(frame.tempo) || 0) + frame.tempoConfidence + 1e-3);
+        }
+    });
+    const tempo = [...tempoVotes.entries()].reduce((a, b) => (b[1] > a[1] ? b : a), [null, 0])[0];
+
+    // Loudness: energy average rather than mean of RMS values
+    const rms = Math.sqrt(frames.reduce((sum, frame) => sum + frame.rms * frame.rms, 0) / frames.length);
+
+    const pitches = frames.map(frame => frame.pitch).filter(Boolean);
+    const pitch = pitches.length ? Math.round(getMedian(pitches)) : null;
+
+    const chroma = new Array(12).fill(0);
+    frames.forEach(frame => frame.chroma.forEach((value, i) => { chroma[i] += value; }));
+    const key = detectKey(chroma);
+
+    const timbre = {
+        spectralCentroid: mean(frames.map(frame => frame.timbre.spectralCentroid)),
+        brightness: mean(frames.map(frame => frame.timbre.brightness)),
+        roughness: mean(frames.map(frame => frame.timbre.roughness)),
+        harmonicContent: mean(frames.map(frame => frame.timbre.harmonicContent)),
+        complexity: mean(frames.map(frame => frame.timbre.complexity)),
+        mfccs: averageMfccs(frames.map(frame => frame.timbre.mfccs))
+    };
+
+    return {
+        tempo,
+        rms,
+        pitch,
+        timbre,
+        key,
+        mood: extractMood(tempo, rms, key, timbre)
+    };
+};
+
+function calculateRms(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+    }
+    return samples.length ? Math.sqrt(sum / samples.length) : 0;
+}
+
+/**
+ * Growing window over a stream of samples, addressed by absolute sample index
+ */
+function createSampleWindow() {
+    let buffer = new Float32Array(0);
+    let bufferStart = 0;
+    let bufferLength = 0;
+
+    return {
+        append: (chunk) => {
+            if (bufferLength + chunk.length > buffer.length) {
+                const grown = new Float32Array(Math.max(buffer.length * 2, bufferLength + chunk.length));
+                grown.set(buffer.subarray(0, bufferLength));
+                buffer = grown;
+            }
+            buffer.set(chunk, bufferLength);
+            bufferLength += chunk.length;
+        },
+        dropBefore: (index) => {
+            const drop = Math.min(bufferLength, index - bufferStart);
+            if (drop <= 0) return;
+            buffer.copyWithin(0, drop, bufferLength);
+            bufferLength -= drop;
+            bufferStart += drop;
+        },
+        end: () => bufferStart + bufferLength,
+        // Samples from..to, cut short at the end of what has arrived
+        view: (from, to) => buffer.subarray(from - bufferStart, Math.max(from, Math.min(to, bufferStart + bufferLength)) - bufferStart)
+    };
+}
+
+/**
+ * Tempo from the autocorrelation of the onset envelope around a point in time
+ * @param {number[]|Float32Array} onsetEnvelope - Onset strength per STFT hop
+ * @param {number} envelopeRate - Envelope values per second
+ * @param {number} centerTime - Seconds from the start of the envelope
+ * @returns {{ bpm: number|null, confidence: number }}
+ */
+export const estimateLocalTempo = (onsetEnvelope, envelopeRate, centerTime) => {
+    const halfWindow = Math.round((TEMPO_WINDOW_SECONDS * envelopeRate) / 2);
+    const centerIndex = Math.round(centerTime * envelopeRate);
+    const from = Math.max(0, centerIndex - halfWindow);
+    const to = Math.min(onsetEnvelope.length, centerIndex + halfWindow);
+    const minLag = Math.floor((60 / MAX_BPM) * envelopeRate);
+    const maxLag = Math.ceil((60 / MIN_BPM) * envelopeRate);
+
+    if (to - from <= maxLag) return { bpm: null, confidence: 0 };
+
+    // Remove the local mean so the autocorrelation peaks reflect periodicity
+    const segment = new Float32Array(to - from);
+    let segmentMean = 0;
+    for (let i = from; i < to; i++) segmentMean += onsetEnvelope[i];
+    segmentMean /= segment.length;
+    for (let i = 0; i < segment.length; i++) segment[i] = onsetEnvelope[from + i] - segmentMean;
+
+    const correlations = autocorrelation(segment);
+    if (correlations[0] <= 0) return { bpm: null, confidence: 0 };
+
+    let bestLag = 0;
+    let bestCorrelation = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        if (correlations[lag] > bestCorrelation) {
+            bestCorrelation = correlations[lag];
+            bestLag = lag;
+        }
+    }
+
+    if (!bestLag) return { bpm: null, confidence: 0 };
+
+    return {
+        bpm: Math.round((60 * envelopeRate) / bestLag),
+        confidence: Math.min(1, bestCorrelation / correlations[0])
+    };
+};
+
+function estimateLocalPitch(segment, sampleRate) {
+    if (segment.length < PITCH_WINDOW) return null;
+
+    const { frequency, voicing } = estimateFramePitch(segment, sampleRate);
+    return frequency && voicing > 0.5 ? Math.round(frequency) : null;
+}
+
+/**
+ * Timbre of a short stretch of audio from its mean spectrum
+ * @param {Float32Array} spectrum - Mean magnitude spectrum of 2048-point FFTs, 1025 bins
+ * @param {number[]} centroids - Spectral centroid of every STFT frame in the stretch
+ * @param {number[]|Float32Array} mfccs - Mean MFCCs of those frames
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {{ spectralCentroid, brightness, roughness, harmonicContent, complexity, mfccs }}
+ */
+export const summarizeFrameTimbre = (spectrum, centroids, mfccs, sampleRate) => {
+    const frequencies = createFrequencyArray(FFT_SIZE, sampleRate);
+    const spectralCentroid = calculateSpectralCentroid(spectrum, frequencies);
+    const centroidMean = mean(centroids);
+    const centroidStd = Math.sqrt(mean(centroids.map(c => (c - centroidMean) ** 2)));
+    const harmonicContent = calculateEnhancedHarmonicRatio(spectrum, sampleRate, FFT_SIZE);
+
+    return {
+        spectralCentroid,
+        brightness: calculateSpectralRolloff(spectrum, frequencies) / (sampleRate / 2),
+        roughness: calculateSpectralFlatness(spectrum),
+        harmonicContent,
+        // Same blend as the whole-track complexity: spectral variation plus inharmonic share
+        complexity: ((centroidMean > 0 ? centroidStd / centroidMean : 0) + (1 - harmonicContent)) / 2,
+        // Mean of the per-STFT-frame MFCCs, not MFCCs of the averaged spectrum
+        mfccs
+    };
+};
+
+function sumChroma(chromas, from, to) {
+    const chroma = new Array(12).fill(0);
+    for (let i = Math.max(0, from); i <= Math.min(chromas.length - 1, to); i++) {
+        for (let j = 0; j < 12; j++) chroma[j] += chromas[i][j];
+    }
+    return normalizeChroma(chroma);
+}
+
+function normalizeChroma(chroma) {
+    const total = chroma.reduce((sum, value) => sum + value, 0);
+    return total > 0 ? chroma.map(value => value / total) : chroma.slice();
+}
+
+function averageMfccs(mfccList) {
+    const result = new Float32Array(mfccList[0].length);
+    mfccList.forEach(mfccs => mfccs.forEach((value, i) => { result[i] += value / mfccList.length; }));
+    return result;
+}
+
+function mean(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
@@ -0,0 +1,57 @@
+import { extractTimeline, createTimelineStream, summarizeTimeline } from './timeline';
+import { extractMood } from './audioProcessing';
+import { audioBufferOf, chord, concat, harmonicTone, SAMPLE_RATE } from './__fixtures__/signals';
+
+const progression = (chords) => concat(...[0, 1, 2].flatMap(() => chords.map(notes => chord(notes, 0.5))));
+
+describe('extractTimeline', () => {
+    const signal = harmonicTone(220, 3);
+    const timeline = extractTimeline(audioBufferOf(signal), { hop: 1 });
+
+    test('has one frame per hop', () => {
+        expect(timeline.frames).toHaveLength(3);
+        expect(timeline.frames.map(frame => frame.time)).toEqual([0, 1, 2]);
+        expect(timeline.duration).toBeCloseTo(3);
+    });
+
+    test('streams the same timeline in chunks', () => {
+        const stream = createTimelineStream(SAMPLE_RATE, { hop: 1 });
+        for (let start = 0; start < signal.length; start += 10000) {
+            stream.push(signal.subarray(start, start + 10000));
+        }
+        expect(stream.finish()).toEqual(timeline);
+    });
+
+    test('summarizes a slice', () => {
+        const summary = summarizeTimeline(timeline, 0, 2);
+        expect(summary.rms).toBeGreaterThan(0);
+        expect(summary.key.rootNote).toBe('A');
+    });
+
+    test('rejects a hop that is not a positive number of seconds', () => {
+        expect(() => extractTimeline(audioBufferOf(signal), { hop: 0 })).toThrow(RangeError);
+        expect(() => createTimelineStream(SAMPLE_RATE, { hop: -1 })).toThrow(RangeError);
+        expect(() => createTimelineStream(SAMPLE_RATE, { hop: NaN })).toThrow(RangeError);
+    });
+});
+
+describe('summarizeTimeline', () => {
+    // i-iv-V-i in A minor and I-IV-V-I in C major, the same chord shapes and rhythm
+    const minor = extractTimeline(audioBufferOf(progression([[57, 60, 64], [62, 65, 69], [64, 68, 71], [57, 60, 64]])), { hop: 1 });
+    const major = extractTimeline(audioBufferOf(progression([[60, 64, 67], [65, 69, 72], [67, 71, 74], [60, 64, 67]])), { hop: 1 });
+
+    test('lets a minor key lower the valence of a slice', () => {
+        const { tempo, rms, timbre, key, mood } = summarizeTimeline(minor);
+        expect(key).toMatchObject({ rootNote: 'A', scale: 'minor' });
+        expect(key.candidates).toHaveLength(24);
+        expect(mood.valence).toBeLessThan(extractMood(tempo, rms, null, timbre).valence - 0.1);
+        expect(mood.valence).toBeLessThan(summarizeTimeline(major).mood.valence - 0.2);
+    });
+
+    test('lets the mode count in the mood of every frame', () => {
+        minor.frames.forEach((frame, i) => {
+            expect(frame.key.candidates).toBeUndefined();
+            expect(frame.mood.valence).toBeLessThan(major.frames[i].mood.valence);
+        });
+    });
+});
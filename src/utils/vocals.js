@@ -0,0 +1,240 @@
+import { createStftStream } from './fft';
+import { getHarmonicPercussive } from './hpss';
+import { trackPitch } from './pitchTracking';
+
+/**
+ * Vocal activity detection on the harmonic part of a track. Every
+ * half-second block is scored on four cues:
+ * - voicing: the melody tracker hears a pitch in the singing range;
+ * - wobble: the strongest partial is never perfectly still (vibrato, jitter),
+ *   yet moves smoothly, mostly keeping its direction from frame to frame,
+ *   rather than jumping around like noise or flickering like beating partials;
+ * - formant: the energy sits in the 300-3400 Hz band where vowels live;
+ * - flux: the spectrum and its band envelope keep changing as vowels change.
+ * None of them is proof on its own, and an instrument played like a voice,
+ * such as a bowed string with vibrato, scores high too. A block needs wobble
+ * or flux to count at all: a held organ note is pitched and sits in the
+ * formant band, but a voice never stays that still.
+ */
+
+// Same framing as the pitch tracker, so STFT frame i lines up with melody frame i
+const FFT_SIZE = 2048;
+const HOP_SIZE = 512;
+const BLOCK_SECONDS = 0.5;
+
+const VOCAL_MIN_FREQUENCY = 80;
+const VOCAL_MAX_FREQUENCY = 1100;
+const FORMANT_LOW = 300;
+const FORMANT_HIGH = 3400;
+const SPECTRUM_LOW = 50;
+const SPECTRUM_HIGH = 8000;
+const ENVELOPE_BANDS = 12;
+
+// Frame-to-frame moves of the strongest partial above this are jumps, not wobble
+const MAX_WOBBLE_CENTS = 80;
+const MIN_CONTINUITY = 0.6;
+// Share of moves in the same direction as the one before: vibrato stays near 0.9,
+// a random walk at 0.5, two partials beating in one peak below 0.3
+const MIN_PERSISTENCE = 0.5;
+// Wobble or flux a block needs before the other cues count
+const MIN_MOVEMENT = 0.2;
+const SILENCE_RATIO = 0.05;
+const PRESENCE_THRESHOLD = 0.4;
+
+/**
+ * Detect where a track has vocals
+ * @param {AudioBuffer} audioBuffer - The decoded audio buffer
+ * @param {Object} options
+ * @param {Object} options.melody - Result of trackPitch for the same audio; tracked here when missing
+ * @returns {Object} - {
+ *   ratio: number,          // Share of the non-silent blocks with vocals, 0..1
+ *   blockDuration: number,  // Seconds per curve value
+ *   curve: Float32Array,    // Vocal presence per block, 0..1
+ *   cues: { voicing, wobble, formant, flux }  // Cue scores averaged over the non-silent blocks, 0..1
+ * }
+ */
+export const detectVocals = (audioBuffer, { melody = null } = {}) => {
+    const stream = createVocalStream(audioBuffer.sampleRate);
+    stream.push(getHarmonicPercussive(audioBuffer).harmonic);
+    return stream.finish({ melody: melody || trackPitch(audioBuffer) });
+};
+
+/**
+ * Incremental version of detectVocals. Push the harmonic part of the track.
+ * The melody only exists once the pitch tracker has finished, so it goes to
+ * finish; the spectral cues are summed per block as the frames arrive.
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {{ push: function(Float32Array): void, finish: function(Object): Object }} -
+ *   finish takes { melody } (required here) and returns the detectVocals result
+ */
+export const createVocalStream = (sampleRate) => {
+    const binWidth = sampleRate / FFT_SIZE;
+    const formantFrom = Math.ceil(FORMANT_LOW / binWidth);
+    const formantTo = Math.floor(FORMANT_HIGH / binWidth);
+    const spectrumFrom = Math.ceil(SPECTRUM_LOW / binWidth);
+    const spectrumTo = Math.min(FFT_SIZE / 2 - 1, Math.floor(SPECTRUM_HIGH / binWidth));
+    // Log-spaced bands over the formant range for the spectral envelope
+    const bandEdges = Array.from({ length: ENVELOPE_BANDS + 1 }, (_, k) => (
+        Math.round((FORMANT_LOW * Math.pow(FORMANT_HIGH / FORMANT_LOW, k / ENVELOPE_BANDS)) / binWidth)
+    ));
+    const framesPerBlock = Math.max(1, Math.round((BLOCK_SECONDS * sampleRate) / HOP_SIZE));
+
+    const blocks = [];
+    let block = null;
+    let previous = null;
+    let lastMove = 0;
+
+    const frames = createStftStream(({ index, magnitudes }) => {
+        if (index % framesPerBlock === 0) {
+            block = { frames: 0, power: 0, formant: 0, flux: 0, envelope: 0, wobble: 0, steadyMoves: 0, turns: 0, persistentTurns: 0 };
+            lastMove = 0;
+            blocks.push(block);
+        }
+
+        let power = 0;
+        let formantPower = 0;
+        let peakBin = formantFrom;
+        for (let j = spectrumFrom; j <= spectrumTo; j++) {
+            const p = magnitudes[j] * magnitudes[j];
+            power += p;
+            if (j >= formantFrom && j <= formantTo) {
+                formantPower += p;
+                if (magnitudes[j] > magnitudes[peakBin]) peakBin = j;
+            }
+        }
+
+        const bands = new Float64Array(ENVELOPE_BANDS);
+        for (let k = 0; k < ENVELOPE_BANDS; k++) {
+            let bandPower = 0;
+            for (let j = bandEdges[k]; j < bandEdges[k + 1]; j++) bandPower += magnitudes[j] * magnitudes[j];
+            bands[k] = Math.sqrt(bandPower);
+        }
+        const current = { magnitudes, bands, peakFrequency: interpolatePeak(magnitudes, peakBin) * binWidth };
+
+        block.frames++;
+        block.power += power;
+        block.formant += power > 0 ? formantPower / power : 0;
+
+        // Moves within a block only, so every block is scored on its own frames
+        if (previous && index % framesPerBlock !== 0) {
+            block.flux += normalizedChange(magnitudes, previous.magnitudes, formantFrom, formantTo + 1);
+            block.envelope += normalizedChange(bands, previous.bands, 0, ENVELOPE_BANDS);
+
+            const move = 1200 * Math.log2(current.peakFrequency / previous.peakFrequency);
+            if (Math.abs(move) < MAX_WOBBLE_CENTS) {
+                block.wobble += Math.abs(move);
+                block.steadyMoves++;
+                if (lastMove) {
+                    block.turns++;
+                    if (Math.sign(move) === Math.sign(lastMove)) block.persistentTurns++;
+                }
+                lastMove = move;
+            } else {
+                lastMove = 0;
+            }
+        }
+        previous = current;
+    }, { fftSize: FFT_SIZE, hopSize: HOP_SIZE, sampleRate });
+
+    const finish = ({ melody }) => {
+        frames.finish();
+        const { frequencies, voicing } = melody;
+
+        // Voicing probability of the frames whose pitch, if any, is in the singing range
+        blocks.forEach((current, b) => {
+            let pitched = 0;
+            for (let i = b * framesPerBlock; i < b * framesPerBlock + current.frames; i++) {
+                const frequency = frequencies[i] || 0;
+                if (frequency === 0 || (frequency >= VOCAL_MIN_FREQUENCY && frequency <= VOCAL_MAX_FREQUENCY)) {
+                    pitched += voicing[i] || 0;
+                }
+            }
+            current.pitched = pitched;
+        });
+
+        return {
+            ...scoreBlocks(blocks),
+            blockDuration: (framesPerBlock * HOP_SIZE) / sampleRate
+        };
+    };
+
+    return { push: frames.push, finish };
+};
+
+function scoreBlocks(blocks) {
+    const summaries = blocks.map(({ frames, power, formant, flux, envelope, wobble, steadyMoves, turns, persistentTurns, pitched }) => {
+        const moves = Math.max(1, frames - 1);
+        const persistence = turns ? persistentTurns / turns : 0;
+        return {
+            power: power / frames,
+            continuity: steadyMoves / moves,
+            cues: {
+                voicing: clamp(pitched / frames / 0.3),
+                wobble: clamp((wobble / Math.max(1, steadyMoves) - 2) / 6)
+                    * clamp((steadyMoves / moves - MIN_CONTINUITY) / 0.2)
+                    * clamp((persistence - MIN_PERSISTENCE) / 0.2),
+                formant: clamp((formant / frames - 0.25) / 0.3),
+                flux: 0.5 * clamp((flux / moves - 0.08) / 0.12) + 0.5 * clamp((envelope / moves - 0.04) / 0.06)
+            }
+        };
+    });
+
+    // Quiet blocks say nothing either way; leave them out of the ratio
+    const sortedPowers = summaries.map(({ power }) => power).sort((a, b) => a - b);
+    const silenceLevel = (sortedPowers[Math.floor(sortedPowers.length / 2)] || 0) * SILENCE_RATIO;
+    const isActive = summaries.map(({ power }) => power > silenceLevel);
+
+    const presence = summaries.map(({ continuity, cues }, b) => {
+        // A partial that jumps around most of the time is noise, not a voice
+        if (!isActive[b] || continuity < MIN_CONTINUITY) return 0;
+        // Pitch and formant alone describe any steady tone or chord just as well
+        if (Math.max(cues.wobble, cues.flux) < MIN_MOVEMENT) return 0;
+        return 0.2 * cues.voicing + 0.3 * cues.wobble + 0.25 * cues.formant + 0.25 * cues.flux;
+    });
+
+    // Light smoothing: a line is sung over several blocks, not one
+    const curve = new Float32Array(presence.length);
+    for (let b = 0; b < presence.length; b++) {
+        const neighbours = [presence[b - 1], presence[b + 1]].filter(value => value !== undefined);
+        curve[b] = (2 * presence[b] + neighbours.reduce((sum, value) => sum + value, 0)) / (2 + neighbours.length);
+    }
+
+    const active = summaries.filter((_, b) => isActive[b]);
+    const vocalBlocks = curve.filter((value, b) => isActive[b] && value >= PRESENCE_THRESHOLD).length;
+    const average = (cue) => (active.length ? active.reduce((sum, { cues }) => sum + cues[cue], 0) / active.length : 0);
+
+    return {
+        ratio: active.length ? vocalBlocks / active.length : 0,
+        curve,
+        cues: {
+            voicing: average('voicing'),
+            wobble: average('wobble'),
+            formant: average('formant'),
+            flux: average('flux')
+        }
+    };
+}
+
+// Summed absolute change over summed level: 0 when frozen, 1 when replaced outright
+function normalizedChange(current, previous, from, to) {
+    let change = 0;
+    let total = 0;
+    for (let j = from; j < to; j++) {
+        change += Math.abs(current[j] - previous[j]);
+        total += current[j] + previous[j];
+    }
+    return total > 0 ? change / total : 0;
+}
+
+// Gaussian (log-parabolic) interpolation of a spectral peak, in bins
+function interpolatePeak(magnitudes, bin) {
+    const left = Math.log(magnitudes[bin - 1] + 1e-12);
+    const center = Math.log(magnitudes[bin] + 1e-12);
+    const right = Math.log(magnitudes[bin + 1] + 1e-12);
+    const curvature = left - 2 * center + right;
+    return curvature < 0 ? bin + (0.5 * (left - right)) / curvature : bin;
+}
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+}
@@ -0,0 +1,58 @@
+import { detectVocals, createVocalStream } from './vocals';
+import { getHarmonicPercussive } from './hpss';
+import { trackPitch } from './pitchTracking';
+import { audioBufferOf, chord, concat, harmonicTone, noise, sine, SAMPLE_RATE } from './__fixtures__/signals';
+
+// A held note with a singer's vibrato: 5.5 Hz, half a semitone either way
+const sung = (seconds) => harmonicTone(220, seconds, { vibratoRate: 5.5, vibratoDepth: 0.5 });
+
+describe('detectVocals', () => {
+    test('does not hear a voice in a steady tone', () => {
+        const result = detectVocals(audioBufferOf(sine(440, 4)));
+        expect(result.ratio).toBeCloseTo(0);
+        expect(Math.max(...result.curve)).toBeCloseTo(0);
+    });
+
+    test('does not hear a voice in a held triad', () => {
+        const result = detectVocals(audioBufferOf(chord([57, 61, 64], 4)));
+        expect(result.ratio).toBeCloseTo(0);
+        expect(result.cues.wobble).toBeCloseTo(0);
+    });
+
+    test('does not hear a voice in noise', () => {
+        expect(detectVocals(audioBufferOf(noise(4))).ratio).toBeCloseTo(0);
+    });
+
+    test('hears a voice in a tone with vibrato', () => {
+        const result = detectVocals(audioBufferOf(sung(4)));
+        expect(result.ratio).toBeGreaterThan(0.9);
+        expect(result.cues.wobble).toBeGreaterThan(0.8);
+        expect(result.cues.voicing).toBeGreaterThan(0.8);
+    });
+
+    test('places the voice in time', () => {
+        const result = detectVocals(audioBufferOf(concat(harmonicTone(220, 3), sung(3))));
+        const blocksPerSecond = 1 / result.blockDuration;
+        expect(result.curve[Math.floor(blocksPerSecond)]).toBeLessThan(0.1);
+        expect(result.curve[Math.floor(4.5 * blocksPerSecond)]).toBeGreaterThan(0.4);
+        expect(result.ratio).toBeGreaterThan(0.3);
+        expect(result.ratio).toBeLessThan(0.7);
+    });
+});
+
+describe('createVocalStream', () => {
+    test('gives the same result in any chunking', () => {
+        const audioBuffer = audioBufferOf(concat(sine(330, 1), sung(2)));
+        const { harmonic } = getHarmonicPercussive(audioBuffer);
+        const melody = trackPitch(audioBuffer);
+
+        const whole = createVocalStream(SAMPLE_RATE);
+        whole.push(harmonic);
+        const chunked = createVocalStream(SAMPLE_RATE);
+        for (let start = 0; start < harmonic.length; start += 3000) {
+            chunked.push(harmonic.subarray(start, start + 3000));
+        }
+
+        expect(chunked.finish({ melody })).toEqual(whole.finish({ melody }));
+    });
+});
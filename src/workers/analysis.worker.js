@@ -0,0 +1,69 @@
+/* eslint-disable no-restricted-globals */
+import { createAudioData } from '../utils/audioProcessing';
+import { analyzeAudioBuffer, analyzeAudioStream } from '../utils/analysisPipeline';
+import { readWavHeader, readWavChunks } from '../utils/audioStream';
+
+/**
+ * Runs the analysis pipeline off the main thread.
+ *
+ * In:  { type: 'analyze', channels: Float32Array[], sampleRate: number }
+ *      { type: 'analyze-file', file: File }  // WAV, read here chunk by chunk
+ *      { type: 'analyze-stream', sampleRate, numberOfChannels, length }
+ *        followed by one { type: 'stream-chunk', channels } or { type: 'stream-end' }
+ *        in answer to every 'next-chunk'
+ * Out: { type: 'progress', stage, completed, total }
+ *      { type: 'next-chunk' }  // asks for the next chunk of an 'analyze-stream'
+ *      { type: 'result', features }
+ *      { type: 'error', message }
+ */
+
+let answerChunkRequest = null;
+
+self.onmessage = async (event) => {
+    const { type } = event.data;
+
+    if (type === 'stream-chunk' || type === 'stream-end') {
+        answerChunkRequest?.(event.data);
+        return;
+    }
+
+    const onProgress = (progress) => self.postMessage({ type: 'progress', ...progress });
+
+    try {
+        let features;
+        if (type === 'analyze') {
+            const { channels, sampleRate } = event.data;
+            features = await analyzeAudioBuffer(createAudioData(channels, sampleRate), { onProgress });
+        } else if (type === 'analyze-file') {
+            const header = await readWavHeader(event.data.file);
+            if (!header) throw new Error('Not a PCM or floating-point WAV file');
+            features = await analyzeAudioStream(readWavChunks(event.data.file, { header }), header, { onProgress });
+        } else if (type === 'analyze-stream') {
+            const { sampleRate, numberOfChannels, length } = event.data;
+            features = await analyzeAudioStream(requestChunks(), { sampleRate, numberOfChannels, length }, { onProgress });
+        } else {
+            return;
+        }
+        self.postMessage({ type: 'result', features });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+/**
+ * Pull chunks from the main thread one at a time, so only one is ever in flight
+ */
+async function* requestChunks() {
+    const requestChunk = () => new Promise((resolve) => {
+        answerChunkRequest = resolve;
+        self.postMessage({ type: 'next-chunk' });
+    });
+
+    for (;;) {
+        const message = await requestChunk();
+        answerChunkRequest = null;
+
+        if (message.type === 'stream-end') return;
+        yield message.channels;
+    }
+}